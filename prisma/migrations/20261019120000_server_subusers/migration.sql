@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "ServerSubuser" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "serverId" TEXT NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "permissions" TEXT NOT NULL DEFAULT '[]',
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "ServerSubuser_serverId_fkey" FOREIGN KEY ("serverId") REFERENCES "Server" ("UUID") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "ServerSubuser_userId_fkey" FOREIGN KEY ("userId") REFERENCES "Users" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "ServerSubuser_userId_idx" ON "ServerSubuser"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ServerSubuser_serverId_userId_key" ON "ServerSubuser"("serverId", "userId");
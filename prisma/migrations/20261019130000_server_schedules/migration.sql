@@ -0,0 +1,53 @@
+-- CreateTable
+CREATE TABLE "Schedule" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "serverId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "cron" TEXT NOT NULL,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "onlyWhenOnline" BOOLEAN NOT NULL DEFAULT false,
+    "lastRunAt" DATETIME,
+    "nextRunAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "Schedule_serverId_fkey" FOREIGN KEY ("serverId") REFERENCES "Server" ("UUID") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "ScheduleTask" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "scheduleId" INTEGER NOT NULL,
+    "sequence" INTEGER NOT NULL DEFAULT 0,
+    "action" TEXT NOT NULL,
+    "payload" TEXT NOT NULL DEFAULT '',
+    "delaySeconds" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "ScheduleTask_scheduleId_fkey" FOREIGN KEY ("scheduleId") REFERENCES "Schedule" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "ScheduleRun" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "scheduleId" INTEGER NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'running',
+    "trigger" TEXT NOT NULL DEFAULT 'cron',
+    "output" TEXT NOT NULL DEFAULT '[]',
+    "startedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" DATETIME,
+    CONSTRAINT "ScheduleRun_scheduleId_fkey" FOREIGN KEY ("scheduleId") REFERENCES "Schedule" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "Schedule_serverId_idx" ON "Schedule"("serverId");
+
+-- CreateIndex
+CREATE INDEX "Schedule_nextRunAt_idx" ON "Schedule"("nextRunAt");
+
+-- CreateIndex
+CREATE INDEX "ScheduleTask_scheduleId_idx" ON "ScheduleTask"("scheduleId");
+
+-- CreateIndex
+CREATE INDEX "ScheduleRun_scheduleId_idx" ON "ScheduleRun"("scheduleId");
+
+-- CreateIndex
+CREATE INDEX "ScheduleRun_startedAt_idx" ON "ScheduleRun"("startedAt");
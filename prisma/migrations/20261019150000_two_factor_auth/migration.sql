@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Users" ADD COLUMN "twoFactorEnabled" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "Users" ADD COLUMN "twoFactorSecret" TEXT;
+ALTER TABLE "Users" ADD COLUMN "twoFactorRecoveryCodes" TEXT NOT NULL DEFAULT '[]';
+ALTER TABLE "Users" ADD COLUMN "twoFactorLastStep" INTEGER;
+
+-- AlterTable
+ALTER TABLE "settings" ADD COLUMN "requireAdminTwoFactor" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "Server" ADD COLUMN "backupLimit" INTEGER;
+ALTER TABLE "Server" ADD COLUMN "backupRetainLast" INTEGER;
+ALTER TABLE "Server" ADD COLUMN "backupRetainDays" INTEGER;
+
+-- AlterTable
+ALTER TABLE "Backup" ADD COLUMN "locked" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,41 @@
+-- CreateTable
+CREATE TABLE "Allocation" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "nodeId" INTEGER NOT NULL,
+    "ip" TEXT NOT NULL DEFAULT '0.0.0.0',
+    "port" INTEGER NOT NULL,
+    "alias" TEXT,
+    "serverId" TEXT,
+    "primary" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "Allocation_nodeId_fkey" FOREIGN KEY ("nodeId") REFERENCES "Node" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "Allocation_serverId_fkey" FOREIGN KEY ("serverId") REFERENCES "Server" ("UUID") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Allocation_nodeId_ip_port_key" ON "Allocation"("nodeId", "ip", "port");
+
+-- CreateIndex
+CREATE INDEX "Allocation_serverId_idx" ON "Allocation"("serverId");
+
+-- AlterTable
+ALTER TABLE "Server" ADD COLUMN "allocationLimit" INTEGER;
+
+-- Backfill the ports servers already use, keeping their primary port
+INSERT OR IGNORE INTO "Allocation" ("nodeId", "port", "serverId", "primary")
+SELECT
+    "Server"."nodeId",
+    CAST(substr(json_extract(ports.value, '$.Port'), 1, instr(json_extract(ports.value, '$.Port') || ':', ':') - 1) AS INTEGER),
+    "Server"."UUID",
+    COALESCE(json_extract(ports.value, '$.primary'), 0)
+FROM "Server", json_each("Server"."Ports") AS ports
+WHERE json_valid("Server"."Ports");
+
+-- Backfill the remaining ports allocated to nodes
+INSERT OR IGNORE INTO "Allocation" ("nodeId", "port")
+SELECT "Node"."id", CAST(ports.value AS INTEGER)
+FROM "Node", json_each("Node"."allocatedPorts") AS ports
+WHERE "Node"."allocatedPorts" IS NOT NULL AND json_valid("Node"."allocatedPorts");
+
+-- AlterTable
+ALTER TABLE "Node" DROP COLUMN "allocatedPorts";
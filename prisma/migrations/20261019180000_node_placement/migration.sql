@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "Node" ADD COLUMN "memoryOverallocate" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "Node" ADD COLUMN "cpuOverallocate" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "Node" ADD COLUMN "diskOverallocate" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "settings" ADD COLUMN "placementStrategy" TEXT NOT NULL DEFAULT 'least_loaded';
@@ -0,0 +1,51 @@
+-- CreateTable
+CREATE TABLE "NodeMetric" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "nodeId" INTEGER NOT NULL,
+    "timestamp" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "resolution" INTEGER NOT NULL DEFAULT 60,
+    "availability" REAL NOT NULL DEFAULT 0,
+    "cpu" REAL NOT NULL DEFAULT 0,
+    "memoryUsed" REAL NOT NULL DEFAULT 0,
+    "memoryTotal" REAL NOT NULL DEFAULT 0,
+    "latency" REAL NOT NULL DEFAULT 0,
+    CONSTRAINT "NodeMetric_nodeId_fkey" FOREIGN KEY ("nodeId") REFERENCES "Node" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "ServerMetric" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "serverId" TEXT NOT NULL,
+    "timestamp" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "resolution" INTEGER NOT NULL DEFAULT 60,
+    "availability" REAL NOT NULL DEFAULT 0,
+    "cpu" REAL NOT NULL DEFAULT 0,
+    "memoryUsed" REAL NOT NULL DEFAULT 0,
+    "memoryLimit" REAL NOT NULL DEFAULT 0,
+    "diskUsed" REAL NOT NULL DEFAULT 0,
+    "networkIn" REAL NOT NULL DEFAULT 0,
+    "networkOut" REAL NOT NULL DEFAULT 0,
+    CONSTRAINT "ServerMetric_serverId_fkey" FOREIGN KEY ("serverId") REFERENCES "Server" ("UUID") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "ApiCallCount" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "period" DATETIME NOT NULL,
+    "calls" INTEGER NOT NULL DEFAULT 0
+);
+
+-- CreateIndex
+CREATE INDEX "NodeMetric_nodeId_resolution_timestamp_idx" ON "NodeMetric"("nodeId", "resolution", "timestamp");
+
+-- CreateIndex
+CREATE INDEX "NodeMetric_resolution_timestamp_idx" ON "NodeMetric"("resolution", "timestamp");
+
+-- CreateIndex
+CREATE INDEX "ServerMetric_serverId_resolution_timestamp_idx" ON "ServerMetric"("serverId", "resolution", "timestamp");
+
+-- CreateIndex
+CREATE INDEX "ServerMetric_resolution_timestamp_idx" ON "ServerMetric"("resolution", "timestamp");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ApiCallCount_period_key" ON "ApiCallCount"("period");
@@ -0,0 +1,57 @@
+-- CreateTable
+CREATE TABLE "RadarScan" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "serverId" TEXT NOT NULL,
+    "script" TEXT NOT NULL,
+    "scriptName" TEXT NOT NULL,
+    "trigger" TEXT NOT NULL DEFAULT 'manual',
+    "status" TEXT NOT NULL,
+    "action" TEXT,
+    "matchCount" INTEGER NOT NULL DEFAULT 0,
+    "error" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "RadarScan_serverId_fkey" FOREIGN KEY ("serverId") REFERENCES "Server" ("UUID") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "RadarFinding" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "scanId" INTEGER NOT NULL,
+    "serverId" TEXT NOT NULL,
+    "pattern" TEXT NOT NULL,
+    "description" TEXT NOT NULL,
+    "path" TEXT NOT NULL,
+    "size" REAL,
+    "falsePositive" BOOLEAN NOT NULL DEFAULT false,
+    "reviewedById" INTEGER,
+    "reviewedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "RadarFinding_scanId_fkey" FOREIGN KEY ("scanId") REFERENCES "RadarScan" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "RadarScriptConfig" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "script" TEXT NOT NULL,
+    "action" TEXT NOT NULL DEFAULT 'flag',
+    "interval" INTEGER,
+    "lastRunAt" DATETIME
+);
+
+-- CreateIndex
+CREATE INDEX "RadarScan_serverId_createdAt_idx" ON "RadarScan"("serverId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "RadarScan_status_createdAt_idx" ON "RadarScan"("status", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "RadarFinding_scanId_idx" ON "RadarFinding"("scanId");
+
+-- CreateIndex
+CREATE INDEX "RadarFinding_serverId_falsePositive_idx" ON "RadarFinding"("serverId", "falsePositive");
+
+-- CreateIndex
+CREATE INDEX "RadarFinding_createdAt_idx" ON "RadarFinding"("createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RadarScriptConfig_script_key" ON "RadarScriptConfig"("script");
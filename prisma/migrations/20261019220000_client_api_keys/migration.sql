@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ApiKey" ADD COLUMN "type" TEXT NOT NULL DEFAULT 'application';
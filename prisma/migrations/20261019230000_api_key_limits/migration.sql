@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "ApiKey" ADD COLUMN "expiresAt" DATETIME;
+ALTER TABLE "ApiKey" ADD COLUMN "allowedIps" TEXT NOT NULL DEFAULT '[]';
+ALTER TABLE "ApiKey" ADD COLUMN "rateLimit" INTEGER;
+ALTER TABLE "ApiKey" ADD COLUMN "lastUsedAt" DATETIME;
+ALTER TABLE "ApiKey" ADD COLUMN "lastUsedIp" TEXT;
+
+-- CreateTable
+CREATE TABLE "ApiKeyUsage" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "apiKeyId" INTEGER NOT NULL,
+    "period" DATETIME NOT NULL,
+    "method" TEXT NOT NULL,
+    "endpoint" TEXT NOT NULL,
+    "calls" INTEGER NOT NULL DEFAULT 0,
+    "errors" INTEGER NOT NULL DEFAULT 0,
+    CONSTRAINT "ApiKeyUsage_apiKeyId_fkey" FOREIGN KEY ("apiKeyId") REFERENCES "ApiKey" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ApiKeyUsage_apiKeyId_period_method_endpoint_key" ON "ApiKeyUsage"("apiKeyId", "period", "method", "endpoint");
+
+-- CreateIndex
+CREATE INDEX "ApiKeyUsage_period_idx" ON "ApiKeyUsage"("period");
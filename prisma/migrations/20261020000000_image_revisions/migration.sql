@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE "Images" ADD COLUMN "revision" INTEGER NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "Server" ADD COLUMN "imageRevision" INTEGER NOT NULL DEFAULT 1;
+
+-- CreateTable
+CREATE TABLE "ImageRevision" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "imageId" INTEGER NOT NULL,
+    "revision" INTEGER NOT NULL,
+    "name" TEXT,
+    "description" TEXT,
+    "meta" TEXT,
+    "dockerImages" TEXT,
+    "startup" TEXT,
+    "info" TEXT,
+    "scripts" TEXT,
+    "variables" TEXT,
+    "createdBy" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "ImageRevision_imageId_fkey" FOREIGN KEY ("imageId") REFERENCES "Images" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ImageRevision_imageId_revision_key" ON "ImageRevision"("imageId", "revision");
+
+-- Existing images start their history at revision 1
+INSERT INTO "ImageRevision" ("imageId", "revision", "name", "description", "meta", "dockerImages", "startup", "info", "scripts", "variables")
+SELECT "id", 1, "name", "description", "meta", "dockerImages", "startup", "info", "scripts", "variables" FROM "Images";
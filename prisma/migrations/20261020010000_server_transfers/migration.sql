@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "Server" ADD COLUMN "Transferring" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "ServerTransfer" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "serverId" TEXT NOT NULL,
+    "serverName" TEXT NOT NULL,
+    "sourceNodeId" INTEGER NOT NULL,
+    "sourceNodeName" TEXT NOT NULL,
+    "targetNodeId" INTEGER NOT NULL,
+    "targetNodeName" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "step" TEXT,
+    "progress" INTEGER NOT NULL DEFAULT 0,
+    "archiveSize" BIGINT,
+    "error" TEXT,
+    "startedBy" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" DATETIME
+);
+
+-- CreateIndex
+CREATE INDEX "ServerTransfer_serverId_idx" ON "ServerTransfer"("serverId");
+
+-- CreateIndex
+CREATE INDEX "ServerTransfer_status_idx" ON "ServerTransfer"("status");
@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE "Server" ADD COLUMN "InstallFailed" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "InstallLog" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "serverId" TEXT NOT NULL,
+    "attempt" INTEGER NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'running',
+    "output" TEXT NOT NULL DEFAULT '',
+    "error" TEXT,
+    "startedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" DATETIME,
+    CONSTRAINT "InstallLog_serverId_fkey" FOREIGN KEY ("serverId") REFERENCES "Server" ("UUID") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "InstallLog_serverId_attempt_key" ON "InstallLog"("serverId", "attempt");
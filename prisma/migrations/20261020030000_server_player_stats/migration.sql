@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "ServerPlayerStat" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "serverId" TEXT NOT NULL,
+    "timestamp" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "resolution" INTEGER NOT NULL DEFAULT 300,
+    "players" REAL NOT NULL DEFAULT 0,
+    "peakPlayers" INTEGER NOT NULL DEFAULT 0,
+    "maxPlayers" INTEGER NOT NULL DEFAULT 0,
+    "availability" REAL NOT NULL DEFAULT 0,
+    CONSTRAINT "ServerPlayerStat_serverId_fkey" FOREIGN KEY ("serverId") REFERENCES "Server" ("UUID") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "ServerPlayerStat_serverId_resolution_timestamp_idx" ON "ServerPlayerStat"("serverId", "resolution", "timestamp");
+
+-- CreateIndex
+CREATE INDEX "ServerPlayerStat_resolution_timestamp_idx" ON "ServerPlayerStat"("resolution", "timestamp");
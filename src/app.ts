@@ -25,6 +25,15 @@ import { loadAddons } from './handlers/addonHandler';
 import { initializeDefaultUIComponents, uiComponentStore } from './handlers/uiComponentHandler';
 import { startPlayerStatsCollection } from './handlers/playerStatsCollector';
 import { createPlayerStatsTable } from './handlers/createPlayerStatsTable';
+import { startScheduler } from './handlers/scheduler';
+import { startBackupRetention } from './handlers/backupRetention';
+import { startMetricsCollection } from './handlers/metricsCollector';
+import { startWebhookRetries } from './handlers/webhooks';
+import { startStatusWatcher } from './handlers/statusWatcher';
+import { startRadarScheduler } from './handlers/radar';
+import { failInterruptedTransfers } from './handlers/utils/server/serverTransfer';
+import { checkApiSpecCoverage } from './handlers/utils/api/openapi';
+import { API_KEY_PREFIXES } from './handlers/utils/api/apiValidator';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
 import hpp from 'hpp';
@@ -102,6 +111,10 @@ app.use(hpp());
 app.use(rateLimit({
   windowMs: 1 * 60 * 1000,
   max: 100,
+  // Requests made with an API key are limited per key by the API validators
+  skip: (req) =>
+    Boolean(req.headers.authorization?.startsWith('Bearer ')) &&
+    API_KEY_PREFIXES.some((prefix) => req.path.startsWith(prefix)),
 }));
 
 // Load session with Prisma store
@@ -222,6 +235,9 @@ app.use((err: Error, _req: Request, res: Response, next: NextFunction) => {
     await loadModules(app, airlinkVersion, Number(port));
     await loadAddons(app);
 
+    // Warn when the OpenAPI document drifts from the registered API routes
+    checkApiSpecCoverage(app);
+
     // Setup SPA routes
     setupSPARoutes(app);
 
@@ -230,6 +246,15 @@ app.use((err: Error, _req: Request, res: Response, next: NextFunction) => {
       createPlayerStatsTable().then(() => {
         startPlayerStatsCollection();
       });
+
+      // Restore persisted schedules and start running them
+      startScheduler();
+      startBackupRetention();
+      startMetricsCollection();
+      startWebhookRetries();
+      startStatusWatcher();
+      startRadarScheduler();
+      void failInterruptedTransfers();
     });
 
     // on close of the application
@@ -0,0 +1,204 @@
+/**
+ * ╳━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━╳
+ *      AirLink - Open Source Project by AirlinkLabs
+ *      Repository: https://github.com/airlinklabs/panel
+ *
+ *     © 2024 AirlinkLabs. Licensed under the MIT License
+ * ╳━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━╳
+ */
+
+import { Backup, PrismaClient } from '@prisma/client';
+import logger from './logger';
+import { createServerBackup, deleteServerBackup, ServerWithNode } from './utils/server/serverActions';
+
+const prisma = new PrismaClient();
+
+// How often retention rules are applied to every server (1 hour)
+const RETENTION_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * Picks the backups a server's retention rules allow to be pruned.
+ * Backups are kept if they are locked, among the newest `backupRetainLast`,
+ * or the newest backup of a day within the last `backupRetainDays` days.
+ * Without any rule set nothing is pruned.
+ * @param backups Backups of the server, newest first
+ */
+export function selectBackupsToPrune(
+  server: Pick<ServerWithNode, 'backupRetainLast' | 'backupRetainDays'>,
+  backups: Backup[],
+  now: Date = new Date(),
+): Backup[] {
+  const { backupRetainLast, backupRetainDays } = server;
+  if (!backupRetainLast && !backupRetainDays) return [];
+
+  const keep = new Set<string>();
+
+  if (backupRetainLast) {
+    backups.slice(0, backupRetainLast).forEach((backup) => keep.add(backup.UUID));
+  }
+
+  if (backupRetainDays) {
+    const cutoff = new Date(now);
+    cutoff.setHours(0, 0, 0, 0);
+    cutoff.setDate(cutoff.getDate() - (backupRetainDays - 1));
+
+    const keptDays = new Set<string>();
+    for (const backup of backups) {
+      if (backup.createdAt < cutoff) continue;
+      const day = backup.createdAt.toDateString();
+      if (!keptDays.has(day)) {
+        keptDays.add(day);
+        keep.add(backup.UUID);
+      }
+    }
+  }
+
+  return backups.filter((backup) => !backup.locked && !keep.has(backup.UUID));
+}
+
+/**
+ * Applies the retention rules of a server, removing pruned backups from the
+ * node and the database.
+ * @returns The number of backups removed
+ */
+export async function applyBackupRetention(server: ServerWithNode): Promise<number> {
+  const backups = await prisma.backup.findMany({
+    where: { serverId: server.UUID },
+    orderBy: { createdAt: 'desc' },
+  });
+
+  const prune = selectBackupsToPrune(server, backups);
+  for (const backup of prune) {
+    await deleteServerBackup(server, backup);
+  }
+
+  if (prune.length > 0) {
+    logger.info(`Pruned ${prune.length} backup(s) of server ${server.UUID}`);
+  }
+  return prune.length;
+}
+
+/**
+ * The backup limit of a server is reached and no backup can be rotated out
+ */
+export class BackupLimitError extends Error {
+  constructor(limit: number) {
+    super(`Backup limit of ${limit} reached. Unlock or delete a backup first.`);
+    this.name = 'BackupLimitError';
+  }
+}
+
+/**
+ * Checks that a new backup fits the backup limit of a server, counting the
+ * unlocked backups that could be rotated out to make room for it
+ */
+export async function hasBackupCapacity(server: ServerWithNode): Promise<boolean> {
+  if (server.backupLimit === null || server.backupLimit === undefined) return true;
+  if (server.backupLimit <= 0) return false;
+
+  const backups = await prisma.backup.findMany({ where: { serverId: server.UUID } });
+  const excess = backups.length - server.backupLimit + 1;
+  return excess <= backups.filter((backup) => !backup.locked).length;
+}
+
+/**
+ * Removes the oldest unlocked backups a server has over its backup limit,
+ * never the one just created
+ * @returns The backups removed
+ */
+async function rotateBackups(server: ServerWithNode, created: Backup): Promise<Backup[]> {
+  if (server.backupLimit === null || server.backupLimit === undefined) return [];
+
+  const backups = await prisma.backup.findMany({
+    where: { serverId: server.UUID },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  let excess = backups.length - server.backupLimit;
+  const rotated: Backup[] = [];
+  for (const backup of backups) {
+    if (excess <= 0) break;
+    if (backup.locked || backup.UUID === created.UUID) continue;
+    await deleteServerBackup(server, backup);
+    rotated.push(backup);
+    excess--;
+  }
+
+  if (rotated.length > 0) {
+    logger.info(
+      `Rotated out ${rotated.map((backup) => `"${backup.name}"`).join(', ')} to keep server ${server.UUID} within its backup limit`,
+    );
+  }
+  return rotated;
+}
+
+/**
+ * Creates a backup within the backup limit of a server, then applies its
+ * retention rules. At the limit the oldest unlocked backups are rotated out,
+ * but only once the new backup exists, so a failed backup costs none.
+ * @returns The backup and the backups rotated out for it
+ * @throws BackupLimitError if the limit is reached and every backup is locked
+ */
+export async function createBackupWithinLimit(
+  server: ServerWithNode,
+  name: string,
+): Promise<{ backup: Backup; rotated: Backup[] }> {
+  if (!(await hasBackupCapacity(server))) {
+    throw new BackupLimitError(server.backupLimit ?? 0);
+  }
+
+  const backup = await createServerBackup(server, name);
+  const rotated = await rotateBackups(server, backup);
+  await applyBackupRetention(server);
+  return { backup, rotated };
+}
+
+/**
+ * Applies retention rules to every server that has any
+ */
+export async function applyAllBackupRetention(): Promise<void> {
+  try {
+    const servers = await prisma.server.findMany({
+      where: {
+        OR: [{ backupRetainLast: { not: null } }, { backupRetainDays: { not: null } }],
+      },
+      include: { node: true },
+    });
+
+    for (const server of servers) {
+      try {
+        await applyBackupRetention(server);
+      } catch (error) {
+        logger.error(`Error applying backup retention for server ${server.UUID}:`, error);
+      }
+    }
+  } catch (error) {
+    logger.error('Error applying backup retention:', error);
+  }
+}
+
+let retentionInterval: NodeJS.Timeout | null = null;
+
+/**
+ * Starts the periodic backup retention service
+ */
+export function startBackupRetention(): void {
+  if (retentionInterval) {
+    clearInterval(retentionInterval);
+  }
+
+  applyAllBackupRetention();
+  retentionInterval = setInterval(applyAllBackupRetention, RETENTION_INTERVAL);
+  logger.debug(`Backup retention started (interval: ${RETENTION_INTERVAL / 60000} minutes)`);
+}
+
+/**
+ * Stops the periodic backup retention service
+ */
+export function stopBackupRetention(): void {
+  if (retentionInterval) {
+    clearInterval(retentionInterval);
+    retentionInterval = null;
+    logger.info('Backup retention stopped');
+  }
+}
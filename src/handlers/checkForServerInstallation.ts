@@ -1,16 +1,19 @@
 import axios from 'axios';
 import { PrismaClient } from '@prisma/client';
 import { checkNodeStatus } from './utils/node/nodeStatus';
+import { failStalledInstallAttempt, finishInstallAttempt } from './utils/server/installLog';
 
 const prisma = new PrismaClient();
 
 type CheckInstallationResult = {
     installed: boolean;
+    failed?: boolean;
     error?: string;
 };
 
 interface Server {
     UUID: string;
+    InstallFailed: boolean;
     node: {
       address: string;
       port: number;
@@ -33,6 +36,10 @@ export async function checkForServerInstallation(
       return { installed: false };
     }
 
+    if (server.InstallFailed) {
+      return { installed: false, failed: true };
+    }
+
     const isNodeOnline = (await checkNodeStatus(server.node)).status;
 
     if (isNodeOnline === 'Offline') {
@@ -42,6 +49,9 @@ export async function checkForServerInstallation(
     const cacheEntry = cache.get(serverId);
     const now = Date.now();
     if (cacheEntry && now - cacheEntry.timestamp < 10000) {
+      if (!cacheEntry.data && (await failStalledInstallAttempt(serverId))) {
+        return { installed: false, failed: true };
+      }
       return { installed: cacheEntry.data };
     }
 
@@ -65,9 +75,20 @@ export async function checkForServerInstallation(
       data: { Installing: !isInstalled },
     });
 
+    // Closes an attempt whose result the panel missed, e.g. across a restart
+    if (isInstalled) {
+      await finishInstallAttempt(serverId, 'succeeded');
+    } else if (await failStalledInstallAttempt(serverId)) {
+      return { installed: false, failed: true };
+    }
+
     return { installed: isInstalled };
   } catch (error: any) {
     if (error.response && error.response.status === 404) {
+      // The marker is only written once the install is done
+      if (await failStalledInstallAttempt(serverId)) {
+        return { installed: false, failed: true };
+      }
       return { installed: false };
     }
     return {
@@ -1,6 +1,7 @@
 import { createInterface } from 'readline';
 import axios from 'axios';
 import { PrismaClient } from '@prisma/client';
+import { recordImageRevision } from '../utils/image/revisions';
 
 /**
  * Validates the seed data before inserting it into the database
@@ -130,13 +131,15 @@ class Seeder {
 
       for (const image of processedImages) {
         if (existingImageMap.has(image.name)) {
-          await prisma.images.update({
+          const updated = await prisma.images.update({
             where: { id: existingImageMap.get(image.name)!.id },
             data: image
           });
+          await recordImageRevision(updated.id, 'seed');
           updatedCount++;
         } else {
-          await prisma.images.create({ data: image });
+          const created = await prisma.images.create({ data: image });
+          await recordImageRevision(created.id, 'seed');
           createdCount++;
         }
       }
@@ -0,0 +1,641 @@
+/**
+ * ╳━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━╳
+ *      AirLink - Open Source Project by AirlinkLabs
+ *      Repository: https://github.com/airlinklabs/panel
+ *
+ *     © 2024 AirlinkLabs. Licensed under the MIT License
+ * ╳━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━╳
+ */
+
+import { Node, NodeMetric, PrismaClient, ServerMetric } from '@prisma/client';
+import axios from 'axios';
+import logger from './logger';
+
+const prisma = new PrismaClient();
+
+// Interval in milliseconds (1 minute)
+const COLLECTION_INTERVAL = 60 * 1000;
+
+const DAEMON_REQUEST_TIMEOUT = parseInt(process.env.DAEMON_TIMEOUT || '5000');
+
+const MB = 1024 * 1024;
+const HOUR = 60 * 60 * 1000;
+
+// Raw samples are averaged into 15 minute buckets, and those into hourly
+// ones. Each tier is kept as long as the ranges read from it need.
+const TIERS = [
+  { resolution: 60, retention: 2 * HOUR },
+  { resolution: 15 * 60, retention: 25 * HOUR },
+  { resolution: 60 * 60, retention: 31 * 24 * HOUR },
+];
+
+export const METRIC_RANGES = {
+  '1h': { duration: HOUR, resolution: 60 },
+  '24h': { duration: 24 * HOUR, resolution: 15 * 60 },
+  '7d': { duration: 7 * 24 * HOUR, resolution: 60 * 60 },
+} as const;
+
+export type MetricRange = keyof typeof METRIC_RANGES;
+
+interface NetworkCounters {
+  rx?: number;
+  tx?: number;
+  rx_bytes?: number;
+  tx_bytes?: number;
+}
+
+interface ContainerStats {
+  memory?: { usage?: number | string; limit?: number | string };
+  cpu?: { percentage?: number | string };
+  storage?: { usage?: number | string }; // MB
+  network?: NetworkCounters;
+  networks?: Record<string, NetworkCounters>;
+}
+
+// Last network byte counters seen per server, to turn them into rates
+const networkCounters = new Map<string, { rx: number; tx: number; time: number }>();
+
+// API calls made since the last collection
+let pendingApiCalls = 0;
+
+// Calls per key, hour and endpoint made since the last collection
+const pendingKeyUsage = new Map<string, {
+  apiKeyId: number;
+  period: Date;
+  method: string;
+  endpoint: string;
+  calls: number;
+  errors: number;
+}>();
+
+// Last accepted request of each key since the last collection
+const pendingKeyUses = new Map<number, { at: Date; ip: string | null }>();
+
+/**
+ * Parses a daemon value such as 12.5, "12.5%" or "512 MB", 0 if unreadable
+ */
+function parseNumber(value: unknown): number {
+  const number = parseFloat(String(value));
+  return Number.isFinite(number) ? number : 0;
+}
+
+/**
+ * Sums the byte counters of every network interface in container stats
+ */
+function getNetworkCounters(stats: ContainerStats): { rx: number; tx: number } | null {
+  const interfaces = stats.networks
+    ? Object.values(stats.networks)
+    : stats.network
+      ? [stats.network]
+      : [];
+  if (interfaces.length === 0) return null;
+
+  return interfaces.reduce<{ rx: number; tx: number }>(
+    (total, entry) => ({
+      rx: total.rx + parseNumber(entry.rx_bytes ?? entry.rx),
+      tx: total.tx + parseNumber(entry.tx_bytes ?? entry.tx),
+    }),
+    { rx: 0, tx: 0 },
+  );
+}
+
+/**
+ * Turns network byte counters into bytes per second since the previous
+ * sample. Counters reset when a container restarts, which reads as 0.
+ */
+function getNetworkRates(
+  serverId: string,
+  counters: { rx: number; tx: number } | null,
+  time: number,
+): { networkIn: number; networkOut: number } {
+  const previous = networkCounters.get(serverId);
+  if (!counters) {
+    networkCounters.delete(serverId);
+    return { networkIn: 0, networkOut: 0 };
+  }
+
+  networkCounters.set(serverId, { ...counters, time });
+  if (!previous || time <= previous.time) return { networkIn: 0, networkOut: 0 };
+
+  const seconds = (time - previous.time) / 1000;
+  return {
+    networkIn: Math.max(0, counters.rx - previous.rx) / seconds,
+    networkOut: Math.max(0, counters.tx - previous.tx) / seconds,
+  };
+}
+
+function daemonRequest(node: Node, path: string, params?: Record<string, string>) {
+  return axios({
+    method: 'GET',
+    url: `http://${node.address}:${node.port}${path}`,
+    params,
+    auth: {
+      username: 'Airlink',
+      password: node.key,
+    },
+    timeout: DAEMON_REQUEST_TIMEOUT,
+  });
+}
+
+async function sampleNode(node: Node, timestamp: Date): Promise<Omit<NodeMetric, 'id'>> {
+  const sample = {
+    nodeId: node.id,
+    timestamp,
+    resolution: TIERS[0].resolution,
+    availability: 0,
+    cpu: 0,
+    memoryUsed: 0,
+    memoryTotal: 0,
+    latency: 0,
+  };
+
+  const started = Date.now();
+  try {
+    const response = await daemonRequest(node, '/stats');
+    const totalStats = response.data?.totalStats || [];
+    const latest = totalStats[totalStats.length - 1] || {};
+
+    return {
+      ...sample,
+      availability: 1,
+      cpu: parseNumber(latest.Cores),
+      memoryUsed: parseNumber(latest.Ram) * MB,
+      memoryTotal: parseNumber(latest.RamMax) * MB,
+      latency: Date.now() - started,
+    };
+  } catch (error) {
+    logger.debug(`Could not collect metrics of node ${node.id}: ${error}`);
+    return sample;
+  }
+}
+
+async function sampleServer(
+  server: { UUID: string; Memory: number; node: Node },
+  timestamp: Date,
+  nodeOnline: boolean,
+): Promise<Omit<ServerMetric, 'id'>> {
+  const sample = {
+    serverId: server.UUID,
+    timestamp,
+    resolution: TIERS[0].resolution,
+    availability: 0,
+    cpu: 0,
+    memoryUsed: 0,
+    memoryLimit: server.Memory * 1024 * MB,
+    diskUsed: 0,
+    networkIn: 0,
+    networkOut: 0,
+  };
+
+  // Servers of an unreachable node are not running as far as we can tell
+  if (!nodeOnline) {
+    networkCounters.delete(server.UUID);
+    return sample;
+  }
+
+  try {
+    const status = await daemonRequest(server.node, '/container/status', { id: server.UUID });
+    if (status.data?.running !== true) {
+      networkCounters.delete(server.UUID);
+      return sample;
+    }
+
+    const response = await daemonRequest(server.node, '/container/stats', { id: server.UUID });
+    const stats: ContainerStats = response.data || {};
+
+    return {
+      ...sample,
+      availability: 1,
+      cpu: parseNumber(stats.cpu?.percentage),
+      memoryUsed: parseNumber(stats.memory?.usage),
+      memoryLimit: parseNumber(stats.memory?.limit) || sample.memoryLimit,
+      diskUsed: parseNumber(stats.storage?.usage) * MB,
+      ...getNetworkRates(server.UUID, getNetworkCounters(stats), timestamp.getTime()),
+    };
+  } catch (error) {
+    logger.debug(`Could not collect metrics of server ${server.UUID}: ${error}`);
+    return sample;
+  }
+}
+
+/**
+ * Averages the samples of one tier into the complete buckets of the next,
+ * continuing after the newest bucket already written.
+ */
+async function rollUp(
+  source: (typeof TIERS)[number],
+  target: (typeof TIERS)[number],
+  now: Date,
+): Promise<void> {
+  const step = target.resolution * 1000;
+  const end = Math.floor(now.getTime() / step) * step;
+
+  const [lastServer, lastNode] = await Promise.all([
+    prisma.serverMetric.findFirst({
+      where: { resolution: target.resolution },
+      orderBy: { timestamp: 'desc' },
+    }),
+    prisma.nodeMetric.findFirst({
+      where: { resolution: target.resolution },
+      orderBy: { timestamp: 'desc' },
+    }),
+  ]);
+  const last = Math.max(
+    lastServer?.timestamp.getTime() ?? 0,
+    lastNode?.timestamp.getTime() ?? 0,
+  );
+
+  // Buckets older than the source retention have nothing left to average
+  const start = Math.max(last + step, end - Math.floor(source.retention / step) * step);
+
+  for (let bucket = start; bucket < end; bucket += step) {
+    const timestamp = new Date(bucket);
+    const where = {
+      resolution: source.resolution,
+      timestamp: { gte: timestamp, lt: new Date(bucket + step) },
+    };
+
+    const [servers, nodes] = await Promise.all([
+      prisma.serverMetric.groupBy({
+        by: ['serverId'],
+        where,
+        _avg: {
+          availability: true,
+          cpu: true,
+          memoryUsed: true,
+          memoryLimit: true,
+          diskUsed: true,
+          networkIn: true,
+          networkOut: true,
+        },
+      }),
+      prisma.nodeMetric.groupBy({
+        by: ['nodeId'],
+        where,
+        _avg: {
+          availability: true,
+          cpu: true,
+          memoryUsed: true,
+          memoryTotal: true,
+          latency: true,
+        },
+      }),
+    ]);
+
+    await prisma.$transaction([
+      prisma.serverMetric.createMany({
+        data: servers.map(({ serverId, _avg }) => ({
+          serverId,
+          timestamp,
+          resolution: target.resolution,
+          availability: _avg.availability ?? 0,
+          cpu: _avg.cpu ?? 0,
+          memoryUsed: _avg.memoryUsed ?? 0,
+          memoryLimit: _avg.memoryLimit ?? 0,
+          diskUsed: _avg.diskUsed ?? 0,
+          networkIn: _avg.networkIn ?? 0,
+          networkOut: _avg.networkOut ?? 0,
+        })),
+      }),
+      prisma.nodeMetric.createMany({
+        data: nodes.map(({ nodeId, _avg }) => ({
+          nodeId,
+          timestamp,
+          resolution: target.resolution,
+          availability: _avg.availability ?? 0,
+          cpu: _avg.cpu ?? 0,
+          memoryUsed: _avg.memoryUsed ?? 0,
+          memoryTotal: _avg.memoryTotal ?? 0,
+          latency: _avg.latency ?? 0,
+        })),
+      }),
+    ]);
+  }
+}
+
+/**
+ * Rolls samples up into the coarser tiers and removes what is past retention
+ */
+export async function downsampleMetrics(now: Date = new Date()): Promise<void> {
+  for (let i = 1; i < TIERS.length; i++) {
+    await rollUp(TIERS[i - 1], TIERS[i], now);
+  }
+
+  for (const tier of TIERS) {
+    const where = {
+      resolution: tier.resolution,
+      timestamp: { lt: new Date(now.getTime() - tier.retention) },
+    };
+    await prisma.serverMetric.deleteMany({ where });
+    await prisma.nodeMetric.deleteMany({ where });
+  }
+
+  const usageCutoff = new Date(now.getTime() - TIERS[TIERS.length - 1].retention);
+  await prisma.apiCallCount.deleteMany({ where: { period: { lt: usageCutoff } } });
+  await prisma.apiKeyUsage.deleteMany({ where: { period: { lt: usageCutoff } } });
+}
+
+/**
+ * Counts an API request towards the usage statistics, and towards the
+ * usage of the key that made it when one is given
+ */
+export function recordApiCall(usage?: {
+  apiKeyId: number;
+  method: string;
+  endpoint: string;
+  failed: boolean;
+}): void {
+  pendingApiCalls++;
+  if (!usage) return;
+
+  const period = new Date(Math.floor(Date.now() / HOUR) * HOUR);
+  const id = `${usage.apiKeyId} ${period.getTime()} ${usage.method} ${usage.endpoint}`;
+  const entry = pendingKeyUsage.get(id) ?? {
+    apiKeyId: usage.apiKeyId,
+    period,
+    method: usage.method,
+    endpoint: usage.endpoint,
+    calls: 0,
+    errors: 0,
+  };
+  entry.calls++;
+  if (usage.failed) entry.errors++;
+  pendingKeyUsage.set(id, entry);
+}
+
+/**
+ * Remembers when and from where a key was last accepted
+ */
+export function recordApiKeyUse(apiKeyId: number, ip?: string): void {
+  pendingKeyUses.set(apiKeyId, { at: new Date(), ip: ip ?? null });
+}
+
+async function flushApiCalls(now: Date): Promise<void> {
+  if (pendingApiCalls > 0) {
+    const calls = pendingApiCalls;
+    pendingApiCalls = 0;
+    const period = new Date(Math.floor(now.getTime() / HOUR) * HOUR);
+
+    await prisma.apiCallCount.upsert({
+      where: { period },
+      create: { period, calls },
+      update: { calls: { increment: calls } },
+    });
+  }
+
+  if (pendingKeyUsage.size === 0 && pendingKeyUses.size === 0) return;
+
+  const usage = [...pendingKeyUsage.values()];
+  const uses = [...pendingKeyUses.entries()];
+  pendingKeyUsage.clear();
+  pendingKeyUses.clear();
+
+  // Keys deleted since the calls were made are skipped
+  const keys = await prisma.apiKey.findMany({
+    where: { id: { in: [...new Set([...usage.map((entry) => entry.apiKeyId), ...uses.map(([id]) => id)])] } },
+    select: { id: true },
+  });
+  const existing = new Set(keys.map((key) => key.id));
+
+  await prisma.$transaction([
+    ...usage
+      .filter((entry) => existing.has(entry.apiKeyId))
+      .map(({ apiKeyId, period, method, endpoint, calls, errors }) =>
+        prisma.apiKeyUsage.upsert({
+          where: { apiKeyId_period_method_endpoint: { apiKeyId, period, method, endpoint } },
+          create: { apiKeyId, period, method, endpoint, calls, errors },
+          update: { calls: { increment: calls }, errors: { increment: errors } },
+        }),
+      ),
+    ...uses
+      .filter(([id]) => existing.has(id))
+      .map(([id, use]) =>
+        prisma.apiKey.update({
+          where: { id },
+          data: { lastUsedAt: use.at, lastUsedIp: use.ip },
+        }),
+      ),
+  ]);
+}
+
+/**
+ * Samples every node and server, stores the samples and downsamples older ones
+ */
+export async function collectMetrics(): Promise<void> {
+  try {
+    const timestamp = new Date();
+
+    const nodes = await prisma.node.findMany({
+      include: { servers: { select: { UUID: true, Memory: true } } },
+    });
+
+    const nodeSamples = await Promise.all(nodes.map((node) => sampleNode(node, timestamp)));
+
+    const serverSamples = await Promise.all(
+      nodes.flatMap((node, index) =>
+        node.servers.map((server) =>
+          sampleServer({ ...server, node }, timestamp, nodeSamples[index].availability > 0),
+        ),
+      ),
+    );
+
+    await prisma.$transaction([
+      prisma.nodeMetric.createMany({ data: nodeSamples }),
+      prisma.serverMetric.createMany({ data: serverSamples }),
+    ]);
+
+    await flushApiCalls(timestamp);
+    await downsampleMetrics(timestamp);
+
+    logger.debug(
+      `Metrics collected: ${nodeSamples.length} nodes, ${serverSamples.length} servers`,
+    );
+  } catch (error) {
+    logger.debug(`Error collecting metrics: ${error}`);
+  }
+}
+
+/**
+ * Returns the samples of a server over a range, oldest first
+ */
+export async function getServerMetrics(serverId: string, range: MetricRange) {
+  const { duration, resolution } = METRIC_RANGES[range];
+
+  return prisma.serverMetric.findMany({
+    where: {
+      serverId,
+      resolution,
+      timestamp: { gte: new Date(Date.now() - duration) },
+    },
+    orderBy: { timestamp: 'asc' },
+    select: {
+      timestamp: true,
+      availability: true,
+      cpu: true,
+      memoryUsed: true,
+      memoryLimit: true,
+      diskUsed: true,
+      networkIn: true,
+      networkOut: true,
+    },
+  });
+}
+
+/**
+ * Sums the API calls made over the last hours
+ */
+export async function getApiCallCount(hours = 24): Promise<number> {
+  const result = await prisma.apiCallCount.aggregate({
+    where: { period: { gte: new Date(Date.now() - hours * HOUR) } },
+    _sum: { calls: true },
+  });
+  return result._sum.calls ?? 0;
+}
+
+/**
+ * Sums the calls and errors of a key over the last hours, in total and
+ * per endpoint, busiest endpoint first
+ */
+export async function getApiKeyUsage(apiKeyId: number, hours = 24) {
+  const rows = await prisma.apiKeyUsage.groupBy({
+    by: ['method', 'endpoint'],
+    where: { apiKeyId, period: { gte: new Date(Date.now() - hours * HOUR) } },
+    _sum: { calls: true, errors: true },
+  });
+
+  const endpoints = rows
+    .map((row) => ({
+      method: row.method,
+      endpoint: row.endpoint,
+      calls: row._sum.calls ?? 0,
+      errors: row._sum.errors ?? 0,
+    }))
+    .sort((a, b) => b.calls - a.calls);
+
+  return {
+    calls: endpoints.reduce((total, row) => total + row.calls, 0),
+    errors: endpoints.reduce((total, row) => total + row.errors, 0),
+    endpoints,
+  };
+}
+
+/**
+ * Sums the calls and errors of every key used over the last hours, busiest
+ * key first
+ */
+export async function getApiUsageByKey(hours = 24) {
+  const rows = await prisma.apiKeyUsage.groupBy({
+    by: ['apiKeyId'],
+    where: { period: { gte: new Date(Date.now() - hours * HOUR) } },
+    _sum: { calls: true, errors: true },
+  });
+
+  const keys = await prisma.apiKey.findMany({
+    where: { id: { in: rows.map((row) => row.apiKeyId) } },
+    select: { id: true, name: true, type: true, lastUsedAt: true },
+  });
+  const keysById = new Map(keys.map((key) => [key.id, key]));
+
+  return rows
+    .filter((row) => keysById.has(row.apiKeyId))
+    .map((row) => ({
+      ...keysById.get(row.apiKeyId)!,
+      calls: row._sum.calls ?? 0,
+      errors: row._sum.errors ?? 0,
+    }))
+    .sort((a, b) => b.calls - a.calls);
+}
+
+/**
+ * Summarizes the latest samples of every node and server. Usage is averaged
+ * over the nodes that answered, totals are summed, and the average uptime
+ * comes from the hourly samples of the last 30 days.
+ */
+export async function getPerformanceSummary() {
+  const latest = await prisma.nodeMetric.findFirst({
+    where: { resolution: TIERS[0].resolution },
+    orderBy: { timestamp: 'desc' },
+  });
+
+  const [nodes, nodeSamples, serverSamples, history] = await Promise.all([
+    prisma.node.findMany({ select: { cpu: true, disk: true } }),
+    latest
+      ? prisma.nodeMetric.findMany({
+        where: { resolution: TIERS[0].resolution, timestamp: latest.timestamp },
+      })
+      : [],
+    latest
+      ? prisma.serverMetric.findMany({
+        where: { resolution: TIERS[0].resolution, timestamp: latest.timestamp },
+      })
+      : [],
+    prisma.nodeMetric.aggregate({
+      where: {
+        resolution: TIERS[TIERS.length - 1].resolution,
+        timestamp: { gte: new Date(Date.now() - 30 * 24 * HOUR) },
+      },
+      _avg: { availability: true },
+    }),
+  ]);
+
+  const online = nodeSamples.filter((sample) => sample.availability > 0);
+  const sum = <T>(items: T[], value: (item: T) => number) =>
+    items.reduce((total, item) => total + value(item), 0);
+  const average = <T>(items: T[], value: (item: T) => number) =>
+    items.length > 0 ? sum(items, value) / items.length : 0;
+
+  const currentUptime = nodeSamples.length > 0 ? (online.length / nodeSamples.length) * 100 : 0;
+
+  return {
+    timestamp: latest?.timestamp ?? null,
+    cpu: {
+      usage: average(online, (sample) => sample.cpu),
+      cores: sum(nodes, (node) => node.cpu),
+    },
+    memory: {
+      used: sum(online, (sample) => sample.memoryUsed),
+      total: sum(online, (sample) => sample.memoryTotal),
+    },
+    disk: {
+      used: sum(serverSamples, (sample) => sample.diskUsed),
+      total: sum(nodes, (node) => node.disk) * 1024 * MB,
+    },
+    network: {
+      in: sum(serverSamples, (sample) => sample.networkIn),
+      out: sum(serverSamples, (sample) => sample.networkOut),
+      latency: average(online, (sample) => sample.latency),
+    },
+    uptime: {
+      current: currentUptime,
+      average: history._avg.availability !== null
+        ? history._avg.availability * 100
+        : currentUptime,
+    },
+  };
+}
+
+let collectionInterval: NodeJS.Timeout | null = null;
+
+/**
+ * Starts the periodic metrics collection service
+ */
+export function startMetricsCollection(): void {
+  if (collectionInterval) {
+    clearInterval(collectionInterval);
+  }
+
+  collectMetrics();
+  collectionInterval = setInterval(collectMetrics, COLLECTION_INTERVAL);
+  logger.debug(`Metrics collection started (interval: ${COLLECTION_INTERVAL / 60000} minutes)`);
+}
+
+/**
+ * Stops the periodic metrics collection service
+ */
+export function stopMetricsCollection(): void {
+  if (collectionInterval) {
+    clearInterval(collectionInterval);
+    collectionInterval = null;
+    logger.info('Metrics collection stopped');
+  }
+}
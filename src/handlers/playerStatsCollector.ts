@@ -7,9 +7,9 @@
  * ╳━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━╳
  */
 
-import { PrismaClient } from '@prisma/client';
-import axios from 'axios';
+import { PrismaClient, ServerPlayerStat } from '@prisma/client';
 import logger from './logger';
+import { queryServer } from './utils/query/gameQuery';
 
 const prisma = new PrismaClient();
 
@@ -19,83 +19,128 @@ const COLLECTION_INTERVAL = 5 * 60 * 1000;
 // Maximum number of data points to keep (48 hours worth of data at 5-minute intervals)
 const MAX_DATA_POINTS = 48 * 12;
 
+const HOUR = 60 * 60 * 1000;
+
+// Samples of each server are averaged into hourly ones, which the week and
+// month ranges and the heatmap read
+const TIERS = [
+  { resolution: 5 * 60, retention: 48 * HOUR },
+  { resolution: 60 * 60, retention: 31 * 24 * HOUR },
+];
+
+export const PLAYER_HISTORY_RANGES = {
+  '24h': { duration: 24 * HOUR, resolution: 5 * 60 },
+  '7d': { duration: 7 * 24 * HOUR, resolution: 60 * 60 },
+  '30d': { duration: 30 * 24 * HOUR, resolution: 60 * 60 },
+} as const;
+
+export type PlayerHistoryRange = keyof typeof PLAYER_HISTORY_RANGES;
+
 /**
- * Collects player statistics from all servers and stores them in the database
+ * Averages the samples of the last complete hours into hourly samples,
+ * continuing after the newest hour already written
+ */
+async function rollUpServerPlayerStats(now: Date): Promise<void> {
+  const [source, target] = TIERS;
+  const step = target.resolution * 1000;
+  const end = Math.floor(now.getTime() / step) * step;
+
+  const last = await prisma.serverPlayerStat.findFirst({
+    where: { resolution: target.resolution },
+    orderBy: { timestamp: 'desc' },
+  });
+  const start = Math.max(
+    (last?.timestamp.getTime() ?? 0) + step,
+    end - Math.floor(source.retention / step) * step,
+  );
+
+  for (let bucket = start; bucket < end; bucket += step) {
+    const timestamp = new Date(bucket);
+    const servers = await prisma.serverPlayerStat.groupBy({
+      by: ['serverId'],
+      where: {
+        resolution: source.resolution,
+        timestamp: { gte: timestamp, lt: new Date(bucket + step) },
+      },
+      _avg: { players: true, availability: true },
+      _max: { peakPlayers: true, maxPlayers: true },
+    });
+
+    await prisma.serverPlayerStat.createMany({
+      data: servers.map(({ serverId, _avg, _max }) => ({
+        serverId,
+        timestamp,
+        resolution: target.resolution,
+        players: _avg.players ?? 0,
+        peakPlayers: _max.peakPlayers ?? 0,
+        maxPlayers: _max.maxPlayers ?? 0,
+        availability: _avg.availability ?? 0,
+      })),
+    });
+  }
+
+  for (const tier of TIERS) {
+    await prisma.serverPlayerStat.deleteMany({
+      where: {
+        resolution: tier.resolution,
+        timestamp: { lt: new Date(now.getTime() - tier.retention) },
+      },
+    });
+  }
+}
+
+/**
+ * Queries every server with the protocol of its image, stores a sample per
+ * queried server and the panel-wide totals
  */
 export async function collectPlayerStats(): Promise<void> {
   try {
-    // Get all servers
+    const timestamp = new Date();
     const servers = await prisma.server.findMany({
       include: {
         node: true,
+        image: true,
       },
     });
 
-    // Fetch player counts for each server
-    const playerData = await Promise.all(
-      servers.map(async (server) => {
-        try {
-          // Parse ports to find the primary port
-          const ports = JSON.parse(server.Ports || '[]');
-          const primaryPort = ports.find((p: any) => p.primary)?.Port;
-
-          if (!primaryPort) {
-            return {
-              serverId: server.UUID,
-              playerCount: 0,
-              maxPlayers: 0,
-              online: false,
-            };
-          }
+    const results = await Promise.all(servers.map((server) => queryServer(server)));
 
-          // Fetch player data from the daemon
-          const response = await axios({
-            method: 'GET',
-            url: `http://${server.node.address}:${server.node.port}/minecraft/players`,
-            params: {
-              id: server.UUID,
-              host: server.node.address,
-              port: primaryPort
-            },
-            auth: {
-              username: 'Airlink',
-              password: server.node.key,
-            },
-            timeout: 5000
-          });
-
-          return {
-            serverId: server.UUID,
-            playerCount: response.data.onlinePlayers || 0,
-            maxPlayers: response.data.maxPlayers || 0,
-            online: response.data.online || false,
-          };
-        } catch (error) {
-          return {
-            serverId: server.UUID,
-            playerCount: 0,
-            maxPlayers: 0,
-            online: false,
-          };
-        }
-      })
-    );
+    // Servers whose image has no query protocol are left out
+    const samples: Omit<ServerPlayerStat, 'id'>[] = [];
+    servers.forEach((server, index) => {
+      const query = results[index];
+      if (!query) return;
+
+      const result = 'result' in query ? query.result : null;
+      samples.push({
+        serverId: server.UUID,
+        timestamp,
+        resolution: TIERS[0].resolution,
+        players: result?.players ?? 0,
+        peakPlayers: result?.players ?? 0,
+        maxPlayers: result?.maxPlayers ?? 0,
+        availability: result ? 1 : 0,
+      });
+    });
 
     // Calculate totals
-    const totalPlayers = playerData.reduce((sum, server) => sum + server.playerCount, 0);
-    const maxPlayers = playerData.reduce((sum, server) => sum + server.maxPlayers, 0);
-    const onlineServers = playerData.filter(server => server.online).length;
+    const totalPlayers = samples.reduce((sum, sample) => sum + sample.players, 0);
+    const maxPlayers = samples.reduce((sum, sample) => sum + sample.maxPlayers, 0);
+    const onlineServers = samples.filter((sample) => sample.availability > 0).length;
     const totalServers = servers.length;
 
     // Store in database
-    await prisma.playerStats.create({
-      data: {
-        totalPlayers,
-        maxPlayers,
-        onlineServers,
-        totalServers
-      }
-    });
+    await prisma.$transaction([
+      prisma.playerStats.create({
+        data: {
+          totalPlayers,
+          maxPlayers,
+          onlineServers,
+          totalServers
+        }
+      }),
+      prisma.serverPlayerStat.createMany({ data: samples }),
+    ]);
 
     // Clean up old data
     const oldestToKeep = await prisma.playerStats.findMany({
@@ -117,6 +162,8 @@ export async function collectPlayerStats(): Promise<void> {
       });
     }
 
+    await rollUpServerPlayerStats(timestamp);
+
     logger.debug(`Collected player stats: ${totalPlayers} players, ${onlineServers}/${totalServers} servers online`);
   } catch (error) {
     // Silently handle errors during player stats collection
@@ -125,6 +172,126 @@ export async function collectPlayerStats(): Promise<void> {
   }
 }
 
+/**
+ * Returns the player history of a server over a range: its samples oldest
+ * first, the peak, the average player count and the heatmap
+ * @param utcOffset Minutes behind UTC the heatmap is drawn in, as getTimezoneOffset() returns
+ */
+export async function getServerPlayerHistory(serverId: string, range: PlayerHistoryRange, utcOffset = 0) {
+  const { duration, resolution } = PLAYER_HISTORY_RANGES[range];
+
+  const samples = await prisma.serverPlayerStat.findMany({
+    where: {
+      serverId,
+      resolution,
+      timestamp: { gte: new Date(Date.now() - duration) },
+    },
+    orderBy: { timestamp: 'asc' },
+    select: {
+      timestamp: true,
+      players: true,
+      peakPlayers: true,
+      maxPlayers: true,
+      availability: true,
+    },
+  });
+
+  const peak = samples.reduce<(typeof samples)[number] | null>(
+    (best, sample) => (!best || sample.peakPlayers > best.peakPlayers ? sample : best),
+    null,
+  );
+  const average = samples.length > 0
+    ? samples.reduce((sum, sample) => sum + sample.players, 0) / samples.length
+    : 0;
+  const availability = samples.length > 0
+    ? samples.reduce((sum, sample) => sum + sample.availability, 0) / samples.length
+    : 0;
+
+  return {
+    samples,
+    peak: peak ? { players: peak.peakPlayers, timestamp: peak.timestamp } : null,
+    average,
+    availability,
+    heatmap: await getServerPlayerHeatmap(serverId, utcOffset),
+  };
+}
+
+/**
+ * Averages the hourly samples of the last 30 days by weekday and hour
+ * @returns Seven rows from Sunday, of 24 hours each, null where nothing was sampled
+ */
+async function getServerPlayerHeatmap(serverId: string, utcOffset: number): Promise<(number | null)[][]> {
+  const samples = await prisma.serverPlayerStat.findMany({
+    where: {
+      serverId,
+      resolution: TIERS[1].resolution,
+      timestamp: { gte: new Date(Date.now() - PLAYER_HISTORY_RANGES['30d'].duration) },
+    },
+    select: { timestamp: true, players: true },
+  });
+
+  const sums = Array.from({ length: 7 }, () => new Array<number>(24).fill(0));
+  const counts = Array.from({ length: 7 }, () => new Array<number>(24).fill(0));
+  for (const sample of samples) {
+    const local = new Date(sample.timestamp.getTime() - utcOffset * 60 * 1000);
+    sums[local.getUTCDay()][local.getUTCHours()] += sample.players;
+    counts[local.getUTCDay()][local.getUTCHours()]++;
+  }
+
+  return sums.map((row, day) => row.map((sum, hour) => (counts[day][hour] > 0 ? sum / counts[day][hour] : null)));
+}
+
+export interface PlayerHistorySummary {
+  peak24h: number;
+  average24h: number;
+  peak7d: number;
+  average7d: number;
+}
+
+/**
+ * Sums up the last 24 hours and 7 days of every queried server
+ * @returns Peaks and averages by server UUID
+ */
+export async function getPlayerHistorySummary(): Promise<Map<string, PlayerHistorySummary>> {
+  const [day, week] = await Promise.all([
+    prisma.serverPlayerStat.groupBy({
+      by: ['serverId'],
+      where: {
+        resolution: PLAYER_HISTORY_RANGES['24h'].resolution,
+        timestamp: { gte: new Date(Date.now() - PLAYER_HISTORY_RANGES['24h'].duration) },
+      },
+      _avg: { players: true },
+      _max: { peakPlayers: true },
+    }),
+    prisma.serverPlayerStat.groupBy({
+      by: ['serverId'],
+      where: {
+        resolution: PLAYER_HISTORY_RANGES['7d'].resolution,
+        timestamp: { gte: new Date(Date.now() - PLAYER_HISTORY_RANGES['7d'].duration) },
+      },
+      _avg: { players: true },
+      _max: { peakPlayers: true },
+    }),
+  ]);
+
+  const summary = new Map<string, PlayerHistorySummary>();
+  const entry = (serverId: string) => {
+    if (!summary.has(serverId)) summary.set(serverId, { peak24h: 0, average24h: 0, peak7d: 0, average7d: 0 });
+    return summary.get(serverId)!;
+  };
+  for (const row of day) {
+    Object.assign(entry(row.serverId), { peak24h: row._max.peakPlayers ?? 0, average24h: row._avg.players ?? 0 });
+  }
+  for (const row of week) {
+    Object.assign(entry(row.serverId), { peak7d: row._max.peakPlayers ?? 0, average7d: row._avg.players ?? 0 });
+  }
+  // The hours not rolled up yet still count towards the week's peak
+  for (const value of summary.values()) {
+    value.peak7d = Math.max(value.peak7d, value.peak24h);
+  }
+  return summary;
+}
+
 let statsCollectionInterval: NodeJS.Timeout | null = null;
 
 /**
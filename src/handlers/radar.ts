@@ -0,0 +1,371 @@
+/**
+ * ╳━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━╳
+ *      AirLink - Open Source Project by AirlinkLabs
+ *      Repository: https://github.com/airlinklabs/panel
+ *
+ *     © 2024 AirlinkLabs. Licensed under the MIT License
+ * ╳━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━╳
+ */
+
+import { PrismaClient, RadarFinding, RadarScan, RadarScriptConfig } from '@prisma/client';
+import axios from 'axios';
+import fs from 'fs/promises';
+import path from 'path';
+import logger from './logger';
+import { ServerWithNode } from './utils/server/serverActions';
+import { setServerSuspended } from './utils/server/serverProvisioning';
+import { emitServerEvent } from './webhooks';
+
+const prisma = new PrismaClient();
+
+const RADAR_DIR = path.join(__dirname, '../../storage/radar');
+
+/**
+ * Responses to a scan with matches, from least to most severe. A script
+ * sets the default and a pattern may raise or lower it with its own action.
+ */
+export const RADAR_ACTIONS = ['flag', 'notify', 'suspend'] as const;
+
+export type RadarAction = (typeof RADAR_ACTIONS)[number];
+
+export type RadarTrigger = 'manual' | 'all' | 'scheduled';
+
+// Interval in milliseconds between checks for due scheduled scans (5 minutes)
+const SCHEDULE_INTERVAL = 5 * 60 * 1000;
+
+// Scans without findings are kept for 30 days
+const CLEAN_SCAN_RETENTION = 30 * 24 * 60 * 60 * 1000;
+
+const SCAN_TIMEOUT = 5 * 60 * 1000;
+
+export interface RadarPattern {
+  type: string;
+  pattern: string;
+  description: string;
+  action?: string;
+  [key: string]: unknown;
+}
+
+export interface RadarScript {
+  name: string;
+  description?: string;
+  version?: string;
+  patterns: RadarPattern[];
+}
+
+export interface RadarScriptInfo {
+  id: string;
+  name: string;
+  description: string;
+  version: string;
+  filename: string;
+}
+
+interface DaemonScanResult {
+  pattern?: Partial<RadarPattern>;
+  matches?: { path: string; size?: number }[];
+}
+
+export interface RadarScanOutcome {
+  scan: RadarScan & { findings: RadarFinding[] };
+  results: unknown;
+}
+
+function isRadarAction(value: unknown): value is RadarAction {
+  return (RADAR_ACTIONS as readonly unknown[]).includes(value);
+}
+
+function isScriptId(scriptId: string): boolean {
+  return /^[\w-]+$/.test(scriptId);
+}
+
+/**
+ * Lists the scripts in storage/radar, creating the directory if needed
+ */
+export async function listRadarScripts(): Promise<RadarScriptInfo[]> {
+  await fs.mkdir(RADAR_DIR, { recursive: true });
+
+  const files = (await fs.readdir(RADAR_DIR)).filter((file) => file.endsWith('.json'));
+
+  return Promise.all(
+    files.map(async (file) => {
+      const id = file.replace('.json', '');
+      try {
+        const scriptData = JSON.parse(await fs.readFile(path.join(RADAR_DIR, file), 'utf-8'));
+        return {
+          id,
+          name: scriptData.name || file,
+          description: scriptData.description || '',
+          version: scriptData.version || '1.0.0',
+          filename: file,
+        };
+      } catch (error) {
+        logger.error(`Error parsing radar script ${file}:`, error);
+        return {
+          id,
+          name: file,
+          description: 'Invalid script format',
+          version: 'unknown',
+          filename: file,
+        };
+      }
+    }),
+  );
+}
+
+/**
+ * Reads a script from storage/radar.
+ * @returns The script, or null if it does not exist
+ * @throws If the file is not valid JSON
+ */
+export async function loadRadarScript(scriptId: string): Promise<RadarScript | null> {
+  if (!isScriptId(scriptId)) return null;
+
+  let content: string;
+  try {
+    content = await fs.readFile(path.join(RADAR_DIR, `${scriptId}.json`), 'utf-8');
+  } catch {
+    return null;
+  }
+
+  return JSON.parse(content) as RadarScript;
+}
+
+/**
+ * Reads the configured response and schedule of a script, defaulting to
+ * flagging without a schedule.
+ */
+export async function getRadarScriptConfig(scriptId: string): Promise<RadarScriptConfig> {
+  const config = await prisma.radarScriptConfig.findUnique({ where: { script: scriptId } });
+  return config ?? { id: 0, script: scriptId, action: 'flag', interval: null, lastRunAt: null };
+}
+
+/**
+ * Picks the most severe action among the patterns that matched
+ */
+function resolveAction(defaultAction: RadarAction, patterns: Partial<RadarPattern>[]): RadarAction {
+  const actions = patterns.map((pattern) => (isRadarAction(pattern.action) ? pattern.action : defaultAction));
+  return actions.reduce<RadarAction>(
+    (current, action) => (RADAR_ACTIONS.indexOf(action) > RADAR_ACTIONS.indexOf(current) ? action : current),
+    'flag',
+  );
+}
+
+async function suspendForRadar(server: ServerWithNode, scriptName: string): Promise<void> {
+  if (server.Suspended) return;
+
+  await setServerSuspended(server, true, { reason: `Radar: ${scriptName}` });
+  logger.warn(`Server ${server.UUID} suspended by radar script ${scriptName}`);
+}
+
+/**
+ * Scans the volume of a server with a script, stores the scan and its
+ * findings and applies the configured action. Matches on a path and pattern
+ * already marked as a false positive for the server are stored as such and
+ * do not count towards the action.
+ * @throws If the script does not exist
+ */
+export async function runRadarScan(
+  server: ServerWithNode,
+  scriptId: string,
+  trigger: RadarTrigger = 'manual',
+): Promise<RadarScanOutcome> {
+  const script = await loadRadarScript(scriptId);
+  if (!script) {
+    throw new Error(`Radar script ${scriptId} not found`);
+  }
+  const scriptName = script.name || scriptId;
+
+  let results: unknown;
+  try {
+    const response = await axios.post(
+      `http://${server.node.address}:${server.node.port}/radar/scan`,
+      { id: server.UUID, script },
+      {
+        auth: { username: 'Airlink', password: server.node.key },
+        headers: { 'Content-Type': 'application/json' },
+        timeout: SCAN_TIMEOUT,
+      },
+    );
+    results = response.data;
+  } catch (error) {
+    const scan = await prisma.radarScan.create({
+      data: {
+        serverId: server.UUID,
+        script: scriptId,
+        scriptName,
+        trigger,
+        status: 'failed',
+        error: error instanceof Error ? error.message : String(error),
+      },
+      include: { findings: true },
+    });
+    return { scan, results: null };
+  }
+
+  const hits: DaemonScanResult[] = Array.isArray((results as any)?.results) ? (results as any).results : [];
+
+  const dismissed = await prisma.radarFinding.findMany({
+    where: { serverId: server.UUID, falsePositive: true },
+    select: { pattern: true, path: true },
+  });
+  const isDismissed = (pattern: string, filePath: string) =>
+    dismissed.some((finding) => finding.pattern === pattern && finding.path === filePath);
+
+  const findings = hits.flatMap((hit) =>
+    (hit.matches || []).map((match) => {
+      const pattern = String(hit.pattern?.pattern ?? '');
+      return {
+        serverId: server.UUID,
+        pattern,
+        description: String(hit.pattern?.description || pattern),
+        path: String(match.path),
+        size: typeof match.size === 'number' ? match.size : null,
+        falsePositive: isDismissed(pattern, String(match.path)),
+      };
+    }),
+  );
+
+  const active = findings.filter((finding) => !finding.falsePositive);
+  // Pattern actions are read from the panel's copy of the script
+  const activePatterns = (script.patterns || []).filter((pattern) =>
+    active.some((finding) => finding.pattern === pattern.pattern),
+  );
+
+  const config = await getRadarScriptConfig(scriptId);
+  const defaultAction = isRadarAction(config.action) ? config.action : 'flag';
+  const action = active.length > 0
+    ? resolveAction(defaultAction, activePatterns.length > 0 ? activePatterns : [{}])
+    : null;
+
+  const scan = await prisma.radarScan.create({
+    data: {
+      serverId: server.UUID,
+      script: scriptId,
+      scriptName,
+      trigger,
+      status: active.length > 0 ? 'detected' : 'clean',
+      action,
+      matchCount: active.length,
+      findings: { create: findings },
+    },
+    include: { findings: true },
+  });
+
+  if (action === 'notify' || action === 'suspend') {
+    await emitServerEvent('radar.hit', server, {
+      script: scriptName,
+      action,
+      patterns: [...new Set(active.map((finding) => finding.description))],
+      files: active.length,
+    });
+  }
+
+  if (action === 'suspend') {
+    await suspendForRadar(server, scriptName);
+  }
+
+  return { scan, results };
+}
+
+/**
+ * Scans every server with a script one after another, so a node is never
+ * asked to scan more than one volume at a time.
+ */
+export async function scanAllServers(
+  scriptId: string,
+  trigger: RadarTrigger = 'all',
+): Promise<{ scanned: number; detected: number; failed: number }> {
+  const servers = await prisma.server.findMany({ include: { node: true } });
+  const summary = { scanned: 0, detected: 0, failed: 0 };
+
+  for (const server of servers) {
+    try {
+      const { scan } = await runRadarScan(server, scriptId, trigger);
+      summary.scanned++;
+      if (scan.status === 'detected') summary.detected++;
+      if (scan.status === 'failed') summary.failed++;
+    } catch (error) {
+      summary.failed++;
+      logger.error(`Error scanning server ${server.UUID} with radar script ${scriptId}:`, error);
+    }
+  }
+
+  return summary;
+}
+
+let scheduleRunning = false;
+
+/**
+ * Runs every script whose interval has passed on all servers and removes
+ * old scans that found nothing.
+ */
+export async function runScheduledRadarScans(): Promise<void> {
+  if (scheduleRunning) return;
+  scheduleRunning = true;
+
+  try {
+    const configs = await prisma.radarScriptConfig.findMany({
+      where: { interval: { not: null } },
+    });
+
+    for (const config of configs) {
+      const dueAt = config.lastRunAt
+        ? config.lastRunAt.getTime() + (config.interval as number) * 60 * 60 * 1000
+        : 0;
+      if (dueAt > Date.now()) continue;
+
+      if (!(await loadRadarScript(config.script))) {
+        logger.warn(`Scheduled radar script ${config.script} no longer exists`);
+        continue;
+      }
+
+      await prisma.radarScriptConfig.update({
+        where: { id: config.id },
+        data: { lastRunAt: new Date() },
+      });
+
+      const summary = await scanAllServers(config.script, 'scheduled');
+      logger.info(
+        `Scheduled radar scan ${config.script}: ${summary.scanned} scanned, ${summary.detected} detected, ${summary.failed} failed`,
+      );
+    }
+
+    await prisma.radarScan.deleteMany({
+      where: {
+        status: { not: 'detected' },
+        createdAt: { lt: new Date(Date.now() - CLEAN_SCAN_RETENTION) },
+      },
+    });
+  } catch (error) {
+    logger.error('Error running scheduled radar scans:', error);
+  } finally {
+    scheduleRunning = false;
+  }
+}
+
+let scheduleInterval: NodeJS.Timeout | null = null;
+
+/**
+ * Starts the periodic radar scan scheduler
+ */
+export function startRadarScheduler(): void {
+  if (scheduleInterval) {
+    clearInterval(scheduleInterval);
+  }
+
+  runScheduledRadarScans();
+  scheduleInterval = setInterval(runScheduledRadarScans, SCHEDULE_INTERVAL);
+  logger.debug(`Radar scheduler started (interval: ${SCHEDULE_INTERVAL / 60000} minutes)`);
+}
+
+/**
+ * Stops the periodic radar scan scheduler
+ */
+export function stopRadarScheduler(): void {
+  if (scheduleInterval) {
+    clearInterval(scheduleInterval);
+    scheduleInterval = null;
+    logger.info('Radar scheduler stopped');
+  }
+}
@@ -0,0 +1,295 @@
+/**
+ * ╳━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━╳
+ *      AirLink - Open Source Project by AirlinkLabs
+ *      Repository: https://github.com/airlinklabs/panel
+ *
+ *     © 2024 AirlinkLabs. Licensed under the MIT License
+ * ╳━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━╳
+ */
+
+import { PrismaClient, ScheduleTask } from '@prisma/client';
+import logger from './logger';
+import { getNextCronRun } from './utils/core/cron';
+import { getServerStatus } from './utils/server/serverStatus';
+import { createBackupWithinLimit } from './backupRetention';
+import {
+  restartServer,
+  sendConsoleCommand,
+  startServer,
+  stopServer,
+} from './utils/server/serverActions';
+
+const prisma = new PrismaClient();
+
+// How often due schedules are looked up (30 seconds)
+const CHECK_INTERVAL = 30 * 1000;
+
+// Run history kept per schedule
+const MAX_RUNS_PER_SCHEDULE = 50;
+
+export const SCHEDULE_ACTIONS = ['power', 'command', 'backup'] as const;
+export const SCHEDULE_POWER_ACTIONS = ['start', 'stop', 'restart'] as const;
+
+interface TaskResult {
+  taskId: number;
+  action: string;
+  payload: string;
+  success: boolean;
+  message: string;
+}
+
+const runningSchedules = new Set<number>();
+
+/**
+ * Recalculates and stores when a schedule should run next.
+ * Disabled schedules and invalid expressions get no next run.
+ */
+export async function refreshNextRun(
+  scheduleId: number,
+  from: Date = new Date(),
+): Promise<Date | null> {
+  const schedule = await prisma.schedule.findUnique({ where: { id: scheduleId } });
+  if (!schedule) return null;
+
+  let nextRunAt: Date | null = null;
+  if (schedule.enabled) {
+    try {
+      nextRunAt = getNextCronRun(schedule.cron, from);
+    } catch {
+      logger.warn(`Schedule ${scheduleId} has an invalid cron expression`);
+    }
+  }
+
+  await prisma.schedule.update({
+    where: { id: scheduleId },
+    data: { nextRunAt },
+  });
+
+  return nextRunAt;
+}
+
+async function executeTask(
+  task: ScheduleTask,
+  serverId: string,
+  scheduleName: string,
+): Promise<string> {
+  const server = await prisma.server.findUnique({
+    where: { UUID: serverId },
+    include: { node: true },
+  });
+  if (!server) {
+    throw new Error('Server not found');
+  }
+  if (server.Transferring) {
+    throw new Error('Server is being transferred to another node');
+  }
+
+  switch (task.action) {
+  case 'power':
+    if (task.payload === 'start') {
+      if (server.Suspended) throw new Error('Server is suspended');
+      await startServer(server);
+    } else if (task.payload === 'stop') {
+      await stopServer(server);
+    } else if (task.payload === 'restart') {
+      if (server.Suspended) throw new Error('Server is suspended');
+      await restartServer(server);
+    } else {
+      throw new Error(`Invalid power action: ${task.payload}`);
+    }
+    return `Power action "${task.payload}" sent`;
+  case 'command':
+    if (!task.payload.trim()) throw new Error('Command is empty');
+    await sendConsoleCommand(server, task.payload.trim());
+    return `Command "${task.payload.trim()}" sent`;
+  case 'backup': {
+    const name =
+      task.payload.trim() ||
+      `${scheduleName} ${new Date().toISOString().replace('T', ' ').slice(0, 16)}`;
+    const { backup, rotated } = await createBackupWithinLimit(server, name);
+    return rotated.length > 0
+      ? `Backup "${backup.name}" created, replacing ${rotated.map((old) => `"${old.name}"`).join(', ')}`
+      : `Backup "${backup.name}" created`;
+  }
+  default:
+    throw new Error(`Unknown task action: ${task.action}`);
+  }
+}
+
+async function pruneRuns(scheduleId: number): Promise<void> {
+  const keep = await prisma.scheduleRun.findMany({
+    where: { scheduleId },
+    orderBy: { startedAt: 'desc' },
+    take: MAX_RUNS_PER_SCHEDULE,
+    select: { id: true },
+  });
+
+  if (keep.length === MAX_RUNS_PER_SCHEDULE) {
+    await prisma.scheduleRun.deleteMany({
+      where: { scheduleId, id: { notIn: keep.map((run) => run.id) } },
+    });
+  }
+}
+
+/**
+ * Runs every task of a schedule in order and records the run.
+ * A failing task stops the remaining ones.
+ * @param trigger What started the run ('cron' or 'manual')
+ * @returns The id of the recorded run, or null if the schedule is already running
+ */
+export async function runSchedule(
+  scheduleId: number,
+  trigger: 'cron' | 'manual' = 'cron',
+): Promise<number | null> {
+  if (runningSchedules.has(scheduleId)) {
+    return null;
+  }
+  runningSchedules.add(scheduleId);
+
+  try {
+    const schedule = await prisma.schedule.findUnique({
+      where: { id: scheduleId },
+      include: {
+        tasks: { orderBy: { sequence: 'asc' } },
+        server: { include: { node: true } },
+      },
+    });
+    if (!schedule) return null;
+
+    const run = await prisma.scheduleRun.create({
+      data: { scheduleId, trigger },
+    });
+
+    await prisma.schedule.update({
+      where: { id: scheduleId },
+      data: { lastRunAt: run.startedAt },
+    });
+
+    const results: TaskResult[] = [];
+    let status = 'success';
+
+    if (schedule.onlyWhenOnline) {
+      const serverStatus = await getServerStatus({
+        nodeAddress: schedule.server.node.address,
+        nodePort: schedule.server.node.port,
+        serverUUID: schedule.server.UUID,
+        nodeKey: schedule.server.node.key,
+      });
+
+      if (!serverStatus.online) {
+        status = 'skipped';
+      }
+    }
+
+    if (status !== 'skipped') {
+      for (const task of schedule.tasks) {
+        if (task.delaySeconds > 0) {
+          await new Promise((resolve) =>
+            setTimeout(resolve, task.delaySeconds * 1000),
+          );
+        }
+
+        try {
+          const message = await executeTask(task, schedule.serverId, schedule.name);
+          results.push({
+            taskId: task.id,
+            action: task.action,
+            payload: task.payload,
+            success: true,
+            message,
+          });
+        } catch (error) {
+          results.push({
+            taskId: task.id,
+            action: task.action,
+            payload: task.payload,
+            success: false,
+            message: error instanceof Error ? error.message : String(error),
+          });
+          status = 'failed';
+          break;
+        }
+      }
+    }
+
+    await prisma.scheduleRun.update({
+      where: { id: run.id },
+      data: {
+        status,
+        output: JSON.stringify(results),
+        finishedAt: new Date(),
+      },
+    });
+
+    await pruneRuns(scheduleId);
+    logger.debug(`Schedule ${scheduleId} finished with status ${status}`);
+
+    return run.id;
+  } finally {
+    runningSchedules.delete(scheduleId);
+  }
+}
+
+/**
+ * Runs every enabled schedule whose next run time has passed
+ */
+export async function runDueSchedules(): Promise<void> {
+  try {
+    const now = new Date();
+    const dueSchedules = await prisma.schedule.findMany({
+      where: { enabled: true, nextRunAt: { lte: now } },
+      select: { id: true },
+    });
+
+    for (const schedule of dueSchedules) {
+      // Move the next run forward first so a slow run is not picked up twice
+      await refreshNextRun(schedule.id, now);
+      runSchedule(schedule.id).catch((error) => {
+        logger.error(`Error running schedule ${schedule.id}:`, error);
+      });
+    }
+  } catch (error) {
+    logger.error('Error checking due schedules:', error);
+  }
+}
+
+let schedulerInterval: NodeJS.Timeout | null = null;
+
+/**
+ * Starts the scheduler service.
+ * Runs missed while the panel was offline are skipped, not caught up.
+ */
+export async function startScheduler(): Promise<void> {
+  if (schedulerInterval) {
+    clearInterval(schedulerInterval);
+  }
+
+  try {
+    // Any run left as "running" was interrupted by a restart
+    await prisma.scheduleRun.updateMany({
+      where: { status: 'running' },
+      data: { status: 'failed', finishedAt: new Date() },
+    });
+
+    const schedules = await prisma.schedule.findMany({ select: { id: true } });
+    for (const schedule of schedules) {
+      await refreshNextRun(schedule.id);
+    }
+  } catch (error) {
+    logger.error('Error restoring schedules:', error);
+  }
+
+  schedulerInterval = setInterval(runDueSchedules, CHECK_INTERVAL);
+  logger.debug(`Scheduler started (interval: ${CHECK_INTERVAL / 1000} seconds)`);
+}
+
+/**
+ * Stops the scheduler service
+ */
+export function stopScheduler(): void {
+  if (schedulerInterval) {
+    clearInterval(schedulerInterval);
+    schedulerInterval = null;
+    logger.info('Scheduler stopped');
+  }
+}
@@ -0,0 +1,97 @@
+/**
+ * ╳━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━╳
+ *      AirLink - Open Source Project by AirlinkLabs
+ *      Repository: https://github.com/airlinklabs/panel
+ *
+ *     © 2024 AirlinkLabs. Licensed under the MIT License
+ * ╳━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━╳
+ */
+
+import { PrismaClient } from '@prisma/client';
+import logger from './logger';
+import { checkForServerInstallation } from './checkForServerInstallation';
+import { INSTALL_TIMEOUT } from './utils/server/installLog';
+import { checkNodeStatus } from './utils/node/nodeStatus';
+import { getServerStatus } from './utils/server/serverStatus';
+import { hasWebhookSubscribers } from './webhooks';
+
+const prisma = new PrismaClient();
+
+// Interval in milliseconds (1 minute)
+const WATCH_INTERVAL = 60 * 1000;
+
+/**
+ * Checks the installs running longer than the install timeout, which fails
+ * the ones the installed marker does not confirm
+ */
+async function checkStalledInstalls(): Promise<void> {
+  const stalled = await prisma.installLog.findMany({
+    where: { status: 'running', startedAt: { lt: new Date(Date.now() - INSTALL_TIMEOUT) } },
+    select: { serverId: true },
+  });
+
+  for (const { serverId } of stalled) {
+    await checkForServerInstallation(serverId);
+  }
+}
+
+/**
+ * Checks every node and the servers on the reachable ones, so crashes,
+ * outages and stalled installs are noticed even when nobody has the panel
+ * open. The checks themselves report state changes to webhooks.
+ */
+export async function watchStatuses(): Promise<void> {
+  try {
+    await checkStalledInstalls();
+
+    if (!(await hasWebhookSubscribers(['server.crashed', 'node.offline']))) return;
+
+    const nodes = await prisma.node.findMany({
+      include: { servers: { select: { UUID: true } } },
+    });
+
+    await Promise.all(
+      nodes.map(async ({ servers, ...node }) => {
+        const status = await checkNodeStatus({ ...node });
+        if (status.status === 'Offline') return;
+
+        for (const server of servers) {
+          await getServerStatus({
+            nodeAddress: node.address,
+            nodePort: node.port,
+            serverUUID: server.UUID,
+            nodeKey: node.key,
+          });
+        }
+      }),
+    );
+  } catch (error) {
+    logger.debug(`Error watching statuses: ${error}`);
+  }
+}
+
+let watchInterval: NodeJS.Timeout | null = null;
+
+/**
+ * Starts the periodic status watcher
+ */
+export function startStatusWatcher(): void {
+  if (watchInterval) {
+    clearInterval(watchInterval);
+  }
+
+  watchStatuses();
+  watchInterval = setInterval(watchStatuses, WATCH_INTERVAL);
+  logger.debug(`Status watcher started (interval: ${WATCH_INTERVAL / 60000} minutes)`);
+}
+
+/**
+ * Stops the periodic status watcher
+ */
+export function stopStatusWatcher(): void {
+  if (watchInterval) {
+    clearInterval(watchInterval);
+    watchInterval = null;
+    logger.info('Status watcher stopped');
+  }
+}
@@ -0,0 +1,725 @@
+export type HttpMethod = 'get' | 'post' | 'put' | 'patch' | 'delete';
+
+export interface JsonSchema {
+  type?: 'object' | 'array' | 'string' | 'integer' | 'number' | 'boolean';
+  $ref?: string;
+  properties?: Record<string, JsonSchema>;
+  additionalProperties?: boolean | JsonSchema;
+  items?: JsonSchema;
+  required?: string[];
+  enum?: unknown[];
+  format?: string;
+  nullable?: boolean;
+  minimum?: number;
+  maximum?: number;
+  description?: string;
+  example?: unknown;
+}
+
+export interface ApiParameter {
+  name: string;
+  description: string;
+  schema: JsonSchema;
+  required?: boolean;
+}
+
+/**
+ * Documentation of one route of the public API, matched to the registered
+ * route by method and path. How the route is authenticated is read from its
+ * validators, see `collectApiRoutes` in openapi.ts.
+ */
+export interface ApiRouteDefinition {
+  method: HttpMethod;
+  // Express-style path, e.g. /api/v1/servers/:id
+  path: string;
+  tag: string;
+  summary: string;
+  query?: ApiParameter[];
+  body?: JsonSchema;
+  response: {
+    status: number;
+    description: string;
+    schema?: JsonSchema;
+    contentType?: string;
+  };
+}
+
+const ref = (name: string): JsonSchema => ({ $ref: `#/components/schemas/${name}` });
+
+const dataOf = (schema: JsonSchema): JsonSchema => ({
+  type: 'object',
+  properties: { data: schema },
+});
+
+const listOf = (schema: JsonSchema): JsonSchema => ({
+  type: 'object',
+  properties: {
+    data: { type: 'array', items: schema },
+    meta: ref('PaginationMeta'),
+  },
+});
+
+const success: JsonSchema = {
+  type: 'object',
+  properties: { success: { type: 'boolean', example: true } },
+};
+
+const PAGINATION_QUERY: ApiParameter[] = [
+  { name: 'page', description: 'Page number, starting at 1', schema: { type: 'integer', minimum: 1, example: 1 } },
+  { name: 'per_page', description: 'Items per page, at most 100', schema: { type: 'integer', minimum: 1, maximum: 100, example: 50 } },
+];
+
+export const API_SCHEMAS: Record<string, JsonSchema> = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: { error: { type: 'string', example: 'Server not found' } },
+  },
+  ValidationError: {
+    type: 'object',
+    required: ['error', 'details'],
+    properties: {
+      error: { type: 'string', example: 'Validation failed' },
+      details: { type: 'array', items: { type: 'string' }, example: ['Name is required'] },
+      fields: {
+        type: 'object',
+        description: 'Errors of server variables, keyed by env name',
+        additionalProperties: { type: 'string' },
+        example: { SERVER_JARFILE: 'Server Jar File has an invalid format' },
+      },
+    },
+  },
+  PaginationMeta: {
+    type: 'object',
+    properties: {
+      page: { type: 'integer', example: 1 },
+      perPage: { type: 'integer', example: 50 },
+      total: { type: 'integer', example: 1 },
+      totalPages: { type: 'integer', example: 1 },
+    },
+  },
+  User: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer', example: 1 },
+      username: { type: 'string', nullable: true, example: 'admin' },
+      email: { type: 'string', format: 'email', example: 'admin@example.com' },
+      isAdmin: { type: 'boolean', example: true },
+      description: { type: 'string', nullable: true, example: 'No About Me' },
+    },
+  },
+  UserCreate: {
+    type: 'object',
+    required: ['email', 'username', 'password'],
+    properties: {
+      email: { type: 'string', format: 'email', example: 'player@example.com' },
+      username: { type: 'string', example: 'player' },
+      password: { type: 'string', example: 'secret123' },
+      isAdmin: { type: 'boolean', example: false },
+      description: { type: 'string' },
+    },
+  },
+  UserUpdate: {
+    type: 'object',
+    description: 'Fields left out keep their value',
+    properties: {
+      email: { type: 'string', format: 'email' },
+      username: { type: 'string', example: 'player2' },
+      password: { type: 'string' },
+      isAdmin: { type: 'boolean' },
+      description: { type: 'string' },
+    },
+  },
+  Server: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer', example: 1 },
+      UUID: { type: 'string', format: 'uuid', example: '550e8400-e29b-41d4-a716-446655440000' },
+      name: { type: 'string', example: 'Minecraft Server' },
+      description: { type: 'string', nullable: true, example: 'A Minecraft server' },
+      Memory: { type: 'integer', description: 'Memory in GB', example: 4 },
+      Cpu: { type: 'integer', description: 'CPU cores', example: 2 },
+      Storage: { type: 'integer', description: 'Disk in GB', example: 20 },
+      Ports: { type: 'string', description: 'JSON list of the allocated ports', example: '[{"Port":"25565:25565","primary":true}]' },
+      Installing: { type: 'boolean', example: false },
+      InstallFailed: { type: 'boolean', description: 'The last install attempt failed', example: false },
+      Suspended: { type: 'boolean', example: false },
+      Transferring: { type: 'boolean', description: 'A transfer to another node is running', example: false },
+      ownerId: { type: 'integer', example: 1 },
+      nodeId: { type: 'integer', example: 1 },
+      imageId: { type: 'integer', example: 1 },
+      owner: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer', example: 1 },
+          username: { type: 'string', example: 'admin' },
+          email: { type: 'string', example: 'admin@example.com' },
+        },
+      },
+      node: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer', example: 1 },
+          name: { type: 'string', example: 'Node 1' },
+          address: { type: 'string', example: '127.0.0.1' },
+        },
+      },
+    },
+  },
+  ServerCreate: {
+    type: 'object',
+    required: ['name', 'description', 'ownerId', 'imageId', 'dockerImage', 'Memory', 'Cpu', 'Storage'],
+    properties: {
+      name: { type: 'string', example: 'Minecraft Server' },
+      description: { type: 'string', example: 'A Minecraft server' },
+      ownerId: { type: 'integer', example: 1 },
+      imageId: { type: 'integer', example: 1 },
+      dockerImage: { type: 'string', description: 'Name of one of the docker images of the image', example: 'Java 21' },
+      nodeId: {
+        description: 'A node id, or "auto" (the default) to let the placement engine choose',
+        example: 'auto',
+      },
+      allocationId: { type: 'integer', description: 'Required when a node is chosen' },
+      Memory: { type: 'integer', minimum: 1, example: 4 },
+      Cpu: { type: 'integer', minimum: 1, example: 2 },
+      Storage: { type: 'integer', minimum: 1, example: 20 },
+      variables: {
+        description: 'Values keyed by env name, or a list of `{ env, value }`. Checked against the rules of the image variables.',
+        example: { SERVER_JARFILE: 'server.jar' },
+      },
+      allowStartupEdit: { type: 'boolean', example: false },
+    },
+  },
+  ServerUpdate: {
+    type: 'object',
+    description: 'Fields left out keep their value',
+    properties: {
+      name: { type: 'string' },
+      description: { type: 'string' },
+      ownerId: { type: 'integer' },
+      nodeId: { type: 'integer', description: 'Another node starts a transfer of the server files. The server keeps its node until the transfer completes and needs a free allocation on the new one.' },
+      imageId: { type: 'integer' },
+      Memory: { type: 'integer', minimum: 1, example: 8 },
+      Cpu: { type: 'integer', minimum: 1 },
+      Storage: { type: 'integer', minimum: 1 },
+      StartCommand: { type: 'string' },
+      variables: {
+        description: 'Values keyed by env name, or a list of `{ env, value }`. Checked against the rules of the image variables.',
+        example: { SERVER_JARFILE: 'server.jar' },
+      },
+      allowStartupEdit: { type: 'boolean' },
+      Suspended: { type: 'boolean' },
+      backupLimit: { type: 'integer', nullable: true },
+      backupRetainLast: { type: 'integer', nullable: true },
+      backupRetainDays: { type: 'integer', nullable: true },
+      allocationLimit: { type: 'integer', nullable: true },
+    },
+  },
+  Node: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer', example: 1 },
+      name: { type: 'string', example: 'Node 1' },
+      address: { type: 'string', example: '127.0.0.1' },
+      port: { type: 'integer', example: 3001 },
+      ram: { type: 'integer', example: 16 },
+      cpu: { type: 'integer', example: 8 },
+      disk: { type: 'integer', example: 200 },
+      memoryOverallocate: { type: 'integer', example: 0 },
+      cpuOverallocate: { type: 'integer', example: 0 },
+      diskOverallocate: { type: 'integer', example: 0 },
+      createdAt: { type: 'string', format: 'date-time', example: '2026-01-01T00:00:00.000Z' },
+    },
+  },
+  NodeCreate: {
+    type: 'object',
+    required: ['name', 'address', 'port', 'ram', 'cpu', 'disk'],
+    properties: {
+      name: { type: 'string', example: 'Node 2' },
+      address: { type: 'string', description: 'IPv4 address, domain or localhost', example: '10.0.0.2' },
+      port: { type: 'integer', minimum: 1025, maximum: 65535, example: 3002 },
+      ram: { type: 'integer', minimum: 1, example: 16 },
+      cpu: { type: 'integer', minimum: 1, example: 8 },
+      disk: { type: 'integer', minimum: 1, example: 200 },
+      memoryOverallocate: { type: 'integer', minimum: -1, description: 'Percent, -1 disables the check' },
+      cpuOverallocate: { type: 'integer', minimum: -1 },
+      diskOverallocate: { type: 'integer', minimum: -1 },
+    },
+  },
+  NodeUpdate: {
+    type: 'object',
+    description: 'Fields left out keep their value',
+    properties: {
+      name: { type: 'string' },
+      address: { type: 'string' },
+      port: { type: 'integer', minimum: 1025, maximum: 65535 },
+      ram: { type: 'integer', minimum: 1 },
+      cpu: { type: 'integer', minimum: 1 },
+      disk: { type: 'integer', minimum: 1 },
+      memoryOverallocate: { type: 'integer', minimum: -1, example: 20 },
+      cpuOverallocate: { type: 'integer', minimum: -1 },
+      diskOverallocate: { type: 'integer', minimum: -1 },
+    },
+  },
+  Settings: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer', example: 1 },
+      title: { type: 'string', example: 'Airlink' },
+      description: { type: 'string', example: 'AirLink is a free and open source project by AirlinkLabs' },
+      logo: { type: 'string', example: '../assets/logo.png' },
+      favicon: { type: 'string', example: '../assets/favicon.ico' },
+      theme: { type: 'string', example: 'default' },
+      language: { type: 'string', example: 'en' },
+    },
+  },
+  SettingsUpdate: {
+    type: 'object',
+    properties: {
+      title: { type: 'string', example: 'My Panel' },
+      description: { type: 'string' },
+      logo: { type: 'string' },
+      favicon: { type: 'string' },
+      theme: { type: 'string' },
+      language: { type: 'string' },
+    },
+  },
+  ApplicationObject: {
+    type: 'object',
+    description: 'Pterodactyl-style object wrapper',
+    properties: {
+      object: { type: 'string', example: 'user' },
+      attributes: { type: 'object', additionalProperties: true },
+    },
+  },
+  ClientServer: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', format: 'uuid', example: '550e8400-e29b-41d4-a716-446655440000' },
+      name: { type: 'string', example: 'Minecraft Server' },
+      description: { type: 'string', nullable: true },
+      memory: { type: 'integer', example: 4 },
+      cpu: { type: 'integer', example: 2 },
+      storage: { type: 'integer', example: 20 },
+      installing: { type: 'boolean', example: false },
+      installFailed: { type: 'boolean', example: false, description: 'The last install attempt failed, a reinstall retries it' },
+      suspended: { type: 'boolean', example: false },
+      transferring: { type: 'boolean', example: false, description: 'Power actions are refused while the server moves to another node' },
+      node: { type: 'string', example: 'Node 1' },
+      createdAt: { type: 'string', format: 'date-time' },
+      isOwner: { type: 'boolean', example: true },
+      permissions: { type: 'array', items: { type: 'string' }, example: ['console', 'power'] },
+    },
+  },
+  ServerStatus: {
+    type: 'object',
+    properties: {
+      online: { type: 'boolean', example: true },
+      starting: { type: 'boolean', example: false },
+      stopping: { type: 'boolean', example: false },
+      uptime: { type: 'integer', nullable: true, example: 3600 },
+      startedAt: { type: 'string', nullable: true, format: 'date-time' },
+      daemonOffline: { type: 'boolean' },
+    },
+  },
+  File: {
+    type: 'object',
+    additionalProperties: true,
+    properties: {
+      name: { type: 'string', example: 'server.properties' },
+      type: { type: 'string', example: 'file' },
+      size: { type: 'integer', example: 1024 },
+    },
+  },
+  Backup: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      name: { type: 'string', example: 'Before update' },
+      size: { type: 'string', description: 'Size in bytes', example: '104857600' },
+      locked: { type: 'boolean', example: false },
+      createdAt: { type: 'string', format: 'date-time' },
+    },
+  },
+};
+
+export const API_ROUTES: ApiRouteDefinition[] = [
+  // Application API (v1)
+  {
+    method: 'get', path: '/api/v1/ping', tag: 'General',
+    summary: 'Health check',
+    response: {
+      status: 200,
+      description: 'The panel is up',
+      schema: {
+        type: 'object',
+        properties: {
+          status: { type: 'string', example: 'ok' },
+          timestamp: { type: 'string', format: 'date-time' },
+          uptime: { type: 'number', example: 120.5 },
+          version: { type: 'string', example: '1.0.0' },
+        },
+      },
+    },
+  },
+  {
+    method: 'get', path: '/api/v1/users', tag: 'Users',
+    summary: 'List users',
+    query: [
+      ...PAGINATION_QUERY,
+      { name: 'email', description: 'Only users whose email contains this', schema: { type: 'string' } },
+      { name: 'username', description: 'Only users whose username contains this', schema: { type: 'string' } },
+      { name: 'isAdmin', description: 'Only admins or non-admins', schema: { type: 'boolean' } },
+    ],
+    response: { status: 200, description: 'A page of users', schema: listOf(ref('User')) },
+  },
+  {
+    method: 'post', path: '/api/v1/users', tag: 'Users',
+    summary: 'Create a user',
+    body: ref('UserCreate'),
+    response: { status: 201, description: 'The created user', schema: dataOf(ref('User')) },
+  },
+  {
+    method: 'get', path: '/api/v1/users/:id', tag: 'Users',
+    summary: 'Get a user',
+    response: { status: 200, description: 'The user', schema: dataOf(ref('User')) },
+  },
+  {
+    method: 'patch', path: '/api/v1/users/:id', tag: 'Users',
+    summary: 'Update a user',
+    body: ref('UserUpdate'),
+    response: { status: 200, description: 'The updated user', schema: dataOf(ref('User')) },
+  },
+  {
+    method: 'delete', path: '/api/v1/users/:id', tag: 'Users',
+    summary: 'Delete a user. Fails with 409 while the user owns servers.',
+    response: { status: 204, description: 'The user was deleted' },
+  },
+  {
+    method: 'get', path: '/api/v1/servers', tag: 'Servers',
+    summary: 'List servers',
+    query: [
+      ...PAGINATION_QUERY,
+      { name: 'ownerId', description: 'Only servers of this user', schema: { type: 'integer' } },
+      { name: 'nodeId', description: 'Only servers on this node', schema: { type: 'integer' } },
+      { name: 'suspended', description: 'Only suspended or unsuspended servers', schema: { type: 'boolean' } },
+      { name: 'name', description: 'Only servers whose name contains this', schema: { type: 'string' } },
+    ],
+    response: { status: 200, description: 'A page of servers', schema: listOf(ref('Server')) },
+  },
+  {
+    method: 'post', path: '/api/v1/servers', tag: 'Servers',
+    summary: 'Create a server and queue its install',
+    body: ref('ServerCreate'),
+    response: { status: 201, description: 'The created server', schema: dataOf(ref('Server')) },
+  },
+  {
+    method: 'get', path: '/api/v1/servers/:id', tag: 'Servers',
+    summary: 'Get a server by UUID',
+    response: { status: 200, description: 'The server', schema: dataOf(ref('Server')) },
+  },
+  {
+    method: 'patch', path: '/api/v1/servers/:id', tag: 'Servers',
+    summary: 'Update a server',
+    body: ref('ServerUpdate'),
+    response: { status: 200, description: 'The updated server', schema: dataOf(ref('Server')) },
+  },
+  {
+    method: 'delete', path: '/api/v1/servers/:id', tag: 'Servers',
+    summary: 'Delete a server and its container',
+    response: { status: 204, description: 'The server was deleted' },
+  },
+  {
+    method: 'post', path: '/api/v1/servers/:id/suspend', tag: 'Servers',
+    summary: 'Suspend and stop a server',
+    response: { status: 200, description: 'The suspended server', schema: dataOf(ref('Server')) },
+  },
+  {
+    method: 'post', path: '/api/v1/servers/:id/unsuspend', tag: 'Servers',
+    summary: 'Unsuspend a server',
+    response: { status: 200, description: 'The unsuspended server', schema: dataOf(ref('Server')) },
+  },
+  {
+    method: 'post', path: '/api/v1/servers/:id/reinstall', tag: 'Servers',
+    summary: 'Delete the container and install the server again',
+    response: {
+      status: 202,
+      description: 'The reinstall was queued',
+      schema: dataOf({ type: 'object', properties: { message: { type: 'string', example: 'Server reinstallation initiated' } } }),
+    },
+  },
+  {
+    method: 'get', path: '/api/v1/nodes', tag: 'Nodes',
+    summary: 'List nodes',
+    query: [
+      ...PAGINATION_QUERY,
+      { name: 'name', description: 'Only nodes whose name contains this', schema: { type: 'string' } },
+    ],
+    response: { status: 200, description: 'A page of nodes', schema: listOf(ref('Node')) },
+  },
+  {
+    method: 'post', path: '/api/v1/nodes', tag: 'Nodes',
+    summary: 'Create a node. The response holds the key to configure the daemon with.',
+    body: ref('NodeCreate'),
+    response: { status: 201, description: 'The created node', schema: dataOf(ref('Node')) },
+  },
+  {
+    method: 'get', path: '/api/v1/nodes/placement', tag: 'Nodes',
+    summary: 'Node capacity and the node a server of this size would be placed on',
+    query: [
+      { name: 'memory', description: 'Memory in GB', schema: { type: 'integer', example: 4 } },
+      { name: 'cpu', description: 'CPU cores', schema: { type: 'integer', example: 2 } },
+      { name: 'disk', description: 'Disk in GB', schema: { type: 'integer', example: 20 } },
+      { name: 'strategy', description: 'Overrides the placement strategy', schema: { type: 'string', enum: ['least_loaded', 'fill_first'] } },
+    ],
+    response: {
+      status: 200,
+      description: 'The placement',
+      schema: dataOf({
+        type: 'object',
+        properties: {
+          strategy: { type: 'string', example: 'least_loaded' },
+          nodeId: { type: 'integer', nullable: true, example: 1 },
+          nodes: { type: 'array', items: { type: 'object', additionalProperties: true } },
+        },
+      }),
+    },
+  },
+  {
+    method: 'get', path: '/api/v1/nodes/:id', tag: 'Nodes',
+    summary: 'Get a node with its servers',
+    response: { status: 200, description: 'The node', schema: dataOf(ref('Node')) },
+  },
+  {
+    method: 'patch', path: '/api/v1/nodes/:id', tag: 'Nodes',
+    summary: 'Update a node',
+    body: ref('NodeUpdate'),
+    response: { status: 200, description: 'The updated node', schema: dataOf(ref('Node')) },
+  },
+  {
+    method: 'delete', path: '/api/v1/nodes/:id', tag: 'Nodes',
+    summary: 'Delete a node. Fails with 409 while it has servers unless deleteServers is set.',
+    query: [
+      { name: 'deleteServers', description: 'Also remove the servers of the node from the panel', schema: { type: 'boolean' } },
+    ],
+    response: { status: 204, description: 'The node was deleted' },
+  },
+  {
+    method: 'get', path: '/api/v1/settings', tag: 'Settings',
+    summary: 'Get the panel settings',
+    response: { status: 200, description: 'The settings', schema: dataOf(ref('Settings')) },
+  },
+  {
+    method: 'patch', path: '/api/v1/settings', tag: 'Settings',
+    summary: 'Update the panel settings',
+    body: ref('SettingsUpdate'),
+    response: { status: 200, description: 'The updated settings', schema: dataOf(ref('Settings')) },
+  },
+
+  // Pterodactyl-compatible application API
+  {
+    method: 'get', path: '/api/application/users', tag: 'Application (compatibility)',
+    summary: 'List users',
+    query: [
+      { name: 'filter', description: 'JSON filter on user fields', schema: { type: 'string' } },
+      { name: 'include', description: 'Set to "servers" to include the servers of each user', schema: { type: 'string', enum: ['servers'] } },
+    ],
+    response: {
+      status: 200,
+      description: 'The users',
+      schema: { type: 'object', properties: { object: { type: 'string', example: 'list' }, data: { type: 'array', items: ref('ApplicationObject') } } },
+    },
+  },
+  {
+    method: 'post', path: '/api/application/users', tag: 'Application (compatibility)',
+    summary: 'Create a user',
+    body: {
+      type: 'object',
+      required: ['username', 'email', 'first_name', 'last_name', 'password'],
+      properties: {
+        username: { type: 'string', example: 'player' },
+        email: { type: 'string', example: 'player@example.com' },
+        first_name: { type: 'string', example: 'Jane' },
+        last_name: { type: 'string', example: 'Doe' },
+        password: { type: 'string', example: 'secret123' },
+      },
+    },
+    response: { status: 201, description: 'The created user', schema: ref('ApplicationObject') },
+  },
+  {
+    method: 'get', path: '/api/application/users/:user', tag: 'Application (compatibility)',
+    summary: 'Get a user',
+    response: { status: 200, description: 'The user', schema: ref('ApplicationObject') },
+  },
+  {
+    method: 'patch', path: '/api/application/users/:id', tag: 'Application (compatibility)',
+    summary: 'Update a user',
+    body: {
+      type: 'object',
+      properties: {
+        username: { type: 'string' },
+        email: { type: 'string' },
+        password: { type: 'string', example: 'secret123' },
+      },
+    },
+    response: { status: 200, description: 'The updated user', schema: ref('ApplicationObject') },
+  },
+  {
+    method: 'get', path: '/api/application/nodes', tag: 'Application (compatibility)',
+    summary: 'List nodes',
+    response: {
+      status: 200,
+      description: 'The nodes',
+      schema: { type: 'object', properties: { object: { type: 'string', example: 'list' }, data: { type: 'array', items: ref('ApplicationObject') } } },
+    },
+  },
+  {
+    method: 'get', path: '/api/application/nodes/:id', tag: 'Application (compatibility)',
+    summary: 'Get a node',
+    response: { status: 200, description: 'The node', schema: ref('ApplicationObject') },
+  },
+  {
+    method: 'post', path: '/api/application/servers', tag: 'Application (compatibility)',
+    summary: 'Create a server',
+    body: {
+      type: 'object',
+      required: ['name', 'user', 'egg', 'docker_image', 'limits'],
+      properties: {
+        name: { type: 'string', example: 'Minecraft Server' },
+        description: { type: 'string' },
+        user: { type: 'integer', example: 1 },
+        egg: { type: 'integer', example: 1 },
+        docker_image: { type: 'string', example: 'ghcr.io/airlinklabs/java:21' },
+        environment: { type: 'array', items: { type: 'object' }, example: [] },
+        limits: {
+          type: 'object',
+          properties: {
+            memory: { type: 'integer', example: 4 },
+            cpu: { type: 'integer', example: 2 },
+            disk: { type: 'integer', example: 20 },
+          },
+        },
+        deploy: { type: 'object', properties: { locations: { type: 'array', items: { type: 'integer' } } } },
+        allocation: { type: 'object', properties: { default: { type: 'integer' } } },
+      },
+    },
+    response: {
+      status: 201,
+      description: 'The created server',
+      schema: {
+        type: 'object',
+        properties: {
+          message: { type: 'string', example: 'Server created successfully' },
+          attributes: { type: 'object', properties: { id: { type: 'string', format: 'uuid' } } },
+        },
+      },
+    },
+  },
+
+  // Client API
+  {
+    method: 'get', path: '/api/client/account', tag: 'Client',
+    summary: 'The user the key belongs to',
+    response: {
+      status: 200,
+      description: 'The account',
+      schema: dataOf({
+        type: 'object',
+        properties: {
+          id: { type: 'integer', example: 1 },
+          username: { type: 'string', example: 'player' },
+          email: { type: 'string', example: 'player@example.com' },
+          isAdmin: { type: 'boolean', example: false },
+        },
+      }),
+    },
+  },
+  {
+    method: 'get', path: '/api/client/servers', tag: 'Client',
+    summary: 'Servers the user owns or is a subuser of',
+    response: { status: 200, description: 'The servers', schema: dataOf({ type: 'array', items: ref('ClientServer') }) },
+  },
+  {
+    method: 'get', path: '/api/client/servers/:id', tag: 'Client',
+    summary: 'Get a server with the permissions the key has on it',
+    response: { status: 200, description: 'The server', schema: dataOf(ref('ClientServer')) },
+  },
+  {
+    method: 'get', path: '/api/client/servers/:id/status', tag: 'Client',
+    summary: 'Power state of a server',
+    response: { status: 200, description: 'The status', schema: dataOf(ref('ServerStatus')) },
+  },
+  {
+    method: 'post', path: '/api/client/servers/:id/power', tag: 'Client',
+    summary: 'Start, stop or restart a server',
+    body: {
+      type: 'object',
+      required: ['action'],
+      properties: { action: { type: 'string', enum: ['start', 'stop', 'restart'], example: 'restart' } },
+    },
+    response: { status: 200, description: 'The action was sent', schema: success },
+  },
+  {
+    method: 'post', path: '/api/client/servers/:id/command', tag: 'Client',
+    summary: 'Send a console command',
+    body: {
+      type: 'object',
+      required: ['command'],
+      properties: { command: { type: 'string', example: 'say Hello' } },
+    },
+    response: { status: 200, description: 'The command was sent', schema: success },
+  },
+  {
+    method: 'get', path: '/api/client/servers/:id/files', tag: 'Client',
+    summary: 'List a directory',
+    query: [{ name: 'path', description: 'Directory to list', schema: { type: 'string', example: '/' } }],
+    response: { status: 200, description: 'The directory entries', schema: dataOf({ type: 'array', items: ref('File') }) },
+  },
+  {
+    method: 'get', path: '/api/client/servers/:id/files/contents', tag: 'Client',
+    summary: 'Read a file',
+    query: [{ name: 'file', description: 'Path of the file', required: true, schema: { type: 'string', example: 'server.properties' } }],
+    response: { status: 200, description: 'The file contents', contentType: 'text/plain', schema: { type: 'string' } },
+  },
+  {
+    method: 'post', path: '/api/client/servers/:id/files/write', tag: 'Client',
+    summary: 'Write a file. Files the image protects answer 403.',
+    body: {
+      type: 'object',
+      required: ['file', 'content'],
+      properties: {
+        file: { type: 'string', example: 'server.properties' },
+        content: { type: 'string', example: 'motd=Hello' },
+      },
+    },
+    response: { status: 200, description: 'The file was written', schema: success },
+  },
+  {
+    method: 'get', path: '/api/client/servers/:id/backups', tag: 'Client',
+    summary: 'List backups',
+    response: { status: 200, description: 'The backups', schema: dataOf({ type: 'array', items: ref('Backup') }) },
+  },
+  {
+    method: 'post', path: '/api/client/servers/:id/backups', tag: 'Client',
+    summary: 'Create a backup',
+    body: { type: 'object', properties: { name: { type: 'string', example: 'Before update' } } },
+    response: {
+      status: 200,
+      description: 'The created backup, and the oldest unlocked backups deleted after it to stay within the backup limit',
+      schema: {
+        type: 'object',
+        properties: { data: ref('Backup'), rotated: { type: 'array', items: ref('Backup') } },
+      },
+    },
+  },
+  {
+    method: 'post', path: '/api/client/servers/:id/backups/:backupId/restore', tag: 'Client',
+    summary: 'Restore a backup',
+    response: { status: 200, description: 'The backup was restored', schema: success },
+  },
+  {
+    method: 'delete', path: '/api/client/servers/:id/backups/:backupId', tag: 'Client',
+    summary: 'Delete a backup',
+    response: { status: 200, description: 'The backup was deleted', schema: success },
+  },
+];
@@ -0,0 +1,63 @@
+import net from 'net';
+
+export interface ApiKeyRestrictions {
+  expiresAt: Date | null;
+  allowedIps: string[];
+  rateLimit: number | null;
+}
+
+export const MAX_API_RATE_LIMIT = 100000;
+
+/**
+ * Checks an allowlist entry, either a single address or a CIDR range
+ */
+export function isValidIpEntry(entry: string): boolean {
+  const [base, prefix, ...rest] = entry.split('/');
+  const version = net.isIP(base);
+  if (version === 0 || rest.length > 0) return false;
+  if (prefix === undefined) return true;
+
+  const bits = Number(prefix);
+  return /^\d+$/.test(prefix) && bits <= (version === 4 ? 32 : 128);
+}
+
+/**
+ * Validates the expiry date, IP allowlist and rate limit of the API key
+ * forms. Empty fields clear the restriction.
+ */
+export function parseApiKeyRestrictions(
+  body: Record<string, any>,
+): { restrictions: ApiKeyRestrictions } | { errors: string[] } {
+  const errors: string[] = [];
+
+  let expiresAt: Date | null = null;
+  if (body.expiresAt !== undefined && String(body.expiresAt).trim() !== '') {
+    expiresAt = new Date(body.expiresAt);
+    if (isNaN(expiresAt.getTime())) {
+      errors.push('Expiry date must be a valid date.');
+    } else if (expiresAt <= new Date()) {
+      errors.push('Expiry date must be in the future.');
+    }
+  }
+
+  const rawIps: string[] = Array.isArray(body.allowedIps)
+    ? body.allowedIps.map(String)
+    : String(body.allowedIps ?? '').split(/[\s,]+/);
+  const allowedIps = [...new Set(rawIps.map((entry) => entry.trim()).filter(Boolean))];
+  const invalidIps = allowedIps.filter((entry) => !isValidIpEntry(entry));
+  if (invalidIps.length > 0) {
+    errors.push(`Invalid IP addresses or ranges: ${invalidIps.join(', ')}.`);
+  }
+
+  let rateLimit: number | null = null;
+  if (body.rateLimit !== undefined && body.rateLimit !== null && String(body.rateLimit).trim() !== '') {
+    rateLimit = Number(body.rateLimit);
+    if (!Number.isInteger(rateLimit) || rateLimit < 0 || rateLimit > MAX_API_RATE_LIMIT) {
+      errors.push(`Rate limit must be a whole number of requests per minute between 0 and ${MAX_API_RATE_LIMIT}.`);
+    }
+  }
+
+  if (errors.length > 0) return { errors };
+
+  return { restrictions: { expiresAt, allowedIps, rateLimit } };
+}
@@ -1,16 +1,172 @@
-import { Request, Response, NextFunction } from 'express';
-import { PrismaClient } from '@prisma/client';
+import { Request, Response, NextFunction, RequestHandler } from 'express';
+import { ApiKey, PrismaClient } from '@prisma/client';
+import crypto from 'crypto';
+import net from 'net';
 import logger from '../../logger';
+import { recordApiCall, recordApiKeyUse } from '../../metricsCollector';
 
 const prisma = new PrismaClient();
 
+export const API_KEY_TYPES = ['application', 'client'] as const;
+
+export type ApiKeyType = (typeof API_KEY_TYPES)[number];
+
+// Prefixes of the routes authenticated with API keys
+export const API_KEY_PREFIXES = ['/api/v1/', '/api/application/', '/api/client/'];
+
+// Requests per minute allowed for keys without a limit of their own, and
+// for addresses sending keys that do not exist
+export const DEFAULT_API_RATE_LIMIT = 100;
+
+const RATE_LIMIT_WINDOW = 60 * 1000;
+
+const rateLimitWindows = new Map<string, { count: number; resetAt: number }>();
+
+/**
+ * How a route is authenticated. The validators carry it as `apiAccess`, so
+ * the OpenAPI document reads it from the registered routes.
+ */
+export interface ApiRouteAccess {
+  auth: 'application' | 'client';
+  permission?: string;
+  serverPermission?: string;
+}
+
+export function withApiAccess<T extends RequestHandler>(
+  middleware: T,
+  access: ApiRouteAccess,
+): T & { apiAccess: ApiRouteAccess } {
+  return Object.assign(middleware, { apiAccess: access });
+}
+
+const API_KEY_CHARACTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+/**
+ * Generates a random alphanumeric API key
+ * @param length - Number of characters (default: 32)
+ */
+export function generateApiKey(length: number = 32): string {
+  const bytes = crypto.randomBytes(length);
+  let result = '';
+  for (let i = 0; i < length; i++) {
+    result += API_KEY_CHARACTERS[bytes[i] % API_KEY_CHARACTERS.length];
+  }
+  return result;
+}
+
+/**
+ * Checks whether an address matches an allowlist of addresses and CIDR
+ * ranges. An empty allowlist allows every address.
+ */
+export function isIpAllowed(ip: string | undefined, allowedIps: string[]): boolean {
+  if (allowedIps.length === 0) return true;
+  if (!ip) return false;
+
+  const address = ip.startsWith('::ffff:') ? ip.slice(7) : ip;
+  const list = new net.BlockList();
+  for (const entry of allowedIps) {
+    const [base, prefix] = entry.split('/');
+    const type = net.isIPv6(base) ? 'ipv6' : 'ipv4';
+    try {
+      if (prefix === undefined) list.addAddress(base, type);
+      else list.addSubnet(base, parseInt(prefix), type);
+    } catch {
+      logger.warn(`Ignoring invalid API key allowlist entry: ${entry}`);
+    }
+  }
+
+  return list.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Counts a request against a fixed one minute window and sets the
+ * RateLimit headers. Responds with 429 once the limit is reached.
+ * @returns false if the request was rejected
+ */
+function applyRateLimit(res: Response, id: string, limit: number): boolean {
+  const now = Date.now();
+  let window = rateLimitWindows.get(id);
+  if (!window || window.resetAt <= now) {
+    if (rateLimitWindows.size > 10000) {
+      for (const [key, value] of rateLimitWindows) {
+        if (value.resetAt <= now) rateLimitWindows.delete(key);
+      }
+    }
+    window = { count: 0, resetAt: now + RATE_LIMIT_WINDOW };
+    rateLimitWindows.set(id, window);
+  }
+  window.count++;
+
+  const reset = Math.ceil((window.resetAt - now) / 1000);
+  res.setHeader('RateLimit-Limit', limit);
+  res.setHeader('RateLimit-Remaining', Math.max(0, limit - window.count));
+  res.setHeader('RateLimit-Reset', reset);
+
+  if (window.count > limit) {
+    res.setHeader('Retry-After', reset);
+    res.status(429).json({ error: 'Too Many Requests: API rate limit exceeded' });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Rate limits requests sending an unknown key by address, so guessing keys
+ * is throttled like any other request.
+ * @returns false if the request was rejected
+ */
+function limitUnknownKey(req: Request, res: Response): boolean {
+  return applyRateLimit(res, `ip:${req.ip}`, DEFAULT_API_RATE_LIMIT);
+}
+
+/**
+ * Applies the expiry date, address allowlist and rate limit of a key, and
+ * counts the request towards its usage once the response is sent.
+ * @returns false if the request was rejected
+ */
+function enforceKeyRestrictions(req: Request, res: Response, keyData: ApiKey): boolean {
+  res.once('finish', () => {
+    recordApiCall({
+      apiKeyId: keyData.id,
+      method: req.method,
+      endpoint: req.route ? `${req.baseUrl}${req.route.path}` : req.path,
+      failed: res.statusCode >= 400,
+    });
+  });
+
+  if (keyData.expiresAt && keyData.expiresAt <= new Date()) {
+    res.status(401).json({ error: 'Unauthorized: API Key has expired' });
+    return false;
+  }
+
+  let allowedIps: string[] = [];
+  try {
+    allowedIps = JSON.parse(keyData.allowedIps || '[]');
+  } catch {
+    logger.error(`API key ${keyData.id} has an unreadable IP allowlist`);
+  }
+  if (!isIpAllowed(req.ip, allowedIps)) {
+    logger.debug(`API key ${keyData.id} used from an address that is not allowed: ${req.ip}`);
+    res.status(403).json({
+      error: 'Forbidden: API Key cannot be used from this IP address',
+    });
+    return false;
+  }
+
+  const limit = keyData.rateLimit ?? DEFAULT_API_RATE_LIMIT;
+  if (limit > 0 && !applyRateLimit(res, `key:${keyData.id}`, limit)) return false;
+
+  recordApiKeyUse(keyData.id, req.ip);
+  return true;
+}
+
 /**
  * Middleware to validate API keys and check permissions
  * @param requiredPermission - The permission required to access the endpoint
  * @returns Express middleware function
  */
 export const apiValidator = (requiredPermission?: string) => {
-  return async (req: Request, res: Response, next: NextFunction) => {
+  return withApiAccess(async (req: Request, res: Response, next: NextFunction) => {
     try {
 
       const authHeader = req.headers['authorization'];
@@ -30,6 +186,7 @@ export const apiValidator = (requiredPermission?: string) => {
 
       if (!keyData) {
         logger.debug(`Invalid API key used: ${apiKey.substring(0, 8)}...`);
+        if (!limitUnknownKey(req, res)) return;
         res.status(401).json({ error: 'Unauthorized: Invalid API Key' });
         return;
       }
@@ -40,6 +197,14 @@ export const apiValidator = (requiredPermission?: string) => {
         return;
       }
 
+      if (keyData.type === 'client') {
+        res.status(403).json({
+          error: 'Forbidden: Client API keys can only be used with /api/client',
+        });
+        return;
+      }
+
+      if (!enforceKeyRestrictions(req, res, keyData)) return;
 
       if (requiredPermission) {
         try {
@@ -81,7 +246,56 @@ export const apiValidator = (requiredPermission?: string) => {
       logger.error('Error in API validator middleware:', error);
       res.status(500).json({ error: 'Internal Server Error' });
     }
-  };
+  }, { auth: 'application', permission: requiredPermission });
+};
+
+/**
+ * Middleware to validate personal API keys of the client API. The key acts
+ * as the user who created it, whose record is exposed as `res.locals.apiUser`.
+ * @returns Express middleware function
+ */
+export const clientApiValidator = () => {
+  return withApiAccess(async (req: Request, res: Response, next: NextFunction) => {
+    try {
+      const authHeader = req.headers['authorization'];
+      if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        res.status(401).json({
+          error: 'Unauthorized: Missing or malformed Authorization header',
+        });
+        return;
+      }
+
+      const apiKey = authHeader.split(' ')[1];
+
+      const keyData = await prisma.apiKey.findUnique({
+        where: { key: apiKey },
+        include: { user: true },
+      });
+
+      if (!keyData || keyData.type !== 'client' || !keyData.user) {
+        logger.debug(`Invalid client API key used: ${apiKey.substring(0, 8)}...`);
+        if (!limitUnknownKey(req, res)) return;
+        res.status(401).json({ error: 'Unauthorized: Invalid API Key' });
+        return;
+      }
+
+      if (!keyData.active) {
+        res.status(401).json({ error: 'Unauthorized: API Key is inactive' });
+        return;
+      }
+
+      const { user, ...key } = keyData;
+      if (!enforceKeyRestrictions(req, res, key)) return;
+
+      req.apiKey = key;
+      res.locals.apiUser = user;
+
+      next();
+    } catch (error) {
+      logger.error('Error in client API validator middleware:', error);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  }, { auth: 'client' });
 };
 
 export default apiValidator;
@@ -0,0 +1,316 @@
+import express from 'express';
+import logger from '../../logger';
+import permissions from '../../permisions';
+import { API_KEY_PREFIXES, ApiRouteAccess } from './apiValidator';
+import {
+  API_ROUTES,
+  API_SCHEMAS,
+  ApiParameter,
+  ApiRouteDefinition,
+  JsonSchema,
+} from './apiDefinitions';
+
+/**
+ * An API route as registered on the app, with the access its validators require
+ */
+export interface RegisteredApiRoute {
+  method: string;
+  path: string;
+  auth: ApiRouteAccess['auth'] | 'none';
+  permission?: string;
+  serverPermission?: string;
+}
+
+type DocumentedApiRoute = ApiRouteDefinition & RegisteredApiRoute;
+
+const SECURITY_SCHEMES = {
+  application: {
+    type: 'http',
+    scheme: 'bearer',
+    description: 'Application API key created under Admin > API Keys',
+  },
+  client: {
+    type: 'http',
+    scheme: 'bearer',
+    description: 'Personal API key created on the account page, limited to the servers of its user',
+  },
+};
+
+function toOpenApiPath(path: string): string {
+  return path.replace(/:(\w+)/g, '{$1}');
+}
+
+function pathParameters(path: string): string[] {
+  return [...path.matchAll(/:(\w+)/g)].map((match) => match[1]);
+}
+
+function operationId(route: ApiRouteDefinition): string {
+  const words = route.path
+    .replace(/^\/api\//, '')
+    .split('/')
+    .map((part) => (part.startsWith(':') ? `by-${part.slice(1)}` : part));
+  return [route.method, ...words]
+    .join('-')
+    .replace(/[-_](\w)/g, (_match, char: string) => char.toUpperCase());
+}
+
+function resolveSchema(schema: JsonSchema): JsonSchema {
+  if (!schema.$ref) return schema;
+  return API_SCHEMAS[schema.$ref.split('/').pop() as string] ?? {};
+}
+
+/**
+ * Builds an example value for a schema from the examples of its properties
+ */
+export function exampleFor(schema: JsonSchema): unknown {
+  const resolved = resolveSchema(schema);
+  if (resolved.example !== undefined) return resolved.example;
+
+  switch (resolved.type) {
+  case 'object': {
+    const example: Record<string, unknown> = {};
+    for (const [name, property] of Object.entries(resolved.properties ?? {})) {
+      const value = exampleFor(property);
+      if (value !== undefined) example[name] = value;
+    }
+    return example;
+  }
+  case 'array':
+    return resolved.items ? [exampleFor(resolved.items)] : [];
+  default:
+    return undefined;
+  }
+}
+
+function describeAccess(route: DocumentedApiRoute): string | undefined {
+  if (route.permission) return `Requires the ${route.permission} permission.`;
+  if (route.serverPermission) {
+    return `Requires the ${route.serverPermission} permission on the server, both for the user and the key.`;
+  }
+  return undefined;
+}
+
+function toParameter(parameter: ApiParameter, location: 'query' | 'path') {
+  return {
+    name: parameter.name,
+    in: location,
+    required: location === 'path' || Boolean(parameter.required),
+    description: parameter.description,
+    schema: parameter.schema,
+  };
+}
+
+function buildOperation(route: DocumentedApiRoute) {
+  const parameters = [
+    ...pathParameters(route.path).map((name) =>
+      toParameter({ name, description: `The ${name} of the resource`, schema: { type: 'string' } }, 'path'),
+    ),
+    ...(route.query ?? []).map((parameter) => toParameter(parameter, 'query')),
+  ];
+
+  const errorContent = (schema: string) => ({
+    'application/json': { schema: { $ref: `#/components/schemas/${schema}` } },
+  });
+
+  const responses: Record<string, unknown> = {
+    [route.response.status]: {
+      description: route.response.description,
+      ...(route.response.schema
+        ? {
+          content: {
+            [route.response.contentType ?? 'application/json']: {
+              schema: route.response.schema,
+              example: exampleFor(route.response.schema),
+            },
+          },
+        }
+        : {}),
+    },
+  };
+  if (route.body || route.query?.some((parameter) => parameter.required)) {
+    responses[400] = {
+      description: 'The request is not valid',
+      content: errorContent(route.path.startsWith('/api/v1/') ? 'ValidationError' : 'Error'),
+    };
+  }
+  if (route.auth !== 'none') {
+    responses[401] = { description: 'Missing or invalid API key', content: errorContent('Error') };
+    responses[403] = { description: 'The key lacks the required permission', content: errorContent('Error') };
+    responses[429] = {
+      description: 'The rate limit of the key is exceeded, retry after the Retry-After header',
+      content: errorContent('Error'),
+    };
+  }
+  if (pathParameters(route.path).length > 0) {
+    responses[404] = { description: 'Not found', content: errorContent('Error') };
+  }
+  responses[500] = { description: 'Unexpected error', content: errorContent('Error') };
+
+  return {
+    operationId: operationId(route),
+    summary: route.summary,
+    description: describeAccess(route),
+    tags: [route.tag],
+    security: route.auth === 'none' ? [] : [{ [route.auth]: [] }],
+    ...(route.permission ? { 'x-permission': route.permission } : {}),
+    ...(route.serverPermission ? { 'x-server-permission': route.serverPermission } : {}),
+    ...(parameters.length > 0 ? { parameters } : {}),
+    ...(route.body
+      ? {
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: route.body, example: exampleFor(route.body) } },
+        },
+      }
+      : {}),
+    responses,
+  };
+}
+
+interface RouteLayer {
+  route?: { path: string | string[]; methods: Record<string, boolean>; stack: RouteLayer[] };
+  handle?: { stack?: RouteLayer[]; apiAccess?: ApiRouteAccess };
+}
+
+function collectRoutes(stack: RouteLayer[], routes: RegisteredApiRoute[]): void {
+  for (const layer of stack) {
+    if (layer.route) {
+      const access: Partial<ApiRouteAccess> = {};
+      for (const handler of layer.route.stack) {
+        Object.assign(access, handler.handle?.apiAccess);
+      }
+
+      const paths = Array.isArray(layer.route.path) ? layer.route.path : [layer.route.path];
+      for (const path of paths) {
+        for (const method of Object.keys(layer.route.methods)) {
+          routes.push({
+            method,
+            path,
+            auth: access.auth ?? 'none',
+            ...(access.permission ? { permission: access.permission } : {}),
+            ...(access.serverPermission ? { serverPermission: access.serverPermission } : {}),
+          });
+        }
+      }
+    } else if (layer.handle?.stack) {
+      collectRoutes(layer.handle.stack, routes);
+    }
+  }
+}
+
+const routeKey = (route: { method: string; path: string }) => `${route.method.toUpperCase()} ${route.path}`;
+
+/**
+ * Lists the API routes registered on the app. The authentication and
+ * permission of each route are read from its validator middleware.
+ */
+export function collectApiRoutes(app: express.Application): RegisteredApiRoute[] {
+  const routes: RegisteredApiRoute[] = [];
+  collectRoutes((app as unknown as { _router?: { stack: RouteLayer[] } })._router?.stack ?? [], routes);
+  return routes.filter((route) => API_KEY_PREFIXES.some((prefix) => route.path.startsWith(prefix)));
+}
+
+/**
+ * Pairs the registered API routes with their documentation, in the order of
+ * the definitions. Routes without documentation are left out.
+ */
+function documentedApiRoutes(app: express.Application): DocumentedApiRoute[] {
+  const registered = new Map(collectApiRoutes(app).map((route) => [routeKey(route), route]));
+  return API_ROUTES.flatMap((definition) => {
+    const route = registered.get(routeKey(definition));
+    return route ? [{ ...definition, ...route, method: definition.method }] : [];
+  });
+}
+
+/**
+ * Generates the OpenAPI 3 document of the API routes registered on the app,
+ * documented by the route and schema definitions in apiDefinitions.ts.
+ * @param app The app the API routers are mounted on
+ * @param version Version of the panel, used as the API version
+ */
+export function buildOpenApiSpec(app: express.Application, version: string) {
+  const paths: Record<string, Record<string, unknown>> = {};
+  const routes = documentedApiRoutes(app);
+
+  for (const route of routes) {
+    if (route.permission && !permissions.includes(route.permission)) {
+      logger.warn(`API route ${routeKey(route)} uses unregistered permission ${route.permission}`);
+    }
+
+    const path = toOpenApiPath(route.path);
+    paths[path] = { ...paths[path], [route.method]: buildOperation(route) };
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'AirLink API',
+      version,
+      description: 'Errors are returned as `{ "error": "..." }`. Validation errors of the v1 API also list `details`.',
+    },
+    servers: [{ url: '/' }],
+    tags: [...new Set(routes.map((route) => route.tag))].map((name) => ({ name })),
+    paths,
+    components: {
+      schemas: API_SCHEMAS,
+      securitySchemes: SECURITY_SCHEMES,
+    },
+  };
+}
+
+/**
+ * Groups the documented API routes of the app by tag for the interactive explorer
+ */
+export function getApiExplorerEndpoints(app: express.Application) {
+  const categories = new Map<string, unknown[]>();
+
+  for (const route of documentedApiRoutes(app)) {
+    const endpoints = categories.get(route.tag) ?? [];
+    endpoints.push({
+      method: route.method.toUpperCase(),
+      path: route.path,
+      description: [route.summary, describeAccess(route)].filter(Boolean).join(' '),
+      auth: route.auth,
+      permission: route.permission ?? '',
+      serverPermission: route.serverPermission ?? '',
+      query: route.query ?? [],
+      requestExample: route.body ? JSON.stringify(exampleFor(route.body), null, 2) : undefined,
+      responseExample: route.response.schema
+        ? JSON.stringify(exampleFor(route.response.schema), null, 2)
+        : `${route.response.status} ${route.response.description}`,
+    });
+    categories.set(route.tag, endpoints);
+  }
+
+  return [...categories.entries()].map(([category, endpoints]) => ({ category, endpoints }));
+}
+
+/**
+ * Compares the API routes registered on the app with the route definitions.
+ * @returns Registered routes missing from the spec and documented routes
+ * that are not registered
+ */
+export function findUndocumentedApiRoutes(app: express.Application): { undocumented: string[]; missing: string[] } {
+  const registered = new Set(collectApiRoutes(app).map(routeKey));
+  const documented = new Set(API_ROUTES.map(routeKey));
+
+  return {
+    undocumented: [...registered].filter((route) => !documented.has(route)),
+    missing: [...documented].filter((route) => !registered.has(route)),
+  };
+}
+
+/**
+ * Logs a warning for every API route the OpenAPI document is out of date
+ * for. The test suite fails on the same check.
+ */
+export function checkApiSpecCoverage(app: express.Application): void {
+  const { undocumented, missing } = findUndocumentedApiRoutes(app);
+
+  for (const route of undocumented) {
+    logger.warn(`API route ${route} is missing from the OpenAPI definitions`);
+  }
+  for (const route of missing) {
+    logger.warn(`OpenAPI definition ${route} has no matching route`);
+  }
+}
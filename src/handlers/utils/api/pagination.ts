@@ -0,0 +1,46 @@
+export const DEFAULT_PER_PAGE = 50;
+
+export const MAX_PER_PAGE = 100;
+
+export interface Pagination {
+  page: number;
+  perPage: number;
+  skip: number;
+  take: number;
+}
+
+/**
+ * Reads `page` and `per_page` from a query string, clamping them to sane
+ * values so a bad value falls back to the first page instead of failing.
+ */
+export function parsePagination(query: Record<string, unknown>): Pagination {
+  const page = Math.max(1, parseInt(String(query.page)) || 1);
+  const perPage = Math.min(
+    MAX_PER_PAGE,
+    Math.max(1, parseInt(String(query.per_page)) || DEFAULT_PER_PAGE),
+  );
+
+  return { page, perPage, skip: (page - 1) * perPage, take: perPage };
+}
+
+/**
+ * Builds the `meta` block returned next to `data` by paginated list endpoints
+ */
+export function paginationMeta(pagination: Pagination, total: number) {
+  return {
+    page: pagination.page,
+    perPage: pagination.perPage,
+    total,
+    totalPages: Math.ceil(total / pagination.perPage),
+  };
+}
+
+/**
+ * Reads a boolean filter from a query string.
+ * @returns undefined when the filter is not set
+ */
+export function parseBooleanFilter(value: unknown): boolean | undefined {
+  if (value === 'true' || value === '1') return true;
+  if (value === 'false' || value === '0') return false;
+  return undefined;
+}
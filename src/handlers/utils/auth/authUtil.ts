@@ -1,5 +1,6 @@
 import { Request, Response, NextFunction } from 'express';
 import { PrismaClient } from '@prisma/client';
+import { isTwoFactorEnrollmentRequired } from './twoFactor';
 
 const prisma = new PrismaClient();
 
@@ -8,6 +9,7 @@ const prisma = new PrismaClient();
  * If `isAdminRequired` is true, it checks if the user has admin privileges.
  * If not authenticated, redirects to the /login page.
  * If authenticated but not an admin (when required), redirects to the / page.
+ * Admins who must enrol in two-factor authentication are sent to /account.
  */
 
 export const isAuthenticated =
@@ -54,5 +56,9 @@ export const isAuthenticated =
       if (isAdminRequired && !user.isAdmin) {
         return res.redirect('/');
       }
+
+      if (isAdminRequired && await isTwoFactorEnrollmentRequired(user)) {
+        return res.redirect('/account?err=2fa_required');
+      }
       next();
     };
\ No newline at end of file
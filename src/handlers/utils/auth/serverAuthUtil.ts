@@ -4,16 +4,29 @@ import { WebSocket } from 'ws';
 import bcrypt from 'bcrypt';
 
 import logger from '../../logger';
+import { withApiAccess } from '../api/apiValidator';
+import {
+  ServerPermission,
+  getServerAccess,
+  sanitizeServerPermissions,
+} from '../server/serverPermissions';
 
 /**
- * Middleware to check if the user is authenticated and either admin or owner of the server.
- * Redirects to `/redirected` if the user does not have the required permissions.
+ * Middleware to check if the user is authenticated and is an admin, the owner
+ * of the server, or a sub-user holding `requiredPermission`.
+ * Page requests are redirected to `/`, other requests get a 403 JSON error.
+ *
+ * The resolved permissions are exposed to views as `serverPermissions`.
  *
  * @param {string} serverIdParam - Name of the parameter containing the server ID (default: 'id').
+ * @param {ServerPermission | null} requiredPermission - Permission a sub-user needs (null allows any sub-user).
  * @returns {Function} Express middleware function.
  */
 export const isAuthenticatedForServer =
-  (serverIdParam: string = 'id') =>
+  (
+    serverIdParam: string = 'id',
+    requiredPermission: ServerPermission | null = null,
+  ) =>
     async (req: Request, res: Response, next: NextFunction): Promise<void> => {
       const prisma = new PrismaClient();
 
@@ -33,20 +46,24 @@ export const isAuthenticatedForServer =
           res.redirect('/login');
           return;
         }
-        if (user.isAdmin) {
+
+        const serverId = req.params[serverIdParam];
+        const access = await getServerAccess(prisma, userId, serverId);
+
+        if (
+          access &&
+          (!requiredPermission || access.permissions.includes(requiredPermission))
+        ) {
+          res.locals.serverPermissions = access.permissions;
+          res.locals.serverAccess = access;
           next();
           return;
         }
 
-        const serverId = req.params[serverIdParam];
-
-        const server = await prisma.server.findUnique({
-          where: { UUID: serverId },
-          include: { owner: true },
-        });
-
-        if (server?.ownerId === userId) {
-          next();
+        if (access && req.method !== 'GET') {
+          res
+            .status(403)
+            .json({ error: 'You do not have permission to perform this action' });
           return;
         }
 
@@ -59,8 +76,83 @@ export const isAuthenticatedForServer =
       }
     };
 
+/**
+ * Middleware for client API routes, used after `clientApiValidator`. The user
+ * behind the API key needs to own the server or be a sub-user of it, even if
+ * they are an admin, and hold `requiredPermission`, which the key must also be
+ * scoped to. Servers the user cannot access answer 404.
+ *
+ * The permissions left for the key are exposed as `res.locals.serverAccess`.
+ *
+ * @param {string} serverIdParam - Name of the parameter containing the server ID (default: 'id').
+ * @param {ServerPermission | null} requiredPermission - Permission needed (null allows any access).
+ * @returns {Function} Express middleware function.
+ */
+export const isApiKeyAuthorizedForServer =
+  (
+    serverIdParam: string = 'id',
+    requiredPermission: ServerPermission | null = null,
+  ) =>
+    withApiAccess(async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+      const prisma = new PrismaClient();
+      const userId = req.apiKey?.userId;
+
+      if (!userId) {
+        res.status(401).json({ error: 'Unauthorized: Invalid API Key' });
+        return;
+      }
+
+      try {
+        const serverId = req.params[serverIdParam];
+        // Client keys reach the servers the user owns or is a sub-user of, as
+        // listed by the client API; reaching every server takes an application key
+        const access = await getServerAccess(prisma, userId, serverId, { adminAccess: false });
+        if (!access) {
+          res.status(404).json({ error: 'Server not found' });
+          return;
+        }
+
+        let scopes: ServerPermission[] = [];
+        try {
+          scopes = sanitizeServerPermissions(JSON.parse(req.apiKey?.permissions || '[]'));
+        } catch {
+          scopes = [];
+        }
+        const permissions = access.permissions.filter((permission) => scopes.includes(permission));
+
+        if (requiredPermission && !permissions.includes(requiredPermission)) {
+          res.status(403).json({
+            error: 'Forbidden: API Key does not have the required permission',
+            requiredPermission,
+          });
+          return;
+        }
+
+        res.locals.serverAccess = { ...access, permissions };
+        next();
+      } catch (error) {
+        logger.error('Error in isApiKeyAuthorizedForServer middleware:', error);
+        res.status(500).json({ error: 'Internal Server Error' });
+      } finally {
+        await prisma.$disconnect();
+      }
+    }, { auth: 'client', serverPermission: requiredPermission ?? undefined });
+
+/**
+ * WebSocket counterpart of `isAuthenticatedForServer`. Connections without a
+ * session may pass `?userId=` with the user's password as `passwordParam`,
+ * except for users with two-factor authentication enabled.
+ *
+ * @param {string} serverIdParam - Name of the parameter containing the server ID (default: 'id').
+ * @param {string} passwordParam - Name of the parameter containing the password (default: 'password').
+ * @param {ServerPermission | null} requiredPermission - Permission a sub-user needs (null allows any sub-user).
+ */
 export const isAuthenticatedForServerWS =
-  (serverIdParam: string = 'id', passwordParam: string = 'password') =>
+  (
+    serverIdParam: string = 'id',
+    passwordParam: string = 'password',
+    requiredPermission: ServerPermission | null = null,
+  ) =>
     async (ws: WebSocket, req: any, next: NextFunction): Promise<void> => {
       const prisma = new PrismaClient();
       const userId = req.session?.user?.id || +req.query.userId;
@@ -77,27 +169,27 @@ export const isAuthenticatedForServerWS =
           ws.close();
           return;
         }
-        if (user.isAdmin) {
-          next();
-          return;
-        }
 
         const serverId = req.params[serverIdParam];
-        const server = await prisma.server.findUnique({
-          where: { UUID: serverId },
-          include: { owner: true },
-        });
+        const access = await getServerAccess(prisma, userId, serverId);
+        const allowed =
+          !!access &&
+          (!requiredPermission || access.permissions.includes(requiredPermission));
+
+        if (!allowed) {
+          ws.close();
+          return;
+        }
 
-        if (server?.ownerId === req.session?.user?.id) {
+        if (userId === req.session?.user?.id) {
           next();
           return;
         }
 
-        if (password && server?.owner?.password) {
-          const isPasswordValid = await bcrypt.compare(
-            password,
-            server.owner.password,
-          );
+        // Requests without a session authenticate with the user's own password,
+        // which is not enough for accounts that need a second factor to log in
+        if (password && !user.twoFactorEnabled) {
+          const isPasswordValid = await bcrypt.compare(password, user.password);
           if (isPasswordValid) {
             next();
             return;
@@ -0,0 +1,90 @@
+import crypto from 'crypto';
+import { PrismaClient, Users } from '@prisma/client';
+import { generateRecoveryCodes, verifyTotpCode } from './totp';
+
+const prisma = new PrismaClient();
+
+function hashRecoveryCode(code: string): string {
+  return crypto
+    .createHash('sha256')
+    .update(code.trim().toLowerCase())
+    .digest('hex');
+}
+
+/**
+ * Generates a fresh set of recovery codes.
+ * @returns The plain codes to show the user once, and the hashes to store
+ */
+export function createRecoveryCodes(): { codes: string[]; hashes: string } {
+  const codes = generateRecoveryCodes();
+  return { codes, hashes: JSON.stringify(codes.map(hashRecoveryCode)) };
+}
+
+/**
+ * Verifies a second factor for a user, either an authenticator code or one of
+ * their recovery codes. Authenticator codes cannot be reused within their
+ * time step and recovery codes are removed once used.
+ */
+export async function verifyTwoFactor(
+  user: Users,
+  code: string,
+): Promise<{ valid: boolean; usedRecoveryCode: boolean }> {
+  if (!user.twoFactorEnabled || !user.twoFactorSecret || !code) {
+    return { valid: false, usedRecoveryCode: false };
+  }
+
+  const step = verifyTotpCode(user.twoFactorSecret, code);
+  if (step !== null) {
+    if (user.twoFactorLastStep !== null && step <= user.twoFactorLastStep) {
+      return { valid: false, usedRecoveryCode: false };
+    }
+
+    await prisma.users.update({
+      where: { id: user.id },
+      data: { twoFactorLastStep: step },
+    });
+    return { valid: true, usedRecoveryCode: false };
+  }
+
+  let hashes: string[] = [];
+  try {
+    hashes = JSON.parse(user.twoFactorRecoveryCodes || '[]');
+  } catch {
+    hashes = [];
+  }
+
+  const hash = hashRecoveryCode(code);
+  if (!hashes.includes(hash)) {
+    return { valid: false, usedRecoveryCode: false };
+  }
+
+  await prisma.users.update({
+    where: { id: user.id },
+    data: {
+      twoFactorRecoveryCodes: JSON.stringify(hashes.filter((entry) => entry !== hash)),
+    },
+  });
+  return { valid: true, usedRecoveryCode: true };
+}
+
+/**
+ * Whether an admin must enrol in two-factor authentication before using the
+ * admin area.
+ */
+export async function isTwoFactorEnrollmentRequired(user: Users): Promise<boolean> {
+  if (!user.isAdmin || user.twoFactorEnabled) return false;
+
+  const settings = await prisma.settings.findUnique({ where: { id: 1 } });
+  return settings?.requireAdminTwoFactor === true;
+}
+
+/**
+ * Number of recovery codes a user has left.
+ */
+export function countRecoveryCodes(user: Users): number {
+  try {
+    return JSON.parse(user.twoFactorRecoveryCodes || '[]').length;
+  } catch {
+    return 0;
+  }
+}
@@ -0,0 +1,150 @@
+import { Request, Response, NextFunction } from 'express';
+import { PrismaClient } from '@prisma/client';
+import logger from '../../logger';
+
+const prisma = new PrismaClient();
+
+// Fields that must never end up in the audit log
+const REDACTED_FIELDS = [
+  'password',
+  'key',
+  'token',
+  'secret',
+  '_csrf',
+  'twofactorsecret',
+  'twofactorrecoverycodes',
+];
+
+export interface AuditEntry {
+  action: string;
+  targetType?: string;
+  targetId?: string | number | null;
+  before?: unknown;
+  after?: unknown;
+  metadata?: unknown;
+}
+
+/**
+ * Makes a value safe to store: redacts secrets, stringifies BigInts and
+ * drops anything that cannot be serialised.
+ */
+export function sanitizeForAudit(value: unknown): unknown {
+  if (value === undefined || value === null) return null;
+
+  try {
+    return JSON.parse(
+      JSON.stringify(value, (field, fieldValue) => {
+        if (REDACTED_FIELDS.includes(field.toLowerCase()) && fieldValue) {
+          return '[redacted]';
+        }
+        if (typeof fieldValue === 'bigint') return fieldValue.toString();
+        return fieldValue;
+      }),
+    );
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Reduces two snapshots of a record to the top-level fields that changed.
+ * Only fields present in `after` are compared, so included relations on the
+ * "before" snapshot are ignored.
+ */
+export function diffForAudit(
+  before: unknown,
+  after: unknown,
+): { before: Record<string, unknown>; after: Record<string, unknown> } {
+  const oldValues = (sanitizeForAudit(before) || {}) as Record<string, unknown>;
+  const newValues = (sanitizeForAudit(after) || {}) as Record<string, unknown>;
+  const changedBefore: Record<string, unknown> = {};
+  const changedAfter: Record<string, unknown> = {};
+
+  Object.keys(newValues).forEach((field) => {
+    if (JSON.stringify(oldValues[field]) !== JSON.stringify(newValues[field])) {
+      changedBefore[field] = oldValues[field] ?? null;
+      changedAfter[field] = newValues[field] ?? null;
+    }
+  });
+
+  return { before: changedBefore, after: changedAfter };
+}
+
+/**
+ * Records an audit log entry for the user or API key behind the request.
+ * Failures are logged and swallowed so auditing never breaks an action.
+ */
+export async function recordAudit(req: Request, entry: AuditEntry): Promise<void> {
+  try {
+    let actorType = 'system';
+    let actorId: number | null = null;
+    let actorName: string | null = null;
+
+    if (req.apiKey) {
+      actorType = 'apiKey';
+      actorId = req.apiKey.id;
+      actorName = req.apiKey.name;
+    } else if (req.session?.user) {
+      actorType = 'user';
+      actorId = req.session.user.id;
+      actorName = req.session.user.username || req.session.user.email;
+    }
+
+    let before = entry.before;
+    let after = entry.after;
+    if (before !== undefined && after !== undefined) {
+      ({ before, after } = diffForAudit(before, after));
+    }
+
+    await prisma.auditLog.create({
+      data: {
+        actorType,
+        actorId,
+        actorName,
+        action: entry.action,
+        targetType: entry.targetType || null,
+        targetId: entry.targetId != null ? String(entry.targetId) : null,
+        before: before !== undefined ? JSON.stringify(sanitizeForAudit(before)) : null,
+        after: after !== undefined ? JSON.stringify(sanitizeForAudit(after)) : null,
+        metadata: entry.metadata !== undefined ? JSON.stringify(sanitizeForAudit(entry.metadata)) : null,
+        ipAddress: req.ip || null,
+        userAgent: req.get('user-agent') || null,
+      },
+    });
+  } catch (error) {
+    logger.error('Error recording audit log entry:', error);
+  }
+}
+
+/**
+ * Middleware that records an audit entry once the route responds
+ * successfully (any status below 400). The request body is stored as the
+ * "after" value, with secrets redacted.
+ *
+ * @param action - Action name, e.g. 'server.power'.
+ * @param targetType - Kind of record the route acts on.
+ * @param targetParam - Route parameter holding the target id (default: 'id').
+ * @param includeBody - Set to false for routes whose body is file content.
+ */
+export const auditAction =
+  (action: string, targetType?: string, targetParam: string = 'id', includeBody: boolean = true) =>
+    (req: Request, res: Response, next: NextFunction): void => {
+      // Router params are reset once the route finishes, so keep a copy
+      const params = { ...req.params };
+
+      res.on('finish', () => {
+        if (res.statusCode >= 400) return;
+
+        const body = includeBody && req.body && Object.keys(req.body).length > 0
+          ? req.body
+          : undefined;
+        recordAudit(req, {
+          action,
+          targetType,
+          targetId: params[targetParam] ?? null,
+          after: body,
+          metadata: Object.keys(params).length > 0 ? params : undefined,
+        });
+      });
+      next();
+    };
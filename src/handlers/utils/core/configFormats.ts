@@ -0,0 +1,419 @@
+export type ConfigFormat = 'properties' | 'yaml' | 'json';
+export type ConfigValue = string | number | boolean;
+
+export const CONFIG_FORMATS: ConfigFormat[] = ['properties', 'yaml', 'json'];
+
+const EXTENSION_FORMATS: Record<string, ConfigFormat> = {
+  properties: 'properties',
+  yml: 'yaml',
+  yaml: 'yaml',
+  json: 'json',
+};
+
+// `key: value` lines of a block mapping, the key plain or quoted
+const YAML_KEY_LINE = /^( *)("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"[\]{}](?:[^:#]|:(?=\S)|(?<=\S)#)*?)(\s*:)(?=\s|$)(.*)$/;
+// Plain YAML scalars that would be read back as something other than the same string
+const YAML_SPECIAL = /^(?:true|false|yes|no|on|off|y|n|null|~|[-+]?(?:\d[\d_]*(?:\.\d*)?|\.\d+)(?:e[-+]?\d+)?|[-+]?\.inf|\.nan|0x[\da-f]+|0o?[0-7]+)$/i;
+
+/**
+ * The format of a config file from its extension, or null if it has none
+ * the editor understands
+ */
+export function configFormatOf(file: string): ConfigFormat | null {
+  const extension = file.split('.').pop()?.toLowerCase() || '';
+  return EXTENSION_FORMATS[extension] ?? null;
+}
+
+function splitLines(content: string): { lines: string[]; eol: string } {
+  return { lines: content.split(/\r?\n/), eol: content.includes('\r\n') ? '\r\n' : '\n' };
+}
+
+function withNewLine(lines: string[], eol: string): string {
+  const content = lines.join(eol);
+  return content === '' || content.endsWith(eol) ? content : content + eol;
+}
+
+// .properties
+
+interface PropertyLine {
+  key: string;
+  start: number;
+  end: number;
+  prefix: string;
+  value: string;
+}
+
+function isContinued(line: string): boolean {
+  const backslashes = /\\*$/.exec(line)?.[0].length ?? 0;
+  return backslashes % 2 === 1;
+}
+
+function unescapeProperty(text: string): string {
+  return text.replace(/\\(u[\da-fA-F]{4}|.)/g, (_match, escaped: string) => {
+    if (escaped.length === 5) return String.fromCharCode(parseInt(escaped.slice(1), 16));
+    return { t: '\t', n: '\n', r: '\r', f: '\f' }[escaped] ?? escaped;
+  });
+}
+
+function escapeProperty(value: string): string {
+  return value
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t')
+    .replace(/^[ \f]/, (space) => `\\${space}`)
+    .replace(/[^\x20-\x7e]/g, (char) => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
+// The logical lines that set a key, continuation lines joined
+function parseProperties(lines: string[]): PropertyLine[] {
+  const entries: PropertyLine[] = [];
+  for (let start = 0; start < lines.length; start++) {
+    let end = start;
+    let text = lines[start].replace(/^[ \t\f]+/, '');
+    while (isContinued(lines[end]) && end + 1 < lines.length) {
+      text = text.slice(0, -1) + lines[end + 1].replace(/^[ \t\f]+/, '');
+      end++;
+    }
+
+    if (text !== '' && text[0] !== '#' && text[0] !== '!') {
+      const match = /^((?:[^\\:=\s]|\\.)*)([ \t\f]*[:=]?[ \t\f]*)/.exec(text)!;
+      entries.push({
+        key: unescapeProperty(match[1]),
+        start,
+        end,
+        prefix: lines[start].slice(0, lines[start].length - lines[start].trimStart().length) + match[1] + match[2],
+        value: unescapeProperty(text.slice(match[0].length)),
+      });
+    }
+    start = end;
+  }
+  return entries;
+}
+
+// .yml / .yaml
+
+interface YamlKey {
+  path: string;
+  indent: number;
+  line: number;
+  // Last line of the block under the key, comments after it excluded
+  end: number;
+  prefix: string;
+  value: string;
+  quote: string;
+  comment: string;
+}
+
+function unquoteYamlKey(key: string): string {
+  if (key.startsWith('\'')) return key.slice(1, -1).replace(/''/g, '\'');
+  if (key.startsWith('"')) {
+    try {
+      return JSON.parse(key);
+    } catch {
+      return key.slice(1, -1);
+    }
+  }
+  return key;
+}
+
+// Splits what follows the colon into its scalar and the comment after it
+function splitYamlValue(rest: string): { space: string; value: string; comment: string } {
+  const space = /^\s*/.exec(rest)![0];
+  const text = rest.slice(space.length);
+  let length = text.length;
+
+  if (text.startsWith('"') || text.startsWith('\'')) {
+    const closing = text.startsWith('"') ? /^"(?:[^"\\]|\\.)*"/ : /^'(?:[^']|'')*'/;
+    const match = closing.exec(text);
+    if (match) length = match[0].length;
+  } else {
+    const comment = /(^|\s)#/.exec(text);
+    if (comment) length = comment.index;
+  }
+
+  const value = text.slice(0, length).trimEnd();
+  return { space, value, comment: text.slice(value.length) };
+}
+
+function parseYamlScalar(value: string): string {
+  if (value.startsWith('\'')) return value.slice(1, -1).replace(/''/g, '\'');
+  if (value.startsWith('"')) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return value.slice(1, -1);
+    }
+  }
+  return value;
+}
+
+function formatYamlScalar(value: ConfigValue, quote: string): string {
+  if (typeof value !== 'string') return String(value);
+  if (quote === '"') return JSON.stringify(value);
+  const plain = value !== '' &&
+    value === value.trim() &&
+    !YAML_SPECIAL.test(value) &&
+    !/^[-?:,[\]{}#&*!|>'"%@`]/.test(value) &&
+    !/:\s|\s#|[\n\r\t]/.test(value);
+  if (plain && quote !== '\'') return value;
+  return /[\n\r\t]/.test(value) ? JSON.stringify(value) : `'${value.replace(/'/g, '\'\'')}'`;
+}
+
+function isYamlContent(line: string): boolean {
+  const text = line.trim();
+  return text !== '' && !text.startsWith('#');
+}
+
+function indentOf(line: string): number {
+  return line.length - line.trimStart().length;
+}
+
+/**
+ * Finds the keys of the block mappings in a YAML file with their dotted
+ * paths. Keys inside lists, flow collections and multi-line scalars are
+ * not addressable and are skipped.
+ */
+function parseYaml(lines: string[]): YamlKey[] {
+  const keys: YamlKey[] = [];
+  const parents: YamlKey[] = [];
+  let skipDeeperThan = -1;
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+    if (!isYamlContent(line) || /^(---|\.\.\.)(\s|$)/.test(line)) continue;
+
+    const indent = indentOf(line);
+    if (skipDeeperThan >= 0) {
+      if (indent > skipDeeperThan) continue;
+      skipDeeperThan = -1;
+    }
+
+    if (/^-(\s|$)/.test(line.trimStart())) {
+      skipDeeperThan = indent;
+      continue;
+    }
+
+    const match = YAML_KEY_LINE.exec(line);
+    if (!match) {
+      skipDeeperThan = indent;
+      continue;
+    }
+
+    while (parents.length > 0 && parents[parents.length - 1].indent >= indent) parents.pop();
+    const { space, value, comment } = splitYamlValue(match[4]);
+    const key: YamlKey = {
+      path: parents.length > 0
+        ? `${parents[parents.length - 1].path}.${unquoteYamlKey(match[2])}`
+        : unquoteYamlKey(match[2]),
+      indent,
+      line: index,
+      end: index,
+      prefix: match[1] + match[2] + match[3] + space,
+      value,
+      quote: value.startsWith('"') || value.startsWith('\'') ? value[0] : '',
+      comment,
+    };
+    keys.push(key);
+
+    if (value === '') {
+      parents.push(key);
+    } else if (/^[|>[{]/.test(value)) {
+      // Block scalars and flow collections may continue on deeper lines
+      skipDeeperThan = indent;
+    }
+  }
+
+  // A block ends at the next content line that is not deeper, except for
+  // list items, which may sit at the indent of their key
+  for (const key of keys) {
+    for (let index = key.line + 1; index < lines.length; index++) {
+      const line = lines[index];
+      if (!isYamlContent(line)) continue;
+      const indent = indentOf(line);
+      if (indent < key.indent || (indent === key.indent && !/^-(\s|$)/.test(line.trimStart()))) break;
+      key.end = index;
+    }
+  }
+  return keys;
+}
+
+// Sets a value in place, or returns why the file cannot hold it
+function setYamlValue(lines: string[], keys: YamlKey[], path: string, value: ConfigValue): string | null {
+  const existing = keys.find((key) => key.path === path);
+  if (existing) {
+    if (existing.value === '' && existing.end > existing.line) {
+      return `${path} is a section, not a value`;
+    }
+    if (existing.value !== '' && /^[|>[{&*!]/.test(existing.value)) {
+      return `${path} is not a plain value and can only be changed in the file editor`;
+    }
+    const comment = existing.comment ? ` ${existing.comment.trimStart()}` : '';
+    lines[existing.line] = `${existing.prefix.trimEnd()} ${formatYamlScalar(value, existing.quote)}${comment}`;
+    return null;
+  }
+
+  // Add the missing keys under the deepest section that exists
+  const segments = path.split('.');
+  let parent: YamlKey | undefined;
+  let depth = segments.length - 1;
+  for (; depth > 0; depth--) {
+    parent = keys.find((key) => key.path === segments.slice(0, depth).join('.'));
+    if (parent) break;
+  }
+  if (parent && parent.value !== '') {
+    return `${parent.path} is not a section, ${path} cannot be added`;
+  }
+
+  const child = parent ? keys.find((key) => key.line > parent!.line && key.line <= parent!.end) : undefined;
+  const step = parent ? Math.max(2, (child?.indent ?? parent.indent + 2) - parent.indent) : 2;
+  const baseIndent = parent ? parent.indent + step : 0;
+  const added = segments.slice(depth).map((segment, offset) => {
+    const key = /^[\w-]+$/.test(segment) ? segment : formatYamlScalar(segment, '\'');
+    const indent = ' '.repeat(baseIndent + offset * step);
+    return offset === segments.length - depth - 1
+      ? `${indent}${key}: ${formatYamlScalar(value, '')}`
+      : `${indent}${key}:`;
+  });
+
+  if (parent) {
+    lines.splice(parent.end + 1, 0, ...added);
+  } else {
+    while (lines.length > 0 && lines[lines.length - 1] === '') lines.pop();
+    lines.push(...added);
+  }
+  return null;
+}
+
+// .json
+
+function readJsonPath(data: unknown, path: string): unknown {
+  let current = data;
+  for (const segment of path.split('.')) {
+    if (!current || typeof current !== 'object' || Array.isArray(current)) return undefined;
+    current = (current as Record<string, unknown>)[segment];
+  }
+  return current;
+}
+
+function parseJsonConfig(content: string): { data: Record<string, unknown> } | { error: string } {
+  if (!content.trim()) return { data: {} };
+  let data: unknown;
+  try {
+    data = JSON.parse(content);
+  } catch {
+    return { error: 'The file is not valid JSON' };
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { error: 'The file does not hold a JSON object' };
+  }
+  return { data: data as Record<string, unknown> };
+}
+
+/**
+ * Reads the values of the given keys from a config file. Keys of YAML and
+ * JSON files are dotted paths. Properties and YAML values are returned as
+ * the text in the file, missing keys are left out.
+ */
+export function readConfigValues(
+  format: ConfigFormat,
+  content: string,
+  keys: string[],
+): { values: Record<string, unknown> } | { error: string } {
+  const values: Record<string, unknown> = {};
+
+  if (format === 'json') {
+    const parsed = parseJsonConfig(content);
+    if ('error' in parsed) return parsed;
+    for (const key of keys) {
+      const value = readJsonPath(parsed.data, key);
+      if (value !== undefined) values[key] = value;
+    }
+    return { values };
+  }
+
+  const { lines } = splitLines(content);
+  if (format === 'properties') {
+    // The last line for a key wins, like Java reads it
+    for (const entry of parseProperties(lines)) {
+      if (keys.includes(entry.key)) values[entry.key] = entry.value;
+    }
+    return { values };
+  }
+
+  for (const key of parseYaml(lines)) {
+    if (keys.includes(key.path) && key.value !== '' && !/^[|>[{&*!]/.test(key.value)) {
+      values[key.path] = parseYamlScalar(key.value);
+    }
+  }
+  return { values };
+}
+
+/**
+ * Writes values into a config file. Comments, unknown keys and the order
+ * of the file are kept, keys that are missing are added at the end of
+ * their section.
+ */
+export function applyConfigValues(
+  format: ConfigFormat,
+  content: string,
+  values: Record<string, ConfigValue>,
+): { content: string } | { error: string } {
+  if (format === 'json') {
+    const parsed = parseJsonConfig(content);
+    if ('error' in parsed) return parsed;
+    const { data } = parsed;
+    for (const [path, value] of Object.entries(values)) {
+      const segments = path.split('.');
+      let current: Record<string, unknown> = data;
+      for (const segment of segments.slice(0, -1)) {
+        const next = current[segment];
+        if (next === undefined) {
+          current[segment] = {};
+        } else if (!next || typeof next !== 'object' || Array.isArray(next)) {
+          return { error: `${path} cannot be set, ${segment} is not an object` };
+        }
+        current = current[segment] as Record<string, unknown>;
+      }
+      current[segments[segments.length - 1]] = value;
+    }
+    const indent = /^[ \t]+(?=")/m.exec(content)?.[0] ?? '  ';
+    const eol = content.includes('\r\n') ? '\r\n' : '\n';
+    return { content: JSON.stringify(data, null, indent).replace(/\n/g, eol) + eol };
+  }
+
+  const { lines, eol } = splitLines(content);
+  if (lines.length === 1 && lines[0] === '') lines.pop();
+
+  if (format === 'properties') {
+    const entries = parseProperties(lines);
+    const added: string[] = [];
+    for (const [key, value] of Object.entries(values)) {
+      const escaped = escapeProperty(String(value));
+      const entry = entries.filter((candidate) => candidate.key === key).pop();
+      if (entry) {
+        lines.splice(entry.start, entry.end - entry.start + 1, entry.prefix + escaped);
+        // Later entries moved up with the joined continuation lines
+        const removed = entry.end - entry.start;
+        for (const other of entries) {
+          if (other.start > entry.start) {
+            other.start -= removed;
+            other.end -= removed;
+          }
+        }
+        entry.end = entry.start;
+      } else {
+        added.push(`${key}=${escaped}`);
+      }
+    }
+    while (added.length > 0 && lines.length > 0 && lines[lines.length - 1] === '') lines.pop();
+    return { content: withNewLine([...lines, ...added], eol) };
+  }
+
+  for (const [path, value] of Object.entries(values)) {
+    // Lines move when keys are added, so each change works on a fresh parse
+    const error = setYamlValue(lines, parseYaml(lines), path, value);
+    if (error) return { error };
+  }
+  return { content: withNewLine(lines, eol) };
+}
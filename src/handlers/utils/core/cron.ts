@@ -0,0 +1,168 @@
+/**
+ * Minimal five-field cron expression support (minute hour day-of-month month
+ * day-of-week). Each field accepts `*`, numbers, ranges (`1-5`), steps
+ * (`*\/15`, `0-30/5`) and comma separated lists. Day-of-week accepts 0-7
+ * where both 0 and 7 mean Sunday.
+ */
+
+interface CronField {
+  min: number;
+  max: number;
+}
+
+const FIELDS: CronField[] = [
+  { min: 0, max: 59 }, // minute
+  { min: 0, max: 23 }, // hour
+  { min: 1, max: 31 }, // day of month
+  { min: 1, max: 12 }, // month
+  { min: 0, max: 7 }, // day of week
+];
+
+export interface ParsedCron {
+  minutes: Set<number>;
+  hours: Set<number>;
+  daysOfMonth: Set<number>;
+  months: Set<number>;
+  daysOfWeek: Set<number>;
+  dayOfMonthRestricted: boolean;
+  dayOfWeekRestricted: boolean;
+}
+
+function parseField(value: string, field: CronField): Set<number> {
+  const result = new Set<number>();
+
+  for (const part of value.split(',')) {
+    const [rangePart, stepPart] = part.split('/');
+    const step = stepPart === undefined ? 1 : Number(stepPart);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${stepPart}" in cron field "${value}"`);
+    }
+
+    let start: number;
+    let end: number;
+    if (rangePart === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (rangePart.includes('-')) {
+      const [from, to] = rangePart.split('-');
+      start = Number(from);
+      end = Number(to);
+    } else {
+      start = Number(rangePart);
+      end = stepPart === undefined ? start : field.max;
+    }
+
+    if (
+      !Number.isInteger(start) ||
+      !Number.isInteger(end) ||
+      start < field.min ||
+      end > field.max ||
+      start > end
+    ) {
+      throw new Error(`Invalid value "${part}" in cron field "${value}"`);
+    }
+
+    for (let i = start; i <= end; i += step) {
+      result.add(i);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Parses a cron expression.
+ * @throws If the expression is not a valid five-field cron expression
+ */
+export function parseCronExpression(expression: string): ParsedCron {
+  const parts = expression.trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('Cron expression must have exactly 5 fields');
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map(
+    (part, index) => parseField(part, FIELDS[index]),
+  );
+
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.add(0);
+    daysOfWeek.delete(7);
+  }
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // A field matching every day, like `*` or `*/1`, does not restrict it
+    dayOfMonthRestricted: daysOfMonth.size < 31,
+    dayOfWeekRestricted: daysOfWeek.size < 7,
+  };
+}
+
+/**
+ * Checks whether a cron expression is valid.
+ */
+export function isValidCronExpression(expression: string): boolean {
+  try {
+    parseCronExpression(expression);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function matchesDay(cron: ParsedCron, date: Date): boolean {
+  const dayOfMonth = cron.daysOfMonth.has(date.getDate());
+  const dayOfWeek = cron.daysOfWeek.has(date.getDay());
+
+  // Same rule as classic cron: if both fields are restricted, either may match
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Calculates the next time (strictly after `from`) a cron expression fires,
+ * in the server's local time zone.
+ * @returns The next run, or null if none exists within the next 5 years
+ */
+export function getNextCronRun(
+  expression: string,
+  from: Date = new Date(),
+): Date | null {
+  const cron = parseCronExpression(expression);
+
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = new Date(from.getTime());
+  limit.setFullYear(limit.getFullYear() + 5);
+
+  while (date <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date;
+  }
+
+  return null;
+}
@@ -0,0 +1,61 @@
+export interface DiffLine {
+  type: 'same' | 'added' | 'removed';
+  line: string;
+}
+
+/**
+ * Compares two texts line by line. Lines shared at the start and end are
+ * skipped before the longest common subsequence is computed, which keeps
+ * small edits of large texts cheap.
+ */
+export function diffLines(before: string, after: string): DiffLine[] {
+  const oldLines = before === '' ? [] : before.split('\n');
+  const newLines = after === '' ? [] : after.split('\n');
+
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++;
+  }
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const oldMiddle = oldLines.slice(start, oldEnd);
+  const newMiddle = newLines.slice(start, newEnd);
+  const width = newMiddle.length + 1;
+  const lengths = new Uint32Array((oldMiddle.length + 1) * width);
+  for (let i = oldMiddle.length - 1; i >= 0; i--) {
+    for (let j = newMiddle.length - 1; j >= 0; j--) {
+      lengths[i * width + j] =
+        oldMiddle[i] === newMiddle[j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const middle: DiffLine[] = [];
+  let i = 0;
+  let j = 0;
+  while (i < oldMiddle.length && j < newMiddle.length) {
+    if (oldMiddle[i] === newMiddle[j]) {
+      middle.push({ type: 'same', line: oldMiddle[i] });
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      middle.push({ type: 'removed', line: oldMiddle[i++] });
+    } else {
+      middle.push({ type: 'added', line: newMiddle[j++] });
+    }
+  }
+  while (i < oldMiddle.length) middle.push({ type: 'removed', line: oldMiddle[i++] });
+  while (j < newMiddle.length) middle.push({ type: 'added', line: newMiddle[j++] });
+
+  return [
+    ...oldLines.slice(0, start).map((line): DiffLine => ({ type: 'same', line })),
+    ...middle,
+    ...oldLines.slice(oldEnd).map((line): DiffLine => ({ type: 'same', line })),
+  ];
+}
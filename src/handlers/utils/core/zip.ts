@@ -0,0 +1,78 @@
+import zlib from 'zlib';
+
+export interface ZipEntry {
+  name: string;
+  data: Buffer;
+}
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+/**
+ * Reads the files of a zip archive held in memory. Stored and deflated
+ * entries are supported, which covers archives made by common tools.
+ * @param maxSize Largest total size of the extracted files in bytes
+ * @param include Limits extraction to the entries it accepts by name
+ * @throws If the archive is invalid, encrypted or too large
+ */
+export function readZip(
+  buffer: Buffer,
+  maxSize = 50 * 1024 * 1024,
+  include?: (name: string) => boolean,
+): ZipEntry[] {
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw new Error('Not a zip archive');
+
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries: ZipEntry[] = [];
+  let totalSize = 0;
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error('Corrupt zip archive');
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/') || (include && !include(name))) continue;
+    if (flags & 1) throw new Error(`${name} is encrypted`);
+
+    totalSize += size;
+    if (totalSize > maxSize) throw new Error('Zip archive is too large once extracted');
+
+    if (buffer.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER) {
+      throw new Error('Corrupt zip archive');
+    }
+    const dataStart =
+      localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const compressed = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === 0) {
+      entries.push({ name, data: compressed });
+    } else if (method === 8) {
+      // The declared size bounds the output, so a lying entry cannot inflate further
+      entries.push({ name, data: zlib.inflateRawSync(compressed, { maxOutputLength: Math.max(size, 1) }) });
+    } else {
+      throw new Error(`${name} uses an unsupported compression method`);
+    }
+  }
+
+  return entries;
+}
@@ -0,0 +1,206 @@
+import { Images } from '@prisma/client';
+import { ConfigFormat, ConfigValue, configFormatOf } from '../core/configFormats';
+
+export type ConfigFieldType = 'string' | 'integer' | 'number' | 'boolean' | 'enum';
+
+export interface ConfigField {
+  key: string;
+  type: ConfigFieldType;
+  label: string;
+  description?: string;
+  values?: string[];
+  min?: number;
+  max?: number;
+  default?: ConfigValue;
+}
+
+export interface ConfigFileSchema {
+  file: string;
+  format: ConfigFormat;
+  label: string;
+  fields: ConfigField[];
+}
+
+/**
+ * Errors keyed by the key of the field
+ */
+export type ConfigErrors = Record<string, string>;
+
+const FIELD_TYPES: ConfigFieldType[] = ['string', 'integer', 'number', 'boolean', 'enum'];
+const TRUE_VALUES = ['true', 'yes', 'on', '1'];
+const FALSE_VALUES = ['false', 'no', 'off', '0'];
+
+function parseJson(value: string | null | undefined): Record<string, any> {
+  if (!value) return {};
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+function toFiniteNumber(value: unknown): number | undefined {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+function parseField(raw: any, format: ConfigFormat): ConfigField | null {
+  if (!raw || typeof raw !== 'object' || typeof raw.key !== 'string' || !raw.key.trim()) return null;
+
+  const key = raw.key.trim();
+  // Properties keys with separators or escapes are not worth the trouble
+  if (format === 'properties' && /[\s=:#!\\]/.test(key)) return null;
+  if (format !== 'properties' && key.split('.').some((segment: string) => segment === '')) return null;
+
+  const values = Array.isArray(raw.values) ? raw.values.map(String) : undefined;
+  const type: ConfigFieldType = FIELD_TYPES.includes(raw.type)
+    ? raw.type
+    : values && values.length > 0 ? 'enum' : 'string';
+  if (type === 'enum' && (!values || values.length === 0)) return null;
+
+  const field: ConfigField = {
+    key,
+    type,
+    label: typeof raw.label === 'string' && raw.label.trim() ? raw.label.trim() : key,
+  };
+  if (typeof raw.description === 'string' && raw.description.trim()) field.description = raw.description.trim();
+  if (type === 'enum') field.values = values;
+  if (type === 'integer' || type === 'number') {
+    field.min = toFiniteNumber(raw.min);
+    field.max = toFiniteNumber(raw.max);
+  }
+  if (raw.default !== undefined && raw.default !== null) {
+    const value = toFieldValue(field, raw.default);
+    if (value !== null) field.default = value;
+  }
+  return field;
+}
+
+/**
+ * The config files an image describes for the form editor, read from
+ * `configSchema` in its info, or its meta for images that keep it there.
+ * Files with an unknown format and invalid fields are left out.
+ */
+export function getConfigSchema(image: Pick<Images, 'info' | 'meta'> | null | undefined): ConfigFileSchema[] {
+  if (!image) return [];
+  const info = parseJson(image.info);
+  const raw = Array.isArray(info.configSchema) ? info.configSchema : parseJson(image.meta).configSchema;
+  if (!Array.isArray(raw)) return [];
+
+  const files: ConfigFileSchema[] = [];
+  for (const entry of raw) {
+    if (!entry || typeof entry !== 'object' || typeof entry.file !== 'string') continue;
+
+    const file = entry.file.trim().replace(/^\/+/, '');
+    if (!file || file.split('/').includes('..') || files.some((existing) => existing.file === file)) continue;
+
+    const format: ConfigFormat | null = ['properties', 'yaml', 'json'].includes(entry.format)
+      ? entry.format
+      : configFormatOf(file);
+    if (!format) continue;
+
+    const fields: ConfigField[] = [];
+    for (const rawField of Array.isArray(entry.fields) ? entry.fields : []) {
+      const field = parseField(rawField, format);
+      if (field && !fields.some((existing) => existing.key === field.key)) fields.push(field);
+    }
+    if (fields.length === 0) continue;
+
+    files.push({
+      file,
+      format,
+      label: typeof entry.label === 'string' && entry.label.trim() ? entry.label.trim() : file,
+      fields,
+    });
+  }
+  return files;
+}
+
+/**
+ * Converts a value read from a config file to the type of its field
+ * @returns The value, or null if it does not fit the field
+ */
+export function toFieldValue(field: ConfigField, value: unknown): ConfigValue | null {
+  if (value === undefined || value === null) return null;
+
+  switch (field.type) {
+  case 'boolean': {
+    if (typeof value === 'boolean') return value;
+    const text = String(value).trim().toLowerCase();
+    if (TRUE_VALUES.includes(text)) return true;
+    if (FALSE_VALUES.includes(text)) return false;
+    return null;
+  }
+  case 'integer':
+  case 'number': {
+    if (typeof value === 'object' || String(value).trim() === '') return null;
+    const number = Number(value);
+    if (!Number.isFinite(number) || (field.type === 'integer' && !Number.isInteger(number))) return null;
+    return number;
+  }
+  default:
+    return typeof value === 'object' ? null : String(value);
+  }
+}
+
+/**
+ * Checks submitted values against the fields of a config file. Only the
+ * keys that were submitted are checked and returned, so a partial form
+ * leaves the other keys of the file alone.
+ */
+export function validateConfigValues(
+  schema: ConfigFileSchema,
+  input: unknown,
+): { values: Record<string, ConfigValue> } | { errors: ConfigErrors } {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { errors: { _: 'No values were submitted' } };
+  }
+
+  const values: Record<string, ConfigValue> = {};
+  const errors: ConfigErrors = {};
+  for (const [key, raw] of Object.entries(input as Record<string, unknown>)) {
+    const field = schema.fields.find((candidate) => candidate.key === key);
+    if (!field) {
+      errors[key] = `${key} is not an editable setting of ${schema.file}`;
+      continue;
+    }
+
+    if (field.type === 'string') {
+      if (typeof raw !== 'string' && typeof raw !== 'number' && typeof raw !== 'boolean') {
+        errors[key] = `${field.label} must be text`;
+      } else if (/[\r\n]/.test(String(raw))) {
+        errors[key] = `${field.label} must be a single line`;
+      } else {
+        values[key] = String(raw);
+      }
+      continue;
+    }
+
+    if ((field.type === 'integer' || field.type === 'number') && (raw === '' || raw === null || raw === undefined)) {
+      errors[key] = `${field.label} is required`;
+      continue;
+    }
+
+    const value = toFieldValue(field, raw);
+    if (value === null) {
+      errors[key] = {
+        boolean: `${field.label} must be true or false`,
+        integer: `${field.label} must be a whole number`,
+        number: `${field.label} must be a number`,
+        enum: `${field.label} must be one of ${field.values?.join(', ')}`,
+      }[field.type];
+    } else if (field.type === 'enum' && !field.values?.includes(String(value))) {
+      errors[key] = `${field.label} must be one of ${field.values?.join(', ')}`;
+    } else if (typeof value === 'number' && field.min !== undefined && value < field.min) {
+      errors[key] = `${field.label} must be at least ${field.min}`;
+    } else if (typeof value === 'number' && field.max !== undefined && value > field.max) {
+      errors[key] = `${field.label} must be at most ${field.max}`;
+    } else {
+      values[key] = value;
+    }
+  }
+
+  return Object.keys(errors).length > 0 ? { errors } : { values };
+}
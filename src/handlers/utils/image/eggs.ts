@@ -0,0 +1,317 @@
+import { Images } from '@prisma/client';
+import { ImageVariable, splitRules, variableRules } from './variables';
+
+export interface UnmappedField {
+  field: string;
+  reason: string;
+}
+
+const EGG_FIELDS = [
+  '_comment',
+  'meta',
+  'exported_at',
+  'name',
+  'author',
+  'description',
+  'features',
+  'docker_images',
+  'images',
+  'file_denylist',
+  'startup',
+  'config',
+  'scripts',
+  'variables',
+];
+
+const EGG_VARIABLE_FIELDS = [
+  'name',
+  'description',
+  'env_variable',
+  'default_value',
+  'user_viewable',
+  'user_editable',
+  'rules',
+  'field_type',
+  'sort',
+];
+
+// Features the panel acts on, others are only kept for export
+const SUPPORTED_FEATURES = ['eula', 'players', 'alsh', 'auto-complete', 'worlds'];
+
+// Placeholders of PTDL_v1 eggs and the variables that replaced them
+const LEGACY_PLACEHOLDERS: Record<string, string> = {
+  'server.build.memory': 'SERVER_MEMORY',
+  'server.build.default.port': 'SERVER_PORT',
+  'server.build.default.ip': 'SERVER_IP',
+};
+
+const DEFAULT_INSTALL_CONTAINER = 'ghcr.io/pterodactyl/installers:alpine';
+
+/**
+ * Checks whether uploaded JSON is a Pterodactyl egg rather than an image
+ */
+export function isPterodactylEgg(data: any): boolean {
+  return typeof data?.meta?.version === 'string' && /^PTDL_v[12]$/.test(data.meta.version);
+}
+
+function ruleNumber(rules: string[], name: string): number | undefined {
+  const rule = rules.find((entry) => entry.startsWith(`${name}:`));
+  if (!rule) return undefined;
+  const value = Number(rule.slice(name.length + 1));
+  return Number.isFinite(value) ? value : undefined;
+}
+
+function parseJson(value: string | null, fallback: any): any {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Eggs store their config blocks as JSON strings
+ */
+function parseConfigBlock(value: unknown, field: string, unmapped: UnmappedField[]): Record<string, any> {
+  if (value && typeof value === 'object') return value as Record<string, any>;
+  if (typeof value !== 'string' || value.trim() === '') return {};
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    unmapped.push({ field, reason: 'Not valid JSON, dropped' });
+    return {};
+  }
+}
+
+function toImageStartup(startup: string): string {
+  return startup.replace(
+    /\{\{\s*([\w.]+)\s*\}\}/g,
+    (_match, name: string) => `$ALVKT(${LEGACY_PLACEHOLDERS[name] ?? name})`,
+  );
+}
+
+function toEggStartup(startup: string): string {
+  return startup.replace(/\$ALVKT\((\w+)\)/g, '{{$1}}');
+}
+
+function convertEggVariable(
+  variable: Record<string, any>,
+  index: number,
+  unmapped: UnmappedField[],
+): ImageVariable {
+  const rules = splitRules(variable.rules);
+  const defaultValue =
+    variable.default_value === null || variable.default_value === undefined
+      ? ''
+      : String(variable.default_value);
+
+  // Values are only typed when the panel would write them back unchanged
+  let type: ImageVariable['type'] = 'text';
+  let value: ImageVariable['value'] = defaultValue;
+  if (rules.includes('boolean') && /^(true|false)$/i.test(defaultValue)) {
+    type = 'boolean';
+    value = defaultValue.toLowerCase() === 'true' ? 1 : 0;
+  } else if (
+    (rules.includes('integer') || rules.includes('numeric')) &&
+    defaultValue !== '' &&
+    String(Number(defaultValue)) === defaultValue
+  ) {
+    type = 'number';
+    value = Number(defaultValue);
+  }
+
+  for (const key of Object.keys(variable)) {
+    if (!EGG_VARIABLE_FIELDS.includes(key)) {
+      unmapped.push({ field: `variables[${index}].${key}`, reason: 'Unknown variable field, dropped' });
+    }
+  }
+
+  const userViewable = variable.user_viewable !== false && variable.user_viewable !== 0;
+  const userEditable = variable.user_editable !== false && variable.user_editable !== 0;
+
+  const min = type === 'number' ? ruleNumber(rules, 'min') : undefined;
+  const max = type === 'number' ? ruleNumber(rules, 'max') : undefined;
+
+  return {
+    name: variable.name || variable.env_variable,
+    description: variable.description || '',
+    env: variable.env_variable,
+    value,
+    type,
+    required: rules.includes('required'),
+    ...(min !== undefined ? { min } : {}),
+    ...(max !== undefined ? { max } : {}),
+    rules: rules.join('|'),
+    userViewable,
+    userEditable,
+  };
+}
+
+/**
+ * Converts a PTDL_v1 or PTDL_v2 egg to the image format. Everything the
+ * panel cannot use is kept so the egg can be exported again, and listed in
+ * `unmapped` with the reason.
+ */
+export function convertPterodactylEgg(egg: Record<string, any>): {
+  image: Record<string, any>;
+  unmapped: UnmappedField[];
+} {
+  const unmapped: UnmappedField[] = [];
+
+  for (const key of Object.keys(egg)) {
+    if (!EGG_FIELDS.includes(key)) {
+      unmapped.push({ field: key, reason: 'Unknown egg field, dropped' });
+    }
+  }
+
+  // PTDL_v2 maps display names to images, PTDL_v1 only lists the images
+  const dockerImages =
+    egg.docker_images && typeof egg.docker_images === 'object' && !Array.isArray(egg.docker_images)
+      ? Object.entries(egg.docker_images).map(([name, image]) => ({ [name]: String(image) }))
+      : (Array.isArray(egg.docker_images) ? egg.docker_images : Array.isArray(egg.images) ? egg.images : [])
+        .map((image: unknown) => ({ [String(image)]: String(image) }));
+
+  const features: string[] = Array.isArray(egg.features) ? egg.features.map(String) : [];
+  for (const feature of features) {
+    if (!SUPPORTED_FEATURES.includes(feature)) {
+      unmapped.push({ field: `features.${feature}`, reason: 'Kept for export, the panel has no such feature' });
+    }
+  }
+
+  const fileDenylist: string[] = Array.isArray(egg.file_denylist) ? egg.file_denylist.map(String) : [];
+
+  const config = egg.config ?? {};
+  const configFiles = parseConfigBlock(config.files, 'config.files', unmapped);
+  const startupConfig = parseConfigBlock(config.startup, 'config.startup', unmapped);
+  const logs = parseConfigBlock(config.logs, 'config.logs', unmapped);
+  if (Object.keys(configFiles).length > 0) {
+    unmapped.push({ field: 'config.files', reason: 'Kept for export, configuration files are not rewritten' });
+  }
+  if (startupConfig.done) {
+    unmapped.push({ field: 'config.startup.done', reason: 'Kept for export, startup completion is not detected' });
+  }
+  if (Object.keys(logs).length > 0) {
+    unmapped.push({ field: 'config.logs', reason: 'Kept for export, log files are not read' });
+  }
+  if (config.stop && config.stop !== 'stop') {
+    unmapped.push({ field: 'config.stop', reason: `Kept for export, servers are stopped with "stop" instead of "${config.stop}"` });
+  }
+
+  const installation = egg.scripts?.installation ?? {};
+  const scripts: Record<string, any> = { install: [] };
+  if (installation.script) {
+    scripts.native = {
+      CMD: installation.script,
+      container: installation.container || DEFAULT_INSTALL_CONTAINER,
+      entrypoint: installation.entrypoint || 'ash',
+    };
+  }
+
+  const variables = (Array.isArray(egg.variables) ? egg.variables : []).map(
+    (variable: Record<string, any>, index: number) => convertEggVariable(variable, index, unmapped),
+  );
+
+  return {
+    image: {
+      meta: {
+        version: 'AL_V1',
+        source: {
+          format: egg.meta.version,
+          updateUrl: egg.meta.update_url ?? null,
+          exportedAt: egg.exported_at ?? null,
+        },
+      },
+      name: egg.name,
+      description: egg.description || '',
+      author: egg.author || '',
+      authorName: egg.author || '',
+      docker_images: dockerImages,
+      startup: toImageStartup(egg.startup || ''),
+      info: {
+        features,
+        stop: config.stop || 'stop',
+        fileDenylist,
+        config: { files: configFiles, startup: startupConfig, logs },
+      },
+      scripts,
+      variables,
+    },
+    unmapped,
+  };
+}
+
+/**
+ * Builds the shell script an egg runs for the file downloads of an image,
+ * followed by its own install script
+ */
+function buildInstallScript(scripts: Record<string, any>): string {
+  const downloads: string[] = (Array.isArray(scripts.install) ? scripts.install : [])
+    .filter((script: { url?: string }) => script.url)
+    .map((script: { url: string; fileName?: string }) => {
+      const url = script.url.replace(/\$ALVKT\((\w+)\)/g, '${$1}');
+      const fileName = script.fileName || url.split('/').pop() || 'download';
+      return `curl -sSL -o "${fileName}" "${url}"`;
+    });
+
+  const script = scripts.native?.CMD ?? '';
+  if (downloads.length === 0) return script;
+
+  return ['#!/bin/ash', 'mkdir -p /mnt/server', 'cd /mnt/server', ...downloads, script]
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Exports an image as a PTDL_v2 egg. Imported eggs come back with the
+ * fields that were kept for export.
+ */
+export function toPterodactylEgg(image: Images): Record<string, any> {
+  const meta = parseJson(image.meta, {});
+  const info = parseJson(image.info, {});
+  const scripts = parseJson(image.scripts, {});
+  const variables: ImageVariable[] = parseJson(image.variables, []);
+  const dockerImages: Record<string, string>[] = parseJson(image.dockerImages, []);
+
+  return {
+    _comment: 'Exported from AirLink',
+    meta: {
+      version: 'PTDL_v2',
+      update_url: meta.source?.updateUrl ?? null,
+    },
+    exported_at: new Date().toISOString(),
+    name: image.name,
+    author: image.author || image.authorName || '',
+    description: image.description || '',
+    features: Array.isArray(info.features) ? info.features : [],
+    docker_images: Object.fromEntries(dockerImages.flatMap((entry) => Object.entries(entry))),
+    file_denylist: Array.isArray(info.fileDenylist) ? info.fileDenylist : [],
+    startup: toEggStartup(image.startup || ''),
+    config: {
+      files: JSON.stringify(info.config?.files ?? {}),
+      startup: JSON.stringify(info.config?.startup ?? {}),
+      logs: JSON.stringify(info.config?.logs ?? {}),
+      stop: info.stop || 'stop',
+    },
+    scripts: {
+      installation: {
+        script: buildInstallScript(scripts),
+        container: scripts.native?.container || DEFAULT_INSTALL_CONTAINER,
+        entrypoint: scripts.native?.entrypoint || 'ash',
+      },
+    },
+    variables: variables.map((variable) => ({
+      name: variable.name,
+      description: variable.description || '',
+      env_variable: variable.env,
+      default_value:
+        variable.type === 'boolean'
+          ? String(variable.value === 1 || variable.value === '1' || variable.value === true)
+          : String(variable.value ?? ''),
+      user_viewable: variable.userViewable ?? true,
+      user_editable: variable.userEditable ?? true,
+      rules: variableRules(variable),
+      field_type: 'text',
+    })),
+  };
+}
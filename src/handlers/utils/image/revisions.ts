@@ -0,0 +1,202 @@
+import { Images, PrismaClient, Server } from '@prisma/client';
+import { DiffLine, diffLines } from '../core/diff';
+import { ServerVariable, parseVariables, resolveServerVariables } from './variables';
+
+const prisma = new PrismaClient();
+
+const REVISION_FIELDS = [
+  'name',
+  'description',
+  'meta',
+  'dockerImages',
+  'startup',
+  'info',
+  'scripts',
+  'variables',
+] as const;
+
+type RevisionField = (typeof REVISION_FIELDS)[number];
+export type ImageSnapshot = Pick<Images, RevisionField>;
+
+const FIELD_LABELS: Record<RevisionField, string> = {
+  name: 'Name',
+  description: 'Description',
+  meta: 'Meta',
+  dockerImages: 'Docker Images',
+  startup: 'Startup Command',
+  info: 'Info',
+  scripts: 'Scripts',
+  variables: 'Variables',
+};
+
+const JSON_FIELDS: RevisionField[] = ['meta', 'dockerImages', 'info', 'scripts', 'variables'];
+
+export interface FieldChange {
+  field: RevisionField;
+  label: string;
+  lines: DiffLine[];
+}
+
+export interface ImageUpdatePlan {
+  startCommand: { before: string; after: string } | null;
+  dockerImage: { before: string; after: string } | null;
+  addedVariables: ServerVariable[];
+  errors: string[];
+}
+
+function snapshotOf(image: ImageSnapshot): ImageSnapshot {
+  return Object.fromEntries(REVISION_FIELDS.map((field) => [field, image[field]])) as ImageSnapshot;
+}
+
+/**
+ * Saves the current state of an image as its next revision. Saves that
+ * change nothing do not create a revision.
+ * @param createdBy Name of the user who made the change
+ * @returns The revision the image is at
+ */
+export async function recordImageRevision(imageId: number, createdBy?: string | null): Promise<number> {
+  const image = await prisma.images.findUnique({ where: { id: imageId } });
+  if (!image) throw new Error(`Image ${imageId} not found`);
+
+  const latest = await prisma.imageRevision.findFirst({
+    where: { imageId },
+    orderBy: { revision: 'desc' },
+  });
+  if (latest && REVISION_FIELDS.every((field) => latest[field] === image[field])) {
+    return latest.revision;
+  }
+
+  const revision = latest ? latest.revision + 1 : image.revision;
+  await prisma.$transaction([
+    prisma.imageRevision.create({
+      data: { imageId, revision, createdBy: createdBy ?? null, ...snapshotOf(image) },
+    }),
+    prisma.images.update({ where: { id: imageId }, data: { revision } }),
+  ]);
+  return revision;
+}
+
+function displayValue(field: RevisionField, value: string | null): string {
+  if (value && JSON_FIELDS.includes(field)) {
+    try {
+      return JSON.stringify(JSON.parse(value), null, 2);
+    } catch {
+      return value;
+    }
+  }
+  return value ?? '';
+}
+
+/**
+ * Line diffs of the fields that differ between two revisions. Without a
+ * previous revision every field counts as added.
+ */
+export function compareRevisions(before: ImageSnapshot | null, after: ImageSnapshot): FieldChange[] {
+  return REVISION_FIELDS.filter((field) => !before || before[field] !== after[field]).map((field) => ({
+    field,
+    label: FIELD_LABELS[field],
+    lines: diffLines(displayValue(field, before ? before[field] : null), displayValue(field, after[field])),
+  }));
+}
+
+/**
+ * Whether the image was changed since it was last applied to the server
+ */
+export function isImageOutOfDate(
+  server: Pick<Server, 'imageRevision'>,
+  image: Pick<Images, 'revision'>,
+): boolean {
+  return server.imageRevision < image.revision;
+}
+
+function describeDockerImage(entry: Record<string, string> | null): string {
+  if (!entry) return 'None';
+  return Object.entries(entry)
+    .map(([name, image]) => (name === image ? image : `${name} (${image})`))
+    .join(', ');
+}
+
+function resolveDockerImage(server: Server, image: Images): Record<string, string> | null {
+  let current: Record<string, string> = {};
+  let available: Record<string, string>[] = [];
+  try {
+    current = server.dockerImage ? JSON.parse(server.dockerImage) : {};
+  } catch {
+    current = {};
+  }
+  try {
+    available = image.dockerImages ? JSON.parse(image.dockerImages) : [];
+  } catch {
+    available = [];
+  }
+
+  // Keep the docker image the server uses, by its display name, if the image still offers it
+  const name = Object.keys(current)[0];
+  return available.find((entry) => name !== undefined && name in entry) ?? available[0] ?? null;
+}
+
+/**
+ * Works out what applying the current image would change on a server.
+ * Variables the image added get their default value; existing values are
+ * kept.
+ */
+export function planImageUpdate(server: Server, image: Images): ImageUpdatePlan {
+  const errors: string[] = [];
+
+  const startCommand =
+    image.startup && image.startup !== server.StartCommand
+      ? { before: server.StartCommand ?? '', after: image.startup }
+      : null;
+
+  let dockerImage: ImageUpdatePlan['dockerImage'] = null;
+  const resolvedDockerImage = resolveDockerImage(server, image);
+  if (!resolvedDockerImage) {
+    errors.push('The image has no docker images');
+  } else if (JSON.stringify(resolvedDockerImage) !== server.dockerImage) {
+    let before: Record<string, string> | null = null;
+    try {
+      before = server.dockerImage ? JSON.parse(server.dockerImage) : null;
+    } catch {
+      before = null;
+    }
+    dockerImage = { before: describeDockerImage(before), after: describeDockerImage(resolvedDockerImage) };
+  }
+
+  const current = parseVariables<ServerVariable>(server.Variables);
+  const resolved = resolveServerVariables(parseVariables(image.variables), current, {}, { admin: true });
+  let addedVariables: ServerVariable[] = [];
+  if ('errors' in resolved) {
+    errors.push(...Object.values(resolved.errors));
+  } else {
+    const existing = new Set(current.map((variable) => variable.env));
+    addedVariables = resolved.variables.filter((variable) => !existing.has(variable.env));
+  }
+
+  return { startCommand, dockerImage, addedVariables, errors };
+}
+
+/**
+ * Applies the current image to a server: its startup command, docker image
+ * and new variables. Running servers pick the changes up when they next
+ * start.
+ */
+export async function applyImageUpdate(
+  server: Server,
+  image: Images,
+): Promise<{ server: Server } | { error: string }> {
+  const plan = planImageUpdate(server, image);
+  if (plan.errors.length > 0) return { error: plan.errors.join('. ') };
+
+  const current = parseVariables<ServerVariable>(server.Variables);
+  const updated = await prisma.server.update({
+    where: { id: server.id },
+    data: {
+      StartCommand: plan.startCommand ? plan.startCommand.after : undefined,
+      dockerImage: plan.dockerImage ? JSON.stringify(resolveDockerImage(server, image)) : undefined,
+      Variables: plan.addedVariables.length > 0 ? JSON.stringify([...current, ...plan.addedVariables]) : undefined,
+      imageRevision: image.revision,
+    },
+  });
+
+  return { server: updated };
+}
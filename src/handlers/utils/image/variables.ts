@@ -0,0 +1,280 @@
+export interface ImageVariable {
+  name: string;
+  description?: string;
+  env: string;
+  value: string | number | boolean;
+  type: 'text' | 'number' | 'boolean';
+  required?: boolean;
+  min?: number;
+  max?: number;
+  rules?: string;
+  userViewable?: boolean;
+  userEditable?: boolean;
+}
+
+export interface ServerVariable {
+  env: string;
+  name: string;
+  type: ImageVariable['type'];
+  value: string | number | boolean;
+}
+
+/**
+ * A server variable as shown on the startup page
+ */
+export interface DisplayedVariable extends ServerVariable {
+  description: string;
+  rules: string;
+  editable: boolean;
+}
+
+/**
+ * Errors keyed by the env name of the variable
+ */
+export type VariableErrors = Record<string, string>;
+
+const DELIMITED_PATTERN = /^([/#~])([\s\S]*)\1([a-zA-Z]*)$/;
+
+/**
+ * Splits a rules string such as `required|string|max:20`. A `|` inside a
+ * regex pattern does not end the rule.
+ */
+export function splitRules(rules: unknown): string[] {
+  if (Array.isArray(rules)) return rules.map(String);
+  if (typeof rules !== 'string') return [];
+
+  const parts: string[] = [];
+  for (const part of rules.split('|')) {
+    const previous = parts[parts.length - 1];
+    if (previous !== undefined && /^(not_)?regex:/.test(previous) && !DELIMITED_PATTERN.test(previous.slice(previous.indexOf(':') + 1))) {
+      parts[parts.length - 1] = `${previous}|${part}`;
+    } else {
+      parts.push(part);
+    }
+  }
+  return parts.map((rule) => rule.trim()).filter(Boolean);
+}
+
+/**
+ * Turns a delimited PHP pattern such as `/^[a-z]+$/i` into a RegExp
+ */
+function parseRegex(pattern: string): RegExp | null {
+  const match = DELIMITED_PATTERN.exec(pattern);
+  if (!match) return null;
+  try {
+    return new RegExp(match[2], match[3].replace(/[^imsu]/g, ''));
+  } catch {
+    return null;
+  }
+}
+
+function ruleArguments(rule: string): string[] {
+  const index = rule.indexOf(':');
+  return index < 0 ? [] : rule.slice(index + 1).split(',');
+}
+
+/**
+ * The rules of a variable. Variables without stored rules, such as those
+ * of images made in the panel, get rules from their type and limits.
+ */
+export function variableRules(variable: ImageVariable): string {
+  if (variable.rules) return variable.rules;
+
+  const rules = [variable.required || variable.type !== 'text' ? 'required' : 'nullable'];
+  if (variable.type === 'boolean') rules.push('boolean');
+  else if (variable.type === 'number') rules.push('integer');
+  else rules.push('string');
+  if (variable.min !== undefined) rules.push(`min:${variable.min}`);
+  if (variable.max !== undefined) rules.push(`max:${variable.max}`);
+  return rules.join('|');
+}
+
+/**
+ * Checks a value against egg-style rules. Supported are required, nullable,
+ * string, integer, numeric, boolean, in, not_in, regex, not_regex, min, max
+ * and between; other rules are not enforced.
+ * @returns The error message, or null if the value passes
+ */
+export function validateVariableValue(value: unknown, rules: string, label: string): string | null {
+  const list = splitRules(rules);
+  const text = value === undefined || value === null ? '' : String(value).trim();
+
+  if (text === '') {
+    return list.includes('required') ? `${label} is required` : null;
+  }
+
+  // Sizes compare the number itself for numeric values and the length otherwise
+  const numeric = list.includes('integer') || list.includes('numeric');
+  const size = numeric ? Number(text) : text.length;
+  const unit = numeric ? '' : ' characters';
+
+  for (const rule of list) {
+    const name = rule.split(':')[0];
+    const args = ruleArguments(rule);
+
+    switch (name) {
+    case 'integer':
+      if (!/^-?\d+$/.test(text)) return `${label} must be a whole number`;
+      break;
+    case 'numeric':
+      if (!Number.isFinite(Number(text))) return `${label} must be a number`;
+      break;
+    case 'boolean':
+      if (!['true', 'false', '1', '0'].includes(text.toLowerCase())) return `${label} must be true or false`;
+      break;
+    case 'in':
+      if (!args.includes(text)) return `${label} must be one of: ${args.join(', ')}`;
+      break;
+    case 'not_in':
+      if (args.includes(text)) return `${label} cannot be ${text}`;
+      break;
+    case 'regex':
+    case 'not_regex': {
+      const pattern = parseRegex(rule.slice(name.length + 1));
+      if (pattern && pattern.test(text) !== (name === 'regex')) return `${label} has an invalid format`;
+      break;
+    }
+    case 'min':
+      if (size < Number(args[0])) return `${label} must be at least ${args[0]}${unit}`;
+      break;
+    case 'max':
+      if (size > Number(args[0])) return `${label} must be at most ${args[0]}${unit}`;
+      break;
+    case 'between':
+      if (size < Number(args[0]) || size > Number(args[1])) {
+        return `${label} must be between ${args[0]} and ${args[1]}${unit}`;
+      }
+      break;
+    }
+  }
+
+  return null;
+}
+
+function coerceValue(value: unknown, type: ServerVariable['type']): ServerVariable['value'] {
+  const text = value === undefined || value === null ? '' : String(value).trim();
+  if (type === 'boolean') return ['true', '1', 'on'].includes(text.toLowerCase()) ? 1 : 0;
+  if (type === 'number') return text === '' ? '' : Number(text);
+  return text;
+}
+
+function sameValue(a: unknown, b: unknown): boolean {
+  return String(a ?? '') === String(b ?? '');
+}
+
+/**
+ * Builds the variables of a server from the image definitions, the current
+ * values and the submitted ones. Values that are not submitted keep their
+ * current value or take the image default; submitted values and defaults
+ * are checked against the rules. Without `admin`, only variables the image
+ * lets users see and edit may change.
+ * @param submitted Raw values keyed by env name
+ */
+export function resolveServerVariables(
+  definitions: ImageVariable[],
+  current: ServerVariable[],
+  submitted: Record<string, unknown>,
+  options: { admin?: boolean } = {},
+): { variables: ServerVariable[] } | { errors: VariableErrors } {
+  const errors: VariableErrors = {};
+  const currentByEnv = new Map(current.map((variable) => [variable.env, variable]));
+
+  const variables = definitions.map((definition): ServerVariable => {
+    const existing = currentByEnv.get(definition.env);
+    currentByEnv.delete(definition.env);
+    const label = definition.name || definition.env;
+    const raw = submitted[definition.env];
+
+    if (raw === undefined && existing) {
+      return { ...existing, name: label, type: definition.type };
+    }
+
+    const editable = options.admin || (definition.userViewable !== false && definition.userEditable !== false);
+    if (raw !== undefined && !editable) {
+      const kept = existing ? existing.value : coerceValue(definition.value, definition.type);
+      if (!sameValue(coerceValue(raw, definition.type), kept)) errors[definition.env] = `${label} cannot be changed`;
+      return existing ?? { env: definition.env, name: label, type: definition.type, value: definition.value };
+    }
+
+    const value = raw === undefined ? definition.value : raw;
+    const error = validateVariableValue(
+      definition.type === 'boolean' && raw !== undefined ? coerceValue(value, 'boolean') : value,
+      variableRules(definition),
+      label,
+    );
+    if (error) errors[definition.env] = error;
+
+    return { env: definition.env, name: label, type: definition.type, value: coerceValue(value, definition.type) };
+  });
+
+  // Variables the image no longer defines are kept, but only admins may set them
+  for (const variable of currentByEnv.values()) {
+    const raw = submitted[variable.env];
+    if (raw !== undefined && !options.admin && !sameValue(coerceValue(raw, variable.type), variable.value)) {
+      errors[variable.env] = `${variable.name || variable.env} cannot be changed`;
+    }
+    variables.push(raw !== undefined && options.admin ? { ...variable, value: coerceValue(raw, variable.type) } : variable);
+  }
+
+  return Object.keys(errors).length > 0 ? { errors } : { variables };
+}
+
+/**
+ * Reads submitted variables given either as `{ ENV: value }` or as a list
+ * of `{ env, value }` entries
+ */
+export function readSubmittedVariables(input: unknown): Record<string, unknown> {
+  if (Array.isArray(input)) {
+    return Object.fromEntries(
+      input
+        .filter((entry) => entry && typeof entry.env === 'string')
+        .map((entry) => [entry.env, entry.value]),
+    );
+  }
+  return input && typeof input === 'object' ? { ...(input as Record<string, unknown>) } : {};
+}
+
+/**
+ * Parses the variables JSON of an image or server, which may be missing or
+ * malformed on old records
+ */
+export function parseVariables<T = ImageVariable>(json: string | null | undefined): T[] {
+  try {
+    const parsed = json ? JSON.parse(json) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * The variables of a server as shown on the startup page, including those
+ * added to the image since with their default value. Users do not see
+ * variables the image hides from them, admins see everything.
+ */
+export function displayedVariables(
+  definitions: ImageVariable[],
+  current: ServerVariable[],
+  admin: boolean,
+): DisplayedVariable[] {
+  const currentByEnv = new Map(current.map((variable) => [variable.env, variable]));
+
+  const defined = definitions
+    .filter((definition) => admin || definition.userViewable !== false)
+    .map((definition): DisplayedVariable => ({
+      env: definition.env,
+      name: definition.name || definition.env,
+      type: definition.type,
+      value: currentByEnv.get(definition.env)?.value ?? definition.value,
+      description: definition.description ?? '',
+      rules: variableRules(definition),
+      editable: admin || definition.userEditable !== false,
+    }));
+
+  const definedEnvs = new Set(definitions.map((definition) => definition.env));
+  const undefinedVariables = current
+    .filter((variable) => !definedEnvs.has(variable.env))
+    .map((variable): DisplayedVariable => ({ ...variable, description: '', rules: '', editable: admin }));
+
+  return [...defined, ...undefinedVariables];
+}
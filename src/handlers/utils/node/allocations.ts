@@ -0,0 +1,245 @@
+import { Allocation, Prisma, PrismaClient, Server } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+type Client = PrismaClient | Prisma.TransactionClient;
+
+// Thrown inside transactions to roll them back when no allocation is free
+const NO_FREE_ALLOCATION = new Error('No free allocation');
+
+// Upper bound on ports created by a single range, to keep a typo like
+// 1025-65535 from filling the table
+export const MAX_ALLOCATIONS_PER_REQUEST = 1000;
+
+/**
+ * Parses a list of ports and port ranges, e.g. "25565-25600, 25700".
+ * @throws If a port is out of range or the list is too long
+ */
+export function parsePortRange(input: string): number[] {
+  const ports = new Set<number>();
+
+  for (const part of String(input).split(',').map((entry) => entry.trim())) {
+    if (!part) continue;
+
+    const match = part.match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid port or range "${part}"`);
+    }
+
+    const start = parseInt(match[1]);
+    const end = match[2] ? parseInt(match[2]) : start;
+    if (start < 1024 || end > 65535 || start > end) {
+      throw new Error(`Ports must be between 1024 and 65535 ("${part}")`);
+    }
+
+    for (let port = start; port <= end; port++) {
+      ports.add(port);
+      if (ports.size > MAX_ALLOCATIONS_PER_REQUEST) {
+        throw new Error(
+          `At most ${MAX_ALLOCATIONS_PER_REQUEST} ports can be added at once`,
+        );
+      }
+    }
+  }
+
+  if (ports.size === 0) {
+    throw new Error('No ports given');
+  }
+
+  return Array.from(ports).sort((a, b) => a - b);
+}
+
+/**
+ * Creates allocations on a node, skipping ports the node already has. Servers
+ * bind their ports on every address of the node, so a port can only be
+ * allocated once per node whatever its ip.
+ * @returns The number of allocations created
+ */
+export async function createAllocations(
+  nodeId: number,
+  ip: string,
+  ports: number[],
+  alias?: string | null,
+): Promise<number> {
+  const existing = await prisma.allocation.findMany({
+    where: { nodeId, port: { in: ports } },
+    select: { port: true },
+  });
+  const taken = new Set(existing.map((allocation) => allocation.port));
+
+  const result = await prisma.allocation.createMany({
+    data: ports
+      .filter((port) => !taken.has(port))
+      .map((port) => ({ nodeId, ip, port, alias: alias || null })),
+  });
+
+  return result.count;
+}
+
+/**
+ * Claims a free allocation on a node for a server. Only an allocation that is
+ * still unassigned can be claimed, so two servers racing for the same port
+ * cannot both get it.
+ * @param allocationId The allocation to claim, or the lowest free port if omitted
+ * @returns The claimed allocation, or null if none is free
+ */
+export async function claimAllocation(
+  client: Client,
+  nodeId: number,
+  serverId: string,
+  options: { allocationId?: number; primary?: boolean } = {},
+): Promise<Allocation | null> {
+  const candidates = options.allocationId
+    ? [{ id: options.allocationId }]
+    : await client.allocation.findMany({
+      where: { nodeId, serverId: null },
+      orderBy: [{ port: 'asc' }, { id: 'asc' }],
+      select: { id: true },
+      take: 10,
+    });
+
+  for (const candidate of candidates) {
+    const claimed = await client.allocation.updateMany({
+      where: { id: candidate.id, nodeId, serverId: null },
+      data: { serverId, primary: options.primary === true },
+    });
+
+    if (claimed.count === 1) {
+      return client.allocation.findUnique({ where: { id: candidate.id } });
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Creates a server and claims its primary allocation in one transaction, so a
+ * server never exists without a port and a port is never handed out twice.
+ * @param allocationId The allocation to use, or the lowest free port if omitted
+ * @returns The created server, or null if the allocation is not free
+ */
+export async function createServerWithAllocation(
+  data: Prisma.ServerUncheckedCreateInput,
+  allocationId?: number,
+): Promise<Server | null> {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const server = await tx.server.create({ data: { ...data, Ports: '[]' } });
+      const allocation = await claimAllocation(tx, server.nodeId, server.UUID, {
+        allocationId,
+        primary: true,
+      });
+      if (!allocation) throw NO_FREE_ALLOCATION;
+
+      return tx.server.update({
+        where: { id: server.id },
+        data: { Ports: serializePorts([allocation]) },
+      });
+    });
+  } catch (error) {
+    if (error === NO_FREE_ALLOCATION) return null;
+    throw error;
+  }
+}
+
+/**
+ * Moves a server to another node together with its allocations: every
+ * allocation it holds is swapped for a free one there, on the same port
+ * where that is free, and the old ones are released.
+ * @returns The new primary allocation, or null if the node has too few free
+ */
+export async function reassignServerAllocation(
+  serverId: string,
+  nodeId: number,
+): Promise<Allocation | null> {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const held = (await tx.allocation.findMany({ where: { serverId } })).sort(
+        (a, b) => Number(b.primary) - Number(a.primary) || a.port - b.port,
+      );
+
+      const claimed: Allocation[] = [];
+      for (const previous of held.length > 0 ? held : [null]) {
+        const primary = claimed.length === 0;
+        const samePort = previous
+          ? await tx.allocation.findFirst({
+            where: { nodeId, port: previous.port, serverId: null },
+            select: { id: true },
+          })
+          : null;
+        const allocation =
+          (samePort && (await claimAllocation(tx, nodeId, serverId, { allocationId: samePort.id, primary }))) ||
+          (await claimAllocation(tx, nodeId, serverId, { primary }));
+        if (!allocation) throw NO_FREE_ALLOCATION;
+        claimed.push(allocation);
+      }
+
+      await tx.allocation.updateMany({
+        where: { serverId, id: { notIn: claimed.map((allocation) => allocation.id) } },
+        data: { serverId: null, primary: false },
+      });
+      await tx.server.update({ where: { UUID: serverId }, data: { nodeId } });
+      await syncServerPorts(serverId, tx);
+      return claimed[0];
+    });
+  } catch (error) {
+    if (error === NO_FREE_ALLOCATION) return null;
+    throw error;
+  }
+}
+
+/**
+ * Serializes allocations into the `Server.Ports` format the daemon requests
+ * are built from, primary allocation first. The ip is left out as the port is
+ * unique on the node (see `createAllocations`).
+ */
+export function serializePorts(allocations: Allocation[]): string {
+  const sorted = [...allocations].sort(
+    (a, b) => Number(b.primary) - Number(a.primary) || a.port - b.port,
+  );
+
+  return JSON.stringify(
+    sorted.map((allocation) => ({
+      Port: `${allocation.port}:${allocation.port}`,
+      primary: allocation.primary,
+    })),
+  );
+}
+
+/**
+ * Rewrites `Server.Ports` from the allocations assigned to the server.
+ */
+export async function syncServerPorts(
+  serverId: string,
+  client: Client = prisma,
+): Promise<string> {
+  const allocations = await client.allocation.findMany({
+    where: { serverId },
+  });
+
+  const Ports = serializePorts(allocations);
+  await client.server.update({ where: { UUID: serverId }, data: { Ports } });
+  return Ports;
+}
+
+/**
+ * Builds the port bindings sent to the daemon from `Server.Ports`: every
+ * host:container mapping, primary first, comma separated.
+ */
+export function getPortBindings(Ports: string): string | undefined {
+  const ports = JSON.parse(Ports || '[]') as { Port: string; primary?: boolean }[];
+  const bindings = [...ports]
+    .sort((a, b) => Number(!!b.primary) - Number(!!a.primary))
+    .map((port) => port.Port);
+
+  return bindings.length > 0 ? bindings.join(',') : undefined;
+}
+
+/**
+ * Returns the host port of the primary allocation in `Server.Ports`.
+ */
+export function getPrimaryPort(Ports: string): number | undefined {
+  const ports = JSON.parse(Ports || '[]') as { Port: string; primary?: boolean }[];
+  const primary = ports.find((port) => port.primary) || ports[0];
+  return primary ? parseInt(primary.Port.split(':')[0]) : undefined;
+}
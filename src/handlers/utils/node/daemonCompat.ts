@@ -0,0 +1,104 @@
+import axios from 'axios';
+import { Node } from '@prisma/client';
+
+/**
+ * Daemon endpoints the panel uses that not every airlinkd serves. Whether a
+ * node has them is asked of its daemon rather than read from its version:
+ * features it lacks are turned off for its servers, and a request that still
+ * reaches a missing endpoint fails with `DaemonUnsupportedError`.
+ */
+export const DAEMON_FEATURES = {
+  transfers: { label: 'server transfers', path: '/container/backup/upload' },
+  copy: { label: 'copying files', path: '/fs/copy' },
+  archive: { label: 'creating tar archives', path: '/fs/archive' },
+  extract: { label: 'extracting archives into a folder', path: '/fs/extract' },
+  chmod: { label: 'changing file permissions', path: '/fs/chmod' },
+} as const;
+
+export type DaemonFeature = keyof typeof DAEMON_FEATURES;
+
+type DaemonNode = Pick<Node, 'name' | 'address' | 'port' | 'key'>;
+
+// How long the answer of a daemon is trusted before it is asked again
+const PROBE_TTL = 5 * 60 * 1000;
+const PROBE_TIMEOUT = 3000;
+
+// Whether a daemon serves an endpoint, by daemon address and endpoint path
+const probes = new Map<string, { available: boolean; checkedAt: number }>();
+
+const probeKey = (node: DaemonNode, feature: DaemonFeature) =>
+  `${node.address}:${node.port}${DAEMON_FEATURES[feature].path}`;
+
+/**
+ * A node's daemon does not serve an endpoint a feature needs
+ */
+export class DaemonUnsupportedError extends Error {
+  constructor(node: Pick<Node, 'name'>, feature: string) {
+    super(`The daemon of node ${node.name} does not support ${feature}, update airlinkd on the node to use it`);
+    this.name = 'DaemonUnsupportedError';
+  }
+}
+
+/**
+ * Whether a daemon request failed because the daemon has no such endpoint.
+ * Express answers unknown routes with a 404 page reading "Cannot POST /path",
+ * which tells them apart from a 404 for a file or server that is missing.
+ */
+export function isMissingEndpoint(error: unknown): boolean {
+  if (!axios.isAxiosError(error) || error.response?.status !== 404) return false;
+  const data = error.response.data;
+  return typeof data === 'string' && /Cannot (GET|POST|PUT|PATCH|DELETE|OPTIONS) \//.test(data);
+}
+
+/**
+ * Asks a daemon whether it serves the endpoint of a feature. Express, which
+ * airlinkd runs on, answers OPTIONS with the methods a route allows, and
+ * with "Cannot OPTIONS" for a route it does not have. A daemon that cannot
+ * be asked is assumed to have the feature, leaving the request itself to
+ * fail.
+ */
+export async function hasDaemonFeature(node: DaemonNode, feature: DaemonFeature): Promise<boolean> {
+  const key = probeKey(node, feature);
+  const cached = probes.get(key);
+  if (cached && Date.now() - cached.checkedAt < PROBE_TTL) return cached.available;
+
+  try {
+    await axios.options(`http://${node.address}:${node.port}${DAEMON_FEATURES[feature].path}`, {
+      auth: { username: 'Airlink', password: node.key },
+      timeout: PROBE_TIMEOUT,
+    });
+  } catch (error) {
+    if (!isMissingEndpoint(error)) return true;
+    probes.set(key, { available: false, checkedAt: Date.now() });
+    return false;
+  }
+  probes.set(key, { available: true, checkedAt: Date.now() });
+  return true;
+}
+
+/**
+ * Which of the optional features a node's daemon serves
+ */
+export async function getDaemonFeatures(node: DaemonNode): Promise<Record<DaemonFeature, boolean>> {
+  const features = Object.keys(DAEMON_FEATURES) as DaemonFeature[];
+  const available = await Promise.all(features.map((feature) => hasDaemonFeature(node, feature)));
+  return Object.fromEntries(features.map((feature, index) => [feature, available[index]])) as Record<DaemonFeature, boolean>;
+}
+
+/**
+ * Runs a daemon request, turning a missing endpoint into
+ * `DaemonUnsupportedError` and remembering that the daemon lacks it
+ */
+export async function requireDaemonEndpoint<T>(
+  node: DaemonNode,
+  feature: DaemonFeature,
+  request: () => Promise<T>,
+): Promise<T> {
+  try {
+    return await request();
+  } catch (error) {
+    if (!isMissingEndpoint(error)) throw error;
+    probes.set(probeKey(node, feature), { available: false, checkedAt: Date.now() });
+    throw new DaemonUnsupportedError(node, DAEMON_FEATURES[feature].label);
+  }
+}
@@ -0,0 +1,78 @@
+export interface NodeInput {
+  name: string;
+  ram: number;
+  cpu: number;
+  disk: number;
+  address: string;
+  port: number;
+  memoryOverallocate: number;
+  cpuOverallocate: number;
+  diskOverallocate: number;
+}
+
+const ADDRESS_REGEX =
+  /^(localhost|(?:\d{1,3}\.){3}\d{1,3}|(?:[a-zA-Z0-9-]+\.)+[a-zA-Z]{2,})$/;
+
+/**
+ * Reads the overallocation percentages from a node form. Missing values
+ * default to 0 and -1 disables the check.
+ * @returns null if any value is invalid
+ */
+export function parseOverallocation(
+  body: Record<string, any>,
+): { memoryOverallocate: number; cpuOverallocate: number; diskOverallocate: number } | null {
+  const values = ['memoryOverallocate', 'cpuOverallocate', 'diskOverallocate'].map(
+    (field) => {
+      const raw = body[field];
+      if (raw === undefined || raw === null || String(raw).trim() === '') return 0;
+      const value = Number(raw);
+      return Number.isInteger(value) && value >= -1 ? value : NaN;
+    },
+  );
+
+  if (values.some((value) => Number.isNaN(value))) return null;
+
+  const [memoryOverallocate, cpuOverallocate, diskOverallocate] = values;
+  return { memoryOverallocate, cpuOverallocate, diskOverallocate };
+}
+
+/**
+ * Validates the fields of the node forms, also accepted by the API
+ */
+export function parseNodeInput(
+  body: Record<string, any>,
+): { input: NodeInput } | { errors: string[] } {
+  const errors: string[] = [];
+  const { name, address } = body;
+  const ram = parseInt(body.ram);
+  const cpu = parseInt(body.cpu);
+  const disk = parseInt(body.disk);
+  const port = parseInt(body.port);
+
+  if (!name || typeof name !== 'string') {
+    errors.push('Name must be a string.');
+  } else if (name.length < 3 || name.length > 50) {
+    errors.push('Name must be between 3 and 50 characters long.');
+  }
+
+  if (isNaN(ram) || ram <= 0) errors.push('RAM must be a positive number.');
+  if (isNaN(cpu) || cpu <= 0) errors.push('CPU must be a positive number.');
+  if (isNaN(disk) || disk <= 0) errors.push('Disk must be a positive number.');
+
+  if (!address || typeof address !== 'string' || !ADDRESS_REGEX.test(address)) {
+    errors.push('Address must be a valid IPv4, domain, or localhost.');
+  }
+
+  if (isNaN(port) || port <= 1024 || port > 65535) {
+    errors.push('Port must be a number between 1025 and 65535.');
+  }
+
+  const overallocation = parseOverallocation(body);
+  if (!overallocation) {
+    errors.push('Overallocation must be a whole percentage of -1 or more.');
+  }
+
+  if (errors.length > 0 || !overallocation) return { errors };
+
+  return { input: { name, ram, cpu, disk, address, port, ...overallocation } };
+}
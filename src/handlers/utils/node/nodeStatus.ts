@@ -1,6 +1,9 @@
 import axios from 'axios';
+import { emitWebhookEvent } from '../../webhooks';
 
 interface Node {
+  id?: number;
+  name?: string;
   address: string;
   port: number;
   key: string;
@@ -11,7 +14,34 @@ interface Node {
   error?: string;
 }
 
+// Last status seen per node id
+const nodeStates = new Map<number, string>();
+
+/**
+ * Reports a saved node that was online at the last check and is not now.
+ * Nodes being tested before they are saved have no id and are not tracked.
+ */
+function trackNodeState(node: Node): void {
+  if (node.id === undefined) return;
+
+  const previous = nodeStates.get(node.id);
+  nodeStates.set(node.id, node.status === 'Offline' ? 'Offline' : 'Online');
+
+  if (previous === 'Online' && node.status === 'Offline') {
+    emitWebhookEvent('node.offline', {
+      node: { id: node.id, name: node.name, address: node.address, port: node.port },
+      error: node.error,
+    });
+  }
+}
+
 export async function checkNodeStatus(node: Node): Promise<Node> {
+  await fetchNodeStatus(node);
+  trackNodeState(node);
+  return node;
+}
+
+async function fetchNodeStatus(node: Node): Promise<Node> {
   try {
     const requestData = {
       method: 'get',
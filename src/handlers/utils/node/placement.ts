@@ -0,0 +1,211 @@
+import { Node, PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+export const PLACEMENT_STRATEGIES = ['least_loaded', 'fill_first'] as const;
+
+export type PlacementStrategy = (typeof PLACEMENT_STRATEGIES)[number];
+
+export interface ResourceRequest {
+  memory: number;
+  cpu: number;
+  disk: number;
+}
+
+export interface ResourceCapacity {
+  total: number;
+  // What may be allocated after overallocation, null if not enforced
+  limit: number | null;
+  used: number;
+  free: number | null;
+}
+
+export interface NodeCapacity {
+  nodeId: number;
+  name: string;
+  memory: ResourceCapacity;
+  cpu: ResourceCapacity;
+  disk: ResourceCapacity;
+  freeAllocations: number;
+}
+
+const RESOURCES = ['memory', 'cpu', 'disk'] as const;
+
+/**
+ * A node resource of 0 means it was never set, and an overallocation of -1
+ * turns the check off. Both leave the resource unlimited.
+ */
+function buildCapacity(total: number, overallocate: number, used: number): ResourceCapacity {
+  if (total <= 0 || overallocate < 0) {
+    return { total, limit: null, used, free: null };
+  }
+
+  const limit = Math.floor(total * (1 + overallocate / 100));
+  return { total, limit, used, free: limit - used };
+}
+
+/**
+ * Computes the remaining capacity of nodes from the resources of the servers
+ * already on them.
+ * @param nodeIds Nodes to include, all nodes if omitted
+ * @param excludeServerId A server to leave out of the usage, e.g. one being resized
+ */
+export async function getNodeCapacities(
+  nodeIds?: number[],
+  excludeServerId?: string,
+): Promise<NodeCapacity[]> {
+  const nodes: Node[] = await prisma.node.findMany({
+    where: nodeIds ? { id: { in: nodeIds } } : undefined,
+    orderBy: { id: 'asc' },
+  });
+  if (nodes.length === 0) return [];
+
+  const ids = nodes.map((node) => node.id);
+
+  const usage = await prisma.server.groupBy({
+    by: ['nodeId'],
+    where: {
+      nodeId: { in: ids },
+      ...(excludeServerId ? { UUID: { not: excludeServerId } } : {}),
+    },
+    _sum: { Memory: true, Cpu: true, Storage: true },
+  });
+
+  const freeAllocations = await prisma.allocation.groupBy({
+    by: ['nodeId'],
+    where: { nodeId: { in: ids }, serverId: null },
+    _count: { _all: true },
+  });
+
+  return nodes.map((node) => {
+    const used = usage.find((entry) => entry.nodeId === node.id)?._sum;
+    return {
+      nodeId: node.id,
+      name: node.name,
+      memory: buildCapacity(node.ram, node.memoryOverallocate, used?.Memory ?? 0),
+      cpu: buildCapacity(node.cpu, node.cpuOverallocate, used?.Cpu ?? 0),
+      disk: buildCapacity(node.disk, node.diskOverallocate, used?.Storage ?? 0),
+      freeAllocations:
+        freeAllocations.find((entry) => entry.nodeId === node.id)?._count._all ?? 0,
+    };
+  });
+}
+
+/**
+ * Lists why a request does not fit on a node.
+ * @returns An empty list if it fits
+ */
+export function getPlacementErrors(
+  capacity: NodeCapacity,
+  request: ResourceRequest,
+  options: { requireAllocation?: boolean; allocations?: number } = {},
+): string[] {
+  const errors: string[] = [];
+
+  for (const resource of RESOURCES) {
+    const { free } = capacity[resource];
+    if (free !== null && request[resource] > free) {
+      errors.push(
+        `Not enough ${resource} on node "${capacity.name}" (requested ${request[resource]}, ${Math.max(0, free)} available)`,
+      );
+    }
+  }
+
+  const needed = options.requireAllocation ? Math.max(1, options.allocations ?? 1) : 0;
+  if (needed === 1 && capacity.freeAllocations === 0) {
+    errors.push(`Node "${capacity.name}" has no free allocation`);
+  } else if (needed > 1 && capacity.freeAllocations < needed) {
+    errors.push(
+      `Node "${capacity.name}" has ${capacity.freeAllocations} of the ${needed} free allocations the server needs`,
+    );
+  }
+
+  return errors;
+}
+
+/**
+ * Share of a node's limits that is in use, averaged over the enforced
+ * resources. Unlimited nodes count as empty.
+ */
+function getLoad(capacity: NodeCapacity): number {
+  const loads = RESOURCES.map((resource) => capacity[resource])
+    .filter((entry) => entry.limit)
+    .map((entry) => entry.used / (entry.limit as number));
+
+  return loads.length > 0 ? loads.reduce((sum, load) => sum + load, 0) / loads.length : 0;
+}
+
+/**
+ * Orders nodes the request fits on by a placement strategy: least_loaded
+ * spreads servers over the emptiest nodes, fill_first packs the fullest node
+ * before moving to the next.
+ */
+export function rankNodes(
+  capacities: NodeCapacity[],
+  request: ResourceRequest,
+  strategy: PlacementStrategy,
+  options: { requireAllocation?: boolean } = {},
+): NodeCapacity[] {
+  return capacities
+    .filter((capacity) => getPlacementErrors(capacity, request, options).length === 0)
+    .sort((a, b) => {
+      const diff = strategy === 'fill_first'
+        ? getLoad(b) - getLoad(a)
+        : getLoad(a) - getLoad(b);
+      return diff || a.nodeId - b.nodeId;
+    });
+}
+
+/**
+ * Returns the placement strategy set in the panel settings.
+ */
+export async function getPlacementStrategy(): Promise<PlacementStrategy> {
+  const settings = await prisma.settings.findUnique({ where: { id: 1 } });
+  const strategy = settings?.placementStrategy as PlacementStrategy;
+  return PLACEMENT_STRATEGIES.includes(strategy) ? strategy : 'least_loaded';
+}
+
+/**
+ * Picks the best node for a new server.
+ * @param strategy Overrides the strategy from the settings
+ * @returns The chosen node id, or null with the reasons no node fits
+ */
+export async function selectNode(
+  request: ResourceRequest,
+  strategy?: PlacementStrategy,
+): Promise<{ nodeId: number | null; errors: string[] }> {
+  const capacities = await getNodeCapacities();
+  if (capacities.length === 0) {
+    return { nodeId: null, errors: ['No nodes exist'] };
+  }
+
+  const ranked = rankNodes(
+    capacities,
+    request,
+    strategy ?? (await getPlacementStrategy()),
+    { requireAllocation: true },
+  );
+
+  if (ranked.length === 0) {
+    return { nodeId: null, errors: ['No node has enough free resources and a free allocation'] };
+  }
+
+  return { nodeId: ranked[0].nodeId, errors: [] };
+}
+
+/**
+ * Checks that a server fits on a given node.
+ * @param excludeServerId The server itself when it is being resized or moved
+ * @param allocations How many free allocations it needs there, 1 if omitted
+ * @returns The reasons it does not fit, empty if it does
+ */
+export async function checkPlacement(
+  nodeId: number,
+  request: ResourceRequest,
+  options: { excludeServerId?: string; requireAllocation?: boolean; allocations?: number } = {},
+): Promise<string[]> {
+  const [capacity] = await getNodeCapacities([nodeId], options.excludeServerId);
+  if (!capacity) return ['Node not found'];
+
+  return getPlacementErrors(capacity, request, options);
+}
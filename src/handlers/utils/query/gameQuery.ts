@@ -0,0 +1,124 @@
+import axios from 'axios';
+import { Images, Node, Server } from '@prisma/client';
+import { getPrimaryPort } from '../node/allocations';
+import { minecraftBedrockQuery } from './minecraftBedrock';
+import { minecraftJavaQuery } from './minecraftJava';
+import { QueryProtocol, QueryResult } from './queryProtocol';
+import { sourceQuery } from './source';
+
+export interface QueryConfig {
+  protocol: string;
+  // Added to the primary port for games that answer queries on another port
+  portOffset: number;
+}
+
+const QUERY_TIMEOUT = parseInt(process.env.QUERY_TIMEOUT || '5000');
+
+const protocols = new Map<string, QueryProtocol>();
+
+/**
+ * Makes a query protocol available to images, replacing one with the same id
+ */
+export function registerQueryProtocol(protocol: QueryProtocol): void {
+  protocols.set(protocol.id, protocol);
+}
+
+export function getQueryProtocols(): QueryProtocol[] {
+  return [...protocols.values()];
+}
+
+[minecraftJavaQuery, minecraftBedrockQuery, sourceQuery].forEach(registerQueryProtocol);
+
+/**
+ * How the players of an image's servers are counted, from `query` in its
+ * info: a protocol id, or `{ protocol, portOffset }`. Images without it
+ * that have the players feature are pinged as Minecraft Java servers, as
+ * they always were.
+ * @returns The config, or null if the servers are not queried
+ */
+export function getQueryConfig(image: Pick<Images, 'info'> | null | undefined): QueryConfig | null {
+  let info: any = {};
+  try {
+    info = JSON.parse(image?.info || '{}') || {};
+  } catch {
+    return null;
+  }
+
+  const query = info.query;
+  if (query === undefined || query === null) {
+    return Array.isArray(info.features) && info.features.includes('players')
+      ? { protocol: minecraftJavaQuery.id, portOffset: 0 }
+      : null;
+  }
+
+  const protocol = typeof query === 'string' ? query : query?.protocol;
+  if (typeof protocol !== 'string' || !protocols.has(protocol)) return null;
+  const portOffset = Number(typeof query === 'object' ? query.portOffset : 0) || 0;
+  return { protocol, portOffset: Number.isInteger(portOffset) ? portOffset : 0 };
+}
+
+/**
+ * Asks the node's daemon to ping a Minecraft Java server, which reaches
+ * servers on ports the panel cannot
+ */
+async function queryThroughDaemon(
+  server: Pick<Server, 'UUID'> & { node: Pick<Node, 'address' | 'port' | 'key'> },
+  port: number,
+): Promise<QueryResult> {
+  const started = Date.now();
+  const response = await axios({
+    method: 'GET',
+    url: `http://${server.node.address}:${server.node.port}/minecraft/players`,
+    params: { id: server.UUID, host: server.node.address, port },
+    auth: { username: 'Airlink', password: server.node.key },
+    timeout: QUERY_TIMEOUT,
+  });
+  if (!response.data?.online) throw new Error('The daemon could not reach the server either');
+
+  return {
+    players: Number(response.data.onlinePlayers) || 0,
+    maxPlayers: Number(response.data.maxPlayers) || 0,
+    version: typeof response.data.version === 'string' ? response.data.version : null,
+    motd: null,
+    latency: Date.now() - started,
+  };
+}
+
+/**
+ * Asks a server for its player count with the protocol of its image, on
+ * the node address and primary port players connect to. Minecraft Java
+ * servers the panel cannot reach are pinged through the node's daemon
+ * instead; the other protocols need the panel to reach the port over UDP.
+ * @returns The result or why the query failed, or null if the server is not queried
+ */
+export async function queryServer(
+  server: Pick<Server, 'UUID' | 'Ports'> & {
+    node: Pick<Node, 'address' | 'port' | 'key'>;
+    image: Pick<Images, 'info'> | null;
+  },
+): Promise<{ protocol: string; result: QueryResult } | { protocol: string; error: string } | null> {
+  const config = getQueryConfig(server.image);
+  if (!config) return null;
+
+  const port = getPrimaryPort(server.Ports);
+  if (!port) return { protocol: config.protocol, error: 'The server has no primary port' };
+
+  const queryPort = port + config.portOffset;
+  if (queryPort < 1 || queryPort > 65535) {
+    return { protocol: config.protocol, error: `Port ${queryPort} is not a valid query port` };
+  }
+
+  try {
+    const result = await protocols.get(config.protocol)!.query(server.node.address, queryPort, QUERY_TIMEOUT);
+    return { protocol: config.protocol, result };
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    if (config.protocol !== minecraftJavaQuery.id) return { protocol: config.protocol, error: message };
+
+    try {
+      return { protocol: config.protocol, result: await queryThroughDaemon(server, queryPort) };
+    } catch {
+      return { protocol: config.protocol, error: message };
+    }
+  }
+}
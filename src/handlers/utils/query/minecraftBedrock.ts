@@ -0,0 +1,40 @@
+import crypto from 'crypto';
+import { QueryProtocol, udpExchange } from './queryProtocol';
+
+const UNCONNECTED_PING = 0x01;
+const UNCONNECTED_PONG = 0x1c;
+// RakNet marks its offline messages with these bytes
+const OFFLINE_MAGIC = Buffer.from('00ffff00fefefefefdfdfdfd12345678', 'hex');
+
+/**
+ * The RakNet unconnected ping Bedrock servers answer with their status
+ */
+export const minecraftBedrockQuery: QueryProtocol = {
+  id: 'minecraft-bedrock',
+  label: 'Minecraft Bedrock',
+
+  async query(host, port, timeout) {
+    const started = Date.now();
+    const time = Buffer.alloc(8);
+    time.writeUInt32BE(Math.floor(started / 2 ** 32), 0);
+    time.writeUInt32BE(started >>> 0, 4);
+    const request = Buffer.concat([Buffer.from([UNCONNECTED_PING]), time, OFFLINE_MAGIC, crypto.randomBytes(8)]);
+
+    // The status is `MCPE;motd;protocol;version;players;max players;...`
+    const fields = await udpExchange<string[]>(host, port, timeout, request, (message) => {
+      if (message[0] !== UNCONNECTED_PONG || message.length < 35) return undefined;
+      if (!message.subarray(17, 33).equals(OFFLINE_MAGIC)) return undefined;
+      const length = message.readUInt16BE(33);
+      return { result: message.toString('utf8', 35, 35 + length).split(';') };
+    });
+    if (fields.length < 6) throw new Error('The server sent an incomplete status');
+
+    return {
+      players: parseInt(fields[4], 10) || 0,
+      maxPlayers: parseInt(fields[5], 10) || 0,
+      version: fields[3] || null,
+      motd: fields[1] || null,
+      latency: Date.now() - started,
+    };
+  },
+};
@@ -0,0 +1,111 @@
+import net from 'net';
+import { QueryProtocol } from './queryProtocol';
+
+// Status replies hold the favicon, which can be large but not this large
+const MAX_RESPONSE_SIZE = 1024 * 1024;
+
+function writeVarInt(value: number): Buffer {
+  const bytes: number[] = [];
+  let remaining = value >>> 0;
+  do {
+    let byte = remaining & 0x7f;
+    remaining >>>= 7;
+    if (remaining !== 0) byte |= 0x80;
+    bytes.push(byte);
+  } while (remaining !== 0);
+  return Buffer.from(bytes);
+}
+
+/**
+ * @returns The value and the bytes it took, or null if the buffer ends first
+ */
+function readVarInt(buffer: Buffer, offset: number): [number, number] | null {
+  let value = 0;
+  for (let index = 0; index < 5; index++) {
+    if (offset + index >= buffer.length) return null;
+    const byte = buffer[offset + index];
+    value |= (byte & 0x7f) << (7 * index);
+    if ((byte & 0x80) === 0) return [value, index + 1];
+  }
+  throw new Error('Invalid VarInt in the reply');
+}
+
+function packet(id: number, ...fields: Buffer[]): Buffer {
+  const body = Buffer.concat([writeVarInt(id), ...fields]);
+  return Buffer.concat([writeVarInt(body.length), body]);
+}
+
+function writeString(value: string): Buffer {
+  const bytes = Buffer.from(value, 'utf8');
+  return Buffer.concat([writeVarInt(bytes.length), bytes]);
+}
+
+// Descriptions are plain strings or chat components with nested extras
+function flattenDescription(description: any): string {
+  if (typeof description === 'string') return description;
+  if (!description || typeof description !== 'object') return '';
+  const extra = Array.isArray(description.extra) ? description.extra.map(flattenDescription).join('') : '';
+  return `${typeof description.text === 'string' ? description.text : ''}${extra}`;
+}
+
+/**
+ * The Server List Ping every Java server answers from the multiplayer menu
+ */
+export const minecraftJavaQuery: QueryProtocol = {
+  id: 'minecraft-java',
+  label: 'Minecraft Java',
+
+  query(host, port, timeout) {
+    return new Promise((resolve, reject) => {
+      const started = Date.now();
+      const socket = net.connect({ host, port });
+      let received = Buffer.alloc(0);
+
+      const fail = (error: Error) => {
+        socket.destroy();
+        reject(error);
+      };
+      socket.setTimeout(timeout, () => fail(new Error('The server did not answer in time')));
+      socket.on('error', fail);
+      socket.on('close', () => reject(new Error('The server closed the connection')));
+
+      socket.on('connect', () => {
+        const portBuffer = Buffer.alloc(2);
+        portBuffer.writeUInt16BE(port);
+        // Protocol -1 asks for the status without picking a version
+        socket.write(packet(0x00, writeVarInt(-1), writeString(host), portBuffer, writeVarInt(1)));
+        socket.write(packet(0x00));
+      });
+
+      socket.on('data', (chunk) => {
+        received = Buffer.concat([received, chunk]);
+        try {
+          const length = readVarInt(received, 0);
+          if (!length) return;
+          if (length[0] > MAX_RESPONSE_SIZE) throw new Error('The reply is too large');
+          if (received.length < length[1] + length[0]) return;
+
+          let offset = length[1];
+          const id = readVarInt(received, offset);
+          if (!id || id[0] !== 0x00) throw new Error('Unexpected reply to the status request');
+          offset += id[1];
+          const size = readVarInt(received, offset);
+          if (!size) throw new Error('The reply ended early');
+          offset += size[1];
+
+          const status = JSON.parse(received.toString('utf8', offset, offset + size[0]));
+          socket.destroy();
+          resolve({
+            players: Number(status.players?.online) || 0,
+            maxPlayers: Number(status.players?.max) || 0,
+            version: typeof status.version?.name === 'string' ? status.version.name : null,
+            motd: flattenDescription(status.description).replace(/§./g, '') || null,
+            latency: Date.now() - started,
+          });
+        } catch (error) {
+          fail(error instanceof Error ? error : new Error(String(error)));
+        }
+      });
+    });
+  },
+};
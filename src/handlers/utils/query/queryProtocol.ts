@@ -0,0 +1,78 @@
+import dgram from 'dgram';
+import net from 'net';
+
+export interface QueryResult {
+  players: number;
+  maxPlayers: number;
+  version: string | null;
+  motd: string | null;
+  // Milliseconds the server took to answer
+  latency: number;
+}
+
+/**
+ * A way of asking a game server how many players it has. Protocols only
+ * need a host and port, so they can be pointed at any server, including
+ * local stand-ins.
+ * @throws From `query` when the server does not answer or the reply is invalid
+ */
+export interface QueryProtocol {
+  id: string;
+  label: string;
+  query(host: string, port: number, timeout: number): Promise<QueryResult>;
+}
+
+/**
+ * Sends a datagram and waits for the reply the handler accepts. The handler
+ * can answer with another datagram, as servers that hand out a challenge
+ * first expect.
+ * @param handle Returns the result, a datagram to send next, or undefined to keep waiting
+ */
+export function udpExchange<T>(
+  host: string,
+  port: number,
+  timeout: number,
+  request: Buffer,
+  handle: (message: Buffer) => { result: T } | { send: Buffer } | undefined,
+): Promise<T> {
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket(net.isIPv6(host) ? 'udp6' : 'udp4');
+    let settled = false;
+
+    const finish = (error: Error | null, result?: T) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      socket.close();
+      if (error) reject(error);
+      else resolve(result as T);
+    };
+    const timer = setTimeout(() => finish(new Error('The server did not answer in time')), timeout);
+
+    socket.on('error', (error) => finish(error));
+    socket.on('message', (message) => {
+      try {
+        const outcome = handle(message);
+        if (!outcome) return;
+        if ('result' in outcome) {
+          finish(null, outcome.result);
+        } else {
+          socket.send(outcome.send, port, host, (error) => error && finish(error));
+        }
+      } catch (error) {
+        finish(error instanceof Error ? error : new Error(String(error)));
+      }
+    });
+    socket.send(request, port, host, (error) => error && finish(error));
+  });
+}
+
+/**
+ * Reads a NUL terminated string, as Source and similar protocols use
+ * @returns The string and the offset after its terminator
+ */
+export function readCString(buffer: Buffer, offset: number): [string, number] {
+  const end = buffer.indexOf(0, offset);
+  if (end === -1) throw new Error('The reply ended early');
+  return [buffer.toString('utf8', offset, end), end + 1];
+}
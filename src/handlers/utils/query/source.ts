@@ -0,0 +1,59 @@
+import { QueryProtocol, readCString, udpExchange } from './queryProtocol';
+
+const SINGLE_PACKET = 0xffffffff;
+const A2S_INFO = Buffer.concat([
+  Buffer.from([0xff, 0xff, 0xff, 0xff, 0x54]),
+  Buffer.from('Source Engine Query\0', 'latin1'),
+]);
+const S2C_CHALLENGE = 0x41;
+const S2A_INFO = 0x49;
+
+/**
+ * Valve's A2S_INFO, answered by Source and GoldSrc games and by many others
+ * that adopted it, such as Rust, ARK and Valheim
+ */
+export const sourceQuery: QueryProtocol = {
+  id: 'source',
+  label: 'Source A2S',
+
+  async query(host, port, timeout) {
+    const started = Date.now();
+
+    const info = await udpExchange<Buffer>(host, port, timeout, A2S_INFO, (message) => {
+      if (message.length < 5 || message.readUInt32LE(0) !== SINGLE_PACKET) {
+        throw new Error('Split replies are not supported');
+      }
+      // Newer servers want the request repeated with the challenge they send
+      if (message[4] === S2C_CHALLENGE && message.length >= 9) {
+        return { send: Buffer.concat([A2S_INFO, message.subarray(5, 9)]) };
+      }
+      return message[4] === S2A_INFO ? { result: message } : undefined;
+    });
+
+    // Header and protocol version come before the strings
+    let offset = 6;
+    let name: string;
+    let version: string | null = null;
+    [name, offset] = readCString(info, offset);
+    [, offset] = readCString(info, offset); // map
+    [, offset] = readCString(info, offset); // folder
+    [, offset] = readCString(info, offset); // game
+    offset += 2; // app id
+    if (offset + 3 > info.length) throw new Error('The reply ended early');
+    const players = info[offset];
+    const maxPlayers = info[offset + 1];
+    const bots = info[offset + 2];
+    // Server type, environment, visibility and VAC precede the version
+    if (offset + 7 < info.length) {
+      [version] = readCString(info, offset + 7);
+    }
+
+    return {
+      players: Math.max(0, players - bots),
+      maxPlayers,
+      version: version || null,
+      motd: name || null,
+      latency: Date.now() - started,
+    };
+  },
+};
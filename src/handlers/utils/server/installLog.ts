@@ -0,0 +1,270 @@
+import { WebSocket } from 'ws';
+import { InstallLog, Node, PrismaClient, Server } from '@prisma/client';
+import logger from '../../logger';
+import { DaemonUnsupportedError } from '../node/daemonCompat';
+
+const prisma = new PrismaClient();
+
+// Longer logs lose their start, the end is where an install fails
+const MAX_LOG_LENGTH = 512 * 1024;
+// How often the output of a running install is written to the database
+const FLUSH_INTERVAL = 3000;
+// Attempts the installed marker has not confirmed by then count as failed
+export const INSTALL_TIMEOUT = parseInt(process.env.INSTALL_TIMEOUT || String(30 * 60 * 1000));
+
+export type InstallStatus = 'running' | 'succeeded' | 'failed';
+
+export type InstallLogEvent =
+  | { event: 'output'; data: string }
+  | { event: 'status'; status: InstallStatus; attempt: number; error?: string | null };
+
+type Listener = (event: InstallLogEvent) => void;
+
+interface ActiveInstall {
+  logId: number;
+  attempt: number;
+  output: string;
+  dirty: boolean;
+  socket: WebSocket | null;
+  timer: NodeJS.Timeout;
+}
+
+const activeInstalls = new Map<string, ActiveInstall>();
+const listeners = new Map<string, Set<Listener>>();
+
+function emit(serverId: string, event: InstallLogEvent): void {
+  listeners.get(serverId)?.forEach((listener) => {
+    try {
+      listener(event);
+    } catch (error) {
+      logger.warn(`Install log listener failed: ${error instanceof Error ? error.message : String(error)}`);
+    }
+  });
+}
+
+function trimLog(output: string): string {
+  return output.length > MAX_LOG_LENGTH ? output.slice(-MAX_LOG_LENGTH) : output;
+}
+
+async function flush(install: ActiveInstall): Promise<void> {
+  if (!install.dirty) return;
+  install.dirty = false;
+  try {
+    await prisma.installLog.update({
+      where: { id: install.logId },
+      data: { output: install.output },
+    });
+  } catch (error) {
+    logger.warn(`Failed to save install log ${install.logId}: ${error instanceof Error ? error.message : String(error)}`);
+  }
+}
+
+async function release(serverId: string): Promise<ActiveInstall | undefined> {
+  const install = activeInstalls.get(serverId);
+  if (!install) return undefined;
+
+  activeInstalls.delete(serverId);
+  clearInterval(install.timer);
+  install.socket?.close();
+  await flush(install);
+  return install;
+}
+
+function appendOutput(serverId: string, install: ActiveInstall, data: string): void {
+  install.output = trimLog(install.output + data);
+  install.dirty = true;
+  emit(serverId, { event: 'output', data });
+}
+
+/**
+ * Follows the installer output of a server on its node. The daemon streams
+ * it on `ws://<node>/installer/<id>` after the same auth event as the
+ * console, and ends with `{ "event": "install", "status": "success" | "failed" }`.
+ * Daemons without the endpoint refuse the upgrade, which is noted in the log;
+ * the install itself goes on and is settled by the installed marker check,
+ * or failed by `failStalledInstallAttempt` once it runs too long.
+ */
+function followInstaller(server: Server & { node: Node }, install: ActiveInstall): void {
+  const socket = new WebSocket(
+    `ws://${server.node.address}:${server.node.port}/installer/${server.UUID}`,
+  );
+  install.socket = socket;
+  let refused = false;
+
+  socket.on('unexpected-response', (_request, response) => {
+    refused = true;
+    const notice = response.statusCode === 404
+      ? new DaemonUnsupportedError(server.node, 'live install logs').message
+      : `The node refused to stream the install output (HTTP ${response.statusCode})`;
+    logger.warn(`Could not follow the install of server ${server.UUID}: ${notice}`);
+    appendOutput(server.UUID, install, `${notice}\n`);
+    socket.terminate();
+  });
+
+  socket.onopen = () => {
+    socket.send(JSON.stringify({ event: 'auth', args: [server.node.key] }));
+  };
+
+  socket.onmessage = (message) => {
+    const data = message.data.toString();
+
+    if (data.startsWith('{')) {
+      try {
+        const result = JSON.parse(data);
+        if (result.event === 'install') {
+          const failed = result.status !== 'success';
+          void finishInstallAttempt(
+            server.UUID,
+            failed ? 'failed' : 'succeeded',
+            failed ? result.error || `The install script exited with code ${result.exitCode ?? 'unknown'}` : null,
+          );
+          return;
+        }
+      } catch {
+        // Not a status message, keep it as output
+      }
+    }
+
+    appendOutput(server.UUID, install, data);
+  };
+
+  socket.onerror = () => {
+    if (refused) return;
+    logger.warn(`Could not follow the install of server ${server.UUID} on node ${server.node.name}`);
+  };
+
+  // Without a result the install is settled by the installed marker check
+  socket.onclose = () => {
+    if (activeInstalls.get(server.UUID) === install) {
+      void release(server.UUID);
+    }
+  };
+}
+
+/**
+ * Starts a new install attempt: opens its log, clears the failed state and
+ * follows the installer output. Attempts still running are closed as failed.
+ */
+export async function beginInstallAttempt(server: Server & { node: Node }): Promise<InstallLog> {
+  await release(server.UUID);
+  await prisma.installLog.updateMany({
+    where: { serverId: server.UUID, status: 'running' },
+    data: { status: 'failed', error: 'Replaced by a new install', finishedAt: new Date() },
+  });
+
+  const latest = await prisma.installLog.findFirst({
+    where: { serverId: server.UUID },
+    orderBy: { attempt: 'desc' },
+  });
+  const log = await prisma.installLog.create({
+    data: { serverId: server.UUID, attempt: (latest?.attempt ?? 0) + 1 },
+  });
+  await prisma.server.update({
+    where: { id: server.id },
+    data: { Installing: true, InstallFailed: false },
+  });
+
+  const install: ActiveInstall = {
+    logId: log.id,
+    attempt: log.attempt,
+    output: '',
+    dirty: false,
+    socket: null,
+    timer: setInterval(() => void flush(install), FLUSH_INTERVAL),
+  };
+  activeInstalls.set(server.UUID, install);
+  followInstaller(server, install);
+
+  emit(server.UUID, { event: 'status', status: 'running', attempt: log.attempt });
+  return log;
+}
+
+/**
+ * Closes the running install attempt of a server. A failed attempt leaves
+ * the server in the failed state until it is reinstalled.
+ */
+export async function finishInstallAttempt(
+  serverId: string,
+  status: Exclude<InstallStatus, 'running'>,
+  error: string | null = null,
+): Promise<void> {
+  try {
+    await release(serverId);
+
+    const running = await prisma.installLog.findFirst({
+      where: { serverId, status: 'running' },
+      orderBy: { attempt: 'desc' },
+    });
+    if (!running) return;
+
+    await prisma.installLog.update({
+      where: { id: running.id },
+      data: { status, error, finishedAt: new Date() },
+    });
+    await prisma.server.update({
+      where: { UUID: serverId },
+      data: status === 'failed'
+        ? { InstallFailed: true, Queued: false }
+        : { InstallFailed: false, Installing: false },
+    });
+
+    if (status === 'failed') {
+      logger.warn(`Install attempt ${running.attempt} of server ${serverId} failed: ${error}`);
+    }
+    emit(serverId, { event: 'status', status, attempt: running.attempt, error });
+  } catch (finishError) {
+    logger.error(`Error closing the install attempt of server ${serverId}:`, finishError);
+  }
+}
+
+/**
+ * Fails the running install attempt of a server once it is older than
+ * INSTALL_TIMEOUT. Only daemons streaming the installer report failed
+ * installs, so on the others an install the installed marker never
+ * confirms is failed here. Call it after the marker was found missing.
+ * @returns Whether the attempt was failed
+ */
+export async function failStalledInstallAttempt(serverId: string): Promise<boolean> {
+  const running = await prisma.installLog.findFirst({
+    where: { serverId, status: 'running' },
+    orderBy: { attempt: 'desc' },
+  });
+  if (!running || Date.now() - running.startedAt.getTime() < INSTALL_TIMEOUT) return false;
+
+  await finishInstallAttempt(
+    serverId,
+    'failed',
+    `The install did not finish within ${Math.round(INSTALL_TIMEOUT / 60000)} minutes`,
+  );
+  return true;
+}
+
+/**
+ * The latest install attempt of a server with its output so far
+ */
+export async function getLatestInstallLog(serverId: string): Promise<InstallLog | null> {
+  const log = await prisma.installLog.findFirst({
+    where: { serverId },
+    orderBy: { attempt: 'desc' },
+  });
+  const install = activeInstalls.get(serverId);
+  if (log && install && install.logId === log.id) {
+    return { ...log, output: install.output };
+  }
+  return log;
+}
+
+/**
+ * Calls the listener with the installer output and status changes of a server.
+ * @returns A function that removes the listener
+ */
+export function subscribeInstallLog(serverId: string, listener: Listener): () => void {
+  const set = listeners.get(serverId) ?? new Set<Listener>();
+  set.add(listener);
+  listeners.set(serverId, set);
+
+  return () => {
+    set.delete(listener);
+    if (set.size === 0) listeners.delete(serverId);
+  };
+}
@@ -0,0 +1,298 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import net from 'net';
+import logger from '../../logger';
+import {
+  ServerWithNode,
+  readServerFile,
+  sendConsoleCommand,
+  writeServerFile,
+} from './serverActions';
+import { getServerStatus } from './serverStatus';
+
+export type PlayerListName = 'whitelist' | 'ops' | 'banned-players' | 'banned-ips';
+
+const LIST_FILES: Record<PlayerListName, string> = {
+  whitelist: 'whitelist.json',
+  ops: 'ops.json',
+  'banned-players': 'banned-players.json',
+  'banned-ips': 'banned-ips.json',
+};
+
+export const PLAYER_LISTS = Object.keys(LIST_FILES) as PlayerListName[];
+
+// Java names, and Bedrock names behind Floodgate's default '.' prefix
+const PLAYER_NAME = /^\.?[A-Za-z0-9_]{1,16}$/;
+// Mojang allows about 600 lookups per 10 minutes, names rarely change
+const UUID_CACHE_TTL = 60 * 60 * 1000;
+
+export interface PlayerListEntry {
+  uuid?: string;
+  name?: string;
+  ip?: string;
+  level?: number;
+  bypassesPlayerLimit?: boolean;
+  created?: string;
+  source?: string;
+  expires?: string;
+  reason?: string;
+}
+
+export interface PlayerListInput {
+  name?: string;
+  ip?: string;
+  reason?: string;
+  level?: number;
+}
+
+type PlayerListResult =
+  | { entry: PlayerListEntry; commandSent: boolean }
+  | { error: string };
+
+const uuidCache = new Map<string, { uuid: string; name: string; cachedAt: number }>();
+
+export function isPlayerList(list: string): list is PlayerListName {
+  return Object.prototype.hasOwnProperty.call(LIST_FILES, list);
+}
+
+export function isValidPlayerName(name: unknown): name is string {
+  return typeof name === 'string' && PLAYER_NAME.test(name);
+}
+
+function formatUuid(hex: string): string {
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * The UUID an offline mode server gives a player, a version 3 UUID of
+ * "OfflinePlayer:<name>" like the vanilla server computes
+ */
+export function offlinePlayerUuid(name: string): string {
+  const hash = crypto.createHash('md5').update(`OfflinePlayer:${name}`).digest();
+  hash[6] = (hash[6] & 0x0f) | 0x30;
+  hash[8] = (hash[8] & 0x3f) | 0x80;
+  return formatUuid(hash.toString('hex'));
+}
+
+// Console commands are a single line, reasons must not add more
+function cleanReason(reason: unknown): string {
+  return typeof reason === 'string' ? reason.replace(/[\r\n]+/g, ' ').trim().slice(0, 200) : '';
+}
+
+// Timestamps in the format the vanilla server writes to its ban lists
+function banTimestamp(date: Date = new Date()): string {
+  return `${date.toISOString().slice(0, 19).replace('T', ' ')} +0000`;
+}
+
+async function isOnlineMode(server: ServerWithNode): Promise<boolean> {
+  try {
+    const properties = await readServerFile(server, 'server.properties');
+    const match = String(properties).match(/^\s*online-mode\s*=\s*(\S+)/m);
+    return !match || match[1].toLowerCase() !== 'false';
+  } catch {
+    return true;
+  }
+}
+
+async function isServerRunning(server: ServerWithNode): Promise<boolean> {
+  const status = await getServerStatus({
+    nodeAddress: server.node.address,
+    nodePort: server.node.port,
+    serverUUID: server.UUID,
+    nodeKey: server.node.key,
+  });
+  return status.online;
+}
+
+/**
+ * Looks up the UUID of a player. Online mode servers get the Mojang
+ * account UUID, offline mode servers the UUID derived from the name.
+ */
+export async function resolvePlayer(
+  server: ServerWithNode,
+  name: string,
+): Promise<{ uuid: string; name: string } | { error: string }> {
+  if (!(await isOnlineMode(server))) {
+    return { uuid: offlinePlayerUuid(name), name };
+  }
+
+  const cached = uuidCache.get(name.toLowerCase());
+  if (cached && Date.now() - cached.cachedAt < UUID_CACHE_TTL) {
+    return { uuid: cached.uuid, name: cached.name };
+  }
+
+  try {
+    const response = await axios.get(
+      `https://api.mojang.com/users/profiles/minecraft/${encodeURIComponent(name)}`,
+      { timeout: 5000, validateStatus: (status) => status < 500 },
+    );
+    if (response.status !== 200 || !response.data?.id) {
+      return { error: `No Minecraft account is named ${name}` };
+    }
+
+    const player = { uuid: formatUuid(response.data.id), name: response.data.name || name };
+    uuidCache.set(name.toLowerCase(), { ...player, cachedAt: Date.now() });
+    return player;
+  } catch (error) {
+    logger.warn(`Could not look up the UUID of ${name}: ${error instanceof Error ? error.message : String(error)}`);
+    return { error: `Could not reach Mojang to look up ${name}, try again later` };
+  }
+}
+
+/**
+ * Reads one of the player list files of a server. A missing file is an
+ * empty list.
+ * @throws If the file exists but is not a JSON list
+ */
+export async function readPlayerList(server: ServerWithNode, list: PlayerListName): Promise<PlayerListEntry[]> {
+  let content: string;
+  try {
+    content = String(await readServerFile(server, LIST_FILES[list]));
+  } catch (error) {
+    if (axios.isAxiosError(error) && error.response?.status === 404) return [];
+    throw error;
+  }
+
+  if (!content.trim()) return [];
+  let entries: unknown;
+  try {
+    entries = JSON.parse(content);
+  } catch {
+    throw new Error(`${LIST_FILES[list]} is not valid JSON`);
+  }
+  if (!Array.isArray(entries)) {
+    throw new Error(`${LIST_FILES[list]} is not a list`);
+  }
+  return entries as PlayerListEntry[];
+}
+
+function writePlayerList(server: ServerWithNode, list: PlayerListName, entries: PlayerListEntry[]): Promise<void> {
+  return writeServerFile(server, LIST_FILES[list], `${JSON.stringify(entries, null, 2)}\n`);
+}
+
+// Sends the command matching a list change when the server runs, so it
+// applies the change without a restart
+async function sendListCommand(server: ServerWithNode, command: string): Promise<boolean> {
+  try {
+    if (!(await isServerRunning(server))) return false;
+    await sendConsoleCommand(server, command);
+    return true;
+  } catch (error) {
+    logger.warn(`Could not send "${command.split(' ')[0]}" to server ${server.UUID}: ${error instanceof Error ? error.message : String(error)}`);
+    return false;
+  }
+}
+
+/**
+ * Adds a player, or an IP for banned-ips, to a list file. An existing entry
+ * for the same player or IP is replaced.
+ */
+export async function addToPlayerList(
+  server: ServerWithNode,
+  list: PlayerListName,
+  input: PlayerListInput,
+): Promise<PlayerListResult> {
+  const reason = cleanReason(input.reason);
+  const entries = await readPlayerList(server, list);
+
+  if (list === 'banned-ips') {
+    const ip = typeof input.ip === 'string' ? input.ip.trim() : '';
+    if (!net.isIP(ip)) {
+      return { error: 'Enter a valid IP address' };
+    }
+
+    const entry: PlayerListEntry = {
+      ip,
+      created: banTimestamp(),
+      source: 'AirLink',
+      expires: 'forever',
+      reason: reason || 'Banned by an operator.',
+    };
+    await writePlayerList(server, list, [...entries.filter((existing) => existing.ip !== ip), entry]);
+    const commandSent = await sendListCommand(server, `ban-ip ${ip}${reason ? ` ${reason}` : ''}`);
+    return { entry, commandSent };
+  }
+
+  if (!isValidPlayerName(input.name)) {
+    return { error: 'Enter a valid player name' };
+  }
+  const player = await resolvePlayer(server, input.name);
+  if ('error' in player) return player;
+
+  let entry: PlayerListEntry = { uuid: player.uuid, name: player.name };
+  let command = `whitelist add ${player.name}`;
+  if (list === 'ops') {
+    const level = Number(input.level);
+    entry = { ...entry, level: Number.isInteger(level) && level >= 1 && level <= 4 ? level : 4, bypassesPlayerLimit: false };
+    command = `op ${player.name}`;
+  } else if (list === 'banned-players') {
+    entry = {
+      ...entry,
+      created: banTimestamp(),
+      source: 'AirLink',
+      expires: 'forever',
+      reason: reason || 'Banned by an operator.',
+    };
+    command = `ban ${player.name}${reason ? ` ${reason}` : ''}`;
+  }
+
+  const uuid = player.uuid.toLowerCase();
+  await writePlayerList(server, list, [
+    ...entries.filter((existing) => existing.uuid?.toLowerCase() !== uuid),
+    entry,
+  ]);
+  const commandSent = await sendListCommand(server, command);
+  return { entry, commandSent };
+}
+
+/**
+ * Removes a player, by name or UUID, or an IP from a list file
+ */
+export async function removeFromPlayerList(
+  server: ServerWithNode,
+  list: PlayerListName,
+  key: string,
+): Promise<PlayerListResult> {
+  const entries = await readPlayerList(server, list);
+  const needle = key.toLowerCase();
+  const entry = entries.find((existing) =>
+    existing.ip === key ||
+    existing.uuid?.toLowerCase() === needle ||
+    existing.name?.toLowerCase() === needle,
+  );
+  if (!entry) {
+    return { error: `${key} is not on this list` };
+  }
+
+  await writePlayerList(server, list, entries.filter((existing) => existing !== entry));
+
+  const commands: Record<PlayerListName, string | null> = {
+    whitelist: isValidPlayerName(entry.name) ? `whitelist remove ${entry.name}` : null,
+    ops: isValidPlayerName(entry.name) ? `deop ${entry.name}` : null,
+    'banned-players': isValidPlayerName(entry.name) ? `pardon ${entry.name}` : null,
+    'banned-ips': entry.ip && net.isIP(entry.ip) ? `pardon-ip ${entry.ip}` : null,
+  };
+  const command = commands[list];
+  const commandSent = command ? await sendListCommand(server, command) : false;
+  return { entry, commandSent };
+}
+
+/**
+ * Kicks an online player from a running server
+ */
+export async function kickPlayer(
+  server: ServerWithNode,
+  name: unknown,
+  reason?: unknown,
+): Promise<{ success: true } | { error: string }> {
+  if (!isValidPlayerName(name)) {
+    return { error: 'Enter a valid player name' };
+  }
+  if (!(await isServerRunning(server))) {
+    return { error: 'The server is not running' };
+  }
+
+  const cleaned = cleanReason(reason);
+  await sendConsoleCommand(server, `kick ${name}${cleaned ? ` ${cleaned}` : ''}`);
+  return { success: true };
+}
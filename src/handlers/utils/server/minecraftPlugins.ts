@@ -0,0 +1,192 @@
+import axios from 'axios';
+import { readZip } from '../core/zip';
+import { ServerWithNode, listServerFiles } from './serverActions';
+import { downloadServerFile } from './serverFiles';
+import { MANIFEST_FILES, PluginManifest, readPluginManifest } from './pluginManifests';
+
+export type PluginDirectory = 'plugins' | 'mods';
+
+export const PLUGIN_DIRECTORIES: PluginDirectory[] = ['plugins', 'mods'];
+
+export interface InstalledPlugin {
+  file: string;
+  fileName: string;
+  directory: PluginDirectory;
+  enabled: boolean;
+  size: number;
+  manifest: PluginManifest | null;
+  error: string | null;
+  warnings: string[];
+}
+
+const DISABLED_SUFFIX = '.disabled';
+// Jars are downloaded whole to read their metadata, larger ones are skipped
+const JAR_MAX_SIZE = 64 * 1024 * 1024;
+const MANIFEST_MAX_SIZE = 1024 * 1024;
+const MANIFEST_CACHE_SIZE = 1000;
+
+// Manifests by server, jar and size, a jar keeps its entry while toggled
+const manifestCache = new Map<string, { manifest: PluginManifest } | { error: string }>();
+
+/**
+ * Whether a file name is an enabled jar, a disabled one, or not a jar
+ */
+export function pluginFileState(fileName: string): 'enabled' | 'disabled' | null {
+  if (/\.jar$/i.test(fileName)) return 'enabled';
+  if (/\.jar\.disabled$/i.test(fileName)) return 'disabled';
+  return null;
+}
+
+async function inspectJar(
+  server: ServerWithNode,
+  file: string,
+  size: number,
+): Promise<{ manifest: PluginManifest } | { error: string }> {
+  const key = `${server.UUID}:${file.replace(/\.disabled$/i, '')}:${size}`;
+  const cached = manifestCache.get(key);
+  if (cached) return cached;
+
+  if (size > JAR_MAX_SIZE) {
+    return { error: 'The jar is too large to inspect' };
+  }
+
+  let result: { manifest: PluginManifest } | { error: string };
+  try {
+    const buffer = await downloadServerFile(server, file, JAR_MAX_SIZE);
+    const files: Record<string, string> = {};
+    for (const entry of readZip(buffer, MANIFEST_MAX_SIZE, (name) => MANIFEST_FILES.includes(name))) {
+      files[entry.name] = entry.data.toString('utf8');
+    }
+    result = readPluginManifest(files, file.startsWith('mods/') ? 'mod' : 'plugin');
+  } catch (error) {
+    // Failed downloads are worth another try, broken jars are not
+    if (axios.isAxiosError(error)) throw error;
+    result = { error: `The jar could not be read: ${error instanceof Error ? error.message : String(error)}` };
+  }
+
+  if (manifestCache.size >= MANIFEST_CACHE_SIZE) {
+    manifestCache.delete(manifestCache.keys().next().value as string);
+  }
+  manifestCache.set(key, result);
+  return result;
+}
+
+function ids(plugin: InstalledPlugin): string[] {
+  return plugin.manifest ? [plugin.manifest.id, ...plugin.manifest.provides].map((id) => id.toLowerCase()) : [];
+}
+
+/**
+ * Warns about enabled jars missing a required dependency and about jars
+ * that load the same plugin or mod twice. Dependencies are looked up in
+ * the directory of the jar.
+ */
+function addWarnings(plugins: InstalledPlugin[]): void {
+  for (const plugin of plugins) {
+    if (!plugin.enabled || !plugin.manifest) continue;
+    const neighbours = plugins.filter((other) => other !== plugin && other.directory === plugin.directory);
+    const own = ids(plugin);
+
+    const duplicates = neighbours.filter((other) => other.enabled && ids(other).some((id) => own.includes(id)));
+    if (duplicates.length > 0) {
+      plugin.warnings.push(`${plugin.manifest.name} is also loaded from ${duplicates.map((other) => other.fileName).join(', ')}`);
+    }
+
+    for (const dependency of plugin.manifest.dependencies) {
+      if (!dependency.required) continue;
+      const id = dependency.id.toLowerCase();
+      const providers = neighbours.filter((other) => ids(other).includes(id));
+      if (providers.length === 0) {
+        plugin.warnings.push(`Requires ${dependency.id}, which is not installed`);
+      } else if (!providers.some((other) => other.enabled)) {
+        plugin.warnings.push(`Requires ${dependency.id}, which is disabled`);
+      }
+    }
+  }
+}
+
+/**
+ * Lists the jars in plugins/ and mods/ with the metadata read from them
+ * @returns The directories the server has, and the jars in them
+ */
+export async function listPlugins(
+  server: ServerWithNode,
+): Promise<{ directories: PluginDirectory[]; plugins: InstalledPlugin[] }> {
+  const root = await listServerFiles(server, '/');
+  const directories = PLUGIN_DIRECTORIES.filter((directory) =>
+    root.some((entry) => entry.type === 'directory' && entry.name === directory),
+  );
+
+  const plugins: InstalledPlugin[] = [];
+  for (const directory of directories) {
+    for (const entry of await listServerFiles(server, `/${directory}`)) {
+      const state = entry.type === 'directory' ? null : pluginFileState(String(entry.name));
+      if (!state) continue;
+
+      const file = `${directory}/${entry.name}`;
+      const size = Number(entry.size) || 0;
+      let result: { manifest: PluginManifest } | { error: string };
+      try {
+        result = await inspectJar(server, file, size);
+      } catch {
+        result = { error: 'The jar could not be downloaded from the node' };
+      }
+
+      plugins.push({
+        file,
+        fileName: String(entry.name),
+        directory,
+        enabled: state === 'enabled',
+        size,
+        manifest: 'manifest' in result ? result.manifest : null,
+        error: 'error' in result ? result.error : null,
+        warnings: [],
+      });
+    }
+  }
+
+  plugins.sort((a, b) =>
+    a.directory.localeCompare(b.directory)
+    || (a.manifest?.name ?? a.fileName).localeCompare(b.manifest?.name ?? b.fileName, undefined, { sensitivity: 'base' }),
+  );
+  addWarnings(plugins);
+  return { directories, plugins };
+}
+
+/**
+ * Enables or disables a jar by adding or removing `.disabled` from its
+ * name. The server picks the change up on its next start.
+ * @param file Path of the jar, enabled or not, in plugins/ or mods/
+ * @returns The new path of the jar
+ */
+export async function setPluginEnabled(
+  server: ServerWithNode,
+  file: string,
+  enabled: boolean,
+): Promise<{ file: string } | { error: string }> {
+  const slash = file.indexOf('/');
+  const directory = file.slice(0, slash) as PluginDirectory;
+  const fileName = file.slice(slash + 1);
+  const state = pluginFileState(fileName);
+  if (slash === -1 || !PLUGIN_DIRECTORIES.includes(directory) || fileName.includes('/') || !state) {
+    return { error: 'Only jars in plugins/ and mods/ can be enabled or disabled' };
+  }
+
+  const newName = enabled ? fileName.replace(/\.disabled$/i, '') : state === 'enabled' ? `${fileName}${DISABLED_SUFFIX}` : fileName;
+  if (newName === fileName) return { file };
+
+  const entries = await listServerFiles(server, `/${directory}`);
+  if (!entries.some((entry) => entry.name === fileName)) {
+    return { error: `${fileName} was not found` };
+  }
+  if (entries.some((entry) => entry.name === newName)) {
+    return { error: `${newName} already exists, remove one of the two first` };
+  }
+
+  const newPath = `${directory}/${newName}`;
+  await axios.post(
+    `http://${server.node.address}:${server.node.port}/fs/rename`,
+    { id: server.UUID, path: file, newName, newPath },
+    { auth: { username: 'Airlink', password: server.node.key }, timeout: 30000 },
+  );
+  return { file: newPath };
+}
@@ -0,0 +1,293 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import { isWorld } from '../../features';
+import { applyConfigValues, readConfigValues } from '../core/configFormats';
+import {
+  ServerWithNode,
+  listServerFiles,
+  readServerFile,
+  writeServerFile,
+} from './serverActions';
+import {
+  archiveFormatOf,
+  createServerArchive,
+  deleteServerFiles,
+  extractServerArchive,
+  findProtectedPathAt,
+  measureServerDirectory,
+} from './serverFiles';
+import { getServerStatus } from './serverStatus';
+
+export type WorldDimension = 'overworld' | 'nether' | 'end';
+
+export interface WorldInfo {
+  name: string;
+  dimensions: WorldDimension[];
+  // The dimension the world is shown as, the nether or end for the
+  // dimension folders Bukkit servers keep next to the main world
+  dimension: WorldDimension;
+  size: number;
+  sizeComplete: boolean;
+  active: boolean;
+}
+
+// Worlds are measured up to this many directories, region folders are flat
+const WORLD_MAX_DIRECTORIES = 300;
+// Imports are uploaded to the volume root under this prefix
+export const WORLD_IMPORT_PREFIX = '.airlink-world-import-';
+const WORLD_NAME = /^[A-Za-z0-9_][A-Za-z0-9_.-]{0,63}$/;
+
+const DIMENSION_FOLDERS: Record<string, WorldDimension> = {
+  region: 'overworld',
+  'DIM-1': 'nether',
+  DIM1: 'end',
+};
+
+export function isValidWorldName(name: unknown): name is string {
+  return typeof name === 'string' && WORLD_NAME.test(name) && !name.endsWith('.');
+}
+
+/**
+ * The world the server loads, `level-name` in server.properties
+ */
+export async function getActiveWorld(server: ServerWithNode): Promise<string> {
+  try {
+    const result = readConfigValues('properties', String(await readServerFile(server, 'server.properties')), ['level-name']);
+    const level = 'values' in result ? result.values['level-name'] : undefined;
+    return typeof level === 'string' && level.trim() ? level.trim() : 'world';
+  } catch {
+    return 'world';
+  }
+}
+
+/**
+ * The folders that make up a world: itself and, on Bukkit servers, the
+ * nether and end folders named after it
+ */
+function dimensionFolders(world: string): string[] {
+  return [world, `${world}_nether`, `${world}_the_end`];
+}
+
+async function listRootFolders(server: ServerWithNode): Promise<string[]> {
+  return (await listServerFiles(server, '/'))
+    .filter((entry) => entry.type === 'directory')
+    .map((entry) => String(entry.name));
+}
+
+async function isServerRunning(server: ServerWithNode): Promise<boolean> {
+  const status = await getServerStatus({
+    nodeAddress: server.node.address,
+    nodePort: server.node.port,
+    serverUUID: server.UUID,
+    nodeKey: server.node.key,
+  });
+  return status.online;
+}
+
+/**
+ * Lists the Minecraft worlds in the volume root with their dimensions and
+ * size. Sizes of very large worlds are a lower bound.
+ */
+export async function listWorlds(server: ServerWithNode): Promise<WorldInfo[]> {
+  const entries = await listServerFiles(server, '/');
+  const active = await getActiveWorld(server);
+  const serverInfo = {
+    nodeAddress: server.node.address,
+    nodePort: server.node.port,
+    serverUUID: server.UUID,
+    nodeKey: server.node.key,
+  };
+
+  const worlds: WorldInfo[] = [];
+  for (const entry of entries) {
+    if (entry.type !== 'directory' || !(await isWorld(entry.name, serverInfo))) continue;
+
+    const dimensions = new Set<WorldDimension>();
+    const { size, complete } = await measureServerDirectory(
+      server,
+      entry.name,
+      WORLD_MAX_DIRECTORIES,
+      (child, childPath) => {
+        const dimension = DIMENSION_FOLDERS[child.name];
+        if (child.type === 'directory' && dimension && childPath === `${entry.name}/${child.name}`) {
+          dimensions.add(dimension);
+        }
+      },
+    );
+
+    const found = (['overworld', 'nether', 'end'] as WorldDimension[]).filter((dimension) => dimensions.has(dimension));
+    worlds.push({
+      name: entry.name,
+      dimensions: found,
+      dimension: found.length === 1
+        ? found[0]
+        : entry.name.endsWith('_nether') ? 'nether' : entry.name.endsWith('_the_end') ? 'end' : 'overworld',
+      size,
+      sizeComplete: complete,
+      active: dimensionFolders(active).includes(entry.name),
+    });
+  }
+  return worlds;
+}
+
+/**
+ * Refuses changes to the worlds a running server has loaded
+ */
+async function checkWorldIdle(server: ServerWithNode, folders: string[]): Promise<string | null> {
+  const loaded = dimensionFolders(await getActiveWorld(server));
+  if (folders.some((folder) => loaded.includes(folder)) && (await isServerRunning(server))) {
+    return 'Stop the server before changing the world it has loaded';
+  }
+  return null;
+}
+
+function timestamp(date: Date = new Date()): string {
+  return date.toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+}
+
+/**
+ * Archives world folders into a tar.gz in the volume root
+ * @returns The name of the archive
+ */
+export async function backupWorld(server: ServerWithNode, world: string, folders: string[]): Promise<string> {
+  const name = `${world}-backup-${timestamp()}`;
+  await createServerArchive(server, '', folders, name, 'tar.gz');
+  return `${name}.tar.gz`;
+}
+
+/**
+ * Deletes a world, or with `reset` the world and its dimension folders so
+ * the server generates it again on its next start. A backup of the
+ * deleted folders is made first when asked for.
+ */
+export async function deleteWorld(
+  server: ServerWithNode,
+  world: string,
+  options: { reset?: boolean; backup?: boolean } = {},
+): Promise<{ deleted: string[]; backup: string | null } | { error: string }> {
+  const folders = await listRootFolders(server);
+  if (!folders.includes(world)) {
+    return { error: `The world ${world} was not found` };
+  }
+
+  const targets = options.reset ? dimensionFolders(world).filter((folder) => folders.includes(folder)) : [world];
+  const idleError = await checkWorldIdle(server, targets);
+  if (idleError) return { error: idleError };
+
+  const backup = options.backup ? await backupWorld(server, world, targets) : null;
+  const results = await deleteServerFiles(server, targets);
+  const failed = results.find((result) => result.error);
+  if (failed) {
+    return { error: `Failed to delete ${failed.path}: ${failed.error}` };
+  }
+  return { deleted: targets, backup };
+}
+
+/**
+ * Makes a world the one the server loads by setting `level-name`
+ * @returns Whether the server has to restart to load it
+ */
+export async function activateWorld(
+  server: ServerWithNode,
+  world: string,
+): Promise<{ restartRequired: boolean } | { error: string }> {
+  const folders = await listRootFolders(server);
+  if (!folders.includes(world)) {
+    return { error: `The world ${world} was not found` };
+  }
+  const parent = /^(.+)_(nether|the_end)$/.exec(world)?.[1];
+  if (parent && folders.includes(parent)) {
+    return { error: `${world} belongs to the world ${parent}, switch to ${parent} instead` };
+  }
+
+  let content = '';
+  try {
+    content = String(await readServerFile(server, 'server.properties'));
+  } catch (error) {
+    if (!axios.isAxiosError(error) || error.response?.status !== 404) throw error;
+  }
+
+  const updated = applyConfigValues('properties', content, { 'level-name': world });
+  if ('error' in updated) return updated;
+  await writeServerFile(server, 'server.properties', updated.content);
+  return { restartRequired: await isServerRunning(server) };
+}
+
+/**
+ * Creates an archive of a world for download in the volume root. The
+ * caller removes it once it was sent.
+ * @returns The name of the archive
+ */
+export async function createWorldDownload(server: ServerWithNode, world: string): Promise<string> {
+  const name = `.airlink-world-download-${crypto.randomBytes(6).toString('hex')}`;
+  await createServerArchive(server, '', [world], name, 'tar.gz');
+  return `${name}.tar.gz`;
+}
+
+/**
+ * Turns an uploaded archive into a world. The archive is extracted into a
+ * staging folder and must hold a world, either at its root or in a single
+ * folder. The archive and staging folder are removed either way.
+ * @param archive Name of the archive in the volume root, as uploaded
+ * @param denylist File denylist of the image, checked against the extracted files
+ */
+export async function importWorld(
+  server: ServerWithNode,
+  archive: string,
+  world: string,
+  denylist: string[] = [],
+): Promise<{ world: string } | { error: string }> {
+  if (!isValidWorldName(world)) {
+    return { error: 'World names may only use letters, numbers, _, - and .' };
+  }
+  if (!archive.startsWith(WORLD_IMPORT_PREFIX) || archive.includes('/') || !archiveFormatOf(archive)) {
+    return { error: 'Upload a zip, tar or tar.gz archive of the world' };
+  }
+
+  const rootEntries = await listServerFiles(server, '/');
+  if (!rootEntries.some((entry) => entry.name === archive && entry.type !== 'directory')) {
+    return { error: 'The uploaded archive was not found, upload it again' };
+  }
+  if (rootEntries.some((entry) => entry.name === world)) {
+    await deleteServerFiles(server, [archive]);
+    return { error: `A file or folder named ${world} already exists` };
+  }
+
+  const staging = `${WORLD_IMPORT_PREFIX}${crypto.randomBytes(6).toString('hex')}`;
+  try {
+    await extractServerArchive(server, archive, staging);
+
+    let source = staging;
+    let entries = await listServerFiles(server, `/${staging}`);
+    if (!entries.some((entry) => entry.name === 'level.dat')) {
+      const folders = entries.filter((entry) => entry.type === 'directory' && entry.name !== '__MACOSX');
+      if (folders.length === 1) {
+        source = `${staging}/${folders[0].name}`;
+        entries = await listServerFiles(server, `/${source}`);
+      }
+    }
+
+    const hasLevel = entries.some((entry) => entry.name === 'level.dat');
+    const hasData = entries.some((entry) => entry.type === 'directory' && (DIMENSION_FOLDERS[entry.name] || entry.name === 'data'));
+    if (!hasLevel || !hasData) {
+      return { error: 'The archive does not contain a Minecraft world, level.dat or the region data is missing' };
+    }
+
+    const protectedPath = await findProtectedPathAt(server, denylist, source, world);
+    if (protectedPath) {
+      return { error: `${protectedPath} is protected and cannot be changed` };
+    }
+
+    await axios.post(
+      `http://${server.node.address}:${server.node.port}/fs/rename`,
+      { id: server.UUID, path: source, newName: world, newPath: world },
+      { auth: { username: 'Airlink', password: server.node.key }, timeout: 30000 },
+    );
+    return { world };
+  } finally {
+    const leftovers = (await listServerFiles(server, '/').catch(() => []))
+      .map((entry) => String(entry.name))
+      .filter((name) => name === archive || name === staging);
+    if (leftovers.length > 0) await deleteServerFiles(server, leftovers);
+  }
+}
@@ -0,0 +1,546 @@
+/*
+ * Reads the metadata plugin and mod jars carry: plugin.yml and
+ * paper-plugin.yml for Bukkit and Paper plugins, fabric.mod.json for Fabric
+ * and Quilt mods, and mods.toml for Forge and NeoForge mods. Only the parts
+ * of YAML and TOML these files use are understood.
+ */
+
+export type PluginLoader = 'bukkit' | 'paper' | 'fabric' | 'forge' | 'neoforge';
+
+export interface PluginDependency {
+  id: string;
+  required: boolean;
+}
+
+export interface PluginManifest {
+  loader: PluginLoader;
+  id: string;
+  name: string;
+  version: string;
+  authors: string[];
+  description: string;
+  dependencies: PluginDependency[];
+  // Other ids the jar answers to, such as the extra mods of a Forge jar
+  provides: string[];
+}
+
+/**
+ * The files of a jar the manifest is read from
+ */
+export const MANIFEST_FILES = [
+  'paper-plugin.yml',
+  'plugin.yml',
+  'fabric.mod.json',
+  'META-INF/mods.toml',
+  'META-INF/neoforge.mods.toml',
+  'META-INF/MANIFEST.MF',
+];
+
+// Dependencies on the game or the loader itself are always met
+const PLATFORM_IDS = new Set([
+  'minecraft', 'java', 'fabricloader', 'fabric-loader', 'quilt_loader', 'forge', 'neoforge',
+]);
+
+type YamlNode = string | YamlNode[] | { [key: string]: YamlNode };
+
+interface YamlLine {
+  indent: number;
+  text: string;
+}
+
+function unquote(value: string): string {
+  if (value.length >= 2 && value.startsWith('"') && value.endsWith('"')) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return value.slice(1, -1);
+    }
+  }
+  if (value.length >= 2 && value.startsWith('\'') && value.endsWith('\'')) {
+    return value.slice(1, -1).replace(/''/g, '\'');
+  }
+  return value;
+}
+
+function stripYamlComment(value: string): string {
+  const quoted = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*')/.exec(value);
+  if (quoted) return quoted[1];
+  const index = value.search(/\s#/);
+  return (index === -1 ? value : value.slice(0, index)).trim();
+}
+
+// Splits on commas that are not inside quotes
+function splitFlow(value: string): string[] {
+  const parts: string[] = [];
+  let current = '';
+  let quote = '';
+  for (const char of value) {
+    if (quote) {
+      if (char === quote) quote = '';
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === ',') {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+function yamlValue(raw: string): YamlNode {
+  const value = stripYamlComment(raw.trim());
+  if (value.startsWith('[') && value.endsWith(']')) {
+    return splitFlow(value.slice(1, -1)).map(unquote);
+  }
+  // Flow mappings are not used by the files read here
+  if (value.startsWith('{')) return '';
+  return unquote(value);
+}
+
+function parseYamlBlock(lines: YamlLine[], start: number, indent: number): [YamlNode, number] {
+  let index = start;
+
+  if (lines[index]?.text.startsWith('-')) {
+    const list: YamlNode[] = [];
+    while (index < lines.length && lines[index].indent === indent && lines[index].text.startsWith('-')) {
+      const line = lines[index];
+      const item = line.text.slice(1).trim();
+      if (!item) {
+        const next = lines[index + 1];
+        if (next && next.indent > indent) {
+          const [child, end] = parseYamlBlock(lines, index + 1, next.indent);
+          list.push(child);
+          index = end;
+        } else {
+          list.push('');
+          index++;
+        }
+      } else if (/^[^'"[{][^:]*:(\s|$)/.test(item)) {
+        // A mapping that starts on the line of its dash
+        lines[index] = { indent: indent + line.text.length - item.length, text: item };
+        const [child, end] = parseYamlBlock(lines, index, lines[index].indent);
+        list.push(child);
+        index = end;
+      } else {
+        list.push(yamlValue(item));
+        index++;
+      }
+    }
+    return [list, index];
+  }
+
+  const mapping: { [key: string]: YamlNode } = {};
+  while (index < lines.length && lines[index].indent >= indent) {
+    const line = lines[index];
+    const match = line.indent === indent ? /^("[^"]*"|'[^']*'|[^:]+?)\s*:(?:\s+(.*))?$/.exec(line.text) : null;
+    if (!match) {
+      index++;
+      continue;
+    }
+
+    const key = unquote(match[1].trim());
+    const rest = (match[2] ?? '').trim();
+    index++;
+
+    if (!rest || rest.startsWith('#')) {
+      const next = lines[index];
+      if (next && (next.indent > indent || (next.indent === indent && next.text.startsWith('-')))) {
+        const [child, end] = parseYamlBlock(lines, index, next.indent);
+        mapping[key] = child;
+        index = end;
+      } else {
+        mapping[key] = '';
+      }
+    } else if (/^[|>][+-]?\d*$/.test(rest)) {
+      const block: string[] = [];
+      while (index < lines.length && lines[index].indent > indent) {
+        block.push(lines[index].text);
+        index++;
+      }
+      mapping[key] = block.join(rest.startsWith('|') ? '\n' : ' ');
+    } else {
+      mapping[key] = yamlValue(rest);
+    }
+  }
+  return [mapping, index];
+}
+
+/**
+ * Parses the block mappings, lists and scalars plugin.yml files are made of
+ */
+export function parseYamlManifest(content: string): { [key: string]: YamlNode } {
+  const lines: YamlLine[] = [];
+  for (const raw of content.replace(/^\uFEFF/, '').replace(/\r/g, '').split('\n')) {
+    const text = raw.trim();
+    if (!text || text.startsWith('#') || text === '---') continue;
+    lines.push({ indent: raw.length - raw.trimStart().length, text });
+  }
+  if (lines.length === 0) return {};
+
+  const [root] = parseYamlBlock(lines, 0, lines[0].indent);
+  return root && typeof root === 'object' && !Array.isArray(root) ? root : {};
+}
+
+class TomlReader {
+  private position = 0;
+
+  constructor(private readonly text: string) {}
+
+  parse(): Record<string, any> {
+    const root: Record<string, any> = {};
+    let table = root;
+
+    for (;;) {
+      this.skipBlank();
+      if (this.position >= this.text.length) return root;
+
+      if (this.text.startsWith('[[', this.position)) {
+        this.position += 2;
+        const path = this.readKey();
+        this.expect(']]');
+        const parent = this.resolve(root, path.slice(0, -1));
+        const last = path[path.length - 1];
+        if (!Array.isArray(parent[last])) parent[last] = [];
+        table = {};
+        parent[last].push(table);
+      } else if (this.text[this.position] === '[') {
+        this.position++;
+        const path = this.readKey();
+        this.expect(']');
+        table = this.resolve(root, path);
+      } else {
+        const path = this.readKey();
+        this.expect('=');
+        const parent = this.resolve(table, path.slice(0, -1));
+        parent[path[path.length - 1]] = this.readValue();
+      }
+      this.skipLine();
+    }
+  }
+
+  // Follows a dotted key, the last array of tables standing for its last table
+  private resolve(root: Record<string, any>, path: string[]): Record<string, any> {
+    let current = root;
+    for (const segment of path) {
+      let next = current[segment];
+      if (Array.isArray(next)) next = next[next.length - 1];
+      if (!next || typeof next !== 'object') {
+        next = {};
+        current[segment] = next;
+      }
+      current = next;
+    }
+    return current;
+  }
+
+  private skipSpaces(): void {
+    while (this.text[this.position] === ' ' || this.text[this.position] === '\t') this.position++;
+  }
+
+  private skipBlank(): void {
+    for (;;) {
+      this.skipSpaces();
+      const char = this.text[this.position];
+      if (char === '\n' || char === '\r') {
+        this.position++;
+      } else if (char === '#') {
+        while (this.position < this.text.length && this.text[this.position] !== '\n') this.position++;
+      } else {
+        return;
+      }
+    }
+  }
+
+  private skipLine(): void {
+    this.skipSpaces();
+    if (this.text[this.position] === '#') {
+      while (this.position < this.text.length && this.text[this.position] !== '\n') this.position++;
+    }
+    const char = this.text[this.position];
+    if (char !== undefined && char !== '\n' && char !== '\r') {
+      throw new Error(`Unexpected ${JSON.stringify(char)} in TOML`);
+    }
+  }
+
+  private expect(token: string): void {
+    this.skipSpaces();
+    if (!this.text.startsWith(token, this.position)) {
+      throw new Error(`Expected ${token} in TOML`);
+    }
+    this.position += token.length;
+  }
+
+  private readKey(): string[] {
+    const path: string[] = [];
+    for (;;) {
+      this.skipSpaces();
+      const char = this.text[this.position];
+      if (char === '"' || char === '\'') {
+        path.push(this.readString());
+      } else {
+        const match = /^[A-Za-z0-9_-]+/.exec(this.text.slice(this.position, this.position + 256));
+        if (!match) throw new Error('Invalid key in TOML');
+        path.push(match[0]);
+        this.position += match[0].length;
+      }
+      this.skipSpaces();
+      if (this.text[this.position] !== '.') return path;
+      this.position++;
+    }
+  }
+
+  private readString(): string {
+    const quote = this.text[this.position];
+    const multiline = this.text.startsWith(quote.repeat(3), this.position);
+    const delimiter = multiline ? quote.repeat(3) : quote;
+    this.position += delimiter.length;
+    if (multiline && this.text[this.position] === '\n') this.position++;
+    if (multiline && this.text.startsWith('\r\n', this.position)) this.position += 2;
+
+    let value = '';
+    while (!this.text.startsWith(delimiter, this.position)) {
+      const char = this.text[this.position];
+      if (char === undefined || (!multiline && char === '\n')) throw new Error('Unterminated string in TOML');
+      if (quote === '"' && char === '\\') {
+        const escape = this.text[this.position + 1];
+        if (escape === 'u' || escape === 'U') {
+          const length = escape === 'u' ? 4 : 8;
+          value += String.fromCodePoint(parseInt(this.text.slice(this.position + 2, this.position + 2 + length), 16) || 0xfffd);
+          this.position += 2 + length;
+        } else if (escape === '\n' || escape === '\r') {
+          // A backslash at the end of a line joins it with the next
+          this.position++;
+          while (/\s/.test(this.text[this.position] ?? '')) this.position++;
+        } else {
+          value += ({ n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' } as Record<string, string>)[escape] ?? escape;
+          this.position += 2;
+        }
+        continue;
+      }
+      value += char;
+      this.position++;
+    }
+    this.position += delimiter.length;
+    return value;
+  }
+
+  private readValue(): any {
+    this.skipSpaces();
+    const char = this.text[this.position];
+
+    if (char === '"' || char === '\'') return this.readString();
+
+    if (char === '[') {
+      this.position++;
+      const values: any[] = [];
+      for (;;) {
+        this.skipBlank();
+        if (this.text[this.position] === ']') {
+          this.position++;
+          return values;
+        }
+        values.push(this.readValue());
+        this.skipBlank();
+        if (this.text[this.position] === ',') this.position++;
+        else if (this.text[this.position] !== ']') throw new Error('Expected , or ] in TOML');
+      }
+    }
+
+    if (char === '{') {
+      this.position++;
+      const table: Record<string, any> = {};
+      this.skipSpaces();
+      if (this.text[this.position] === '}') {
+        this.position++;
+        return table;
+      }
+      for (;;) {
+        const path = this.readKey();
+        this.expect('=');
+        this.resolve(table, path.slice(0, -1))[path[path.length - 1]] = this.readValue();
+        this.skipSpaces();
+        const next = this.text[this.position++];
+        if (next === '}') return table;
+        if (next !== ',') throw new Error('Expected , or } in TOML');
+      }
+    }
+
+    const match = /^[^\s,\]}#]+/.exec(this.text.slice(this.position, this.position + 256));
+    if (!match) throw new Error('Missing value in TOML');
+    this.position += match[0].length;
+    if (match[0] === 'true') return true;
+    if (match[0] === 'false') return false;
+    const number = Number(match[0].replace(/_/g, ''));
+    return Number.isNaN(number) ? match[0] : number;
+  }
+}
+
+/**
+ * Parses the tables, arrays of tables and values mods.toml files use
+ * @throws If the file is not valid TOML
+ */
+export function parseTomlManifest(content: string): Record<string, any> {
+  return new TomlReader(content.replace(/^\uFEFF/, '')).parse();
+}
+
+/**
+ * Reads the main attributes of a jar's MANIFEST.MF
+ */
+export function parseJarManifest(content: string): Record<string, string> {
+  const attributes: Record<string, string> = {};
+  let last = '';
+  for (const line of content.replace(/\r/g, '').split('\n')) {
+    if (!line) break;
+    if (line.startsWith(' ') && last) {
+      attributes[last] += line.slice(1);
+      continue;
+    }
+    const index = line.indexOf(':');
+    if (index > 0) {
+      last = line.slice(0, index).trim();
+      attributes[last] = line.slice(index + 1).trim();
+    }
+  }
+  return attributes;
+}
+
+function text(value: unknown): string {
+  return typeof value === 'string' || typeof value === 'number' ? String(value).trim() : '';
+}
+
+function textList(value: unknown): string[] {
+  const values = Array.isArray(value) ? value : value === undefined || value === '' ? [] : [value];
+  return values.map(text).filter(Boolean);
+}
+
+function fromPluginYaml(content: string, paper: boolean): PluginManifest {
+  const yaml = parseYamlManifest(content) as Record<string, any>;
+  const name = text(yaml.name);
+  if (!name) throw new Error(`${paper ? 'paper-plugin.yml' : 'plugin.yml'} has no name`);
+
+  const dependencies: PluginDependency[] = [];
+  const addDependency = (id: string, required: boolean) => {
+    if (id && !dependencies.some((dependency) => dependency.id === id)) dependencies.push({ id, required });
+  };
+
+  textList(yaml.depend).forEach((id) => addDependency(id, true));
+  textList(yaml.softdepend).forEach((id) => addDependency(id, false));
+  if (paper && yaml.dependencies && typeof yaml.dependencies === 'object') {
+    // Paper lists dependencies per phase, older builds as a list of entries
+    const groups = Array.isArray(yaml.dependencies)
+      ? [yaml.dependencies]
+      : [yaml.dependencies.server, yaml.dependencies.bootstrap];
+    for (const group of groups) {
+      if (Array.isArray(group)) {
+        group.forEach((entry) => addDependency(text(entry?.name), text(entry?.required) !== 'false'));
+      } else if (group && typeof group === 'object') {
+        Object.entries(group).forEach(([id, entry]: [string, any]) => addDependency(id, text(entry?.required) !== 'false'));
+      }
+    }
+  }
+
+  return {
+    loader: paper ? 'paper' : 'bukkit',
+    id: name,
+    name,
+    version: text(yaml.version),
+    authors: [...textList(yaml.author), ...textList(yaml.authors)],
+    description: text(yaml.description),
+    dependencies,
+    provides: textList(yaml.provides),
+  };
+}
+
+function fromFabricJson(content: string): PluginManifest {
+  const json = JSON.parse(content.replace(/^\uFEFF/, ''));
+  const id = text(json?.id);
+  if (!id) throw new Error('fabric.mod.json has no id');
+
+  const authors = (Array.isArray(json.authors) ? json.authors : [])
+    .map((author: any) => text(typeof author === 'object' ? author?.name : author))
+    .filter(Boolean);
+  const dependencies: PluginDependency[] = [];
+  for (const [field, required] of [['depends', true], ['recommends', false], ['suggests', false]] as const) {
+    for (const dependency of Object.keys(json[field] && typeof json[field] === 'object' ? json[field] : {})) {
+      if (!PLATFORM_IDS.has(dependency)) dependencies.push({ id: dependency, required });
+    }
+  }
+
+  return {
+    loader: 'fabric',
+    id,
+    name: text(json.name) || id,
+    version: text(json.version),
+    authors,
+    description: text(json.description),
+    dependencies,
+    provides: textList(json.provides),
+  };
+}
+
+function fromModsToml(content: string, neoforge: boolean, jarManifest: Record<string, string>): PluginManifest {
+  const toml = parseTomlManifest(content);
+  const mods = (Array.isArray(toml.mods) ? toml.mods : []).filter((mod: any) => text(mod?.modId));
+  if (mods.length === 0) throw new Error('mods.toml does not declare a mod');
+
+  const [main] = mods;
+  // ${file.jarVersion} stands for the version in the jar's manifest
+  const version = text(main.version).replace('${file.jarVersion}', jarManifest['Implementation-Version'] ?? '');
+  const ids = mods.map((mod: any) => text(mod.modId));
+
+  const dependencies: PluginDependency[] = [];
+  for (const entries of Object.values(toml.dependencies && typeof toml.dependencies === 'object' ? toml.dependencies : {})) {
+    for (const entry of Array.isArray(entries) ? entries as any[] : []) {
+      const id = text(entry?.modId);
+      const type = text(entry?.type).toLowerCase();
+      if (!id || PLATFORM_IDS.has(id) || ids.includes(id) || type === 'incompatible' || type === 'discouraged') continue;
+      if (dependencies.some((dependency) => dependency.id === id)) continue;
+      dependencies.push({ id, required: entry.mandatory === true || type === 'required' });
+    }
+  }
+
+  return {
+    loader: neoforge ? 'neoforge' : 'forge',
+    id: ids[0],
+    name: text(main.displayName) || ids[0],
+    version,
+    authors: text(main.authors ?? toml.authors).split(',').map((author) => author.trim()).filter(Boolean),
+    description: text(main.description),
+    dependencies,
+    provides: ids.slice(1),
+  };
+}
+
+/**
+ * Reads the manifest of a plugin or mod jar from its metadata files. Jars
+ * that serve several loaders are read as a plugin in plugins/ and as a mod
+ * in mods/.
+ * @param files Contents of the MANIFEST_FILES found in the jar
+ */
+export function readPluginManifest(
+  files: Record<string, string>,
+  kind: 'plugin' | 'mod',
+): { manifest: PluginManifest } | { error: string } {
+  const jarAttributes = () => (files['META-INF/MANIFEST.MF'] ? parseJarManifest(files['META-INF/MANIFEST.MF']) : {});
+  const readers: [string, () => PluginManifest][] = [
+    ['paper-plugin.yml', () => fromPluginYaml(files['paper-plugin.yml'], true)],
+    ['plugin.yml', () => fromPluginYaml(files['plugin.yml'], false)],
+    ['fabric.mod.json', () => fromFabricJson(files['fabric.mod.json'])],
+    ['META-INF/neoforge.mods.toml', () => fromModsToml(files['META-INF/neoforge.mods.toml'], true, jarAttributes())],
+    ['META-INF/mods.toml', () => fromModsToml(files['META-INF/mods.toml'], false, jarAttributes())],
+  ];
+
+  const ordered = kind === 'plugin' ? readers : [...readers.slice(2), ...readers.slice(0, 2)];
+  for (const [file, read] of ordered) {
+    if (files[file] === undefined) continue;
+    try {
+      return { manifest: read() };
+    } catch (error) {
+      return { error: `${file} could not be read: ${error instanceof Error ? error.message : String(error)}` };
+    }
+  }
+  return { error: 'No plugin.yml, paper-plugin.yml, fabric.mod.json or mods.toml was found in the jar' };
+}
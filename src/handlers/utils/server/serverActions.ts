@@ -0,0 +1,376 @@
+import axios from 'axios';
+import { WebSocket } from 'ws';
+import { Backup, Node, PrismaClient, Server } from '@prisma/client';
+import logger from '../../logger';
+import { getPortBindings, getPrimaryPort } from '../node/allocations';
+import { markServerStopRequested } from './serverStatus';
+import { emitServerEvent } from '../../webhooks';
+
+const prisma = new PrismaClient();
+
+export type ServerWithNode = Server & { node: Node };
+
+interface ServerVariable {
+  name: string;
+  env: string;
+  type: 'boolean' | 'text' | 'number';
+  default: string | number | boolean;
+  value: string | number | boolean;
+}
+
+function daemonAuth(node: Node) {
+  return {
+    username: 'Airlink',
+    password: node.key,
+  };
+}
+
+/**
+ * Builds the environment passed to the container from the server variables.
+ * @param server The server to read variables from
+ */
+export function buildServerEnvironment(
+  server: Server,
+): Record<string, string | number | boolean> {
+  const envVariables: Record<string, string | number | boolean> = {};
+  if (!server.Variables) return envVariables;
+
+  try {
+    const serverVariables = JSON.parse(server.Variables) as ServerVariable[];
+    serverVariables.forEach((variable) => {
+      if (variable.env && variable.value !== undefined && variable.type) {
+        let processedValue: string | number | boolean;
+        switch (variable.type) {
+        case 'boolean':
+          processedValue =
+            variable.value === 1 || variable.value === '1' ? 'true' : 'false';
+          break;
+        case 'number':
+          processedValue = Number(variable.value);
+          break;
+        case 'text':
+          processedValue = String(variable.value);
+          break;
+        default:
+          processedValue = variable.value;
+        }
+        envVariables[variable.env] = processedValue;
+      }
+    });
+  } catch (error) {
+    logger.error('Error processing server.Variables:', error);
+    throw new Error('Invalid format in server.Variables');
+  }
+
+  return envVariables;
+}
+
+/**
+ * Builds the environment of a server with the variables every server gets,
+ * which imported eggs reference in their startup and install scripts.
+ */
+export function buildRuntimeEnvironment(
+  server: Server,
+): Record<string, string | number | boolean> {
+  return {
+    ...buildServerEnvironment(server),
+    SERVER_MEMORY: server.Memory,
+    SERVER_IP: '0.0.0.0',
+    SERVER_PORT: String(getPrimaryPort(server.Ports) ?? ''),
+  };
+}
+
+/**
+ * Starts the container of a server on its node.
+ * @throws If the server is being transferred, has no docker image or the
+ * daemon request fails
+ */
+export async function startServer(server: ServerWithNode): Promise<void> {
+  if (server.Transferring) {
+    throw new Error('The server is being transferred to another node.');
+  }
+
+  const ports = getPortBindings(server.Ports);
+
+  const envVariables = buildRuntimeEnvironment(server);
+
+  if (!server.dockerImage) {
+    throw new Error('Docker image not found.');
+  }
+
+  const ServerImage = Object.values(JSON.parse(server.dockerImage))[0];
+
+  await axios({
+    method: 'POST',
+    url: `http://${server.node.address}:${server.node.port}/container/start`,
+    auth: daemonAuth(server.node),
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    data: {
+      id: String(server.UUID),
+      image: String(ServerImage),
+      ports: ports,
+      Memory: server.Memory * 1024,
+      Cpu: server.Cpu,
+      env: envVariables,
+      StartCommand: server.StartCommand,
+    },
+  });
+}
+
+/**
+ * Stops the container of a server on its node.
+ */
+export async function stopServer(server: ServerWithNode): Promise<void> {
+  markServerStopRequested(server.UUID);
+  await axios({
+    method: 'POST',
+    url: `http://${server.node.address}:${server.node.port}/container/stop`,
+    auth: daemonAuth(server.node),
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    data: {
+      id: String(server.UUID),
+      stopCmd: 'stop',
+    },
+  });
+}
+
+/**
+ * Stops and starts the container again, waiting briefly in between. A server
+ * that is not running is just started.
+ */
+export async function restartServer(server: ServerWithNode): Promise<void> {
+  try {
+    await stopServer(server);
+  } catch (error) {
+    // The daemon answers 404 when the container is not running
+    if (!axios.isAxiosError(error) || error.response?.status !== 404) throw error;
+  }
+  await new Promise((resolve) => setTimeout(resolve, 2000));
+  await startServer(server);
+}
+
+/**
+ * Lists a directory of the server volume.
+ * @param dirPath Path inside the volume, '/' being its root
+ */
+export async function listServerFiles(
+  server: ServerWithNode,
+  dirPath: string,
+): Promise<any[]> {
+  const response = await axios({
+    method: 'GET',
+    url: `http://${server.node.address}:${server.node.port}/fs/list`,
+    params: { id: server.UUID, path: dirPath.replace(/\/+/g, '/') },
+    auth: daemonAuth(server.node),
+  });
+
+  const files = typeof response.data === 'string' ? JSON.parse(response.data) : response.data;
+  return Array.isArray(files) ? files : [];
+}
+
+/**
+ * Reads a file of the server volume as text.
+ */
+export async function readServerFile(
+  server: ServerWithNode,
+  filePath: string,
+): Promise<string> {
+  const response = await axios({
+    method: 'GET',
+    url: `http://${server.node.address}:${server.node.port}/fs/file/content`,
+    responseType: 'text',
+    params: { id: server.UUID, path: filePath },
+    auth: daemonAuth(server.node),
+  });
+
+  return response.data;
+}
+
+/**
+ * Writes text to a file of the server volume, creating it if needed.
+ */
+export async function writeServerFile(
+  server: ServerWithNode,
+  filePath: string,
+  content: string,
+): Promise<void> {
+  await axios({
+    method: 'POST',
+    url: `http://${server.node.address}:${server.node.port}/fs/file/content`,
+    data: {
+      id: server.UUID,
+      path: filePath,
+      content,
+    },
+    auth: daemonAuth(server.node),
+  });
+}
+
+/**
+ * Sends a single command to the server console through the daemon socket.
+ * @param timeoutMs How long to wait for the daemon before giving up
+ */
+export function sendConsoleCommand(
+  server: ServerWithNode,
+  command: string,
+  timeoutMs: number = 10000,
+): Promise<void> {
+  return new Promise((resolve, reject) => {
+    const socket = new WebSocket(
+      `ws://${server.node.address}:${server.node.port}/container/${server.UUID}`,
+    );
+
+    const timer = setTimeout(() => {
+      socket.terminate();
+      reject(new Error('Timed out while sending console command'));
+    }, timeoutMs);
+
+    socket.on('open', () => {
+      socket.send(JSON.stringify({ event: 'auth', args: [server.node.key] }));
+      socket.send(JSON.stringify({ event: 'CMD', command }));
+      // Give the daemon a moment to forward the command before closing
+      setTimeout(() => {
+        clearTimeout(timer);
+        socket.close();
+        resolve();
+      }, 500);
+    });
+
+    socket.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Asks the daemon to create a backup of the server files and records it,
+ * notifying webhooks whether it worked.
+ * @returns The stored backup
+ * @throws If the server is being transferred, as the transfer copies the
+ * backups it found when it started
+ */
+export async function createServerBackup(
+  server: ServerWithNode,
+  name: string,
+): Promise<Backup> {
+  if (server.Transferring) {
+    throw new Error('The server is being transferred to another node.');
+  }
+
+  try {
+    const backup = await requestServerBackup(server, name);
+    emitServerEvent('backup.completed', server, {
+      backup: { id: backup.UUID, name: backup.name, size: backup.size?.toString() },
+    });
+    return backup;
+  } catch (error) {
+    emitServerEvent('backup.failed', server, {
+      backup: { name },
+      error: axios.isAxiosError(error)
+        ? error.response?.data?.error || error.message
+        : error instanceof Error ? error.message : String(error),
+    });
+    throw error;
+  }
+}
+
+/**
+ * Asks the daemon to archive the server files, without recording a backup.
+ * @throws If the daemon request fails or reports no success
+ */
+export async function archiveServerFiles(
+  server: ServerWithNode,
+  name: string,
+): Promise<{ uuid: string; filePath: string; size: number }> {
+  const response = await axios.post(
+    `http://${server.node.address}:${server.node.port}/container/backup`,
+    {
+      id: server.UUID,
+      name,
+    },
+    {
+      auth: daemonAuth(server.node),
+      timeout: 300000,
+    },
+  );
+
+  if (!response.data.success) {
+    throw new Error('Failed to create backup on daemon');
+  }
+
+  return response.data.backup;
+}
+
+async function requestServerBackup(
+  server: ServerWithNode,
+  name: string,
+): Promise<Backup> {
+  const archive = await archiveServerFiles(server, name);
+
+  return prisma.backup.create({
+    data: {
+      UUID: archive.uuid,
+      name,
+      serverId: server.UUID,
+      filePath: archive.filePath,
+      size: BigInt(archive.size),
+    },
+  });
+}
+
+/**
+ * Replaces the server files with the contents of a backup.
+ * @throws If the daemon request fails or reports no success
+ */
+export async function restoreServerBackup(
+  server: ServerWithNode,
+  backup: Pick<Backup, 'filePath'>,
+): Promise<void> {
+  const response = await axios.post(
+    `http://${server.node.address}:${server.node.port}/container/restore`,
+    {
+      id: server.UUID,
+      backupPath: backup.filePath,
+    },
+    {
+      auth: daemonAuth(server.node),
+      timeout: 300000,
+    },
+  );
+
+  if (!response.data.success) {
+    throw new Error('Failed to restore backup on daemon');
+  }
+}
+
+/**
+ * Removes a backup archive from the node and deletes its record.
+ * A failed daemon delete is only logged so stale records can still be removed.
+ */
+export async function deleteServerBackup(
+  server: ServerWithNode,
+  backup: Backup,
+): Promise<void> {
+  try {
+    await axios.delete(
+      `http://${server.node.address}:${server.node.port}/container/backup`,
+      {
+        data: {
+          backupPath: backup.filePath,
+        },
+        auth: daemonAuth(server.node),
+      },
+    );
+  } catch {
+    logger.warn(`Failed to delete backup file ${backup.UUID} from daemon`);
+  }
+
+  await prisma.backup.delete({
+    where: { UUID: backup.UUID },
+  });
+}
@@ -0,0 +1,615 @@
+import axios from 'axios';
+import { Images, Node } from '@prisma/client';
+import { ServerWithNode, listServerFiles, readServerFile } from './serverActions';
+import { DaemonUnsupportedError, requireDaemonEndpoint } from '../node/daemonCompat';
+
+/*
+ * File operations beyond single paths. Besides the endpoints the file
+ * routes already use, these rely on the daemon serving:
+ *   POST /fs/copy     { id, path, newPath }
+ *   POST /fs/archive  { id, path, files, name, format: 'tar' | 'tar.gz' }
+ *   POST /fs/extract  { id, path, destination, format: 'zip' | 'tar' | 'tar.gz' }
+ *   POST /fs/chmod    { id, path, mode }
+ * Paths are relative to the server volume, like the other /fs endpoints.
+ * Not every daemon serves them; see DAEMON_FEATURES, a missing one is
+ * reported as a DaemonUnsupportedError.
+ */
+
+// How far a search walks before it gives up
+const SEARCH_MAX_DEPTH = 10;
+const SEARCH_MAX_DIRECTORIES = 500;
+const SEARCH_MAX_RESULTS = 100;
+// Content search only reads text files up to this size
+const SEARCH_MAX_FILE_SIZE = 1024 * 1024;
+const SEARCH_MAX_FILES_READ = 200;
+const SEARCH_MATCHES_PER_FILE = 5;
+
+// Directories walked to check a delete or move against the denylist
+const DENYLIST_MAX_DIRECTORIES = 200;
+
+export const UPLOAD_CHUNK_SIZE = 8 * 1024 * 1024;
+// Uploads nobody resumed within a day are forgotten
+const UPLOAD_SESSION_TTL = 24 * 60 * 60 * 1000;
+
+const BINARY_EXTENSIONS = new Set([
+  'jar', 'zip', 'gz', 'tgz', 'tar', '7z', 'rar', 'png', 'jpg', 'jpeg', 'gif', 'bmp',
+  'webp', 'ico', 'so', 'dll', 'exe', 'bin', 'dat', 'mca', 'mcr', 'db', 'sqlite',
+]);
+
+export type ArchiveFormat = 'zip' | 'tar' | 'tar.gz';
+
+export const ARCHIVE_FORMATS: ArchiveFormat[] = ['zip', 'tar', 'tar.gz'];
+
+export interface FileSearchResult {
+  path: string;
+  name: string;
+  type: 'file' | 'directory';
+  size: number;
+  matches?: { line: number; text: string }[];
+}
+
+export interface BulkFileResult {
+  path: string;
+  error?: string;
+}
+
+interface UploadSession {
+  path: string;
+  fileName: string;
+  totalChunks: number;
+  nextChunk: number;
+  busy: boolean;
+  updatedAt: number;
+}
+
+const uploadSessions = new Map<string, UploadSession>();
+
+function nodeUrl(node: Node): string {
+  return `http://${node.address}:${node.port}`;
+}
+
+function daemonAuth(node: Node) {
+  return { username: 'Airlink', password: node.key };
+}
+
+function daemonError(error: unknown): string {
+  if (axios.isAxiosError(error)) {
+    return error.response?.data?.error || error.message;
+  }
+  return error instanceof Error ? error.message : String(error);
+}
+
+function joinPath(directory: string, name: string): string {
+  return directory ? `${directory}/${name}` : name;
+}
+
+function baseName(filePath: string): string {
+  return filePath.slice(filePath.lastIndexOf('/') + 1);
+}
+
+function parentPath(filePath: string): string {
+  const index = filePath.lastIndexOf('/');
+  return index === -1 ? '' : filePath.slice(0, index);
+}
+
+/**
+ * Cleans a path of the server volume: no leading or repeated slashes and
+ * no parent segments. The volume root is ''.
+ * @returns The cleaned path, or null if the path leaves the volume
+ */
+export function normalizeFilePath(input: unknown): string | null {
+  if (typeof input !== 'string' || input.includes('\0')) return null;
+
+  const segments = input.replace(/\\/g, '/').split('/').filter((segment) => segment && segment !== '.');
+  if (segments.includes('..')) return null;
+  return segments.join('/');
+}
+
+/**
+ * Reads the archive format from a file name
+ */
+export function archiveFormatOf(fileName: string): ArchiveFormat | null {
+  const name = fileName.toLowerCase();
+  if (name.endsWith('.zip')) return 'zip';
+  if (name.endsWith('.tar.gz') || name.endsWith('.tgz')) return 'tar.gz';
+  if (name.endsWith('.tar')) return 'tar';
+  return null;
+}
+
+/**
+ * The file denylist of an image, kept in its info as `fileDenylist`
+ */
+export function getFileDenylist(image: Pick<Images, 'info'> | null | undefined): string[] {
+  if (!image?.info) return [];
+  try {
+    const info = JSON.parse(image.info);
+    return Array.isArray(info?.fileDenylist)
+      ? info.fileDenylist.map(String).map((pattern: string) => pattern.trim()).filter(Boolean)
+      : [];
+  } catch {
+    return [];
+  }
+}
+
+function patternToRegExp(pattern: string): RegExp {
+  const source = pattern
+    .split('**')
+    .map((part) => part
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '[^/]*')
+      .replace(/\?/g, '[^/]'))
+    .join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+function matchesPattern(pattern: string, filePath: string): boolean {
+  const trimmed = pattern.replace(/\/+$/, '');
+  // Like .gitignore, patterns without a slash match a name at any depth
+  if (!trimmed.replace(/^\/+/, '').includes('/')) {
+    return patternToRegExp(trimmed.replace(/^\/+/, '')).test(baseName(filePath));
+  }
+  return patternToRegExp(trimmed.replace(/^\/+/, '')).test(filePath);
+}
+
+/**
+ * Checks a path against a denylist. A path is protected when it or one of
+ * its parent directories matches; later `!` patterns lift earlier matches.
+ * Paths that do not normalize, such as ones with `..`, count as protected.
+ */
+export function isFileDenied(denylist: string[], filePath: string): boolean {
+  if (denylist.length === 0) return false;
+  const normalized = normalizeFilePath(filePath);
+  if (normalized === null) return true;
+  if (!normalized) return false;
+
+  const segments = normalized.split('/');
+  for (let depth = 1; depth <= segments.length; depth++) {
+    const candidate = segments.slice(0, depth).join('/');
+    let denied = false;
+    for (const pattern of denylist) {
+      if (pattern.startsWith('!')) {
+        if (matchesPattern(pattern.slice(1), candidate)) denied = false;
+      } else if (matchesPattern(pattern, candidate)) {
+        denied = true;
+      }
+    }
+    if (denied) return true;
+  }
+  return false;
+}
+
+/**
+ * Walks the server volume breadth first.
+ * @param visit Called for each entry, returning false stops the walk
+ * @returns Whether the walk stopped before covering every directory
+ */
+async function walkServerFiles(
+  server: ServerWithNode,
+  root: string,
+  maxDirectories: number,
+  visit: (entry: any, entryPath: string) => boolean | Promise<boolean>,
+): Promise<boolean> {
+  const queue: { path: string; depth: number }[] = [{ path: root, depth: 0 }];
+  let visited = 0;
+  let skipped = false;
+
+  while (queue.length > 0) {
+    if (visited >= maxDirectories) return true;
+    const directory = queue.shift()!;
+    visited++;
+
+    let entries: any[];
+    try {
+      entries = await listServerFiles(server, `/${directory.path}`);
+    } catch {
+      continue;
+    }
+
+    for (const entry of entries) {
+      if (!directory.path && entry.name === 'airlink') continue;
+
+      const entryPath = joinPath(directory.path, entry.name);
+      if (!(await visit(entry, entryPath))) return true;
+
+      if (entry.type === 'directory') {
+        if (directory.depth + 1 >= SEARCH_MAX_DEPTH) {
+          skipped = true;
+          continue;
+        }
+        queue.push({ path: entryPath, depth: directory.depth + 1 });
+      }
+    }
+  }
+  return skipped;
+}
+
+/**
+ * Adds up the size of the files in a directory
+ * @returns The size in bytes, and whether every directory was counted
+ */
+export async function measureServerDirectory(
+  server: ServerWithNode,
+  directory: string,
+  maxDirectories: number,
+  visit?: (entry: any, entryPath: string) => void,
+): Promise<{ size: number; complete: boolean }> {
+  let size = 0;
+  const stopped = await walkServerFiles(server, directory, maxDirectories, (entry, entryPath) => {
+    if (entry.type !== 'directory') size += Number(entry.size) || 0;
+    visit?.(entry, entryPath);
+    return true;
+  });
+  return { size, complete: !stopped };
+}
+
+function findLineMatches(content: string, query: string): { line: number; text: string }[] {
+  const matches: { line: number; text: string }[] = [];
+  const lines = content.split('\n');
+  for (let index = 0; index < lines.length && matches.length < SEARCH_MATCHES_PER_FILE; index++) {
+    if (lines[index].toLowerCase().includes(query)) {
+      matches.push({ line: index + 1, text: lines[index].trim().slice(0, 200) });
+    }
+  }
+  return matches;
+}
+
+/**
+ * Searches the server volume for file names, and optionally text file
+ * contents, containing the query. Matching is case-insensitive.
+ * @param root Directory to search from, '' being the volume root
+ */
+export async function searchServerFiles(
+  server: ServerWithNode,
+  root: string,
+  query: string,
+  searchContent: boolean = false,
+): Promise<{ results: FileSearchResult[]; truncated: boolean }> {
+  const needle = query.toLowerCase();
+  const results: FileSearchResult[] = [];
+  let filesRead = 0;
+
+  const stopped = await walkServerFiles(server, root, SEARCH_MAX_DIRECTORIES, async (entry, entryPath) => {
+    const result: FileSearchResult = {
+      path: entryPath,
+      name: entry.name,
+      type: entry.type === 'directory' ? 'directory' : 'file',
+      size: Number(entry.size) || 0,
+    };
+
+    if (String(entry.name).toLowerCase().includes(needle)) {
+      results.push(result);
+    } else if (
+      searchContent &&
+      result.type === 'file' &&
+      result.size <= SEARCH_MAX_FILE_SIZE &&
+      filesRead < SEARCH_MAX_FILES_READ &&
+      !BINARY_EXTENSIONS.has(String(entry.name).split('.').pop()!.toLowerCase())
+    ) {
+      filesRead++;
+      try {
+        const content = String(await readServerFile(server, entryPath));
+        if (!content.includes('\0')) {
+          const matches = findLineMatches(content, needle);
+          if (matches.length > 0) results.push({ ...result, matches });
+        }
+      } catch {
+        // Unreadable files are left out of the results
+      }
+    }
+
+    return results.length < SEARCH_MAX_RESULTS;
+  });
+
+  return { results, truncated: stopped || filesRead >= SEARCH_MAX_FILES_READ };
+}
+
+/**
+ * Finds a path among the given ones that the denylist protects, looking
+ * inside directories too since deleting or moving them takes their files.
+ * @returns The protected path, or null if every path may be changed
+ */
+export async function findProtectedPath(
+  server: ServerWithNode,
+  denylist: string[],
+  paths: string[],
+): Promise<string | null> {
+  if (denylist.length === 0) return null;
+
+  for (const filePath of paths) {
+    if (isFileDenied(denylist, filePath)) return filePath;
+  }
+
+  for (const filePath of paths) {
+    let found: string | null = null;
+    const stopped = await walkServerFiles(server, filePath, DENYLIST_MAX_DIRECTORIES, (_entry, entryPath) => {
+      if (isFileDenied(denylist, entryPath)) found = entryPath;
+      return !found;
+    });
+    if (found) return found;
+    // Too large to check, treat it as protected rather than guess
+    if (stopped) return filePath;
+  }
+  return null;
+}
+
+/**
+ * Checks the files of a directory against the denylist as if they were
+ * moved to `target`, such as an extracted archive before it is put in place.
+ * @returns The protected path they would take, or null if none would be
+ */
+export async function findProtectedPathAt(
+  server: ServerWithNode,
+  denylist: string[],
+  directory: string,
+  target: string,
+): Promise<string | null> {
+  if (denylist.length === 0) return null;
+  if (isFileDenied(denylist, target)) return target;
+
+  let found: string | null = null;
+  const stopped = await walkServerFiles(server, directory, DENYLIST_MAX_DIRECTORIES, (_entry, entryPath) => {
+    const movedPath = joinPath(target, entryPath.slice(directory.length + 1));
+    if (isFileDenied(denylist, movedPath)) found = movedPath;
+    return !found;
+  });
+  if (found) return found;
+  return stopped ? target : null;
+}
+
+async function runBulk(
+  paths: string[],
+  operation: (filePath: string) => Promise<unknown>,
+): Promise<BulkFileResult[]> {
+  const results: BulkFileResult[] = [];
+  for (const filePath of paths) {
+    try {
+      await operation(filePath);
+      results.push({ path: filePath });
+    } catch (error) {
+      // The other paths would fail the same way
+      if (error instanceof DaemonUnsupportedError) throw error;
+      results.push({ path: filePath, error: daemonError(error) });
+    }
+  }
+  return results;
+}
+
+/**
+ * Downloads a file of the server volume into memory
+ * @param maxSize Largest size accepted in bytes
+ */
+export async function downloadServerFile(
+  server: ServerWithNode,
+  filePath: string,
+  maxSize: number,
+): Promise<Buffer> {
+  const response = await axios({
+    method: 'GET',
+    url: `${nodeUrl(server.node)}/fs/download`,
+    params: { id: server.UUID, path: filePath },
+    auth: daemonAuth(server.node),
+    responseType: 'arraybuffer',
+    maxContentLength: maxSize,
+    timeout: 120000,
+  });
+  return Buffer.from(response.data);
+}
+
+/**
+ * Deletes files and directories one after the other, reporting each result
+ */
+export function deleteServerFiles(server: ServerWithNode, paths: string[]): Promise<BulkFileResult[]> {
+  return runBulk(paths, (filePath) => axios({
+    method: 'DELETE',
+    url: `${nodeUrl(server.node)}/fs/rm`,
+    data: { id: server.UUID, path: filePath },
+    auth: daemonAuth(server.node),
+    timeout: 30000,
+  }));
+}
+
+/**
+ * Moves files and directories into a directory, keeping their names
+ */
+export function moveServerFiles(
+  server: ServerWithNode,
+  paths: string[],
+  destination: string,
+): Promise<BulkFileResult[]> {
+  return runBulk(paths, (filePath) => {
+    const newPath = joinPath(destination, baseName(filePath));
+    if (newPath === filePath) return Promise.resolve();
+    return axios.post(
+      `${nodeUrl(server.node)}/fs/rename`,
+      { id: server.UUID, path: filePath, newName: baseName(filePath), newPath },
+      { auth: daemonAuth(server.node), timeout: 30000 },
+    );
+  });
+}
+
+/**
+ * Copies files and directories into a directory, keeping their names
+ */
+export function copyServerFiles(
+  server: ServerWithNode,
+  paths: string[],
+  destination: string,
+): Promise<BulkFileResult[]> {
+  return runBulk(paths, (filePath) => requireDaemonEndpoint(server.node, 'copy', () => axios.post(
+    `${nodeUrl(server.node)}/fs/copy`,
+    { id: server.UUID, path: filePath, newPath: joinPath(destination, baseName(filePath)) },
+    { auth: daemonAuth(server.node), timeout: 120000 },
+  )));
+}
+
+/**
+ * Archives files into `<name>.<format>`. Tar archives are written to the
+ * given directory, zip archives wherever the daemon's zip endpoint puts them.
+ * @param files Paths of the entries to archive
+ */
+export async function createServerArchive(
+  server: ServerWithNode,
+  directory: string,
+  files: string[],
+  name: string,
+  format: ArchiveFormat,
+): Promise<void> {
+  if (format === 'zip') {
+    await axios.post(
+      `${nodeUrl(server.node)}/fs/zip`,
+      { id: server.UUID, path: JSON.stringify(files), zipname: name },
+      { auth: daemonAuth(server.node), timeout: 300000 },
+    );
+    return;
+  }
+
+  await requireDaemonEndpoint(server.node, 'archive', () => axios.post(
+    `${nodeUrl(server.node)}/fs/archive`,
+    { id: server.UUID, path: directory, files, name: `${name}.${format}`, format },
+    { auth: daemonAuth(server.node), timeout: 300000 },
+  ));
+}
+
+/**
+ * Extracts a zip, tar or tar.gz archive, next to the archive unless a
+ * destination directory is given
+ */
+export async function extractServerArchive(
+  server: ServerWithNode,
+  archivePath: string,
+  destination?: string,
+): Promise<void> {
+  const format = archiveFormatOf(archivePath);
+  if (!format) {
+    throw new Error('Only zip, tar and tar.gz archives can be extracted');
+  }
+
+  // The zip endpoint always extracts next to the archive
+  if (format === 'zip' && destination === undefined) {
+    await axios.post(
+      `${nodeUrl(server.node)}/fs/unzip`,
+      { id: server.UUID, path: parentPath(archivePath), zipname: baseName(archivePath) },
+      { auth: daemonAuth(server.node), timeout: 300000 },
+    );
+    return;
+  }
+
+  await requireDaemonEndpoint(server.node, 'extract', () => axios.post(
+    `${nodeUrl(server.node)}/fs/extract`,
+    { id: server.UUID, path: archivePath, destination: destination ?? parentPath(archivePath), format },
+    { auth: daemonAuth(server.node), timeout: 300000 },
+  ));
+}
+
+/**
+ * Changes the permissions of a file or directory
+ * @param mode Octal mode such as '644' or '0755'
+ */
+export async function chmodServerFile(server: ServerWithNode, filePath: string, mode: string): Promise<void> {
+  if (!/^[0-7]{3,4}$/.test(mode)) {
+    throw new Error('The mode must be an octal value such as 644 or 755');
+  }
+
+  await requireDaemonEndpoint(server.node, 'chmod', () => axios.post(
+    `${nodeUrl(server.node)}/fs/chmod`,
+    { id: server.UUID, path: filePath, mode },
+    { auth: daemonAuth(server.node), timeout: 30000 },
+  ));
+}
+
+function pruneUploadSessions(): void {
+  const now = Date.now();
+  for (const [key, session] of uploadSessions) {
+    if (now - session.updatedAt > UPLOAD_SESSION_TTL) uploadSessions.delete(key);
+  }
+}
+
+/**
+ * The chunk an upload continues from, 0 for uploads the panel does not know
+ */
+export function getUploadProgress(serverId: string, uploadId: string): number {
+  pruneUploadSessions();
+  return uploadSessions.get(`${serverId}:${uploadId}`)?.nextChunk ?? 0;
+}
+
+/**
+ * Writes one chunk of a resumable upload. Chunks are appended in order, so
+ * a chunk that was already written is acknowledged without writing it again
+ * and one from further ahead is refused with the chunk to continue from.
+ */
+export async function appendUploadChunk(
+  server: ServerWithNode,
+  upload: { uploadId: string; path: string; fileName: string; chunkIndex: number; totalChunks: number },
+  chunk: Buffer,
+): Promise<{ nextChunk: number; complete: boolean } | { error: string; nextChunk: number }> {
+  pruneUploadSessions();
+  const key = `${server.UUID}:${upload.uploadId}`;
+  let session = uploadSessions.get(key);
+
+  if (session?.busy) {
+    return { error: 'A chunk of this upload is still being written', nextChunk: session.nextChunk };
+  }
+
+  if (upload.chunkIndex === 0) {
+    session = {
+      path: upload.path,
+      fileName: upload.fileName,
+      totalChunks: upload.totalChunks,
+      nextChunk: 0,
+      busy: false,
+      updatedAt: Date.now(),
+    };
+    uploadSessions.set(key, session);
+  }
+
+  if (
+    !session ||
+    session.path !== upload.path ||
+    session.fileName !== upload.fileName ||
+    session.totalChunks !== upload.totalChunks
+  ) {
+    return { error: 'The upload was not found, start it again', nextChunk: 0 };
+  }
+  if (upload.chunkIndex < session.nextChunk) {
+    return { nextChunk: session.nextChunk, complete: false };
+  }
+  if (upload.chunkIndex > session.nextChunk) {
+    return { error: `Expected chunk ${session.nextChunk} of the upload`, nextChunk: session.nextChunk };
+  }
+
+  session.busy = true;
+  try {
+    if (upload.chunkIndex === 0) {
+      await axios.post(
+        `${nodeUrl(server.node)}/fs/create-empty-file`,
+        { id: server.UUID, path: upload.path || '/', fileName: upload.fileName },
+        { auth: daemonAuth(server.node), timeout: 10000 },
+      );
+    }
+
+    await axios.post(
+      `${nodeUrl(server.node)}/fs/append-file`,
+      {
+        id: server.UUID,
+        path: upload.path || '/',
+        fileName: upload.fileName,
+        fileContent: `data:application/octet-stream;base64,${chunk.toString('base64')}`,
+        chunkIndex: upload.chunkIndex,
+        totalChunks: upload.totalChunks,
+      },
+      {
+        auth: daemonAuth(server.node),
+        maxBodyLength: UPLOAD_CHUNK_SIZE * 2,
+        timeout: 60000,
+      },
+    );
+  } finally {
+    session.busy = false;
+    session.updatedAt = Date.now();
+  }
+
+  session.nextChunk++;
+  const complete = session.nextChunk >= session.totalChunks;
+  if (complete) uploadSessions.delete(key);
+  return { nextChunk: session.nextChunk, complete };
+}
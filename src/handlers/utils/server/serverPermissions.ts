@@ -0,0 +1,105 @@
+import { PrismaClient } from '@prisma/client';
+
+/**
+ * Permissions that can be granted to a sub-user of a server.
+ * Owners and admins implicitly hold all of them.
+ */
+export const SERVER_PERMISSIONS = [
+  'console',
+  'power',
+  'files.read',
+  'files.write',
+  'backups',
+  'startup',
+  'settings',
+  'schedules',
+  'network',
+  'players',
+] as const;
+
+export type ServerPermission = (typeof SERVER_PERMISSIONS)[number];
+
+export const SERVER_PERMISSION_LABELS: Record<ServerPermission, string> = {
+  console: 'View the console and send commands',
+  power: 'Start, stop and restart the server',
+  'files.read': 'Browse and download files',
+  'files.write': 'Create, edit, upload and delete files',
+  backups: 'Create, restore, download and delete backups',
+  startup: 'Change the startup command, docker image and variables',
+  settings: 'Rename and reinstall the server',
+  schedules: 'Manage scheduled tasks (each task also needs its own permission)',
+  network: 'Add and remove allocations and change the primary one',
+  players: 'Manage the whitelist, operators and bans, and kick players',
+};
+
+export interface ServerAccess {
+  isOwner: boolean;
+  isAdmin: boolean;
+  isSubuser: boolean;
+  permissions: ServerPermission[];
+}
+
+/**
+ * Keeps only known permission names, dropping duplicates.
+ * @param permissions Raw permission list (usually from a request body)
+ */
+export function sanitizeServerPermissions(permissions: unknown): ServerPermission[] {
+  if (!Array.isArray(permissions)) return [];
+
+  return SERVER_PERMISSIONS.filter((permission) =>
+    permissions.includes(permission),
+  );
+}
+
+/**
+ * Resolves what a user is allowed to do on a server.
+ * @param prisma Prisma client to query with
+ * @param userId ID of the user
+ * @param serverUUID UUID of the server
+ * @param options.adminAccess Whether admins reach every server (false treats them like any other user)
+ * @returns The access the user has, or null if they have none
+ */
+export async function getServerAccess(
+  prisma: PrismaClient,
+  userId: number,
+  serverUUID: string,
+  { adminAccess = true }: { adminAccess?: boolean } = {},
+): Promise<ServerAccess | null> {
+  const found = await prisma.users.findUnique({ where: { id: userId } });
+  if (!found) return null;
+  const user = adminAccess ? found : { ...found, isAdmin: false };
+
+  const server = await prisma.server.findUnique({
+    where: { UUID: serverUUID },
+    select: { ownerId: true },
+  });
+  if (!server) {
+    return user.isAdmin
+      ? { isOwner: false, isAdmin: true, isSubuser: false, permissions: [...SERVER_PERMISSIONS] }
+      : null;
+  }
+
+  const isOwner = server.ownerId === userId;
+  if (user.isAdmin || isOwner) {
+    return {
+      isOwner,
+      isAdmin: user.isAdmin,
+      isSubuser: false,
+      permissions: [...SERVER_PERMISSIONS],
+    };
+  }
+
+  const subuser = await prisma.serverSubuser.findUnique({
+    where: { serverId_userId: { serverId: serverUUID, userId } },
+  });
+  if (!subuser) return null;
+
+  let permissions: ServerPermission[] = [];
+  try {
+    permissions = sanitizeServerPermissions(JSON.parse(subuser.permissions));
+  } catch {
+    permissions = [];
+  }
+
+  return { isOwner: false, isAdmin: false, isSubuser: true, permissions };
+}
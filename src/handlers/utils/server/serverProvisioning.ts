@@ -0,0 +1,553 @@
+import axios from 'axios';
+import { Images, Node, PrismaClient, Server, ServerTransfer } from '@prisma/client';
+import logger from '../../logger';
+import { queueer } from '../../queueer';
+import { createServerWithAllocation } from '../node/allocations';
+import { checkPlacement, selectNode } from '../node/placement';
+import { ServerWithNode, buildRuntimeEnvironment, stopServer } from './serverActions';
+import { startServerTransfer } from './serverTransfer';
+import { beginInstallAttempt, finishInstallAttempt } from './installLog';
+import { emitServerEvent } from '../../webhooks';
+import {
+  ServerVariable,
+  VariableErrors,
+  parseVariables,
+  readSubmittedVariables,
+  resolveServerVariables,
+} from '../image/variables';
+
+const prisma = new PrismaClient();
+
+export interface ServerCreateInput {
+  name: string;
+  description: string;
+  ownerId: number;
+  nodeId: number | 'auto';
+  imageId: number;
+  // The label of one of the image's docker images, or the image itself
+  dockerImage: string;
+  // Without either, the lowest free port of the node is used
+  allocationId?: number;
+  port?: number;
+  memory: number;
+  cpu: number;
+  disk: number;
+  variables: unknown;
+  allowStartupEdit: boolean;
+}
+
+export interface ServerUpdateInput {
+  name: string;
+  description?: string;
+  ownerId: number;
+  nodeId: number;
+  imageId: number;
+  memory: number;
+  cpu: number;
+  disk: number;
+  startCommand?: string;
+  allowStartupEdit: boolean;
+  suspended: boolean;
+  backupLimit: number | null;
+  backupRetainLast: number | null;
+  backupRetainDays: number | null;
+  allocationLimit: number | null;
+  variables?: unknown;
+}
+
+interface ImageScripts {
+  install?: { url: string; fileName: string; onStart: boolean; ALVKT: boolean }[];
+  native?: { CMD: string; container: string; entrypoint: string };
+}
+
+type ProvisioningResult<T> = { server: T } | { error: string; variableErrors?: VariableErrors };
+
+function variableError(errors: VariableErrors): { error: string; variableErrors: VariableErrors } {
+  return { error: Object.values(errors).join('. '), variableErrors: errors };
+}
+
+/**
+ * Reads a boolean sent either as JSON or as a form value
+ */
+export function parseBoolean(value: unknown): boolean {
+  return value === true || value === 'true';
+}
+
+/**
+ * Parses an optional limit. Empty means no limit.
+ */
+export function parseOptionalCount(value: unknown): number | null {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+  const parsed = parseInt(String(value), 10);
+  return Number.isNaN(parsed) ? null : Math.max(0, parsed);
+}
+
+function parsePositiveInt(value: unknown): number {
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : NaN;
+}
+
+function parseResources(body: Record<string, any>, errors: string[]) {
+  const memory = parsePositiveInt(body.Memory);
+  const cpu = parsePositiveInt(body.Cpu);
+  const disk = parsePositiveInt(body.Storage);
+  if ([memory, cpu, disk].some(Number.isNaN)) {
+    errors.push('Memory, Cpu and Storage must be positive whole numbers');
+  }
+  return { memory, cpu, disk };
+}
+
+/**
+ * Validates the fields of the server creation form, also accepted by the API.
+ * `nodeId` may be 'auto' to let the placement engine pick the node, otherwise
+ * an `allocationId` or a `Ports` value ("port:port") selects the port.
+ */
+export function parseServerCreateInput(
+  body: Record<string, any>,
+): { input: ServerCreateInput } | { errors: string[] } {
+  const errors: string[] = [];
+
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  const description = typeof body.description === 'string' ? body.description.trim() : '';
+  const ownerId = parsePositiveInt(body.ownerId);
+  const imageId = parsePositiveInt(body.imageId);
+  const nodeId = body.nodeId === 'auto' ? 'auto' : parsePositiveInt(body.nodeId);
+  const allocationId = parsePositiveInt(body.allocationId);
+  const port = parsePositiveInt(String(body.Ports ?? '').split(':')[0]);
+
+  if (!name) errors.push('Name is required');
+  if (!description) errors.push('Description is required');
+  if (Number.isNaN(ownerId)) errors.push('Owner is required');
+  if (Number.isNaN(imageId)) errors.push('Image is required');
+  if (Number.isNaN(nodeId)) errors.push('Node is required');
+  if (nodeId !== 'auto' && Number.isNaN(allocationId) && Number.isNaN(port)) {
+    errors.push('An allocation is required when a node is selected');
+  }
+  if (!body.dockerImage) errors.push('Docker image is required');
+
+  const resources = parseResources(body, errors);
+
+  if (errors.length > 0) return { errors };
+
+  return {
+    input: {
+      name,
+      description,
+      ownerId,
+      nodeId,
+      imageId,
+      dockerImage: String(body.dockerImage),
+      allocationId: Number.isNaN(allocationId) ? undefined : allocationId,
+      port: Number.isNaN(port) ? undefined : port,
+      ...resources,
+      variables: body.variables,
+      allowStartupEdit: parseBoolean(body.allowStartupEdit),
+    },
+  };
+}
+
+/**
+ * Validates the fields of the server edit form, also accepted by the API
+ */
+export function parseServerUpdateInput(
+  body: Record<string, any>,
+): { input: ServerUpdateInput } | { errors: string[] } {
+  const errors: string[] = [];
+
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  const ownerId = parsePositiveInt(body.ownerId);
+  const imageId = parsePositiveInt(body.imageId);
+  const nodeId = parsePositiveInt(body.nodeId);
+
+  if (!name) errors.push('Name is required');
+  if (Number.isNaN(ownerId)) errors.push('Owner is required');
+  if (Number.isNaN(imageId)) errors.push('Image is required');
+  if (Number.isNaN(nodeId)) errors.push('Node is required');
+
+  const resources = parseResources(body, errors);
+
+  if (errors.length > 0) return { errors };
+
+  return {
+    input: {
+      name,
+      description: typeof body.description === 'string' ? body.description : undefined,
+      ownerId,
+      nodeId,
+      imageId,
+      ...resources,
+      startCommand: typeof body.StartCommand === 'string' ? body.StartCommand : undefined,
+      allowStartupEdit: parseBoolean(body.allowStartupEdit),
+      suspended: parseBoolean(body.Suspended),
+      backupLimit: parseOptionalCount(body.backupLimit),
+      backupRetainLast: parseOptionalCount(body.backupRetainLast),
+      backupRetainDays: parseOptionalCount(body.backupRetainDays),
+      allocationLimit: parseOptionalCount(body.allocationLimit),
+      variables: body.variables,
+    },
+  };
+}
+
+/**
+ * Sends the install scripts of the image to the daemon as a new install
+ * attempt. The server leaves the queue either way; a rejected request fails
+ * the attempt and waits for a reinstall.
+ * @throws If the daemon rejects the install request
+ */
+export async function installServer(
+  server: Server & { node: Node; image: Images },
+): Promise<void> {
+  if (!server.image?.scripts) {
+    logger.warn(`No scripts found for server ID ${server.id}. Skipping...`);
+    await prisma.server.update({
+      where: { id: server.id },
+      data: { Queued: false },
+    });
+    return;
+  }
+
+  await beginInstallAttempt(server);
+
+  let env: Record<string, string | number | boolean>;
+  let scripts: ImageScripts;
+  try {
+    env = buildRuntimeEnvironment(server);
+    scripts = JSON.parse(server.image.scripts);
+  } catch (error) {
+    logger.error(`Error preparing the install of server ID ${server.id}:`, error);
+    await finishInstallAttempt(server.UUID, 'failed', 'The install scripts of the image are not valid JSON');
+    return;
+  }
+
+  try {
+    await sendInstallRequests(server, env, scripts);
+  } catch (error) {
+    const message = axios.isAxiosError(error) && typeof error.response?.data?.error === 'string'
+      ? error.response.data.error
+      : error instanceof Error ? error.message : String(error);
+    await finishInstallAttempt(server.UUID, 'failed', `The node rejected the install: ${message}`);
+    throw error;
+  }
+
+  await prisma.server.update({
+    where: { id: server.id },
+    data: { Queued: false },
+  });
+}
+
+async function sendInstallRequests(
+  server: Server & { node: Node },
+  env: Record<string, string | number | boolean>,
+  scripts: ImageScripts,
+): Promise<void> {
+  const auth = { username: 'Airlink', password: server.node.key };
+
+  await axios.post(
+    `http://${server.node.address}:${server.node.port}/container/install`,
+    {
+      id: server.UUID,
+      env,
+      scripts: (scripts.install || []).map((script) => ({
+        url: script.url,
+        onStartup: script.onStart,
+        ALVKT: script.ALVKT,
+        fileName: script.fileName,
+      })),
+    },
+    { auth },
+  );
+
+  if (scripts.native) {
+    await axios.post(
+      `http://${server.node.address}:${server.node.port}/container/installer`,
+      {
+        id: server.UUID,
+        env,
+        script: scripts.native.CMD,
+        container: scripts.native.container,
+        entrypoint: scripts.native.entrypoint,
+      },
+      { auth },
+    );
+  }
+}
+
+/**
+ * Queues the install of every queued server. A failed install request is
+ * recorded on the attempt and not retried until the server is reinstalled.
+ */
+export function queueServerInstalls(): void {
+  queueer.addTask(async () => {
+    const servers = await prisma.server.findMany({
+      where: { Queued: true },
+      include: { image: true, node: true },
+    });
+
+    for (const server of servers) {
+      try {
+        await installServer(server);
+      } catch (error) {
+        logger.error(`Error sending install request for server ID ${server.id}:`, error);
+      }
+    }
+  });
+}
+
+/**
+ * Creates a server from validated input: checks the owner and image, places
+ * it on a node with room, claims its allocation and queues the install.
+ */
+export async function createServer(
+  input: ServerCreateInput,
+): Promise<ProvisioningResult<Server>> {
+  const owner = await prisma.users.findUnique({ where: { id: input.ownerId } });
+  if (!owner) return { error: 'Owner not found' };
+
+  const image = await prisma.images.findUnique({ where: { id: input.imageId } });
+  if (!image || !image.dockerImages) return { error: 'Image not found' };
+  if (!image.startup) return { error: 'Image startup command not found' };
+
+  type ImageDocker = { [key: string]: string };
+  let imageDocker: ImageDocker | undefined;
+  try {
+    imageDocker = (JSON.parse(image.dockerImages) as ImageDocker[]).find(
+      (entry) => Object.keys(entry).includes(input.dockerImage) || Object.values(entry).includes(input.dockerImage),
+    );
+  } catch {
+    imageDocker = undefined;
+  }
+  if (!imageDocker) return { error: 'Docker image not found' };
+
+  const variables = resolveServerVariables(
+    parseVariables(image.variables),
+    [],
+    readSubmittedVariables(input.variables),
+    { admin: true },
+  );
+  if ('errors' in variables) return variableError(variables.errors);
+
+  const resources = { memory: input.memory, cpu: input.cpu, disk: input.disk };
+
+  let nodeId: number;
+  if (input.nodeId === 'auto') {
+    const placement = await selectNode(resources);
+    if (!placement.nodeId) return { error: placement.errors.join('. ') };
+    nodeId = placement.nodeId;
+  } else {
+    nodeId = input.nodeId;
+    const errors = await checkPlacement(nodeId, resources);
+    if (errors.length > 0) return { error: errors.join('. ') };
+  }
+
+  // Automatic placement takes the lowest free port of the chosen node
+  let allocationId: number | undefined;
+  if (input.nodeId !== 'auto' && (input.allocationId || input.port)) {
+    const allocation = await prisma.allocation.findFirst({
+      where: input.allocationId
+        ? { id: input.allocationId, nodeId }
+        : { nodeId, port: input.port },
+    });
+    if (!allocation) return { error: 'The selected allocation does not belong to the selected node' };
+    if (allocation.serverId) return { error: `Port ${allocation.port} is already in use by another server` };
+    allocationId = allocation.id;
+  }
+
+  const server = await createServerWithAllocation(
+    {
+      name: input.name,
+      description: input.description,
+      ownerId: input.ownerId,
+      nodeId,
+      imageId: input.imageId,
+      Ports: '[]',
+      Memory: input.memory,
+      Cpu: input.cpu,
+      Storage: input.disk,
+      Variables: JSON.stringify(variables.variables),
+      StartCommand: image.startup,
+      dockerImage: JSON.stringify(imageDocker),
+      imageRevision: image.revision,
+      allowStartupEdit: input.allowStartupEdit,
+    },
+    allocationId,
+  );
+  if (!server) {
+    return {
+      error: allocationId
+        ? 'The selected port was just taken by another server'
+        : 'No free allocation found on the node',
+    };
+  }
+
+  emitServerEvent('server.created', server);
+  queueServerInstalls();
+
+  return { server };
+}
+
+/**
+ * Suspends or unsuspends a server. Suspending stops it and notifies webhooks.
+ * @param data Extra webhook data, e.g. the reason of the suspension
+ */
+export async function setServerSuspended(
+  server: ServerWithNode,
+  suspended: boolean,
+  data: Record<string, unknown> = {},
+): Promise<Server> {
+  const updated = await prisma.server.update({
+    where: { id: server.id },
+    data: { Suspended: suspended },
+  });
+
+  if (suspended && !server.Suspended) {
+    try {
+      logger.info(`Stopping server ${server.UUID} due to suspension`);
+      await stopServer(server);
+    } catch (error) {
+      // The suspension stands even if the node could not stop the container
+      logger.error(`Error stopping server ${server.UUID} during suspension:`, error);
+    }
+
+    emitServerEvent('server.suspended', updated, data);
+  }
+
+  return updated;
+}
+
+/**
+ * Applies validated edits to a server. A move or a resource increase has to
+ * fit, so servers placed before a limit was lowered can still be edited.
+ * A new node starts a transfer, the server keeps its node until it is done.
+ * @param startedBy Name of the user recorded on the transfer
+ */
+export async function updateServer(
+  server: ServerWithNode,
+  input: ServerUpdateInput,
+  startedBy?: string | null,
+): Promise<ProvisioningResult<Server> & { transfer?: ServerTransfer }> {
+  const [owner, image] = await Promise.all([
+    prisma.users.findUnique({ where: { id: input.ownerId } }),
+    prisma.images.findUnique({ where: { id: input.imageId } }),
+  ]);
+  if (!owner) return { error: 'Owner not found' };
+  if (!image) return { error: 'Image not found' };
+
+  // A new image brings its own variables, existing values carry over by env name
+  let variables: ServerVariable[] | undefined;
+  if (input.variables !== undefined || input.imageId !== server.imageId) {
+    const resolved = resolveServerVariables(
+      parseVariables(image.variables),
+      parseVariables<ServerVariable>(server.Variables),
+      readSubmittedVariables(input.variables),
+      { admin: true },
+    );
+    if ('errors' in resolved) return variableError(resolved.errors);
+    variables = resolved.variables;
+  }
+
+  const moving = input.nodeId !== server.nodeId;
+  if (moving && server.Transferring) return { error: 'The server is already being transferred' };
+  if (moving && server.Installing) return { error: 'The server is still installing' };
+
+  const resources = { memory: input.memory, cpu: input.cpu, disk: input.disk };
+  if (
+    moving ||
+    resources.memory > server.Memory ||
+    resources.cpu > server.Cpu ||
+    resources.disk > server.Storage
+  ) {
+    const errors = await checkPlacement(input.nodeId, resources, {
+      excludeServerId: server.UUID,
+      requireAllocation: moving,
+      allocations: moving ? await prisma.allocation.count({ where: { serverId: server.UUID } }) : undefined,
+    });
+    if (errors.length > 0) return { error: errors.join('. ') };
+  }
+
+  let updated = await prisma.server.update({
+    where: { id: server.id },
+    data: {
+      name: input.name,
+      description: input.description,
+      ownerId: input.ownerId,
+      imageId: input.imageId,
+      Memory: input.memory,
+      Cpu: input.cpu,
+      Storage: input.disk,
+      StartCommand: input.startCommand,
+      allowStartupEdit: input.allowStartupEdit,
+      backupLimit: input.backupLimit,
+      backupRetainLast: input.backupRetainLast,
+      backupRetainDays: input.backupRetainDays,
+      allocationLimit: input.allocationLimit,
+      Variables: variables ? JSON.stringify(variables) : undefined,
+      // The startup command and docker image still come from the old image until pushed
+      imageRevision: input.imageId !== server.imageId ? 0 : undefined,
+    },
+  });
+
+  if (input.suspended !== server.Suspended) {
+    updated = await setServerSuspended(server, input.suspended);
+  }
+
+  if (moving) {
+    const started = await startServerTransfer({ ...updated, node: server.node }, input.nodeId, startedBy);
+    if ('error' in started) return { error: `Saved, but the transfer did not start: ${started.error}` };
+    return { server: updated, transfer: started.transfer };
+  }
+
+  return { server: updated };
+}
+
+/**
+ * Deletes the container of a server and then its record. A container the
+ * daemon no longer knows about is not an error.
+ * @throws If the daemon fails to delete the container
+ */
+export async function deleteServer(server: ServerWithNode): Promise<void> {
+  logger.info(`Deleting container ${server.UUID} on node ${server.node.address}:${server.node.port}`);
+
+  try {
+    await axios.delete(`http://${server.node.address}:${server.node.port}/container`, {
+      auth: { username: 'Airlink', password: server.node.key },
+      headers: { 'Content-Type': 'application/json' },
+      data: { id: server.UUID, deleteCmd: 'delete' },
+    });
+  } catch (error) {
+    const response = axios.isAxiosError(error) ? error.response : undefined;
+    const notFound =
+      response?.status === 404 ||
+      (typeof response?.data?.error === 'string' && response.data.error.includes('not exist'));
+
+    if (!notFound) {
+      const message = error instanceof Error ? error.message : String(error);
+      throw new Error(`Failed to delete container on daemon: ${message}`);
+    }
+    logger.warn(`Container ${server.UUID} not found on daemon, proceeding with database cleanup`);
+  }
+
+  await prisma.server.delete({ where: { id: server.id } });
+  emitServerEvent('server.deleted', server);
+}
+
+/**
+ * Deletes the container of a server and queues a fresh install of its image
+ */
+export async function reinstallServer(server: ServerWithNode): Promise<void> {
+  await prisma.server.update({
+    where: { id: server.id },
+    data: { Installing: true, Queued: true, InstallFailed: false },
+  });
+
+  await axios.delete(`http://${server.node.address}:${server.node.port}/container`, {
+    auth: { username: 'Airlink', password: server.node.key },
+    headers: { 'Content-Type': 'application/json' },
+    data: { id: server.UUID },
+  });
+  logger.info('Container deleted for reinstallation: ' + server.UUID);
+
+  await new Promise((resolve) => setTimeout(resolve, 2000));
+  queueServerInstalls();
+}
@@ -1,5 +1,6 @@
 import axios from 'axios';
 import logger from '../../logger';
+import { emitServerEvent } from '../../webhooks';
 
 // Declare global serverStoppingStates
 declare global {
@@ -25,12 +26,62 @@ interface ServerStatus {
   daemonOffline?: boolean;
 }
 
+type TrackedState = 'running' | 'stopping' | 'stopped' | 'unreachable';
+
+// Last state seen per server, to notice when one stops on its own
+const serverStates = new Map<string, TrackedState>();
+
+// When the panel last asked a server to stop, per server
+const stopRequests = new Map<string, number>();
+
+// How long a stop request explains a server going offline
+const STOP_REQUEST_WINDOW = 10 * 60 * 1000;
+
+/**
+ * Marks a server as stopped on purpose, so going offline is not reported
+ * as a crash.
+ */
+export function markServerStopRequested(serverUUID: string): void {
+  stopRequests.set(serverUUID, Date.now());
+}
+
+/**
+ * Compares a status with the last one seen and reports a server that went
+ * from running to stopped without a stop request as crashed. A daemon that
+ * cannot be reached is left to the node offline event.
+ */
+function trackServerState(serverUUID: string, status: ServerStatus): void {
+  const state: TrackedState = status.daemonOffline
+    ? 'unreachable'
+    : status.online || status.starting
+      ? 'running'
+      : status.stopping
+        ? 'stopping'
+        : 'stopped';
+
+  const previous = serverStates.get(serverUUID);
+  serverStates.set(serverUUID, state);
+  if (previous !== 'running' || state !== 'stopped') return;
+
+  const requestedAt = stopRequests.get(serverUUID);
+  stopRequests.delete(serverUUID);
+  if (requestedAt && Date.now() - requestedAt < STOP_REQUEST_WINDOW) return;
+
+  emitServerEvent('server.crashed', serverUUID);
+}
+
 /**
  * Get the current status and uptime of a server
  * @param serverInfo Information about the server
  * @returns Server status including online state and uptime in seconds
  */
 export async function getServerStatus(serverInfo: ServerInfo): Promise<ServerStatus> {
+  const status = await fetchServerStatus(serverInfo);
+  trackServerState(serverInfo.serverUUID, status);
+  return status;
+}
+
+async function fetchServerStatus(serverInfo: ServerInfo): Promise<ServerStatus> {
   try {
     const statusRequest = {
       method: 'GET',
@@ -0,0 +1,484 @@
+import axios from 'axios';
+import { Transform } from 'stream';
+import { Backup, Node, PrismaClient, ServerTransfer } from '@prisma/client';
+import logger from '../../logger';
+import { emitServerEvent } from '../../webhooks';
+import { reassignServerAllocation } from '../node/allocations';
+import { DaemonUnsupportedError, hasDaemonFeature, requireDaemonEndpoint } from '../node/daemonCompat';
+import { checkPlacement } from '../node/placement';
+import {
+  ServerWithNode,
+  archiveServerFiles,
+  restoreServerBackup,
+  startServer,
+  stopServer,
+} from './serverActions';
+import { getServerStatus } from './serverStatus';
+
+const prisma = new PrismaClient();
+
+// How long a server gets to shut down before the transfer gives up
+const STOP_TIMEOUT = 60000;
+// Minimum time between progress writes while the archive is uploaded
+const PROGRESS_INTERVAL = 2000;
+
+// Share of the progress bar each step starts at, the uploads fill the gap
+// up to the next step
+const STEP_PROGRESS = {
+  stopping: 5,
+  archiving: 10,
+  uploading: 20,
+  restoring: 70,
+  backups: 75,
+  finishing: 95,
+} as const;
+
+type TransferStep = keyof typeof STEP_PROGRESS;
+
+export const TRANSFER_STEP_LABELS: Record<TransferStep, string> = {
+  stopping: 'Stopping the server',
+  archiving: 'Archiving the server files',
+  uploading: 'Uploading the archive to the target node',
+  restoring: 'Restoring the files on the target node',
+  backups: 'Copying the backups to the target node',
+  finishing: 'Moving allocations and cleaning up',
+};
+
+// What a transfer has done so far, so a failure knows what to undo
+interface TransferState {
+  wasRunning: boolean;
+  sourceArchive: string | null;
+  targetArchive: string | null;
+  targetTouched: boolean;
+  // Backups copied to the target node, with their path there
+  movedBackups: { backup: Backup; filePath: string }[];
+}
+
+function nodeUrl(node: Node): string {
+  return `http://${node.address}:${node.port}`;
+}
+
+function daemonAuth(node: Node) {
+  return { username: 'Airlink', password: node.key };
+}
+
+function errorMessage(error: unknown): string {
+  if (axios.isAxiosError(error) && typeof error.response?.data?.error === 'string') {
+    return error.response.data.error;
+  }
+  return error instanceof Error ? error.message : String(error);
+}
+
+async function setStep(transfer: ServerTransfer, step: TransferStep): Promise<void> {
+  await prisma.serverTransfer.update({
+    where: { id: transfer.id },
+    data: { status: 'running', step, progress: STEP_PROGRESS[step] },
+  });
+}
+
+async function waitForStop(server: ServerWithNode): Promise<void> {
+  const deadline = Date.now() + STOP_TIMEOUT;
+  while (Date.now() < deadline) {
+    const status = await getServerStatus({
+      nodeAddress: server.node.address,
+      nodePort: server.node.port,
+      serverUUID: server.UUID,
+      nodeKey: server.node.key,
+    });
+    if (!status.online) return;
+    await new Promise((resolve) => setTimeout(resolve, 2000));
+  }
+  throw new Error('The server did not stop in time');
+}
+
+/**
+ * Streams an archive from the source node into the target node, reporting
+ * how much of it was sent. The target daemon takes the gzip body on
+ * `POST /container/backup/upload?id=&name=` and stores it like a backup of
+ * that server, answering `{ success, backup: { filePath, size } }`.
+ * @returns Path of the archive on the target node
+ * @throws DaemonUnsupportedError if the target daemon has no upload endpoint
+ */
+async function uploadArchive(
+  server: ServerWithNode,
+  target: Node,
+  archivePath: string,
+  name: string,
+  onProgress: (sent: number) => void,
+): Promise<string> {
+  const download = await axios({
+    method: 'GET',
+    url: `${nodeUrl(server.node)}/container/backup/download`,
+    params: { backupPath: archivePath },
+    auth: daemonAuth(server.node),
+    responseType: 'stream',
+  });
+
+  let sent = 0;
+  const counter = new Transform({
+    transform(chunk: Buffer, _encoding, callback) {
+      sent += chunk.length;
+      onProgress(sent);
+      callback(null, chunk);
+    },
+  });
+  download.data.on('error', (error: Error) => counter.destroy(error));
+
+  const response = await requireDaemonEndpoint(target, 'transfers', () => axios.post(
+    `${nodeUrl(target)}/container/backup/upload`,
+    download.data.pipe(counter),
+    {
+      params: { id: server.UUID, name },
+      auth: daemonAuth(target),
+      headers: { 'Content-Type': 'application/gzip' },
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+    },
+  ));
+
+  if (!response.data.success) {
+    throw new Error('The target node did not accept the archive');
+  }
+  return response.data.backup.filePath;
+}
+
+/**
+ * Copies the backups of a server to the target node, so they can still be
+ * restored once the server moved. The upload progress is shared across them.
+ */
+async function copyBackups(
+  transfer: ServerTransfer,
+  server: ServerWithNode,
+  target: Node,
+  state: TransferState,
+): Promise<void> {
+  const backups = await prisma.backup.findMany({
+    where: { serverId: server.UUID },
+    orderBy: { createdAt: 'asc' },
+  });
+  const total = backups.reduce((sum, backup) => sum + Number(backup.size ?? 0), 0);
+  const span = STEP_PROGRESS.finishing - STEP_PROGRESS.backups;
+  let copied = 0;
+  let reportedAt = Date.now();
+
+  for (const backup of backups) {
+    try {
+      const filePath = await uploadArchive(server, target, backup.filePath, `backup-${backup.UUID}`, (sent) => {
+        if (total <= 0 || Date.now() - reportedAt < PROGRESS_INTERVAL) return;
+        reportedAt = Date.now();
+        const progress = STEP_PROGRESS.backups + Math.floor((Math.min(copied + sent, total) / total) * span);
+        prisma.serverTransfer
+          .update({ where: { id: transfer.id }, data: { progress } })
+          .catch((error) => logger.warn(`Failed to record progress of transfer ${transfer.id}: ${errorMessage(error)}`));
+      });
+      state.movedBackups.push({ backup, filePath });
+    } catch (error) {
+      throw new Error(`Failed to copy the backup "${backup.name}": ${errorMessage(error)}`);
+    }
+    copied += Number(backup.size ?? 0);
+  }
+}
+
+async function deleteArchive(node: Node, backupPath: string): Promise<void> {
+  try {
+    await axios.delete(`${nodeUrl(node)}/container/backup`, {
+      data: { backupPath },
+      auth: daemonAuth(node),
+    });
+  } catch (error) {
+    logger.warn(`Failed to delete archive ${backupPath} on node ${node.name}: ${errorMessage(error)}`);
+  }
+}
+
+async function deleteContainer(node: Node, serverId: string): Promise<void> {
+  try {
+    await axios.delete(`${nodeUrl(node)}/container`, {
+      auth: daemonAuth(node),
+      headers: { 'Content-Type': 'application/json' },
+      data: { id: serverId, deleteCmd: 'delete' },
+    });
+  } catch (error) {
+    logger.warn(`Failed to delete container ${serverId} on node ${node.name}: ${errorMessage(error)}`);
+  }
+}
+
+async function startOn(serverId: string): Promise<void> {
+  const server = await prisma.server.findUnique({
+    where: { UUID: serverId },
+    include: { node: true },
+  });
+  if (server) await startServer(server);
+}
+
+/**
+ * Moves the files, backups and allocations of a server to another node. The
+ * server record only points at the new node once its files are restored and
+ * its backups copied there, so a failure at any earlier step leaves it where
+ * it was.
+ */
+async function runTransfer(
+  transfer: ServerTransfer,
+  server: ServerWithNode,
+  target: Node,
+): Promise<void> {
+  const state: TransferState = {
+    wasRunning: false,
+    sourceArchive: null,
+    targetArchive: null,
+    targetTouched: false,
+    movedBackups: [],
+  };
+  const archiveName = `transfer-${transfer.id}`;
+
+  try {
+    await setStep(transfer, 'stopping');
+    const status = await getServerStatus({
+      nodeAddress: server.node.address,
+      nodePort: server.node.port,
+      serverUUID: server.UUID,
+      nodeKey: server.node.key,
+    });
+    state.wasRunning = status.online;
+    if (state.wasRunning) {
+      await stopServer(server);
+      await waitForStop(server);
+    }
+
+    await setStep(transfer, 'archiving');
+    const archive = await archiveServerFiles(server, archiveName);
+    state.sourceArchive = archive.filePath;
+    await prisma.serverTransfer.update({
+      where: { id: transfer.id },
+      data: { archiveSize: BigInt(archive.size) },
+    });
+
+    await setStep(transfer, 'uploading');
+    state.targetTouched = true;
+    let reportedAt = Date.now();
+    const span = STEP_PROGRESS.restoring - STEP_PROGRESS.uploading;
+    state.targetArchive = await uploadArchive(server, target, archive.filePath, archiveName, (sent) => {
+      if (archive.size <= 0 || Date.now() - reportedAt < PROGRESS_INTERVAL) return;
+      reportedAt = Date.now();
+      const progress = STEP_PROGRESS.uploading + Math.floor((Math.min(sent, archive.size) / archive.size) * span);
+      prisma.serverTransfer
+        .update({ where: { id: transfer.id }, data: { progress } })
+        .catch((error) => logger.warn(`Failed to record progress of transfer ${transfer.id}: ${errorMessage(error)}`));
+    });
+
+    await setStep(transfer, 'restoring');
+    await restoreServerBackup({ ...server, node: target }, { filePath: state.targetArchive });
+
+    await setStep(transfer, 'backups');
+    await copyBackups(transfer, server, target, state);
+
+    await setStep(transfer, 'finishing');
+    const allocation = await reassignServerAllocation(server.UUID, target.id);
+    if (!allocation) throw new Error(`Node "${target.name}" has too few free allocations left`);
+  } catch (error) {
+    await rollbackTransfer(transfer, server, target, state, errorMessage(error));
+    return;
+  }
+
+  // The server lives on the target node now, nothing below undoes that
+  try {
+    await prisma.$transaction([
+      ...state.movedBackups.map(({ backup, filePath }) =>
+        prisma.backup.update({ where: { id: backup.id }, data: { filePath } }),
+      ),
+      prisma.server.update({ where: { UUID: server.UUID }, data: { Transferring: false } }),
+    ]);
+    await deleteContainer(server.node, server.UUID);
+    if (state.sourceArchive) await deleteArchive(server.node, state.sourceArchive);
+    if (state.targetArchive) await deleteArchive(target, state.targetArchive);
+    for (const { backup } of state.movedBackups) {
+      await deleteArchive(server.node, backup.filePath);
+    }
+
+    if (state.wasRunning) {
+      try {
+        await startOn(server.UUID);
+      } catch (error) {
+        logger.warn(`Transferred server ${server.UUID} failed to start on node ${target.name}: ${errorMessage(error)}`);
+      }
+    }
+
+    await prisma.serverTransfer.update({
+      where: { id: transfer.id },
+      data: { status: 'completed', step: null, progress: 100, finishedAt: new Date() },
+    });
+    logger.info(`Server ${server.UUID} transferred from node ${server.node.name} to node ${target.name}`);
+    emitServerEvent('transfer.completed', server.UUID, {
+      transfer: { id: transfer.id, from: server.node.name, to: target.name },
+    });
+  } catch (error) {
+    await abandonTransfer(
+      transfer,
+      server,
+      target,
+      `The server moved to node ${target.name}, but finishing the transfer failed: ${errorMessage(error)}`,
+    );
+  }
+}
+
+/**
+ * Settles a transfer that failed where it cannot be rolled back, such as
+ * after the server moved: the server is released where it is and the
+ * transfer marked failed, as far as the database lets either happen.
+ */
+async function abandonTransfer(
+  transfer: ServerTransfer,
+  server: ServerWithNode,
+  target: Node,
+  error: string,
+): Promise<void> {
+  logger.error(`Transfer ${transfer.id} of server ${server.UUID} failed: ${error}`);
+
+  await prisma.server
+    .update({ where: { UUID: server.UUID }, data: { Transferring: false } })
+    .catch((updateError) => logger.error(`Failed to release server ${server.UUID} after its transfer:`, updateError));
+  await prisma.serverTransfer
+    .update({ where: { id: transfer.id }, data: { status: 'failed', step: null, error, finishedAt: new Date() } })
+    .catch((updateError) => logger.error(`Failed to record the failure of transfer ${transfer.id}:`, updateError));
+  emitServerEvent('transfer.failed', server.UUID, {
+    transfer: { id: transfer.id, from: server.node.name, to: target.name },
+    error,
+  });
+}
+
+async function rollbackTransfer(
+  transfer: ServerTransfer,
+  server: ServerWithNode,
+  target: Node,
+  state: TransferState,
+  error: string,
+): Promise<void> {
+  logger.error(`Transfer ${transfer.id} of server ${server.UUID} failed: ${error}`);
+
+  try {
+    if (state.targetTouched) await deleteContainer(target, server.UUID);
+    if (state.targetArchive) await deleteArchive(target, state.targetArchive);
+    if (state.sourceArchive) await deleteArchive(server.node, state.sourceArchive);
+    for (const { filePath } of state.movedBackups) {
+      await deleteArchive(target, filePath);
+    }
+
+    await prisma.server.update({ where: { UUID: server.UUID }, data: { Transferring: false } });
+    if (state.wasRunning) {
+      await startOn(server.UUID).catch((startError) =>
+        logger.warn(`Server ${server.UUID} failed to start again after its transfer failed: ${errorMessage(startError)}`),
+      );
+    }
+
+    await prisma.serverTransfer.update({
+      where: { id: transfer.id },
+      data: { status: 'failed', error, finishedAt: new Date() },
+    });
+    emitServerEvent('transfer.failed', server.UUID, {
+      transfer: { id: transfer.id, from: server.node.name, to: target.name },
+      error,
+    });
+  } catch (rollbackError) {
+    logger.error(`Error rolling back transfer ${transfer.id}:`, rollbackError);
+  }
+}
+
+/**
+ * A transfer as sent to the browser, with the size as a string and the
+ * running step spelled out.
+ */
+export function serializeTransfer(transfer: ServerTransfer) {
+  return {
+    ...transfer,
+    archiveSize: transfer.archiveSize !== null ? transfer.archiveSize.toString() : null,
+    stepLabel: transfer.step ? TRANSFER_STEP_LABELS[transfer.step as TransferStep] ?? transfer.step : null,
+  };
+}
+
+/**
+ * Starts moving a server to another node. The transfer runs in the
+ * background; its progress is kept on the returned record.
+ * @param startedBy Name of the user who started the transfer
+ */
+export async function startServerTransfer(
+  server: ServerWithNode,
+  targetNodeId: number,
+  startedBy?: string | null,
+): Promise<{ transfer: ServerTransfer } | { error: string }> {
+  if (targetNodeId === server.nodeId) return { error: 'The server is already on this node' };
+  if (server.Installing) return { error: 'The server is still installing' };
+
+  const target = await prisma.node.findUnique({ where: { id: targetNodeId } });
+  if (!target) return { error: 'Node not found' };
+  if (!(await hasDaemonFeature(target, 'transfers'))) {
+    return { error: new DaemonUnsupportedError(target, 'server transfers').message };
+  }
+
+  const errors = await checkPlacement(
+    targetNodeId,
+    { memory: server.Memory, cpu: server.Cpu, disk: server.Storage },
+    {
+      excludeServerId: server.UUID,
+      requireAllocation: true,
+      allocations: await prisma.allocation.count({ where: { serverId: server.UUID } }),
+    },
+  );
+  if (errors.length > 0) return { error: errors.join('. ') };
+
+  // Only one transfer per server, even when two requests race
+  const claimed = await prisma.server.updateMany({
+    where: { id: server.id, Transferring: false },
+    data: { Transferring: true },
+  });
+  if (claimed.count === 0) return { error: 'The server is already being transferred' };
+
+  const transfer = await prisma.serverTransfer.create({
+    data: {
+      serverId: server.UUID,
+      serverName: server.name,
+      sourceNodeId: server.node.id,
+      sourceNodeName: server.node.name,
+      targetNodeId: target.id,
+      targetNodeName: target.name,
+      startedBy: startedBy ?? null,
+    },
+  });
+
+  runTransfer(transfer, { ...server, Transferring: true }, target).catch((error) =>
+    abandonTransfer(transfer, server, target, errorMessage(error)),
+  );
+  return { transfer };
+}
+
+/**
+ * Settles transfers that were running when the panel stopped. A server that
+ * already points at its target node finished moving; any other is released
+ * on its source node.
+ */
+export async function failInterruptedTransfers(): Promise<void> {
+  try {
+    const transfers = await prisma.serverTransfer.findMany({
+      where: { status: { in: ['pending', 'running'] } },
+    });
+
+    for (const transfer of transfers) {
+      const server = await prisma.server.findUnique({ where: { UUID: transfer.serverId } });
+      const moved = server?.nodeId === transfer.targetNodeId;
+
+      await prisma.serverTransfer.update({
+        where: { id: transfer.id },
+        data: moved
+          ? { status: 'completed', step: null, progress: 100, finishedAt: new Date() }
+          : { status: 'failed', error: 'The panel restarted during the transfer', finishedAt: new Date() },
+      });
+      if (server) {
+        await prisma.server.update({ where: { id: server.id }, data: { Transferring: false } });
+      }
+    }
+
+    if (transfers.length > 0) {
+      logger.warn(`Settled ${transfers.length} server transfer(s) interrupted by a restart`);
+    }
+  } catch (error) {
+    logger.error('Error settling interrupted server transfers:', error);
+  }
+}
@@ -0,0 +1,68 @@
+import { Prisma, PrismaClient, Users } from '@prisma/client';
+import bcrypt from 'bcrypt';
+
+const prisma = new PrismaClient();
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export type UserData = Pick<
+  Prisma.UsersUncheckedCreateInput,
+  'email' | 'username' | 'password' | 'description' | 'isAdmin'
+>;
+
+/**
+ * Validates the fields of the user forms, also accepted by the API. Without
+ * an existing user every field needed to create one is required; otherwise
+ * only the fields sent are checked and returned. The password comes back
+ * hashed.
+ * @param existing The user being updated
+ */
+export async function parseUserInput(
+  body: Record<string, any>,
+  existing?: Users,
+): Promise<{ data: Partial<UserData> } | { errors: string[] }> {
+  const errors: string[] = [];
+  const data: Partial<UserData> = {};
+
+  const email = typeof body.email === 'string' ? body.email.trim() : '';
+  const username = typeof body.username === 'string' ? body.username.trim() : '';
+  const password = typeof body.password === 'string' ? body.password : '';
+
+  if (!existing) {
+    if (!email) errors.push('Email is required');
+    if (!username) errors.push('Username is required');
+    if (!password.trim()) errors.push('Password is required');
+  }
+
+  if (email && email !== existing?.email) {
+    if (!EMAIL_REGEX.test(email)) {
+      errors.push('Email is not valid');
+    } else if (
+      await prisma.users.findFirst({ where: { email, id: { not: existing?.id } } })
+    ) {
+      errors.push('Email already in use');
+    }
+    data.email = email;
+  }
+
+  if (username && username !== existing?.username) {
+    if (await prisma.users.findFirst({ where: { username, id: { not: existing?.id } } })) {
+      errors.push('Username already in use');
+    }
+    data.username = username;
+  }
+
+  if (errors.length > 0) return { errors };
+
+  if (typeof body.description === 'string' && body.description) {
+    data.description = body.description;
+  }
+  if (body.isAdmin !== undefined) {
+    data.isAdmin = body.isAdmin === true || body.isAdmin === 'true';
+  }
+  if (password.trim()) {
+    data.password = await bcrypt.hash(password, 10);
+  }
+
+  return { data };
+}
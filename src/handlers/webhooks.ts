@@ -0,0 +1,350 @@
+/**
+ * ╳━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━╳
+ *      AirLink - Open Source Project by AirlinkLabs
+ *      Repository: https://github.com/airlinklabs/panel
+ *
+ *     © 2024 AirlinkLabs. Licensed under the MIT License
+ * ╳━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━╳
+ */
+
+import { PrismaClient, Server, Webhook, WebhookDelivery } from '@prisma/client';
+import axios from 'axios';
+import crypto from 'crypto';
+import logger from './logger';
+
+const prisma = new PrismaClient();
+
+export const WEBHOOK_EVENTS = {
+  'server.created': 'Server created',
+  'server.deleted': 'Server deleted',
+  'server.suspended': 'Server suspended',
+  'server.crashed': 'Server crashed or went offline',
+  'node.offline': 'Node went offline',
+  'backup.completed': 'Backup finished',
+  'backup.failed': 'Backup failed',
+  'transfer.completed': 'Server transferred to another node',
+  'transfer.failed': 'Server transfer failed',
+  'radar.hit': 'Radar scan found matches',
+  'user.registered': 'User registered',
+} as const;
+
+export type WebhookEvent = keyof typeof WEBHOOK_EVENTS;
+
+export const WEBHOOK_FORMATS = ['json', 'discord'] as const;
+
+// Interval in milliseconds between checks for due retries (30 seconds)
+const RETRY_INTERVAL = 30 * 1000;
+
+const REQUEST_TIMEOUT = 10000;
+
+// Delay before each retry, the last entry is the final attempt
+const RETRY_DELAYS = [60, 5 * 60, 30 * 60, 2 * 60 * 60].map((seconds) => seconds * 1000);
+const MAX_ATTEMPTS = RETRY_DELAYS.length + 1;
+
+// Deliveries are kept for 30 days
+const DELIVERY_RETENTION = 30 * 24 * 60 * 60 * 1000;
+
+// Embed colours of the Discord format, red for failures and outages
+const DISCORD_COLORS: Record<string, number> = {
+  'server.created': 0x10b981,
+  'backup.completed': 0x10b981,
+  'transfer.completed': 0x10b981,
+  'user.registered': 0x3b82f6,
+  'server.suspended': 0xf59e0b,
+  'radar.hit': 0xf59e0b,
+};
+const DISCORD_ALERT_COLOR = 0xef4444;
+
+type WebhookPayloadEvent = WebhookEvent | 'webhook.test';
+
+/**
+ * Generates a random signing secret for a new webhook
+ */
+export function generateWebhookSecret(): string {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Signs a request body the way receivers verify it: an HMAC-SHA256 of the
+ * raw body keyed with the webhook secret, hex encoded.
+ */
+export function signWebhookPayload(secret: string, body: string): string {
+  return crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+/**
+ * Reads the event filter of a webhook, an empty list meaning every event
+ */
+export function getWebhookEvents(webhook: Pick<Webhook, 'events'>): WebhookEvent[] {
+  try {
+    const events = JSON.parse(webhook.events || '[]');
+    return Array.isArray(events)
+      ? events.filter((event): event is WebhookEvent => event in WEBHOOK_EVENTS)
+      : [];
+  } catch {
+    return [];
+  }
+}
+
+function formatFieldValue(value: unknown): string {
+  const text = typeof value === 'object' && value !== null
+    ? JSON.stringify(value)
+    : String(value);
+  return text.length > 1024 ? `${text.slice(0, 1021)}...` : text;
+}
+
+/**
+ * Flattens event data into Discord embed fields, e.g. server.name
+ */
+function buildDiscordFields(data: Record<string, unknown>, prefix = ''): { name: string; value: string; inline: boolean }[] {
+  return Object.entries(data).flatMap(([key, value]) => {
+    if (value === null || value === undefined || value === '') return [];
+    if (typeof value === 'object' && !Array.isArray(value)) {
+      return buildDiscordFields(value as Record<string, unknown>, `${prefix}${key}.`);
+    }
+    return [{ name: `${prefix}${key}`, value: formatFieldValue(value), inline: true }];
+  });
+}
+
+/**
+ * Builds the request body of an event in the format of the webhook
+ */
+export function buildWebhookBody(
+  format: string,
+  event: WebhookPayloadEvent,
+  data: Record<string, unknown>,
+  timestamp: Date = new Date(),
+): string {
+  if (format === 'discord') {
+    const title = event === 'webhook.test' ? 'Test event' : WEBHOOK_EVENTS[event];
+    return JSON.stringify({
+      username: 'AirLink',
+      embeds: [
+        {
+          title,
+          color: DISCORD_COLORS[event] ?? (event === 'webhook.test' ? 0x737373 : DISCORD_ALERT_COLOR),
+          fields: buildDiscordFields(data).slice(0, 25),
+          footer: { text: event },
+          timestamp: timestamp.toISOString(),
+        },
+      ],
+    });
+  }
+
+  return JSON.stringify({ event, timestamp: timestamp.toISOString(), data });
+}
+
+/**
+ * Sends a delivery once and records the outcome, scheduling a retry with
+ * backoff when it fails and attempts are left.
+ */
+export async function attemptDelivery(
+  delivery: WebhookDelivery,
+  webhook: Webhook,
+): Promise<WebhookDelivery> {
+  const attempts = delivery.attempts + 1;
+  const headers: Record<string, string> = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'AirLink-Webhooks',
+  };
+
+  if (webhook.format !== 'discord') {
+    headers['X-Airlink-Event'] = delivery.event;
+    headers['X-Airlink-Delivery'] = String(delivery.id);
+    headers['X-Airlink-Signature'] = `sha256=${signWebhookPayload(webhook.secret, delivery.payload)}`;
+  }
+
+  let responseStatus: number | null = null;
+  let error: string | null = null;
+
+  try {
+    const response = await axios.post(webhook.url, delivery.payload, {
+      headers,
+      timeout: REQUEST_TIMEOUT,
+      maxRedirects: 0,
+      validateStatus: () => true,
+      transformRequest: [(body) => body],
+    });
+    responseStatus = response.status;
+    if (response.status < 200 || response.status >= 300) {
+      error = `Receiver responded with ${response.status}`;
+    }
+  } catch (requestError) {
+    error = requestError instanceof Error ? requestError.message : String(requestError);
+  }
+
+  const failed = error !== null;
+  const retry = failed && attempts < MAX_ATTEMPTS;
+
+  return prisma.webhookDelivery.update({
+    where: { id: delivery.id },
+    data: {
+      attempts,
+      responseStatus,
+      error,
+      status: !failed ? 'success' : retry ? 'pending' : 'failed',
+      nextAttemptAt: retry ? new Date(Date.now() + RETRY_DELAYS[attempts - 1]) : null,
+      deliveredAt: failed ? null : new Date(),
+    },
+  });
+}
+
+async function createDelivery(
+  webhook: Webhook,
+  event: WebhookPayloadEvent,
+  data: Record<string, unknown>,
+): Promise<WebhookDelivery> {
+  const delivery = await prisma.webhookDelivery.create({
+    data: {
+      webhookId: webhook.id,
+      event,
+      payload: buildWebhookBody(webhook.format, event, data),
+      // Picked up by the retry service if the panel stops mid-attempt
+      nextAttemptAt: new Date(Date.now() + RETRY_DELAYS[0]),
+    },
+  });
+
+  return attemptDelivery(delivery, webhook);
+}
+
+/**
+ * Whether any enabled webhook listens to one of the events, so callers can
+ * skip work nobody is notified about.
+ */
+export async function hasWebhookSubscribers(events: WebhookEvent[]): Promise<boolean> {
+  const webhooks = await prisma.webhook.findMany({
+    where: { enabled: true },
+    select: { events: true },
+  });
+
+  return webhooks.some((webhook) => {
+    const filter = getWebhookEvents(webhook);
+    return filter.length === 0 || filter.some((event) => events.includes(event));
+  });
+}
+
+/**
+ * Delivers an event to every enabled webhook whose filter matches. Never
+ * throws, so it can be called without affecting the action that caused it.
+ */
+export async function emitWebhookEvent(
+  event: WebhookEvent,
+  data: Record<string, unknown>,
+): Promise<void> {
+  try {
+    const webhooks = await prisma.webhook.findMany({ where: { enabled: true } });
+    const subscribed = webhooks.filter((webhook) => {
+      const filter = getWebhookEvents(webhook);
+      return filter.length === 0 || filter.includes(event);
+    });
+
+    await Promise.all(subscribed.map((webhook) => createDelivery(webhook, event, data)));
+  } catch (error) {
+    logger.error(`Error delivering webhook event ${event}:`, error);
+  }
+}
+
+/**
+ * Emits a server event with the server, its node and owner as data.
+ * @param server The server, or its UUID to look it up
+ */
+export async function emitServerEvent(
+  event: WebhookEvent,
+  server: Server | string,
+  data: Record<string, unknown> = {},
+): Promise<void> {
+  try {
+    const found = typeof server === 'string'
+      ? await prisma.server.findUnique({ where: { UUID: server } })
+      : server;
+    if (!found) return;
+
+    // Suspending or transferring a server stops it, which is not a crash
+    if (event === 'server.crashed' && (found.Suspended || found.Transferring)) return;
+
+    const [node, owner] = await Promise.all([
+      prisma.node.findUnique({ where: { id: found.nodeId }, select: { id: true, name: true } }),
+      prisma.users.findUnique({ where: { id: found.ownerId }, select: { id: true, username: true } }),
+    ]);
+
+    await emitWebhookEvent(event, {
+      server: { id: found.UUID, name: found.name },
+      node,
+      owner,
+      ...data,
+    });
+  } catch (error) {
+    logger.error(`Error delivering webhook event ${event}:`, error);
+  }
+}
+
+/**
+ * Sends a test event to a webhook regardless of its filter
+ */
+export async function sendTestWebhook(webhook: Webhook): Promise<WebhookDelivery> {
+  return createDelivery(webhook, 'webhook.test', {
+    message: 'This is a test event from AirLink.',
+    webhook: { id: webhook.id, name: webhook.name },
+  });
+}
+
+/**
+ * Retries the deliveries whose backoff has passed and removes old ones
+ */
+export async function retryWebhookDeliveries(): Promise<void> {
+  try {
+    const due = await prisma.webhookDelivery.findMany({
+      where: {
+        status: 'pending',
+        nextAttemptAt: { lte: new Date() },
+        webhook: { enabled: true },
+      },
+      include: { webhook: true },
+      orderBy: { nextAttemptAt: 'asc' },
+      take: 20,
+    });
+
+    for (const { webhook, ...delivery } of due) {
+      // Claiming the delivery first keeps a slow attempt from being sent twice
+      const claimed = await prisma.webhookDelivery.updateMany({
+        where: { id: delivery.id, nextAttemptAt: delivery.nextAttemptAt },
+        data: { nextAttemptAt: new Date(Date.now() + RETRY_DELAYS[0]) },
+      });
+      if (claimed.count !== 1) continue;
+
+      await attemptDelivery(delivery, webhook);
+    }
+
+    await prisma.webhookDelivery.deleteMany({
+      where: { createdAt: { lt: new Date(Date.now() - DELIVERY_RETENTION) } },
+    });
+  } catch (error) {
+    logger.error('Error retrying webhook deliveries:', error);
+  }
+}
+
+let retryInterval: NodeJS.Timeout | null = null;
+
+/**
+ * Starts the periodic webhook retry service
+ */
+export function startWebhookRetries(): void {
+  if (retryInterval) {
+    clearInterval(retryInterval);
+  }
+
+  retryWebhookDeliveries();
+  retryInterval = setInterval(retryWebhookDeliveries, RETRY_INTERVAL);
+  logger.debug(`Webhook retries started (interval: ${RETRY_INTERVAL / 1000} seconds)`);
+}
+
+/**
+ * Stops the periodic webhook retry service
+ */
+export function stopWebhookRetries(): void {
+  if (retryInterval) {
+    clearInterval(retryInterval);
+    retryInterval = null;
+    logger.info('Webhook retries stopped');
+  }
+}
@@ -12,6 +12,7 @@ import { Module } from '../../handlers/moduleInit';
 import { PrismaClient } from '@prisma/client';
 import { isAuthenticated } from '../../handlers/utils/auth/authUtil';
 import logger from '../../handlers/logger';
+import { auditAction } from '../../handlers/utils/core/auditLog';
 import { getAllAddons, toggleAddonStatus, reloadAddons } from '../../handlers/addonHandler';
 import { registerPermission } from '../../handlers/permisions';
 
@@ -75,6 +76,7 @@ const addonsModule: Module = {
     router.post(
       '/admin/addons/toggle/:slug',
       isAuthenticated(true, 'airlink.admin.addons.toggle'),
+      auditAction('addon.toggle', 'addon', 'slug'),
       async (req: Request, res: Response) => {
         try {
           const { slug } = req.params;
@@ -115,6 +117,7 @@ const addonsModule: Module = {
     router.post(
       '/admin/addons/reload',
       isAuthenticated(true, 'airlink.admin.addons.reload'),
+      auditAction('addon.reload'),
       async (req: Request, res: Response) => {
         try {
           const result = await reloadAddons(req.app);
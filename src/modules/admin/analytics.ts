@@ -3,8 +3,9 @@ import { Module } from '../../handlers/moduleInit';
 import { PrismaClient } from '@prisma/client';
 import { isAuthenticated } from '../../handlers/utils/auth/authUtil';
 import logger from '../../handlers/logger';
-import axios from 'axios';
 import { registerPermission } from '../../handlers/permisions';
+import { queryServer } from '../../handlers/utils/query/gameQuery';
+import { getApiCallCount, getApiUsageByKey, getPerformanceSummary } from '../../handlers/metricsCollector';
 
 const prisma = new PrismaClient();
 
@@ -83,63 +84,33 @@ const analyticsModule: Module = {
           const servers = await prisma.server.findMany({
             include: {
               node: true,
+              image: true,
             },
           });
 
           // Fetch player counts for each server
           const playerData = await Promise.all(
             servers.map(async (server) => {
-              try {
-                // Parse ports to find the primary port
-                const ports = JSON.parse(server.Ports || '[]');
-                const primaryPort = ports.find((p: any) => p.primary)?.Port;
-
-                if (!primaryPort) {
-                  return {
-                    serverId: server.UUID,
-                    serverName: server.name,
-                    playerCount: 0,
-                    maxPlayers: 0,
-                    online: false,
-                    error: 'No primary port found'
-                  };
-                }
-                const DAEMON_REQUEST_TIMEOUT = parseInt(process.env.DAEMON_TIMEOUT || '5000');
-              
-                // Fetch player data from the daemon
-                const response = await axios({
-                  method: 'GET',
-                  url: `http://${server.node.address}:${server.node.port}/minecraft/players`,
-                  params: {
-                    id: server.UUID,
-                    host: server.node.address,
-                    port: primaryPort
-                  },
-                  auth: {
-                    username: 'Airlink',
-                    password: server.node.key,
-                  },
-                  timeout: DAEMON_REQUEST_TIMEOUT
-                });
-
-                return {
-                  serverId: server.UUID,
-                  serverName: server.name,
-                  playerCount: response.data.onlinePlayers || 0,
-                  maxPlayers: response.data.maxPlayers || 0,
-                  online: response.data.online || false,
-                  version: response.data.version || 'Unknown'
-                };
-              } catch (error) {
-                return {
-                  serverId: server.UUID,
-                  serverName: server.name,
-                  playerCount: 0,
-                  maxPlayers: 0,
-                  online: false,
-                  error: 'Failed to fetch player data'
-                };
+              const query = await queryServer(server);
+              const base = {
+                serverId: server.UUID,
+                serverName: server.name,
+                protocol: query?.protocol ?? null,
+              };
+
+              if (!query) {
+                return { ...base, playerCount: 0, maxPlayers: 0, online: false, error: 'Players are not queried for this image' };
               }
+              if ('error' in query) {
+                return { ...base, playerCount: 0, maxPlayers: 0, online: false, error: query.error };
+              }
+              return {
+                ...base,
+                playerCount: query.result.players,
+                maxPlayers: query.result.maxPlayers,
+                online: true,
+                version: query.result.version || 'Unknown',
+              };
             })
           );
 
@@ -180,16 +151,7 @@ const analyticsModule: Module = {
       isAuthenticated(true, 'airlink.admin.analytics.view'),
       async (req: Request, res: Response) => {
         try {
-          // TODO: Implement actual performance metrics collection
-          // This should include real CPU, memory, disk, and network metrics
-          // Consider integrating with system monitoring tools or node.js performance APIs
-          res.json({
-            cpu: { usage: 0, cores: 0 },
-            memory: { used: 0, total: 0 },
-            disk: { used: 0, total: 0 },
-            network: { in: 0, out: 0, latency: 0 },
-            uptime: { current: 0, average: 0 }
-          });
+          res.json(await getPerformanceSummary());
         } catch (error) {
           logger.error('Error fetching performance metrics:', error);
           res.status(500).json({ error: 'Failed to fetch performance metrics' });
@@ -206,12 +168,14 @@ const analyticsModule: Module = {
           // Get basic usage statistics
           const totalServers = await prisma.server.count();
           const totalUsers = await prisma.users.count();
-          
+          const performance = await getPerformanceSummary();
+
           res.json({
             totalServers,
             activeUsers: totalUsers, // This could be refined to show only active users
-            apiCalls: 0, // This would need to be tracked separately
-            storageUsed: 0 // This would need to be calculated from actual usage
+            apiCalls: await getApiCallCount(24), // Over the last 24 hours
+            apiKeys: await getApiUsageByKey(24),
+            storageUsed: performance.disk.used
           });
         } catch (error) {
           logger.error('Error fetching usage analytics:', error);
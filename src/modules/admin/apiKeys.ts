@@ -3,7 +3,12 @@ import { Module } from '../../handlers/moduleInit';
 import { PrismaClient } from '@prisma/client';
 import { isAuthenticated } from '../../handlers/utils/auth/authUtil';
 import logger from '../../handlers/logger';
+import { recordAudit } from '../../handlers/utils/core/auditLog';
 import { registerPermission } from '../../handlers/permisions';
+import { DEFAULT_API_RATE_LIMIT, generateApiKey } from '../../handlers/utils/api/apiValidator';
+import { parseApiKeyRestrictions } from '../../handlers/utils/api/apiKeyInput';
+import { getApiKeyUsage } from '../../handlers/metricsCollector';
+import { getApiExplorerEndpoints } from '../../handlers/utils/api/openapi';
 
 const prisma = new PrismaClient();
 
@@ -14,17 +19,6 @@ registerPermission('airlink.admin.apikeys.delete');
 registerPermission('airlink.admin.apikeys.edit');
 registerPermission('airlink.admin.api.docs.view');
 
-function generateApiKey(length: number): string {
-  const characters =
-    'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    const randomIndex = Math.floor(Math.random() * characters.length);
-    result += characters[randomIndex];
-  }
-  return result;
-}
-
 const coreModule: Module = {
   info: {
     name: 'API Keys Module',
@@ -46,6 +40,7 @@ const coreModule: Module = {
         try {
           const settings = await prisma.settings.findFirst();
           const apiKeys = await prisma.apiKey.findMany({
+            where: { type: 'application' },
             include: {
               user: {
                 select: {
@@ -57,209 +52,7 @@ const coreModule: Module = {
             },
           });
 
-          const apiEndpoints = [
-            {
-              category: 'Users',
-              endpoints: [
-                {
-                  method: 'GET',
-                  path: '/api/v1/users',
-                  description: 'Get a list of all users',
-                  permission: 'airlink.api.users.read',
-                  responseExample: `{
-  "data": [
-    {
-      "id": 1,
-      "username": "admin",
-      "email": "admin@example.com",
-      "isAdmin": true,
-      "description": "Administrator account",
-      "createdAt": "2023-01-01T00:00:00.000Z"
-    }
-  ]
-}`
-                },
-                {
-                  method: 'GET',
-                  path: '/api/v1/users/:id',
-                  description: 'Get details for a specific user',
-                  permission: 'airlink.api.users.read',
-                  responseExample: `{
-  "data": {
-    "id": 1,
-    "username": "admin",
-    "email": "admin@example.com",
-    "isAdmin": true,
-    "description": "Administrator account",
-    "createdAt": "2023-01-01T00:00:00.000Z"
-  }
-}`
-                }
-              ]
-            },
-            {
-              category: 'Servers',
-              endpoints: [
-                {
-                  method: 'GET',
-                  path: '/api/v1/servers',
-                  description: 'Get a list of all servers',
-                  permission: 'airlink.api.servers.read',
-                  responseExample: `{
-  "data": [
-    {
-      "id": 1,
-      "UUID": "550e8400-e29b-41d4-a716-446655440000",
-      "name": "Minecraft Server",
-      "description": "A Minecraft server",
-      "owner": {
-        "id": 1,
-        "username": "admin",
-        "email": "admin@example.com"
-      },
-      "node": {
-        "id": 1,
-        "name": "Node 1",
-        "address": "127.0.0.1"
-      }
-    }
-  ]
-}`
-                },
-                {
-                  method: 'GET',
-                  path: '/api/v1/servers/:id',
-                  description: 'Get details for a specific server',
-                  permission: 'airlink.api.servers.read',
-                  responseExample: `{
-  "data": {
-    "id": 1,
-    "UUID": "550e8400-e29b-41d4-a716-446655440000",
-    "name": "Minecraft Server",
-    "description": "A Minecraft server",
-    "owner": {
-      "id": 1,
-      "username": "admin",
-      "email": "admin@example.com"
-    },
-    "node": {
-      "id": 1,
-      "name": "Node 1",
-      "address": "127.0.0.1"
-    }
-  }
-}`
-                }
-              ]
-            },
-            {
-              category: 'Nodes',
-              endpoints: [
-                {
-                  method: 'GET',
-                  path: '/api/v1/nodes',
-                  description: 'Get a list of all nodes',
-                  permission: 'airlink.api.nodes.read',
-                  responseExample: `{
-  "data": [
-    {
-      "id": 1,
-      "name": "Node 1",
-      "address": "127.0.0.1",
-      "port": 3001,
-      "ram": 8192,
-      "cpu": 4,
-      "disk": 50000,
-      "createdAt": "2023-01-01T00:00:00.000Z",
-      "_count": {
-        "servers": 2
-      }
-    }
-  ]
-}`
-                },
-                {
-                  method: 'GET',
-                  path: '/api/v1/nodes/:id',
-                  description: 'Get details for a specific node',
-                  permission: 'airlink.api.nodes.read',
-                  responseExample: `{
-  "data": {
-    "id": 1,
-    "name": "Node 1",
-    "address": "127.0.0.1",
-    "port": 3001,
-    "ram": 8192,
-    "cpu": 4,
-    "disk": 50000,
-    "createdAt": "2023-01-01T00:00:00.000Z",
-    "servers": [
-      {
-        "id": 1,
-        "UUID": "550e8400-e29b-41d4-a716-446655440000",
-        "name": "Minecraft Server",
-        "Memory": 2048,
-        "Cpu": 2,
-        "Storage": 10000
-      }
-    ]
-  }
-}`
-                }
-              ]
-            },
-            {
-              category: 'Settings',
-              endpoints: [
-                {
-                  method: 'GET',
-                  path: '/api/v1/settings',
-                  description: 'Get panel settings',
-                  permission: 'airlink.api.settings.read',
-                  responseExample: `{
-  "data": {
-    "id": 1,
-    "title": "Airlink",
-    "description": "AirLink is a free and open source project by AirlinkLabs",
-    "logo": "../assets/logo.png",
-    "favicon": "../assets/favicon.ico",
-    "theme": "default",
-    "language": "en",
-    "createdAt": "2023-01-01T00:00:00.000Z",
-    "updatedAt": "2023-01-01T00:00:00.000Z"
-  }
-}`
-                },
-                {
-                  method: 'PATCH',
-                  path: '/api/v1/settings',
-                  description: 'Update panel settings',
-                  permission: 'airlink.api.settings.update',
-                  requestExample: `{
-  "title": "My Panel",
-  "description": "My custom panel",
-  "logo": "/path/to/logo.png",
-  "favicon": "/path/to/favicon.ico",
-  "theme": "default",
-  "language": "en"
-}`,
-                  responseExample: `{
-  "data": {
-    "id": 1,
-    "title": "My Panel",
-    "description": "My custom panel",
-    "logo": "/path/to/logo.png",
-    "favicon": "/path/to/favicon.ico",
-    "theme": "default",
-    "language": "en",
-    "createdAt": "2023-01-01T00:00:00.000Z",
-    "updatedAt": "2023-01-01T00:00:00.000Z"
-  }
-}`
-                }
-              ]
-            }
-          ];
+          const apiEndpoints = getApiExplorerEndpoints(req.app);
 
           res.render('admin/apikeys/docs', {
             apiEndpoints,
@@ -285,6 +78,7 @@ const coreModule: Module = {
       async (req: Request, res: Response) => {
         try {
           const apiKeys = await prisma.apiKey.findMany({
+            where: { type: 'application' },
             include: {
               user: {
                 select: {
@@ -318,6 +112,7 @@ const coreModule: Module = {
           res.render('admin/apikeys/apikeys', {
             apiKeys,
             allPermissions,
+            defaultRateLimit: DEFAULT_API_RATE_LIMIT,
             settings,
             user: req.session.user,
             req,
@@ -333,6 +128,51 @@ const coreModule: Module = {
     );
 
 
+    router.get(
+      '/admin/apikeys/:id',
+      isAuthenticated(true, 'airlink.admin.apikeys.view'),
+      async (req: Request, res: Response) => {
+        try {
+          const id = parseInt(req.params.id);
+          const apiKey = isNaN(id)
+            ? null
+            : await prisma.apiKey.findFirst({
+              where: { id, type: 'application' },
+              include: { user: { select: { id: true, username: true } } },
+            });
+
+          if (!apiKey) {
+            res.status(404).render('error', { error: 'API key not found', req });
+            return;
+          }
+
+          const [daily, monthly] = await Promise.all([
+            getApiKeyUsage(id, 24),
+            getApiKeyUsage(id, 24 * 30),
+          ]);
+          const settings = await prisma.settings.findFirst();
+
+          res.render('admin/apikeys/key', {
+            apiKey,
+            allowedIps: JSON.parse(apiKey.allowedIps || '[]'),
+            defaultRateLimit: DEFAULT_API_RATE_LIMIT,
+            daily,
+            monthly,
+            settings,
+            user: req.session.user,
+            req,
+          });
+        } catch (error) {
+          logger.error('Error fetching API key usage:', error);
+          res.status(500).render('error', {
+            error: 'Failed to fetch API key usage',
+            req,
+          });
+        }
+      },
+    );
+
+
     router.post(
       '/admin/apikeys/create',
       isAuthenticated(true, 'airlink.admin.apikeys.create'),
@@ -345,6 +185,13 @@ const coreModule: Module = {
             return;
           }
 
+          const parsed = parseApiKeyRestrictions(req.body);
+          if ('errors' in parsed) {
+            res.status(400).json({ error: parsed.errors.join(' ') });
+            return;
+          }
+          const { allowedIps, ...restrictions } = parsed.restrictions;
+
           const key = generateApiKey(32);
           const userId = req.session.user?.id;
 
@@ -353,17 +200,26 @@ const coreModule: Module = {
             (Array.isArray(permissions) ? permissions : [permissions]) :
             [];
 
-          await prisma.apiKey.create({
+          const apiKey = await prisma.apiKey.create({
             data: {
               name,
               key,
               description,
               permissions: JSON.stringify(permissionsArray),
               userId,
+              ...restrictions,
+              allowedIps: JSON.stringify(allowedIps),
               updatedAt: new Date(),
             },
           });
 
+          await recordAudit(req, {
+            action: 'apikey.create',
+            targetType: 'apiKey',
+            targetId: apiKey.id,
+            after: { name, description, permissions: permissionsArray, ...restrictions, allowedIps },
+          });
+
           res.redirect('/admin/apikeys');
         } catch (error) {
           logger.error('Error creating API key:', error);
@@ -380,10 +236,17 @@ const coreModule: Module = {
         try {
           const id = parseInt(req.params.id);
 
-          await prisma.apiKey.delete({
+          const apiKey = await prisma.apiKey.delete({
             where: { id },
           });
 
+          await recordAudit(req, {
+            action: 'apikey.delete',
+            targetType: 'apiKey',
+            targetId: id,
+            before: apiKey,
+          });
+
           res.redirect('/admin/apikeys');
         } catch (error) {
           logger.error('Error deleting API key:', error);
@@ -417,6 +280,14 @@ const coreModule: Module = {
             },
           });
 
+          await recordAudit(req, {
+            action: apiKey.active ? 'apikey.disable' : 'apikey.enable',
+            targetType: 'apiKey',
+            targetId: id,
+            before: { active: apiKey.active },
+            after: { active: !apiKey.active },
+          });
+
           res.redirect('/admin/apikeys');
         } catch (error) {
           logger.error('Error toggling API key status:', error);
@@ -439,21 +310,42 @@ const coreModule: Module = {
             return;
           }
 
+          const parsed = parseApiKeyRestrictions(req.body);
+          if ('errors' in parsed) {
+            res.status(400).json({ error: parsed.errors.join(' ') });
+            return;
+          }
+          const { allowedIps, ...restrictions } = parsed.restrictions;
+
 
           const permissionsArray = permissions ?
             (Array.isArray(permissions) ? permissions : [permissions]) :
             [];
 
-          await prisma.apiKey.update({
+          const apiKey = await prisma.apiKey.findUnique({
+            where: { id },
+          });
+
+          const updatedApiKey = await prisma.apiKey.update({
             where: { id },
             data: {
               name,
               description,
               permissions: JSON.stringify(permissionsArray),
+              ...restrictions,
+              allowedIps: JSON.stringify(allowedIps),
               updatedAt: new Date(),
             },
           });
 
+          await recordAudit(req, {
+            action: 'apikey.update',
+            targetType: 'apiKey',
+            targetId: id,
+            before: apiKey,
+            after: updatedApiKey,
+          });
+
           res.redirect('/admin/apikeys');
         } catch (error) {
           logger.error('Error updating API key:', error);
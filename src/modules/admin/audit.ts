@@ -0,0 +1,240 @@
+import { Router, Request, Response } from 'express';
+import { Module } from '../../handlers/moduleInit';
+import { AuditLog, Prisma, PrismaClient } from '@prisma/client';
+import { isAuthenticated } from '../../handlers/utils/auth/authUtil';
+import logger from '../../handlers/logger';
+import { registerPermission } from '../../handlers/permisions';
+
+const prisma = new PrismaClient();
+
+registerPermission('airlink.admin.audit.view');
+registerPermission('airlink.admin.audit.export');
+
+const PAGE_SIZE = 50;
+const MAX_EXPORT_ROWS = 10000;
+
+const CSV_COLUMNS: (keyof AuditLog)[] = [
+  'id',
+  'timestamp',
+  'actorType',
+  'actorId',
+  'actorName',
+  'action',
+  'targetType',
+  'targetId',
+  'before',
+  'after',
+  'metadata',
+  'ipAddress',
+  'userAgent',
+];
+
+interface AuditFilters {
+  action: string;
+  actor: string;
+  actorType: string;
+  targetType: string;
+  targetId: string;
+  from: string;
+  to: string;
+}
+
+function readFilters(query: Request['query']): AuditFilters {
+  const read = (key: string) =>
+    typeof query[key] === 'string' ? (query[key] as string).trim() : '';
+
+  return {
+    action: read('action'),
+    actor: read('actor'),
+    actorType: read('actorType'),
+    targetType: read('targetType'),
+    targetId: read('targetId'),
+    from: read('from'),
+    to: read('to'),
+  };
+}
+
+function buildWhere(filters: AuditFilters): Prisma.AuditLogWhereInput {
+  const where: Prisma.AuditLogWhereInput = {};
+
+  if (filters.action) where.action = { startsWith: filters.action };
+  if (filters.actorType) where.actorType = filters.actorType;
+  if (filters.targetType) where.targetType = filters.targetType;
+  if (filters.targetId) where.targetId = filters.targetId;
+
+  if (filters.actor) {
+    const actorId = parseInt(filters.actor, 10);
+    where.OR = [
+      { actorName: { contains: filters.actor } },
+      ...(Number.isNaN(actorId) ? [] : [{ actorId }]),
+    ];
+  }
+
+  const timestamp: Prisma.DateTimeFilter = {};
+  const from = filters.from ? new Date(filters.from) : null;
+  const to = filters.to ? new Date(filters.to) : null;
+  if (from && !Number.isNaN(from.getTime())) timestamp.gte = from;
+  if (to && !Number.isNaN(to.getTime())) {
+    // A plain date includes the whole day
+    if (/^\d{4}-\d{2}-\d{2}$/.test(filters.to)) to.setHours(23, 59, 59, 999);
+    timestamp.lte = to;
+  }
+  if (timestamp.gte || timestamp.lte) where.timestamp = timestamp;
+
+  return where;
+}
+
+function toCsvValue(value: unknown): string {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function parseJson(value: string | null): unknown {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+const adminModule: Module = {
+  info: {
+    name: 'Admin Audit Log Module',
+    description: 'This file is for viewing and exporting the audit log.',
+    version: '1.0.0',
+    moduleVersion: '1.0.0',
+    author: 'AirLinkLab',
+    license: 'MIT',
+  },
+
+  router: () => {
+    const router = Router();
+
+    router.get(
+      '/admin/audit',
+      isAuthenticated(true, 'airlink.admin.audit.view'),
+      async (req: Request, res: Response) => {
+        try {
+          const userId = req.session?.user?.id;
+          const user = await prisma.users.findUnique({ where: { id: userId } });
+          if (!user) {
+            return res.redirect('/login');
+          }
+
+          const filters = readFilters(req.query);
+          const where = buildWhere(filters);
+          const page = Math.max(1, parseInt(String(req.query.page), 10) || 1);
+
+          const [entries, total, actions, targetTypes] = await Promise.all([
+            prisma.auditLog.findMany({
+              where,
+              orderBy: { timestamp: 'desc' },
+              skip: (page - 1) * PAGE_SIZE,
+              take: PAGE_SIZE,
+            }),
+            prisma.auditLog.count({ where }),
+            prisma.auditLog.findMany({
+              distinct: ['action'],
+              select: { action: true },
+              orderBy: { action: 'asc' },
+            }),
+            prisma.auditLog.findMany({
+              distinct: ['targetType'],
+              select: { targetType: true },
+              where: { targetType: { not: null } },
+              orderBy: { targetType: 'asc' },
+            }),
+          ]);
+
+          const settings = await prisma.settings.findUnique({
+            where: { id: 1 },
+          });
+
+          const query = new URLSearchParams(
+            Object.entries(filters).filter(([, value]) => value !== ''),
+          ).toString();
+
+          res.render('admin/audit/audit', {
+            user,
+            req,
+            settings,
+            entries: entries.map((entry) => ({
+              ...entry,
+              before: parseJson(entry.before),
+              after: parseJson(entry.after),
+              metadata: parseJson(entry.metadata),
+            })),
+            filters,
+            query,
+            page,
+            totalPages: Math.max(1, Math.ceil(total / PAGE_SIZE)),
+            total,
+            actions: actions.map((entry) => entry.action),
+            targetTypes: targetTypes.map((entry) => entry.targetType),
+          });
+        } catch (error) {
+          logger.error('Error fetching audit log:', error);
+          return res.redirect('/admin/overview');
+        }
+      },
+    );
+
+    router.get(
+      '/admin/audit/export',
+      isAuthenticated(true, 'airlink.admin.audit.export'),
+      async (req: Request, res: Response) => {
+        try {
+          const format = req.query.format === 'csv' ? 'csv' : 'json';
+          const entries = await prisma.auditLog.findMany({
+            where: buildWhere(readFilters(req.query)),
+            orderBy: { timestamp: 'desc' },
+            take: MAX_EXPORT_ROWS,
+          });
+
+          const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+          res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+          if (format === 'csv') {
+            const lines = [
+              CSV_COLUMNS.join(','),
+              ...entries.map((entry) =>
+                CSV_COLUMNS.map((column) => toCsvValue(entry[column])).join(','),
+              ),
+            ];
+            res.setHeader('Content-Type', 'text/csv');
+            res.send(lines.join('\n'));
+            return;
+          }
+
+          res.setHeader('Content-Type', 'application/json');
+          res.send(
+            JSON.stringify(
+              entries.map((entry) => ({
+                ...entry,
+                before: parseJson(entry.before),
+                after: parseJson(entry.after),
+                metadata: parseJson(entry.metadata),
+              })),
+              null,
+              2,
+            ),
+          );
+        } catch (error) {
+          logger.error('Error exporting audit log:', error);
+          res.status(500).json({ error: 'Failed to export audit log' });
+        }
+      },
+    );
+
+    return router;
+  },
+};
+
+process.on('SIGINT', async () => {
+  await prisma.$disconnect();
+  process.exit();
+});
+
+export default adminModule;
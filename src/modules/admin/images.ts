@@ -1,8 +1,25 @@
 import { Router, Request, Response } from 'express';
 import { PrismaClient } from '@prisma/client';
+import multer from 'multer';
+import path from 'path';
 import { Module } from '../../handlers/moduleInit';
 import { isAuthenticated } from '../../handlers/utils/auth/authUtil';
 import logger from '../../handlers/logger';
+import { recordAudit } from '../../handlers/utils/core/auditLog';
+import { readZip } from '../../handlers/utils/core/zip';
+import {
+  UnmappedField,
+  convertPterodactylEgg,
+  isPterodactylEgg,
+  toPterodactylEgg,
+} from '../../handlers/utils/image/eggs';
+import {
+  applyImageUpdate,
+  compareRevisions,
+  isImageOutOfDate,
+  planImageUpdate,
+  recordImageRevision,
+} from '../../handlers/utils/image/revisions';
 
 /**
  * Validates an image configuration
@@ -62,6 +79,82 @@ export function processImageUpload(imageData: any): any {
 
 const prisma = new PrismaClient();
 
+const eggUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024, files: 200 },
+});
+
+type ImageSaveResult =
+  | { status: 'created' | 'updated'; id: number; name: string; unmapped: UnmappedField[] }
+  | { status: 'failed'; error: string; details?: string[] };
+
+/**
+ * Validates uploaded image or egg JSON and saves it, replacing the image
+ * with the same name if there is one
+ */
+async function saveImage(req: Request, imageData: any, source: string): Promise<ImageSaveResult> {
+  let unmapped: UnmappedField[] = [];
+  if (isPterodactylEgg(imageData)) {
+    const converted = convertPterodactylEgg(imageData);
+    imageData = converted.image;
+    unmapped = converted.unmapped;
+  }
+
+  const validation = validateImageConfig(imageData);
+  if (!validation.isValid) {
+    return { status: 'failed', error: 'Invalid image configuration', details: validation.errors };
+  }
+
+  const processedData = processImageUpload(imageData);
+  const existingImage = await prisma.images.findFirst({
+    where: { name: processedData.name },
+  });
+
+  const image = existingImage
+    ? await prisma.images.update({ where: { id: existingImage.id }, data: processedData })
+    : await prisma.images.create({ data: processedData });
+  await recordImageRevision(image.id, req.session?.user?.username);
+
+  await recordAudit(req, {
+    action: existingImage ? 'image.update' : 'image.create',
+    targetType: 'image',
+    targetId: image.id,
+    metadata: { name: processedData.name, source, unmapped: unmapped.length },
+  });
+
+  logger.info(`${existingImage ? 'Updated existing' : 'Created new'} image: ${processedData.name}`);
+  return {
+    status: existingImage ? 'updated' : 'created',
+    id: image.id,
+    name: processedData.name,
+    unmapped,
+  };
+}
+
+/**
+ * Reads the JSON files of an upload, looking inside zip archives
+ */
+function readUploadedFiles(files: Express.Multer.File[]) {
+  return files.flatMap((file): { file: string; content?: string; error?: string }[] => {
+    const name = file.originalname;
+    if (name.toLowerCase().endsWith('.zip')) {
+      try {
+        const entries = readZip(file.buffer).filter(
+          (entry) => entry.name.toLowerCase().endsWith('.json') && !entry.name.startsWith('__MACOSX/'),
+        );
+        if (entries.length === 0) return [{ file: name, error: 'No JSON files in the archive' }];
+        return entries.map((entry) => ({ file: `${name}/${entry.name}`, content: entry.data.toString('utf8') }));
+      } catch (error) {
+        return [{ file: name, error: `Could not read the archive: ${(error as Error).message}` }];
+      }
+    }
+    if (path.extname(name).toLowerCase() !== '.json') {
+      return [{ file: name, error: 'Not a JSON or zip file' }];
+    }
+    return [{ file: name, content: file.buffer.toString('utf8') }];
+  });
+}
+
 const adminModule: Module = {
   info: {
     name: 'Admin Module for Images',
@@ -108,53 +201,18 @@ const adminModule: Module = {
           return;
         }
 
-        // Validate the image configuration
-        const validation = validateImageConfig(imageData);
-        if (!validation.isValid) {
-          res.status(400).json({
-            success: false,
-            error: 'Invalid image configuration',
-            details: validation.errors
-          });
+        const result = await saveImage(req, imageData, 'upload');
+        if (result.status === 'failed') {
+          res.status(400).json({ success: false, error: result.error, details: result.details });
           return;
         }
 
-        // Process the image data
-        const processedData = processImageUpload(imageData);
-
-        // Save to database
-        const existingImage = await prisma.images.findFirst({
-          where: { name: processedData.name }
+        res.status(200).json({
+          success: true,
+          message: result.status === 'created' ? 'Image created successfully' : 'Image updated successfully',
+          id: result.id,
+          unmapped: result.unmapped,
         });
-
-        if (existingImage) {
-          // Update existing image
-          await prisma.images.update({
-            where: { id: existingImage.id },
-            data: processedData
-          });
-
-          logger.info(`Updated existing image: ${processedData.name}`);
-          res.status(200).json({
-            success: true,
-            message: 'Image updated successfully',
-            id: existingImage.id
-          });
-          return;
-        } else {
-          // Create new image
-          const newImage = await prisma.images.create({
-            data: processedData
-          });
-
-          logger.info(`Created new image: ${processedData.name}`);
-          res.status(200).json({
-            success: true,
-            message: 'Image created successfully',
-            id: newImage.id
-          });
-          return;
-        }
       } catch (error) {
         logger.error('Error processing image upload:', error);
         res.status(500).json({
@@ -165,6 +223,47 @@ const adminModule: Module = {
       }
     });
 
+    router.post(
+      '/admin/images/import',
+      isAuthenticated(true),
+      eggUpload.array('files'),
+      async (req: Request, res: Response) => {
+        try {
+          const files = (req.files as Express.Multer.File[] | undefined) ?? [];
+          if (files.length === 0) {
+            res.status(400).json({ success: false, error: 'No files uploaded' });
+            return;
+          }
+
+          const results = [];
+          for (const upload of readUploadedFiles(files)) {
+            if (upload.error || upload.content === undefined) {
+              results.push({ file: upload.file, status: 'failed', error: upload.error });
+              continue;
+            }
+
+            let data;
+            try {
+              data = JSON.parse(upload.content);
+            } catch {
+              results.push({ file: upload.file, status: 'failed', error: 'Invalid JSON' });
+              continue;
+            }
+
+            results.push({ file: upload.file, ...(await saveImage(req, data, 'import')) });
+          }
+
+          res.json({
+            success: results.some((result) => result.status !== 'failed'),
+            results,
+          });
+        } catch (error) {
+          logger.error('Error importing images:', error);
+          res.status(500).json({ success: false, error: 'Failed to import the uploaded files' });
+        }
+      },
+    );
+
     router.post(
       '/admin/images/create',
       isAuthenticated(true),
@@ -196,6 +295,14 @@ const adminModule: Module = {
           const newImage = await prisma.images.create({
             data: imageData
           });
+          await recordImageRevision(newImage.id, req.session?.user?.username);
+
+          await recordAudit(req, {
+            action: 'image.create',
+            targetType: 'image',
+            targetId: newImage.id,
+            metadata: { name },
+          });
 
           logger.info(`Created new basic image: ${name}`);
           res.redirect(`/admin/images/edit/${newImage.id}?success=true`);
@@ -238,6 +345,12 @@ const adminModule: Module = {
 
           // Delete the image
           await prisma.images.delete({ where: { id: Number(id) } });
+          await recordAudit(req, {
+            action: 'image.delete',
+            targetType: 'image',
+            targetId: id,
+            metadata: { name: image.name },
+          });
           logger.info(`Deleted image: ${image.name} (ID: ${id})`);
           res.status(200).send('Image deleted successfully.');
         } catch (error) {
@@ -282,13 +395,17 @@ const adminModule: Module = {
           const settings = await prisma.settings.findUnique({
             where: { id: 1 },
           });
+          const outdatedServers = await prisma.server.count({
+            where: { imageId: image.id, imageRevision: { lt: image.revision } },
+          });
 
           res.render('admin/images/edit', {
             user,
             req,
             settings,
             image: parsedImage,
-            imageJson: JSON.stringify(parsedImage, null, 2)
+            imageJson: JSON.stringify(parsedImage, null, 2),
+            outdatedServers,
           });
         } catch (error) {
           logger.error('Error fetching image for editing:', error);
@@ -325,6 +442,14 @@ const adminModule: Module = {
             where: { id: Number(id) },
             data: processedData
           });
+          const revision = await recordImageRevision(Number(id), req.session?.user?.username);
+
+          await recordAudit(req, {
+            action: 'image.update',
+            targetType: 'image',
+            targetId: id,
+            metadata: { name: processedData.name, revision },
+          });
 
           logger.info(`Updated image: ${processedData.name} (ID: ${id})`);
           res.redirect(`/admin/images/edit/${id}?success=true`);
@@ -337,6 +462,138 @@ const adminModule: Module = {
       }
     );
 
+    router.get(
+      '/admin/images/revisions/:id',
+      isAuthenticated(true),
+      async (req: Request, res: Response) => {
+        try {
+          const user = await prisma.users.findUnique({ where: { id: req.session?.user?.id } });
+          if (!user) {
+            return res.redirect('/login');
+          }
+
+          const image = await prisma.images.findUnique({
+            where: { id: Number(req.params.id) },
+            include: { revisions: { orderBy: { revision: 'desc' } } },
+          });
+          if (!image) {
+            return res.redirect('/admin/images?error=Image+not+found');
+          }
+
+          const requested = Number(req.query.revision) || image.revision;
+          const selected = image.revisions.find((entry) => entry.revision === requested) ?? image.revisions[0];
+          const previous = selected
+            ? image.revisions.find((entry) => entry.revision < selected.revision) ?? null
+            : null;
+
+          const settings = await prisma.settings.findUnique({
+            where: { id: 1 },
+          });
+
+          res.render('admin/images/revisions', {
+            user,
+            req,
+            settings,
+            image,
+            revisions: image.revisions,
+            selected,
+            previous,
+            changes: selected ? compareRevisions(previous, selected) : [],
+          });
+        } catch (error) {
+          logger.error('Error fetching image revisions:', error);
+          return res.redirect('/admin/images?error=Failed+to+load+revisions');
+        }
+      },
+    );
+
+    router.get(
+      '/admin/images/servers/:id',
+      isAuthenticated(true),
+      async (req: Request, res: Response) => {
+        try {
+          const user = await prisma.users.findUnique({ where: { id: req.session?.user?.id } });
+          if (!user) {
+            return res.redirect('/login');
+          }
+
+          const image = await prisma.images.findUnique({
+            where: { id: Number(req.params.id) },
+            include: { servers: { include: { owner: true, node: true }, orderBy: { name: 'asc' } } },
+          });
+          if (!image) {
+            return res.redirect('/admin/images?error=Image+not+found');
+          }
+
+          const servers = image.servers.map((server) => ({
+            server,
+            outOfDate: isImageOutOfDate(server, image),
+            plan: planImageUpdate(server, image),
+          }));
+
+          const settings = await prisma.settings.findUnique({
+            where: { id: 1 },
+          });
+
+          res.render('admin/images/servers', { user, req, settings, image, servers });
+        } catch (error) {
+          logger.error('Error fetching image servers:', error);
+          return res.redirect('/admin/images?error=Failed+to+load+servers');
+        }
+      },
+    );
+
+    router.post(
+      '/admin/images/push/:id',
+      isAuthenticated(true),
+      async (req: Request, res: Response) => {
+        try {
+          const image = await prisma.images.findUnique({ where: { id: Number(req.params.id) } });
+          if (!image) {
+            res.status(404).json({ error: 'Image not found' });
+            return;
+          }
+
+          const serverIds = (Array.isArray(req.body.serverIds) ? req.body.serverIds : [])
+            .map(Number)
+            .filter(Number.isInteger);
+          if (serverIds.length === 0) {
+            res.status(400).json({ error: 'No servers selected' });
+            return;
+          }
+
+          const servers = await prisma.server.findMany({
+            where: { id: { in: serverIds }, imageId: image.id },
+          });
+
+          const results = [];
+          for (const server of servers) {
+            const result = await applyImageUpdate(server, image);
+            if ('error' in result) {
+              results.push({ id: server.id, name: server.name, status: 'failed', error: result.error });
+              continue;
+            }
+
+            await recordAudit(req, {
+              action: 'server.image.update',
+              targetType: 'server',
+              targetId: server.UUID,
+              before: server,
+              after: result.server,
+              metadata: { imageId: image.id, revision: image.revision },
+            });
+            results.push({ id: server.id, name: server.name, status: 'updated' });
+          }
+
+          logger.info(`Pushed revision ${image.revision} of image ${image.name} to ${results.length} servers`);
+          res.json({ success: results.some((result) => result.status === 'updated'), results });
+        } catch (error) {
+          logger.error('Error pushing image update:', error);
+          res.status(500).json({ error: 'Failed to update the servers' });
+        }
+      },
+    );
+
     // Add route for exporting images as JSON
     router.get(
       '/admin/images/export/:id',
@@ -354,6 +611,15 @@ const adminModule: Module = {
             return;
           }
 
+          const fileName = image.name?.replace(/[^a-z0-9]/gi, '_').toLowerCase() || 'image';
+
+          if (req.query.format === 'egg') {
+            res.setHeader('Content-Type', 'application/json');
+            res.setHeader('Content-Disposition', `attachment; filename="egg-${fileName}.json"`);
+            res.send(JSON.stringify(toPterodactylEgg(image), null, 4));
+            return;
+          }
+
           // Parse JSON fields
           const exportedImage = {
             meta: JSON.parse(image.meta || '{}'),
@@ -370,7 +636,7 @@ const adminModule: Module = {
 
           // Set headers for file download
           res.setHeader('Content-Type', 'application/json');
-          res.setHeader('Content-Disposition', `attachment; filename="${image.name?.replace(/[^a-z0-9]/gi, '_').toLowerCase() || 'image'}.json"`);
+          res.setHeader('Content-Disposition', `attachment; filename="${fileName}.json"`);
 
           // Send the JSON data
           res.send(JSON.stringify(exportedImage, null, 2));
@@ -4,22 +4,19 @@ import { PrismaClient } from '@prisma/client';
 import { isAuthenticated } from '../../handlers/utils/auth/authUtil';
 import { checkNodeStatus } from '../../handlers/utils/node/nodeStatus';
 import logger from '../../handlers/logger';
+import { recordAudit } from '../../handlers/utils/core/auditLog';
+import {
+  createAllocations,
+  parsePortRange,
+} from '../../handlers/utils/node/allocations';
+import { getNodeCapacities } from '../../handlers/utils/node/placement';
+import { parseNodeInput } from '../../handlers/utils/node/nodeInput';
+import { generateApiKey } from '../../handlers/utils/api/apiValidator';
 import axios from 'axios';
 import { Buffer } from 'buffer';
 
 const prisma = new PrismaClient();
 
-function generateApiKey(length: number): string {
-  const characters =
-    'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    const randomIndex = Math.floor(Math.random() * characters.length);
-    result += characters[randomIndex];
-  }
-  return result;
-}
-
 type NodeWithInstances = {
   id: number;
   name: string;
@@ -32,6 +29,7 @@ type NodeWithInstances = {
   createdAt: Date;
   instances: any[];
   servers?: any[]; // For port allocation UI
+  allocations?: any[];
 }
 
 async function listNodes(res: Response, includeServers = false) {
@@ -55,6 +53,10 @@ async function listNodes(res: Response, includeServers = false) {
       // Add servers data if requested (for port allocation UI)
       if (includeServers) {
         nodeWithInstances.servers = instances;
+        nodeWithInstances.allocations = await prisma.allocation.findMany({
+          where: { nodeId: node.id, serverId: null },
+          orderBy: [{ ip: 'asc' }, { port: 'asc' }],
+        });
       }
 
       nodesWithStatus.push(await checkNodeStatus(nodeWithInstances));
@@ -150,55 +152,9 @@ const adminModule: Module = {
       '/admin/nodes/create',
       isAuthenticated(true),
       async (req: Request, res: Response) => {
-        const { name, ram, cpu, disk, address, port } = req.body;
-
-        if (!name || typeof name !== 'string') {
-          res.status(400).json({ message: 'Name must be a string.' });
-          return;
-        } else if (name.length < 3 || name.length > 50) {
-          res.status(400).json({
-            message: 'Name must be between 3 and 50 characters long.',
-          });
-          return;
-        }
-
-        if (!ram || isNaN(parseInt(ram)) || parseInt(ram) <= 0) {
-          res.status(400).json({ message: 'RAM must be a positive number.' });
-          return;
-        }
-
-        if (!cpu || isNaN(parseInt(cpu)) || parseInt(cpu) <= 0) {
-          res.status(400).json({ message: 'CPU must be a positive number.' });
-          return;
-        }
-
-        if (!disk || isNaN(parseInt(disk)) || parseInt(disk) <= 0) {
-          res.status(400).json({ message: 'Disk must be a positive number.' });
-          return;
-        }
-
-        const addressRegex =
-          /^(localhost|(?:\d{1,3}\.){3}\d{1,3}|(?:[a-zA-Z0-9-]+\.)+[a-zA-Z]{2,})$/;
-        if (
-          !address ||
-          typeof address !== 'string' ||
-          !addressRegex.test(address)
-        ) {
-          res.status(400).json({
-            message: 'Address must be a valid IPv4, domain, or localhost.',
-          });
-          return;
-        }
-
-        if (
-          !port ||
-          isNaN(parseInt(port)) ||
-          parseInt(port) <= 1024 ||
-          parseInt(port) > 65535
-        ) {
-          res
-            .status(400)
-            .json({ message: 'Port must be a number between 1025 and 65535.' });
+        const parsed = parseNodeInput(req.body);
+        if ('errors' in parsed) {
+          res.status(400).json({ message: parsed.errors.join(' ') });
           return;
         }
 
@@ -210,26 +166,21 @@ const adminModule: Module = {
             return;
           }
 
-          const key = generateApiKey(32);
-
-          const ramValue = parseFloat(ram);
-          const cpuValue = parseFloat(cpu);
-          const diskValue = parseFloat(disk);
-          const portValue = parseInt(port);
-
           const node = await prisma.node.create({
             data: {
-              name,
-              ram: ramValue,
-              cpu: cpuValue,
-              disk: diskValue,
-              address,
-              port: portValue,
-              key,
+              ...parsed.input,
+              key: generateApiKey(32),
               createdAt: new Date(),
             },
           });
 
+          await recordAudit(req, {
+            action: 'node.create',
+            targetType: 'node',
+            targetId: node.id,
+            after: node,
+          });
+
           res.status(200).json({ message: 'Node created successfully.', node });
           return;
         } catch (error) {
@@ -255,6 +206,8 @@ const adminModule: Module = {
           const deleteInstances = req.query.deleteInstance === 'true';
 
           try {
+            const existingNode = await prisma.node.findUnique({ where: { id: nodeId } });
+
             if (deleteInstances) {
               await prisma.server.deleteMany({
                 where: { nodeId: nodeId },
@@ -263,6 +216,14 @@ const adminModule: Module = {
 
             await prisma.node.delete({ where: { id: nodeId } });
 
+            await recordAudit(req, {
+              action: 'node.delete',
+              targetType: 'node',
+              targetId: nodeId,
+              before: existingNode,
+              metadata: { deleteInstances },
+            });
+
             res.status(200).json({
               message: deleteInstances
                 ? 'Node and associated instances deleted successfully.'
@@ -328,12 +289,14 @@ const adminModule: Module = {
 
           const nodeId = parseInt(req.params.id);
 
-          // Get node with its servers for port allocation UI
           const node = await prisma.node.findUnique({
             where: { id: nodeId },
             include: {
-              servers: true
-            }
+              allocations: {
+                include: { server: { select: { UUID: true, name: true } } },
+                orderBy: [{ ip: 'asc' }, { port: 'asc' }],
+              },
+            },
           });
 
           if (!node) {
@@ -345,7 +308,9 @@ const adminModule: Module = {
             where: { id: 1 },
           });
 
-          res.render('admin/nodes/edit', { node, user, req, settings });
+          const [capacity] = await getNodeCapacities([nodeId]);
+
+          res.render('admin/nodes/edit', { node, user, req, settings, capacity });
         } catch (error) {
           logger.error('Error fetching user:', error);
           return res.redirect('/login');
@@ -366,60 +331,25 @@ const adminModule: Module = {
 
           const nodeId = parseInt(req.params.id);
 
-          const name = req.body.name;
-          const ram = parseInt(req.body.ram);
-          const cpu = parseInt(req.body.cpu);
-          const disk = parseInt(req.body.disk);
-          const address = req.body.address;
-          const port = parseInt(req.body.port);
-          const allocatedPorts = req.body.allocatedPorts || '[]';
-
-          if (
-            !name ||
-            isNaN(ram) ||
-            isNaN(cpu) ||
-            isNaN(disk) ||
-            !address ||
-            !port
-          ) {
-            res.status(400).json({
-              message:
-                'All fields are required and numeric values must be valid numbers.',
-            });
+          const parsed = parseNodeInput(req.body);
+          if ('errors' in parsed) {
+            res.status(400).json({ message: parsed.errors.join(' ') });
             return;
           }
 
-          // Validate allocated ports
-          try {
-            const parsedPorts = JSON.parse(allocatedPorts);
-            if (!Array.isArray(parsedPorts)) {
-              throw new Error('Allocated ports must be an array');
-            }
-
-            // Validate each port
-            for (const port of parsedPorts) {
-              if (typeof port !== 'number' || port < 1024 || port > 65535) {
-                throw new Error('Each port must be a number between 1024 and 65535');
-              }
-            }
-          } catch (error: any) {
-            res.status(400).json({
-              message: 'Invalid allocated ports format: ' + (error.message || 'Unknown error'),
-            });
-            return;
-          }
+          const existingNode = await prisma.node.findUnique({ where: { id: nodeId } });
 
           const node = await prisma.node.update({
             where: { id: nodeId },
-            data: {
-              name,
-              ram,
-              cpu,
-              disk,
-              address,
-              port,
-              allocatedPorts,
-            },
+            data: parsed.input,
+          });
+
+          await recordAudit(req, {
+            action: 'node.update',
+            targetType: 'node',
+            targetId: nodeId,
+            before: existingNode,
+            after: node,
           });
 
           res.status(200).json({ message: 'Node updated successfully.', node });
@@ -432,6 +362,138 @@ const adminModule: Module = {
       },
     );
 
+    router.post(
+      '/admin/node/:id/allocations',
+      isAuthenticated(true),
+      async (req: Request, res: Response) => {
+        const nodeId = parseInt(req.params.id);
+        const ip = typeof req.body.ip === 'string' && req.body.ip.trim()
+          ? req.body.ip.trim()
+          : '0.0.0.0';
+        const alias = typeof req.body.alias === 'string' ? req.body.alias.trim() : '';
+
+        if (!/^(?:\d{1,3}\.){3}\d{1,3}$/.test(ip)) {
+          res.status(400).json({ message: 'IP must be a valid IPv4 address.' });
+          return;
+        }
+
+        let ports: number[];
+        try {
+          ports = parsePortRange(req.body.ports);
+        } catch (error: any) {
+          res.status(400).json({ message: error.message });
+          return;
+        }
+
+        try {
+          const node = await prisma.node.findUnique({ where: { id: nodeId } });
+          if (!node) {
+            res.status(404).json({ message: 'Node not found.' });
+            return;
+          }
+
+          const created = await createAllocations(nodeId, ip, ports, alias);
+
+          await recordAudit(req, {
+            action: 'node.allocation.create',
+            targetType: 'node',
+            targetId: nodeId,
+            metadata: { ip, ports: req.body.ports, alias: alias || null, created },
+          });
+
+          res.status(200).json({
+            message: `${created} allocation(s) created, ${ports.length - created} already in use on this node.`,
+            created,
+          });
+        } catch (error) {
+          logger.error('Error creating allocations:', error);
+          res.status(500).json({ message: 'Error creating allocations.' });
+        }
+      },
+    );
+
+    router.patch(
+      '/admin/node/:id/allocations/:allocationId',
+      isAuthenticated(true),
+      async (req: Request, res: Response) => {
+        const nodeId = parseInt(req.params.id);
+        const allocationId = parseInt(req.params.allocationId);
+        const alias = typeof req.body.alias === 'string' ? req.body.alias.trim() : '';
+
+        try {
+          const allocation = await prisma.allocation.findFirst({
+            where: { id: allocationId, nodeId },
+          });
+          if (!allocation) {
+            res.status(404).json({ message: 'Allocation not found.' });
+            return;
+          }
+
+          const updated = await prisma.allocation.update({
+            where: { id: allocationId },
+            data: { alias: alias || null },
+          });
+
+          await recordAudit(req, {
+            action: 'node.allocation.update',
+            targetType: 'node',
+            targetId: nodeId,
+            before: { alias: allocation.alias },
+            after: { alias: updated.alias },
+            metadata: { allocationId, ip: allocation.ip, port: allocation.port },
+          });
+
+          res.status(200).json({ message: 'Allocation updated.', allocation: updated });
+        } catch (error) {
+          logger.error('Error updating allocation:', error);
+          res.status(500).json({ message: 'Error updating allocation.' });
+        }
+      },
+    );
+
+    router.delete(
+      '/admin/node/:id/allocations/:allocationId',
+      isAuthenticated(true),
+      async (req: Request, res: Response) => {
+        const nodeId = parseInt(req.params.id);
+        const allocationId = parseInt(req.params.allocationId);
+
+        try {
+          const allocation = await prisma.allocation.findFirst({
+            where: { id: allocationId, nodeId },
+          });
+          if (!allocation) {
+            res.status(404).json({ message: 'Allocation not found.' });
+            return;
+          }
+
+          // Re-check the assignment in the delete itself so a server claiming
+          // the port in the meantime keeps it
+          const deleted = await prisma.allocation.deleteMany({
+            where: { id: allocationId, serverId: null },
+          });
+          if (deleted.count === 0) {
+            res.status(400).json({
+              message: 'Cannot remove an allocation that is assigned to a server.',
+            });
+            return;
+          }
+
+          await recordAudit(req, {
+            action: 'node.allocation.delete',
+            targetType: 'node',
+            targetId: nodeId,
+            before: allocation,
+          });
+
+          res.status(200).json({ message: 'Allocation removed.' });
+        } catch (error) {
+          logger.error('Error deleting allocation:', error);
+          res.status(500).json({ message: 'Error deleting allocation.' });
+        }
+      },
+    );
+
     router.get(
       '/admin/node/:id/stats',
       isAuthenticated(true),
@@ -3,6 +3,7 @@ import { Module } from '../../handlers/moduleInit';
 import { PrismaClient } from '@prisma/client';
 import { isAuthenticated } from '../../handlers/utils/auth/authUtil';
 import logger from '../../handlers/logger';
+import { auditAction } from '../../handlers/utils/core/auditLog';
 import { checkForUpdates, performUpdate } from '../../handlers/updater';
 import { registerPermission } from '../../handlers/permisions';
 
@@ -87,6 +88,7 @@ const adminModule: Module = {
     router.post(
       '/admin/perform-update',
       isAuthenticated(true, 'airlink.admin.overview.performUpdate'),
+      auditAction('panel.update'),
       async (_req: Request, res: Response) => {
         try {
           const success = await performUpdate();
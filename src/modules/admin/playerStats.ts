@@ -3,8 +3,14 @@ import { Module } from '../../handlers/moduleInit';
 import { PrismaClient } from '@prisma/client';
 import { isAuthenticated } from '../../handlers/utils/auth/authUtil';
 import logger from '../../handlers/logger';
-import axios from 'axios';
 import { registerPermission } from '../../handlers/permisions';
+import { queryServer } from '../../handlers/utils/query/gameQuery';
+import {
+  getPlayerHistorySummary,
+  getServerPlayerHistory,
+  PLAYER_HISTORY_RANGES,
+  PlayerHistoryRange,
+} from '../../handlers/playerStatsCollector';
 
 const prisma = new PrismaClient();
 
@@ -17,7 +23,7 @@ interface ErrorMessage {
 const adminModule: Module = {
   info: {
     name: 'Admin Player Stats Module',
-    description: 'This file provides player statistics for the admin panel.',
+    description: 'This file provides player statistics and per-server player history for the admin panel.',
     version: '1.0.0',
     moduleVersion: '1.0.0',
     author: 'AirLinkLab',
@@ -89,62 +95,36 @@ const adminModule: Module = {
           const servers = await prisma.server.findMany({
             include: {
               node: true,
+              image: true,
             },
           });
 
+          const history = await getPlayerHistorySummary();
+
           // Fetch player counts for each server
           const playerData = await Promise.all(
             servers.map(async (server) => {
-              try {
-                // Parse ports to find the primary port
-                const ports = JSON.parse(server.Ports || '[]');
-                const primaryPort = ports.find((p: any) => p.primary)?.Port;
-
-                if (!primaryPort) {
-                  return {
-                    serverId: server.UUID,
-                    serverName: server.name,
-                    playerCount: 0,
-                    maxPlayers: 0,
-                    online: false,
-                    error: 'No primary port found'
-                  };
-                }
-
-                // Fetch player data from the daemon
-                const response = await axios({
-                  method: 'GET',
-                  url: `http://${server.node.address}:${server.node.port}/minecraft/players`,
-                  params: {
-                    id: server.UUID,
-                    host: server.node.address,
-                    port: primaryPort
-                  },
-                  auth: {
-                    username: 'Airlink',
-                    password: server.node.key,
-                  },
-                  timeout: 5000
-                });
-
-                return {
-                  serverId: server.UUID,
-                  serverName: server.name,
-                  playerCount: response.data.onlinePlayers || 0,
-                  maxPlayers: response.data.maxPlayers || 0,
-                  online: response.data.online || false,
-                  version: response.data.version || 'Unknown'
-                };
-              } catch (error) {
-                return {
-                  serverId: server.UUID,
-                  serverName: server.name,
-                  playerCount: 0,
-                  maxPlayers: 0,
-                  online: false,
-                  error: 'Failed to fetch player data'
-                };
+              const query = await queryServer(server);
+              const base = {
+                serverId: server.UUID,
+                serverName: server.name,
+                protocol: query?.protocol ?? null,
+                history: history.get(server.UUID) ?? null,
+              };
+
+              if (!query) {
+                return { ...base, playerCount: 0, maxPlayers: 0, online: false, error: 'Players are not queried for this image' };
+              }
+              if ('error' in query) {
+                return { ...base, playerCount: 0, maxPlayers: 0, online: false, error: query.error };
               }
+              return {
+                ...base,
+                playerCount: query.result.players,
+                maxPlayers: query.result.maxPlayers,
+                online: true,
+                version: query.result.version || 'Unknown',
+              };
             })
           );
 
@@ -177,6 +157,44 @@ const adminModule: Module = {
       }
     );
 
+    // API endpoint to get the player history of one server
+    router.get(
+      '/api/admin/playerstats/servers/:id/history',
+      isAuthenticated(true, 'airlink.admin.playerstats.view'),
+      async (req: Request, res: Response) => {
+        const range = String(req.query.range || '24h') as PlayerHistoryRange;
+        const utcOffset = parseInt(String(req.query.utcOffset || '0'), 10) || 0;
+
+        if (!(range in PLAYER_HISTORY_RANGES)) {
+          res.status(400).json({
+            error: `Range must be one of ${Object.keys(PLAYER_HISTORY_RANGES).join(', ')}`,
+          });
+          return;
+        }
+        if (Math.abs(utcOffset) > 14 * 60) {
+          res.status(400).json({ error: 'utcOffset must be within 14 hours of UTC' });
+          return;
+        }
+
+        try {
+          const server = await prisma.server.findUnique({ where: { UUID: req.params.id } });
+          if (!server) {
+            res.status(404).json({ error: 'Server not found' });
+            return;
+          }
+
+          res.json({
+            range,
+            resolution: PLAYER_HISTORY_RANGES[range].resolution,
+            ...(await getServerPlayerHistory(server.UUID, range, utcOffset)),
+          });
+        } catch (error) {
+          logger.error('Error fetching player history:', error);
+          res.status(500).json({ error: 'Failed to fetch player history' });
+        }
+      }
+    );
+
     // API endpoint to manually trigger player stats collection
     router.post(
       '/api/admin/playerstats/collect',
@@ -3,12 +3,25 @@ import { Module } from '../../handlers/moduleInit';
 import { PrismaClient } from '@prisma/client';
 import { isAuthenticated } from '../../handlers/utils/auth/authUtil';
 import logger from '../../handlers/logger';
-import fs from 'fs/promises';
-import path from 'path';
-import axios from 'axios';
+import { registerPermission } from '../../handlers/permisions';
+import { auditAction } from '../../handlers/utils/core/auditLog';
+import {
+  getRadarScriptConfig,
+  listRadarScripts,
+  loadRadarScript,
+  RADAR_ACTIONS,
+  runRadarScan,
+  scanAllServers,
+} from '../../handlers/radar';
 
 const prisma = new PrismaClient();
 
+registerPermission('airlink.admin.radar.view');
+registerPermission('airlink.admin.radar.edit');
+
+const FINDING_PAGE_SIZE = 100;
+const SCAN_PAGE_SIZE = 50;
+
 const radarModule: Module = {
   info: {
     name: 'Radar Module',
@@ -28,42 +41,7 @@ const radarModule: Module = {
       isAuthenticated(true),
       async (req: Request, res: Response) => {
         try {
-          const radarDir = path.join(__dirname, '../../../storage/radar');
-
-          try {
-            await fs.access(radarDir);
-          } catch (error: unknown) {
-            await fs.mkdir(radarDir, { recursive: true });
-          }
-
-          const files = await fs.readdir(radarDir);
-          const scripts = await Promise.all(
-            files
-              .filter(file => file.endsWith('.json'))
-              .map(async file => {
-                const content = await fs.readFile(path.join(radarDir, file), 'utf-8');
-                try {
-                  const scriptData = JSON.parse(content);
-                  return {
-                    id: file.replace('.json', ''),
-                    name: scriptData.name || file,
-                    description: scriptData.description || '',
-                    version: scriptData.version || '1.0.0',
-                    filename: file
-                  };
-                } catch (error: unknown) {
-                  logger.error(`Error parsing radar script ${file}:`, error);
-                  return {
-                    id: file.replace('.json', ''),
-                    name: file,
-                    description: 'Invalid script format',
-                    version: 'unknown',
-                    filename: file
-                  };
-                }
-              })
-          );
-
+          const scripts = await listRadarScripts();
           res.json({ success: true, scripts });
         } catch (error: unknown) {
           logger.error('Error fetching radar scripts:', error);
@@ -76,6 +54,7 @@ const radarModule: Module = {
     router.post(
       '/admin/radar/scan/:serverId',
       isAuthenticated(true),
+      auditAction('radar.scan', 'server', 'serverId'),
       async (req: Request, res: Response) => {
         try {
           const { serverId } = req.params;
@@ -103,29 +82,31 @@ const radarModule: Module = {
             return;
           }
 
-          // Get the script content
-          const scriptPath = path.join(__dirname, '../../../storage/radar', `${scriptId}.json`);
-          const scriptContent = await fs.readFile(scriptPath, 'utf-8');
-          const script = JSON.parse(scriptContent);
-          
-          const response = await axios.post(
-            `http://${server.node.address}:${server.node.port}/radar/scan`,
-            {
-              id: server.UUID,
-              script
-            },
-            {
-              headers: {
-                'Content-Type': 'application/json',
-                Authorization: `Basic ${Buffer.from(`Airlink:${server.node.key}`).toString('base64')}`
-              }
-            }
-          );
+          if (!(await loadRadarScript(String(scriptId)))) {
+            res.status(404).json({
+              success: false,
+              error: 'Script not found'
+            });
+            return;
+          }
+
+          const { scan, results } = await runRadarScan(server, String(scriptId));
+
+          if (scan.status === 'failed') {
+            res.status(500).json({
+              success: false,
+              error: 'Failed to run radar scan',
+              message: scan.error,
+              scan
+            });
+            return;
+          }
 
           res.json({
             success: true,
             message: 'Radar scan initiated',
-            results: response.data
+            results,
+            scan
           });
         } catch (error: unknown) {
           logger.error('Error running radar scan:', error);
@@ -142,6 +123,186 @@ const radarModule: Module = {
       }
     );
 
+    // Scan every server with a script
+    router.post(
+      '/admin/radar/scan-all',
+      isAuthenticated(true, 'airlink.admin.radar.edit'),
+      auditAction('radar.scan_all', 'radarScript', 'scriptId'),
+      async (req: Request, res: Response) => {
+        const scriptId = String(req.body.scriptId || '');
+
+        try {
+          if (!(await loadRadarScript(scriptId))) {
+            res.status(404).json({ message: 'Script not found' });
+            return;
+          }
+
+          // Scanning every volume outlasts the request, the results show up on /admin/radar
+          const servers = await prisma.server.count();
+          scanAllServers(scriptId)
+            .then((summary) => logger.info(
+              `Radar scan ${scriptId} on all servers: ${summary.scanned} scanned, ${summary.detected} detected, ${summary.failed} failed`,
+            ))
+            .catch((error) => logger.error('Error running radar scan on all servers:', error));
+
+          res.json({ success: true, servers });
+        } catch (error) {
+          logger.error('Error running radar scan on all servers:', error);
+          res.status(500).json({ message: 'Failed to scan servers' });
+        }
+      }
+    );
+
+    router.get(
+      '/admin/radar',
+      isAuthenticated(true, 'airlink.admin.radar.view'),
+      async (req: Request, res: Response) => {
+        try {
+          const userId = req.session?.user?.id;
+          const user = await prisma.users.findUnique({ where: { id: userId } });
+          if (!user) {
+            return res.redirect('/login');
+          }
+
+          const showDismissed = req.query.dismissed === '1';
+
+          const [scripts, findings, scans, servers, settings] = await Promise.all([
+            listRadarScripts(),
+            prisma.radarFinding.findMany({
+              where: showDismissed ? undefined : { falsePositive: false },
+              include: { scan: { select: { scriptName: true, action: true, createdAt: true } } },
+              orderBy: { createdAt: 'desc' },
+              take: FINDING_PAGE_SIZE,
+            }),
+            prisma.radarScan.findMany({
+              include: { server: { select: { name: true } } },
+              orderBy: { createdAt: 'desc' },
+              take: SCAN_PAGE_SIZE,
+            }),
+            prisma.server.findMany({ select: { UUID: true, name: true } }),
+            prisma.settings.findUnique({ where: { id: 1 } }),
+          ]);
+
+          const configs = await Promise.all(
+            scripts.map(async (script) => ({
+              ...script,
+              config: await getRadarScriptConfig(script.id),
+            })),
+          );
+
+          res.render('admin/radar/radar', {
+            user,
+            req,
+            settings,
+            scripts: configs,
+            findings,
+            scans,
+            serverNames: Object.fromEntries(servers.map((server) => [server.UUID, server.name])),
+            showDismissed,
+            actions: RADAR_ACTIONS,
+          });
+        } catch (error) {
+          logger.error('Error fetching radar findings:', error);
+          res.status(500).send('Failed to load radar findings.');
+        }
+      }
+    );
+
+    router.patch(
+      '/admin/radar/scripts/:scriptId',
+      isAuthenticated(true, 'airlink.admin.radar.edit'),
+      auditAction('radar.script.update', 'radarScript', 'scriptId'),
+      async (req: Request, res: Response) => {
+        const { scriptId } = req.params;
+        const { action } = req.body;
+        const interval = req.body.interval === null || req.body.interval === ''
+          ? null
+          : Number(req.body.interval);
+
+        if (!(RADAR_ACTIONS as readonly string[]).includes(action)) {
+          res.status(400).json({ message: `Action must be one of ${RADAR_ACTIONS.join(', ')}` });
+          return;
+        }
+
+        if (interval !== null && (!Number.isInteger(interval) || interval < 1 || interval > 24 * 30)) {
+          res.status(400).json({ message: 'Interval must be a whole number of hours between 1 and 720' });
+          return;
+        }
+
+        try {
+          if (!(await loadRadarScript(scriptId))) {
+            res.status(404).json({ message: 'Script not found' });
+            return;
+          }
+
+          const config = await prisma.radarScriptConfig.upsert({
+            where: { script: scriptId },
+            create: { script: scriptId, action, interval },
+            update: { action, interval },
+          });
+
+          res.json({ success: true, config });
+        } catch (error) {
+          logger.error('Error updating radar script config:', error);
+          res.status(500).json({ message: 'Failed to update script' });
+        }
+      }
+    );
+
+    router.post(
+      '/admin/radar/findings/:id/false-positive',
+      isAuthenticated(true, 'airlink.admin.radar.edit'),
+      auditAction('radar.finding.review', 'radarFinding'),
+      async (req: Request, res: Response) => {
+        const findingId = parseInt(req.params.id);
+        const falsePositive = req.body.falsePositive !== false;
+
+        try {
+          const finding = await prisma.radarFinding.findUnique({ where: { id: findingId } });
+          if (!finding) {
+            res.status(404).json({ message: 'Finding not found' });
+            return;
+          }
+
+          // The same match is reported by every scan, so it is reviewed once for all of them
+          const sameMatch = {
+            serverId: finding.serverId,
+            pattern: finding.pattern,
+            path: finding.path,
+          };
+
+          await prisma.radarFinding.updateMany({
+            where: sameMatch,
+            data: {
+              falsePositive,
+              reviewedById: req.session?.user?.id ?? null,
+              reviewedAt: new Date(),
+            },
+          });
+
+          const scans = await prisma.radarFinding.findMany({
+            where: sameMatch,
+            select: { scanId: true },
+            distinct: ['scanId'],
+          });
+          for (const { scanId } of scans) {
+            const matchCount = await prisma.radarFinding.count({
+              where: { scanId, falsePositive: false },
+            });
+            await prisma.radarScan.update({
+              where: { id: scanId },
+              data: { matchCount, status: matchCount > 0 ? 'detected' : 'clean' },
+            });
+          }
+
+          res.json({ success: true });
+        } catch (error) {
+          logger.error('Error reviewing radar finding:', error);
+          res.status(500).json({ message: 'Failed to update finding' });
+        }
+      }
+    );
+
     return router;
   }
 };
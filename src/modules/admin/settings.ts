@@ -3,6 +3,8 @@ import { Module } from '../../handlers/moduleInit';
 import { PrismaClient } from '@prisma/client';
 import { isAuthenticated } from '../../handlers/utils/auth/authUtil';
 import logger from '../../handlers/logger';
+import { recordAudit } from '../../handlers/utils/core/auditLog';
+import { PLACEMENT_STRATEGIES } from '../../handlers/utils/node/placement';
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
@@ -62,6 +64,8 @@ interface SettingsData {
   theme?: string;
   language?: string;
   allowRegistration?: boolean;
+  requireAdminTwoFactor?: boolean;
+  placementStrategy?: string;
 }
 
 const adminModule: Module = {
@@ -116,6 +120,10 @@ const adminModule: Module = {
             theme: typeof rawData.theme === 'string' ? rawData.theme : undefined,
             language: typeof rawData.language === 'string' ? rawData.language : undefined,
             allowRegistration: rawData.allowRegistration === 'true' || rawData.allowRegistration === true,
+            requireAdminTwoFactor: rawData.requireAdminTwoFactor === 'true' || rawData.requireAdminTwoFactor === true,
+            placementStrategy: (PLACEMENT_STRATEGIES as readonly string[]).includes(rawData.placementStrategy)
+              ? rawData.placementStrategy
+              : undefined,
           };
 
           if (files.logo && files.logo[0]) {
@@ -137,10 +145,19 @@ const adminModule: Module = {
           );
 
           if (Object.keys(cleanData).length > 0) {
-            await prisma.settings.update({
+            const currentSettings = await prisma.settings.findUnique({ where: { id: 1 } });
+            const updatedSettings = await prisma.settings.update({
               where: { id: 1 },
               data: cleanData,
             });
+
+            await recordAudit(req, {
+              action: 'settings.update',
+              targetType: 'settings',
+              targetId: 1,
+              before: currentSettings,
+              after: updatedSettings,
+            });
           }
 
           res.json({ success: true });
@@ -156,7 +173,8 @@ const adminModule: Module = {
       isAuthenticated(true),
       async (req, res) => {
         try {
-          await prisma.settings.update({
+          const currentSettings = await prisma.settings.findUnique({ where: { id: 1 } });
+          const updatedSettings = await prisma.settings.update({
             where: { id: 1 },
             data: {
               title: 'Airlink',
@@ -165,9 +183,19 @@ const adminModule: Module = {
               theme: 'default',
               language: 'en',
               allowRegistration: false,
+              requireAdminTwoFactor: false,
+              placementStrategy: 'least_loaded',
             },
           });
 
+          await recordAudit(req, {
+            action: 'settings.reset',
+            targetType: 'settings',
+            targetId: 1,
+            before: currentSettings,
+            after: updatedSettings,
+          });
+
           const defaultFaviconPath = path.join(process.cwd(), 'public', 'assets', 'favicon.ico');
           const destPath = path.join(process.cwd(), 'public', 'favicon.ico');
 
@@ -4,7 +4,8 @@ import { PrismaClient } from '@prisma/client';
 import { isAuthenticated } from '../../handlers/utils/auth/authUtil';
 import { onlineUsers } from '../user/wsUsers';
 import logger from '../../handlers/logger';
-import bcrypt from 'bcrypt';
+import { recordAudit } from '../../handlers/utils/core/auditLog';
+import { UserData, parseUserInput } from '../../handlers/utils/user/userInput';
 
 const prisma = new PrismaClient();
 
@@ -92,45 +93,23 @@ const adminModule: Module = {
       '/admin/users/create-user',
       isAuthenticated(true),
       async (req: Request, res: Response) => {
-        const { email, username, password, isAdmin } = req.body;
-
-        if (!email || !username || !password) {
-          res.status(400).json({
-            message: 'Missing required fields: email, username, or password.',
-          });
-          return;
-        }
-
-        // Convert isAdmin to boolean if it's not already
-        const isAdminBool = typeof isAdmin === 'boolean' ? isAdmin : isAdmin === 'true';
-
-        // Log the admin status for debugging
-        logger.info(`Creating user with admin status: ${isAdminBool}, original value: ${isAdmin}, type: ${typeof isAdmin}`);
-
         try {
-          const existingUser = await prisma.users.findFirst({
-            where: {
-              OR: [{ email }, { username }],
-            },
-          });
-
-          if (existingUser) {
-            res
-              .status(400)
-              .json({ message: 'Email or username already exists.' });
+          const parsed = await parseUserInput(req.body);
+          if ('errors' in parsed) {
+            res.status(400).json({ message: parsed.errors.join('. ') });
             return;
           }
 
-          if (!existingUser) {
-            await prisma.users.create({
-              data: {
-                email,
-                username,
-                password: await bcrypt.hash(password, 10),
-                isAdmin: isAdminBool,
-              },
-            });
-          }
+          const createdUser = await prisma.users.create({
+            data: parsed.data as UserData,
+          });
+
+          await recordAudit(req, {
+            action: 'user.create',
+            targetType: 'user',
+            targetId: createdUser.id,
+            after: createdUser,
+          });
 
           res.status(200).json({ message: 'User created successfully.' });
           return;
@@ -224,17 +203,36 @@ const adminModule: Module = {
             where: { id: parseInt(req.params.id, 10) },
           });
           if (!dataUser) {
-            return res.redirect('/admin/users');
+            res.status(404).json({ error: 'User not found' });
+            return;
           }
 
-          await prisma.users.delete({
-            where: { id: parseInt(req.params.id, 10) },
+          // Servers need an owner, so they have to be moved or deleted first
+          const servers = await prisma.server.count({ where: { ownerId: dataUser.id } });
+          if (servers > 0) {
+            res.status(409).json({ error: `User still owns ${servers} server(s)` });
+            return;
+          }
+
+          await prisma.$transaction([
+            prisma.loginHistory.deleteMany({ where: { userId: dataUser.id } }),
+            prisma.apiKey.deleteMany({ where: { userId: dataUser.id, type: 'client' } }),
+            // Application keys outlive the admin who created them
+            prisma.apiKey.updateMany({ where: { userId: dataUser.id }, data: { userId: null } }),
+            prisma.users.delete({ where: { id: dataUser.id } }),
+          ]);
+
+          await recordAudit(req, {
+            action: 'user.delete',
+            targetType: 'user',
+            targetId: dataUser.id,
+            before: dataUser,
           });
 
           res.status(200).json({ message: 'User deleted successfully.' });
         } catch (error) {
           logger.error('Error deleting user:', error);
-          return res.redirect('/login');
+          res.status(500).json({ error: 'Internal server error' });
         }
       },
     );
@@ -261,58 +259,24 @@ const adminModule: Module = {
             return;
           }
 
-          const { email, username, description, isAdmin, password } = req.body;
-
-          // Check if email or username is already taken by another user
-          if (email && email !== targetUser.email) {
-            const existingUserWithEmail = await prisma.users.findFirst({
-              where: {
-                email,
-                id: { not: targetUserId }
-              },
-            });
-
-            if (existingUserWithEmail) {
-              res.status(400).json({ error: 'Email already in use' });
-              return;
-            }
-          }
-
-          if (username && username !== targetUser.username) {
-            const existingUserWithUsername = await prisma.users.findFirst({
-              where: {
-                username,
-                id: { not: targetUserId }
-              },
-            });
-
-            if (existingUserWithUsername) {
-              res.status(400).json({ error: 'Username already in use' });
-              return;
-            }
-          }
-
-          // Prepare update data
-          const updateData: any = {};
-
-          if (email) updateData.email = email;
-          if (username) updateData.username = username;
-          if (description) updateData.description = description;
-
-          // Handle isAdmin field (convert to boolean)
-          if (isAdmin !== undefined) {
-            updateData.isAdmin = isAdmin === true || isAdmin === 'true';
-          }
-
-          // Handle password update if provided
-          if (password && password.trim() !== '') {
-            updateData.password = await bcrypt.hash(password, 10);
+          const parsed = await parseUserInput(req.body, targetUser);
+          if ('errors' in parsed) {
+            res.status(400).json({ error: parsed.errors.join('. ') });
+            return;
           }
 
           // Update user
-          await prisma.users.update({
+          const updatedUser = await prisma.users.update({
             where: { id: targetUserId },
-            data: updateData,
+            data: parsed.data,
+          });
+
+          await recordAudit(req, {
+            action: 'user.update',
+            targetType: 'user',
+            targetId: targetUserId,
+            before: targetUser,
+            after: updatedUser,
           });
 
           res.status(200).json({ message: 'User updated successfully' });
@@ -0,0 +1,277 @@
+import { Router, Request, Response } from 'express';
+import { Module } from '../../handlers/moduleInit';
+import { PrismaClient } from '@prisma/client';
+import { isAuthenticated } from '../../handlers/utils/auth/authUtil';
+import logger from '../../handlers/logger';
+import { registerPermission } from '../../handlers/permisions';
+import { auditAction } from '../../handlers/utils/core/auditLog';
+import {
+  attemptDelivery,
+  generateWebhookSecret,
+  getWebhookEvents,
+  sendTestWebhook,
+  WEBHOOK_EVENTS,
+  WEBHOOK_FORMATS,
+} from '../../handlers/webhooks';
+
+const prisma = new PrismaClient();
+
+registerPermission('airlink.admin.webhooks.view');
+registerPermission('airlink.admin.webhooks.edit');
+
+const DELIVERY_PAGE_SIZE = 50;
+
+interface WebhookInput {
+  name: string;
+  url: string;
+  format: string;
+  events: string;
+}
+
+/**
+ * Validates the webhook fields of a create or edit request.
+ * @returns The values to store, or an error message
+ */
+function parseWebhookInput(body: Record<string, unknown>): WebhookInput | { error: string } {
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  const url = typeof body.url === 'string' ? body.url.trim() : '';
+  const format = typeof body.format === 'string' ? body.format : 'json';
+  const events = Array.isArray(body.events) ? body.events : [];
+
+  if (!name || name.length > 100) {
+    return { error: 'Name is required and must be at most 100 characters' };
+  }
+
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') throw new Error();
+  } catch {
+    return { error: 'URL must be a valid http or https address' };
+  }
+
+  if (!(WEBHOOK_FORMATS as readonly string[]).includes(format)) {
+    return { error: `Format must be one of ${WEBHOOK_FORMATS.join(', ')}` };
+  }
+
+  const unknown = events.filter((event) => !(String(event) in WEBHOOK_EVENTS));
+  if (unknown.length > 0) {
+    return { error: `Unknown event(s): ${unknown.join(', ')}` };
+  }
+
+  return { name, url, format, events: JSON.stringify(events) };
+}
+
+const adminModule: Module = {
+  info: {
+    name: 'Admin Webhooks Module',
+    description: 'This file is for managing webhooks and their deliveries.',
+    version: '1.0.0',
+    moduleVersion: '1.0.0',
+    author: 'AirLinkLab',
+    license: 'MIT',
+  },
+
+  router: () => {
+    const router = Router();
+
+    router.get(
+      '/admin/webhooks',
+      isAuthenticated(true, 'airlink.admin.webhooks.view'),
+      async (req: Request, res: Response) => {
+        try {
+          const userId = req.session?.user?.id;
+          const user = await prisma.users.findUnique({ where: { id: userId } });
+          if (!user) {
+            return res.redirect('/login');
+          }
+
+          const webhookId = parseInt(String(req.query.webhook || '')) || undefined;
+
+          const webhooks = await prisma.webhook.findMany({ orderBy: { createdAt: 'asc' } });
+          const deliveries = await prisma.webhookDelivery.findMany({
+            where: webhookId ? { webhookId } : undefined,
+            include: { webhook: { select: { name: true } } },
+            orderBy: { createdAt: 'desc' },
+            take: DELIVERY_PAGE_SIZE,
+          });
+
+          const settings = await prisma.settings.findUnique({ where: { id: 1 } });
+
+          res.render('admin/webhooks/webhooks', {
+            user,
+            req,
+            settings,
+            webhooks: webhooks.map((webhook) => ({
+              ...webhook,
+              events: getWebhookEvents(webhook),
+            })),
+            deliveries,
+            webhookId,
+            events: WEBHOOK_EVENTS,
+            formats: WEBHOOK_FORMATS,
+          });
+        } catch (error) {
+          logger.error('Error fetching webhooks:', error);
+          res.status(500).send('Failed to load webhooks.');
+        }
+      },
+    );
+
+    router.post(
+      '/admin/webhooks',
+      isAuthenticated(true, 'airlink.admin.webhooks.edit'),
+      auditAction('webhook.create', 'webhook'),
+      async (req: Request, res: Response) => {
+        const input = parseWebhookInput(req.body);
+        if ('error' in input) {
+          res.status(400).json({ message: input.error });
+          return;
+        }
+
+        try {
+          const webhook = await prisma.webhook.create({
+            data: { ...input, secret: generateWebhookSecret() },
+          });
+
+          res.json({ success: true, webhook });
+        } catch (error) {
+          logger.error('Error creating webhook:', error);
+          res.status(500).json({ message: 'Failed to create webhook' });
+        }
+      },
+    );
+
+    router.patch(
+      '/admin/webhooks/:id',
+      isAuthenticated(true, 'airlink.admin.webhooks.edit'),
+      auditAction('webhook.update', 'webhook'),
+      async (req: Request, res: Response) => {
+        const webhookId = parseInt(req.params.id);
+
+        try {
+          const webhook = await prisma.webhook.findUnique({ where: { id: webhookId } });
+          if (!webhook) {
+            res.status(404).json({ message: 'Webhook not found' });
+            return;
+          }
+
+          // Toggling a webhook sends only the enabled flag
+          if (req.body.name === undefined && typeof req.body.enabled === 'boolean') {
+            await prisma.webhook.update({
+              where: { id: webhookId },
+              data: { enabled: req.body.enabled },
+            });
+            res.json({ success: true });
+            return;
+          }
+
+          const input = parseWebhookInput(req.body);
+          if ('error' in input) {
+            res.status(400).json({ message: input.error });
+            return;
+          }
+
+          const updated = await prisma.webhook.update({
+            where: { id: webhookId },
+            data: {
+              ...input,
+              ...(req.body.regenerateSecret === true ? { secret: generateWebhookSecret() } : {}),
+            },
+          });
+
+          res.json({ success: true, webhook: updated });
+        } catch (error) {
+          logger.error('Error updating webhook:', error);
+          res.status(500).json({ message: 'Failed to update webhook' });
+        }
+      },
+    );
+
+    router.delete(
+      '/admin/webhooks/:id',
+      isAuthenticated(true, 'airlink.admin.webhooks.edit'),
+      auditAction('webhook.delete', 'webhook'),
+      async (req: Request, res: Response) => {
+        const webhookId = parseInt(req.params.id);
+
+        try {
+          const webhook = await prisma.webhook.findUnique({ where: { id: webhookId } });
+          if (!webhook) {
+            res.status(404).json({ message: 'Webhook not found' });
+            return;
+          }
+
+          await prisma.webhook.delete({ where: { id: webhookId } });
+          res.json({ success: true });
+        } catch (error) {
+          logger.error('Error deleting webhook:', error);
+          res.status(500).json({ message: 'Failed to delete webhook' });
+        }
+      },
+    );
+
+    router.post(
+      '/admin/webhooks/:id/test',
+      isAuthenticated(true, 'airlink.admin.webhooks.edit'),
+      auditAction('webhook.test', 'webhook', 'id', false),
+      async (req: Request, res: Response) => {
+        const webhookId = parseInt(req.params.id);
+
+        try {
+          const webhook = await prisma.webhook.findUnique({ where: { id: webhookId } });
+          if (!webhook) {
+            res.status(404).json({ message: 'Webhook not found' });
+            return;
+          }
+
+          const delivery = await sendTestWebhook(webhook);
+          res.json({ success: delivery.status === 'success', delivery });
+        } catch (error) {
+          logger.error('Error sending test webhook:', error);
+          res.status(500).json({ message: 'Failed to send test webhook' });
+        }
+      },
+    );
+
+    router.post(
+      '/admin/webhooks/deliveries/:deliveryId/retry',
+      isAuthenticated(true, 'airlink.admin.webhooks.edit'),
+      auditAction('webhook.delivery.retry', 'webhookDelivery', 'deliveryId', false),
+      async (req: Request, res: Response) => {
+        const deliveryId = parseInt(req.params.deliveryId);
+
+        try {
+          const delivery = await prisma.webhookDelivery.findUnique({
+            where: { id: deliveryId },
+            include: { webhook: true },
+          });
+          if (!delivery) {
+            res.status(404).json({ message: 'Delivery not found' });
+            return;
+          }
+
+          if (delivery.status === 'success') {
+            res.status(400).json({ message: 'Delivery already succeeded' });
+            return;
+          }
+
+          const { webhook, ...rest } = delivery;
+          const updated = await attemptDelivery(rest, webhook);
+          res.json({ success: updated.status === 'success', delivery: updated });
+        } catch (error) {
+          logger.error('Error retrying webhook delivery:', error);
+          res.status(500).json({ message: 'Failed to retry delivery' });
+        }
+      },
+    );
+
+    return router;
+  },
+};
+
+process.on('SIGINT', async () => {
+  await prisma.$disconnect();
+  process.exit();
+});
+
+export default adminModule;
@@ -1,13 +1,12 @@
-import { Router, Request, Response, NextFunction } from 'express';
+import { Router, Request, Response } from 'express';
 import { Module } from '../../../handlers/moduleInit';
 import { PrismaClient } from '@prisma/client';
 import logger from '../../../handlers/logger';
-import axios from 'axios';
-import QueueHandler from '../../../handlers/utils/core/queueer';
 import bcrypt from 'bcrypt';
-import { Buffer } from 'buffer';
+import { auditAction } from '../../../handlers/utils/core/auditLog';
+import { apiValidator } from '../../../handlers/utils/api/apiValidator';
+import { createServer } from '../../../handlers/utils/server/serverProvisioning';
 
-const queueer = new QueueHandler();
 
 const prisma = new PrismaClient();
 
@@ -22,37 +21,7 @@ const coreModule: Module = {
   },
 
   router: () => {
-    let validKeys: string[] = [];
-
-    async function loadApiKeys() {
-      try {
-        const keys = await prisma.apiKey.findMany();
-        validKeys = keys.map((key: any) => key.key);
-      } catch (error) {
-        console.error('Error loading API keys:', error);
-      }
-    }
-
-    async function validator(req: Request, res: Response, next: NextFunction) {
-      await loadApiKeys();
-
-      const authHeader = req.headers['authorization'];
-      if (!authHeader || !authHeader.startsWith('Bearer ')) {
-        res.status(401).json({
-          error: 'Unauthorized: Missing or malformed Authorization header',
-        });
-        return;
-      }
-
-      const apiKey = authHeader.split(' ')[1];
-
-      if (validKeys.includes(apiKey)) {
-        next();
-      } else {
-        console.error('Invalid API key:', apiKey);
-        res.status(401).json({ error: 'Unauthorized: Invalid API Key' });
-      }
-    }
+    const validator = apiValidator();
 
     const router = Router();
 
@@ -245,6 +214,7 @@ const coreModule: Module = {
     router.post(
       '/api/application/users',
       validator,
+      auditAction('user.create', 'user'),
       async (req: Request, res: Response) => {
         try {
           let { username, email, first_name, last_name, password } = req.body;
@@ -302,6 +272,7 @@ const coreModule: Module = {
     router.patch(
       '/api/application/users/:id',
       validator,
+      auditAction('user.update', 'user'),
       async (req: Request, res: Response) => {
         try {
           const userId = parseInt(req.params.id);
@@ -465,50 +436,28 @@ const coreModule: Module = {
     router.post(
       '/api/application/servers',
       validator,
+      auditAction('server.create', 'server'),
       async (req: Request, res: Response) => {
         const name = req.body.name;
         const description = req.body.description || 'Server Generated by API';
-        const nodeId = Number(req.body.deploy.locations[0]);
+        // Without a location the placement engine picks the node
+        const requestedNodeId = Number(req.body.deploy?.locations?.[0]) || null;
         const imageId = req.body.egg;
-        const Memory = req.body.limits.memory;
-        const Cpu = req.body.limits.cpu;
-        const Storage = req.body.limits.disk;
+        const Memory = req.body.limits?.memory;
+        const Cpu = req.body.limits?.cpu;
+        const Storage = req.body.limits?.disk;
         const variables = req.body.environment;
         const dockerImage = req.body.docker_image;
 
-        const servers = await prisma.server.findMany({
-          where: { nodeId: nodeId },
-        });
-
-        const allPossiblePorts = Array.from(
-          { length: 100 },
-          (_, i) => 25565 + i,
-        );
-        const usedPorts = servers.flatMap((server: any) =>
-          JSON.parse(server.Ports).map((portInfo: { Port: string }) =>
-            parseInt(portInfo.Port.split(':')[0]),
-          ),
-        );
-
-        const freePorts = allPossiblePorts.filter(
-          (port) => !usedPorts.includes(port),
-        );
-        if (freePorts.length === 0) {
-          res.status(400).send('No Free Ports Found.');
-          return;
-        }
-        const randomFreePort =
-          freePorts[Math.floor(Math.random() * freePorts.length)];
-        const Ports = `${randomFreePort}:${randomFreePort}`;
+        // A specific allocation may be requested, otherwise the lowest free port is used
+        const allocationId = Number(req.body.allocation?.default) || undefined;
 
         const userId = req.body.user;
 
         if (
           !name ||
           !description ||
-          !nodeId ||
           !imageId ||
-          !Ports ||
           !Memory ||
           !Cpu ||
           !Storage ||
@@ -518,189 +467,33 @@ const coreModule: Module = {
           return;
         }
 
-        const Port = `[{"Port": "${Ports}", "primary": true}]`;
-
         try {
-          const dockerImages = await prisma.images
-            .findUnique({
-              where: {
-                id: imageId,
-              },
-            })
-            .then((image: any) => {
-              if (!image) {
-                return null;
-              }
-              return image.dockerImages;
-            });
-
-          if (!dockerImages) {
-            res.status(400).send('Docker image not found');
-            return;
-          }
-
-          const imagesDocker = JSON.parse(dockerImages);
-
-          type ImageDocker = { [key: string]: string };
-
-          const imageDocker: ImageDocker | undefined = imagesDocker.find(
-            (image: ImageDocker) => Object.values(image).includes(dockerImage),
-          );
-
-          if (!imageDocker) {
-            res.status(400).send('Docker image not found');
-            return;
-          }
-
-          const image = await prisma.images.findUnique({
-            where: {
-              id: parseInt(imageId),
-            },
+          const result = await createServer({
+            name,
+            description,
+            ownerId: Number(userId),
+            nodeId: requestedNodeId ?? 'auto',
+            imageId: Number(imageId),
+            dockerImage: String(dockerImage),
+            allocationId,
+            memory: parseInt(Memory) || 4,
+            cpu: parseInt(Cpu) || 2,
+            disk: parseInt(Storage) || 20,
+            // Pterodactyl sends the environment as { ENV: value }
+            variables,
+            allowStartupEdit: false,
           });
 
-          if (!image) {
-            res.status(400).send('Image not found');
-            return;
-          }
-
-          const StartCommand = image.startup;
-
-          if (!StartCommand) {
-            res.status(400).send('Image startup command not found');
+          if ('error' in result) {
+            if (result.variableErrors) {
+              res.status(400).json({ error: 'Validation failed', fields: result.variableErrors });
+            } else {
+              res.status(400).send(result.error);
+            }
             return;
           }
 
-          const server = await prisma.server.create({
-            data: {
-              name,
-              description,
-              ownerId: userId,
-              nodeId: nodeId,
-              imageId: parseInt(imageId),
-              Ports: Port || '[{"Port": "25565:25565", "primary": true}]',
-              Memory: parseInt(Memory) || 4,
-              Cpu: parseInt(Cpu) || 2,
-              Storage: parseInt(Storage) || 20,
-              Variables: JSON.stringify(variables) || '[]',
-              StartCommand,
-              dockerImage: JSON.stringify(imageDocker),
-            },
-          });
-
-          queueer.addTask(async () => {
-            const servers = await prisma.server.findMany({
-              where: {
-                Queued: true,
-              },
-              include: {
-                image: true,
-                node: true,
-              },
-            });
-
-            for (const server of servers) {
-              if (!server.Variables) {
-                await prisma.server.update({
-                  where: { id: server.id },
-                  data: { Queued: false },
-                });
-                continue;
-              }
-
-              let ServerEnv;
-              try {
-                ServerEnv = JSON.parse(server.Variables);
-              } catch (error) {
-                console.error(
-                  `Error parsing Variables for server ID ${server.id}:`,
-                  error,
-                );
-                await prisma.server.update({
-                  where: { id: server.id },
-                  data: { Queued: false },
-                });
-                continue;
-              }
-
-              if (!Array.isArray(ServerEnv)) {
-                console.error(
-                  `ServerEnv is not an array for server ID ${server.id}. Skipping...`,
-                );
-                await prisma.server.update({
-                  where: { id: server.id },
-                  data: { Queued: false },
-                });
-                continue;
-              }
-
-              const env = ServerEnv.reduce(
-                (
-                  acc: { [key: string]: any },
-                  curr: { env: string; value: any },
-                ) => {
-                  acc[curr.env] = curr.value;
-                  return acc;
-                },
-                {},
-              );
-
-              if (server.image?.scripts) {
-                let scripts;
-                try {
-                  scripts = JSON.parse(server.image.scripts);
-                } catch (error) {
-                  console.error(
-                    `Error parsing scripts for server ID ${server.id}:`,
-                    error,
-                  );
-                  await prisma.server.update({
-                    where: { id: server.id },
-                    data: { Queued: false },
-                  });
-                  continue;
-                }
-
-                const requestBody = {
-                  id: server.UUID,
-                  env: env,
-                  scripts: scripts.install.map(
-                    (script: { url: string; fileName: string }) => ({
-                      url: script.url,
-                      fileName: script.fileName,
-                    }),
-                  ),
-                };
-
-                try {
-                  await axios.post(
-                    `http://${server.node.address}:${server.node.port}/container/install`,
-                    requestBody,
-                    {
-                      headers: {
-                        'Content-Type': 'application/json',
-                        Authorization: `Basic ${Buffer.from(`Airlink:${server.node.key}`).toString('base64')}`,
-                      },
-                    },
-                  );
-
-                  await prisma.server.update({
-                    where: { id: server.id },
-                    data: { Queued: false },
-                  });
-                } catch (error) {
-                  console.error(
-                    `Error sending install request for server ID ${server.id}:`,
-                    error,
-                  );
-                }
-              } else {
-                console.warn(
-                  `No scripts found for server ID ${server.id}. Skipping...`,
-                );
-              }
-            }
-          }, 0);
-
+          const { server } = result;
           res.status(201).json({
             message: 'Server created successfully',
             attributes: { id: server.UUID },
@@ -0,0 +1,476 @@
+import { Router, Request, Response } from 'express';
+import { Module } from '../../../handlers/moduleInit';
+import { PrismaClient, Server } from '@prisma/client';
+import axios from 'axios';
+import logger from '../../../handlers/logger';
+import { clientApiValidator } from '../../../handlers/utils/api/apiValidator';
+import { isApiKeyAuthorizedForServer } from '../../../handlers/utils/auth/serverAuthUtil';
+import { auditAction } from '../../../handlers/utils/core/auditLog';
+import { getServerStatus } from '../../../handlers/utils/server/serverStatus';
+import { ServerAccess } from '../../../handlers/utils/server/serverPermissions';
+import {
+  deleteServerBackup,
+  listServerFiles,
+  readServerFile,
+  restartServer,
+  restoreServerBackup,
+  sendConsoleCommand,
+  startServer,
+  stopServer,
+  writeServerFile,
+} from '../../../handlers/utils/server/serverActions';
+import { getFileDenylist, isFileDenied, normalizeFilePath } from '../../../handlers/utils/server/serverFiles';
+import { BackupLimitError, createBackupWithinLimit } from '../../../handlers/backupRetention';
+
+const prisma = new PrismaClient();
+
+const POWER_ACTIONS = ['start', 'stop', 'restart'] as const;
+
+function formatServer(server: Server & { node: { name: string } }, access?: Pick<ServerAccess, 'isOwner' | 'permissions'>) {
+  return {
+    id: server.UUID,
+    name: server.name,
+    description: server.description,
+    memory: server.Memory,
+    cpu: server.Cpu,
+    storage: server.Storage,
+    installing: server.Installing,
+    installFailed: server.InstallFailed,
+    suspended: server.Suspended,
+    transferring: server.Transferring,
+    node: server.node.name,
+    createdAt: server.createdAt,
+    ...(access ? { isOwner: access.isOwner, permissions: access.permissions } : {}),
+  };
+}
+
+function formatBackup(backup: { UUID: string; name: string; size: bigint | null; locked: boolean; createdAt: Date }) {
+  return {
+    id: backup.UUID,
+    name: backup.name,
+    size: backup.size ? backup.size.toString() : '0',
+    locked: backup.locked,
+    createdAt: backup.createdAt,
+  };
+}
+
+function daemonError(error: unknown, fallback: string): string {
+  if (axios.isAxiosError(error)) {
+    return `${fallback}: ${error.response?.data?.error || error.message}`;
+  }
+  return error instanceof Error ? error.message : fallback;
+}
+
+async function findServer(serverId: string) {
+  return prisma.server.findUnique({
+    where: { UUID: serverId },
+    include: { node: true, image: true },
+  });
+}
+
+const clientApiModule: Module = {
+  info: {
+    name: 'Client API Module',
+    description: 'This file is for the client API, used with personal API keys.',
+    version: '1.0.0',
+    moduleVersion: '1.0.0',
+    author: 'AirLinkLab',
+    license: 'MIT',
+  },
+
+  router: () => {
+    const router = Router();
+
+    router.get(
+      '/api/client/account',
+      clientApiValidator(),
+      async (req: Request, res: Response) => {
+        const user = res.locals.apiUser;
+        res.json({
+          data: {
+            id: user.id,
+            username: user.username,
+            email: user.email,
+            isAdmin: user.isAdmin,
+          },
+        });
+      },
+    );
+
+    router.get(
+      '/api/client/servers',
+      clientApiValidator(),
+      async (req: Request, res: Response) => {
+        const userId = res.locals.apiUser.id;
+
+        try {
+          const servers = await prisma.server.findMany({
+            where: {
+              OR: [
+                { ownerId: userId },
+                { subusers: { some: { userId } } },
+              ],
+            },
+            include: { node: { select: { name: true } } },
+            orderBy: { createdAt: 'asc' },
+          });
+
+          res.json({ data: servers.map((server) => formatServer(server)) });
+        } catch (error) {
+          logger.error('Error fetching client servers:', error);
+          res.status(500).json({ error: 'Internal Server Error' });
+        }
+      },
+    );
+
+    router.get(
+      '/api/client/servers/:id',
+      clientApiValidator(),
+      isApiKeyAuthorizedForServer('id'),
+      async (req: Request, res: Response) => {
+        try {
+          const server = await findServer(req.params.id);
+          if (!server) {
+            res.status(404).json({ error: 'Server not found' });
+            return;
+          }
+
+          res.json({ data: formatServer(server, res.locals.serverAccess) });
+        } catch (error) {
+          logger.error('Error fetching client server:', error);
+          res.status(500).json({ error: 'Internal Server Error' });
+        }
+      },
+    );
+
+    router.get(
+      '/api/client/servers/:id/status',
+      clientApiValidator(),
+      isApiKeyAuthorizedForServer('id'),
+      async (req: Request, res: Response) => {
+        try {
+          const server = await findServer(req.params.id);
+          if (!server) {
+            res.status(404).json({ error: 'Server not found' });
+            return;
+          }
+
+          const status = await getServerStatus({
+            nodeAddress: server.node.address,
+            nodePort: server.node.port,
+            serverUUID: server.UUID,
+            nodeKey: server.node.key,
+          });
+
+          res.json({ data: status });
+        } catch (error) {
+          logger.error('Error fetching client server status:', error);
+          res.status(500).json({ error: 'Internal Server Error' });
+        }
+      },
+    );
+
+    router.post(
+      '/api/client/servers/:id/power',
+      clientApiValidator(),
+      isApiKeyAuthorizedForServer('id', 'power'),
+      auditAction('server.power', 'server'),
+      async (req: Request, res: Response) => {
+        const action = req.body.action;
+
+        if (!(POWER_ACTIONS as readonly string[]).includes(action)) {
+          res.status(400).json({ error: `Action must be one of ${POWER_ACTIONS.join(', ')}` });
+          return;
+        }
+
+        try {
+          const server = await findServer(req.params.id);
+          if (!server) {
+            res.status(404).json({ error: 'Server not found' });
+            return;
+          }
+
+          if (server.Suspended && action !== 'stop') {
+            res.status(403).json({ error: 'This server is suspended.' });
+            return;
+          }
+
+          if (server.Transferring) {
+            res.status(409).json({ error: 'This server is being transferred to another node.' });
+            return;
+          }
+
+          if (action === 'start') {
+            await startServer(server);
+          } else if (action === 'restart') {
+            await restartServer(server);
+          } else {
+            try {
+              await stopServer(server);
+            } catch (error) {
+              // The daemon answers 404 when the container is not running
+              if (!axios.isAxiosError(error) || error.response?.status !== 404) throw error;
+            }
+          }
+
+          res.json({ success: true });
+        } catch (error) {
+          logger.error('Error processing client power action:', error);
+          res.status(500).json({ error: daemonError(error, 'Failed to process power action') });
+        }
+      },
+    );
+
+    router.post(
+      '/api/client/servers/:id/command',
+      clientApiValidator(),
+      isApiKeyAuthorizedForServer('id', 'console'),
+      auditAction('server.command', 'server'),
+      async (req: Request, res: Response) => {
+        const command = typeof req.body.command === 'string' ? req.body.command.trim() : '';
+
+        if (!command) {
+          res.status(400).json({ error: 'Command is required' });
+          return;
+        }
+
+        try {
+          const server = await findServer(req.params.id);
+          if (!server) {
+            res.status(404).json({ error: 'Server not found' });
+            return;
+          }
+
+          if (server.Suspended) {
+            res.status(403).json({ error: 'This server is suspended.' });
+            return;
+          }
+
+          await sendConsoleCommand(server, command);
+          res.json({ success: true });
+        } catch (error) {
+          logger.error('Error sending client console command:', error);
+          res.status(500).json({ error: daemonError(error, 'Failed to send command') });
+        }
+      },
+    );
+
+    router.get(
+      '/api/client/servers/:id/files',
+      clientApiValidator(),
+      isApiKeyAuthorizedForServer('id', 'files.read'),
+      async (req: Request, res: Response) => {
+        const dirPath = typeof req.query.path === 'string' ? req.query.path : '/';
+
+        try {
+          const server = await findServer(req.params.id);
+          if (!server) {
+            res.status(404).json({ error: 'Server not found' });
+            return;
+          }
+
+          const files = await listServerFiles(server, dirPath);
+          res.json({ data: files.filter((file) => file.name !== 'airlink') });
+        } catch (error) {
+          logger.error('Error listing client server files:', error);
+          res.status(500).json({ error: daemonError(error, 'Failed to list files') });
+        }
+      },
+    );
+
+    router.get(
+      '/api/client/servers/:id/files/contents',
+      clientApiValidator(),
+      isApiKeyAuthorizedForServer('id', 'files.read'),
+      async (req: Request, res: Response) => {
+        const filePath = typeof req.query.file === 'string' ? req.query.file : '';
+
+        if (!filePath) {
+          res.status(400).json({ error: 'File is required' });
+          return;
+        }
+
+        try {
+          const server = await findServer(req.params.id);
+          if (!server) {
+            res.status(404).json({ error: 'Server not found' });
+            return;
+          }
+
+          const content = await readServerFile(server, filePath);
+          res.type('text/plain').send(content);
+        } catch (error) {
+          logger.error('Error reading client server file:', error);
+          res.status(500).json({ error: daemonError(error, 'Failed to read file') });
+        }
+      },
+    );
+
+    router.post(
+      '/api/client/servers/:id/files/write',
+      clientApiValidator(),
+      isApiKeyAuthorizedForServer('id', 'files.write'),
+      auditAction('server.file.write', 'server', 'id', false),
+      async (req: Request, res: Response) => {
+        const file = normalizeFilePath(req.body?.file);
+        const content = req.body?.content;
+
+        if (!file || typeof content !== 'string') {
+          res.status(400).json({ error: 'File and content are required' });
+          return;
+        }
+
+        try {
+          const server = await findServer(req.params.id);
+          if (!server) {
+            res.status(404).json({ error: 'Server not found' });
+            return;
+          }
+
+          if (isFileDenied(getFileDenylist(server.image), file)) {
+            res.status(403).json({ error: `${file} is protected and cannot be changed` });
+            return;
+          }
+
+          await writeServerFile(server, file, content);
+          res.json({ success: true });
+        } catch (error) {
+          logger.error('Error writing client server file:', error);
+          res.status(500).json({ error: daemonError(error, 'Failed to write file') });
+        }
+      },
+    );
+
+    router.get(
+      '/api/client/servers/:id/backups',
+      clientApiValidator(),
+      isApiKeyAuthorizedForServer('id', 'backups'),
+      async (req: Request, res: Response) => {
+        try {
+          const backups = await prisma.backup.findMany({
+            where: { serverId: req.params.id },
+            orderBy: { createdAt: 'desc' },
+          });
+
+          res.json({ data: backups.map(formatBackup) });
+        } catch (error) {
+          logger.error('Error fetching client server backups:', error);
+          res.status(500).json({ error: 'Internal Server Error' });
+        }
+      },
+    );
+
+    router.post(
+      '/api/client/servers/:id/backups',
+      clientApiValidator(),
+      isApiKeyAuthorizedForServer('id', 'backups'),
+      auditAction('server.backup.create', 'server'),
+      async (req: Request, res: Response) => {
+        const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+
+        if (!name) {
+          res.status(400).json({ error: 'Backup name is required' });
+          return;
+        }
+
+        try {
+          const server = await findServer(req.params.id);
+          if (!server) {
+            res.status(404).json({ error: 'Server not found' });
+            return;
+          }
+
+          if (server.Transferring) {
+            res.status(409).json({ error: 'This server is being transferred to another node.' });
+            return;
+          }
+
+          const { backup, rotated } = await createBackupWithinLimit(server, name);
+
+          res.json({ data: formatBackup(backup), rotated: rotated.map(formatBackup) });
+        } catch (error) {
+          if (error instanceof BackupLimitError) {
+            res.status(400).json({ error: error.message });
+            return;
+          }
+          logger.error('Error creating client server backup:', error);
+          res.status(500).json({ error: daemonError(error, 'Failed to create backup') });
+        }
+      },
+    );
+
+    router.post(
+      '/api/client/servers/:id/backups/:backupId/restore',
+      clientApiValidator(),
+      isApiKeyAuthorizedForServer('id', 'backups'),
+      auditAction('server.backup.restore', 'server'),
+      async (req: Request, res: Response) => {
+        try {
+          const server = await findServer(req.params.id);
+          if (!server) {
+            res.status(404).json({ error: 'Server not found' });
+            return;
+          }
+
+          const backup = await prisma.backup.findUnique({
+            where: { UUID: req.params.backupId, serverId: server.UUID },
+          });
+          if (!backup) {
+            res.status(404).json({ error: 'Backup not found' });
+            return;
+          }
+
+          await restoreServerBackup(server, backup);
+          res.json({ success: true });
+        } catch (error) {
+          logger.error('Error restoring client server backup:', error);
+          res.status(500).json({ error: daemonError(error, 'Failed to restore backup') });
+        }
+      },
+    );
+
+    router.delete(
+      '/api/client/servers/:id/backups/:backupId',
+      clientApiValidator(),
+      isApiKeyAuthorizedForServer('id', 'backups'),
+      auditAction('server.backup.delete', 'server'),
+      async (req: Request, res: Response) => {
+        try {
+          const server = await findServer(req.params.id);
+          if (!server) {
+            res.status(404).json({ error: 'Server not found' });
+            return;
+          }
+
+          const backup = await prisma.backup.findUnique({
+            where: { UUID: req.params.backupId, serverId: server.UUID },
+          });
+          if (!backup) {
+            res.status(404).json({ error: 'Backup not found' });
+            return;
+          }
+
+          if (backup.locked) {
+            res.status(400).json({ error: 'Locked backups cannot be deleted' });
+            return;
+          }
+
+          await deleteServerBackup(server, backup);
+          res.json({ success: true });
+        } catch (error) {
+          logger.error('Error deleting client server backup:', error);
+          res.status(500).json({ error: 'Failed to delete backup' });
+        }
+      },
+    );
+
+    return router;
+  },
+};
+
+process.on('SIGINT', async () => {
+  await prisma.$disconnect();
+  process.exit();
+});
+
+export default clientApiModule;
@@ -1,11 +1,120 @@
 import { Router, Request, Response } from 'express';
 import { Module } from '../../../handlers/moduleInit';
-import { PrismaClient } from '@prisma/client';
+import { Prisma, PrismaClient } from '@prisma/client';
 import logger from '../../../handlers/logger';
-import { apiValidator } from '../../../handlers/utils/api/apiValidator';
+import { apiValidator, generateApiKey } from '../../../handlers/utils/api/apiValidator';
+import {
+  paginationMeta,
+  parseBooleanFilter,
+  parsePagination,
+} from '../../../handlers/utils/api/pagination';
+import { buildOpenApiSpec } from '../../../handlers/utils/api/openapi';
+import { recordAudit } from '../../../handlers/utils/core/auditLog';
+import { parseNodeInput } from '../../../handlers/utils/node/nodeInput';
+import {
+  PLACEMENT_STRATEGIES,
+  PlacementStrategy,
+  getNodeCapacities,
+  getPlacementErrors,
+  getPlacementStrategy,
+  rankNodes,
+} from '../../../handlers/utils/node/placement';
+import {
+  createServer,
+  deleteServer,
+  parseServerCreateInput,
+  parseServerUpdateInput,
+  reinstallServer,
+  setServerSuspended,
+  updateServer,
+} from '../../../handlers/utils/server/serverProvisioning';
+import { UserData, parseUserInput } from '../../../handlers/utils/user/userInput';
 
 const prisma = new PrismaClient();
 
+const USER_SELECT = {
+  id: true,
+  username: true,
+  email: true,
+  isAdmin: true,
+  description: true,
+} as const;
+
+const SERVER_INCLUDE = {
+  owner: {
+    select: {
+      id: true,
+      username: true,
+      email: true,
+    },
+  },
+  node: {
+    select: {
+      id: true,
+      name: true,
+      address: true,
+    },
+  },
+} as const;
+
+// The node key is only returned once, when the node is created
+const NODE_SELECT = {
+  id: true,
+  name: true,
+  address: true,
+  port: true,
+  ram: true,
+  cpu: true,
+  disk: true,
+  memoryOverallocate: true,
+  cpuOverallocate: true,
+  diskOverallocate: true,
+  createdAt: true,
+} as const;
+
+/**
+ * Responds with the validation errors of a request body
+ * @param fields Errors keyed by field, e.g. the env name of a variable
+ */
+function sendValidationError(res: Response, details: string[], fields?: Record<string, string>): void {
+  res.status(400).json({ error: 'Validation failed', details, ...(fields ? { fields } : {}) });
+}
+
+async function findServer(uuid: string) {
+  return prisma.server.findUnique({
+    where: { UUID: uuid },
+    include: { node: true },
+  });
+}
+
+/**
+ * Fills the fields a PATCH request leaves out with the current values, so
+ * partial updates go through the same validation as the edit form.
+ */
+function mergeServerFields(
+  server: NonNullable<Awaited<ReturnType<typeof findServer>>>,
+  body: Record<string, unknown>,
+): Record<string, unknown> {
+  return {
+    name: server.name,
+    description: server.description ?? undefined,
+    ownerId: server.ownerId,
+    nodeId: server.nodeId,
+    imageId: server.imageId,
+    Memory: server.Memory,
+    Cpu: server.Cpu,
+    Storage: server.Storage,
+    StartCommand: server.StartCommand ?? undefined,
+    allowStartupEdit: server.allowStartupEdit,
+    Suspended: server.Suspended,
+    backupLimit: server.backupLimit,
+    backupRetainLast: server.backupRetainLast,
+    backupRetainDays: server.backupRetainDays,
+    allocationLimit: server.allocationLimit,
+    ...body,
+  };
+}
+
 const coreModule: Module = {
   info: {
     name: 'API Module',
@@ -55,22 +164,34 @@ const coreModule: Module = {
     });
 
 
+    router.get('/api/openapi.json', (req: Request, res: Response) => {
+      res.json(buildOpenApiSpec(req.app, res.locals.airlinkVersion));
+    });
+
     router.get(
       '/api/v1/users',
       apiValidator('airlink.api.users.read'),
       async (req: Request, res: Response) => {
         try {
-          const users = await prisma.users.findMany({
-            select: {
-              id: true,
-              username: true,
-              email: true,
-              isAdmin: true,
-              description: true,
-            },
-          });
-
-          res.json({ data: users });
+          const pagination = parsePagination(req.query);
+          const where: Prisma.UsersWhereInput = {
+            email: typeof req.query.email === 'string' ? { contains: req.query.email } : undefined,
+            username: typeof req.query.username === 'string' ? { contains: req.query.username } : undefined,
+            isAdmin: parseBooleanFilter(req.query.isAdmin),
+          };
+
+          const [users, total] = await Promise.all([
+            prisma.users.findMany({
+              where,
+              select: USER_SELECT,
+              orderBy: { id: 'asc' },
+              skip: pagination.skip,
+              take: pagination.take,
+            }),
+            prisma.users.count({ where }),
+          ]);
+
+          res.json({ data: users, meta: paginationMeta(pagination, total) });
         } catch (error) {
           logger.error('Error fetching users:', error);
           res.status(500).json({ error: 'Internal Server Error' });
@@ -88,13 +209,7 @@ const coreModule: Module = {
 
           const user = await prisma.users.findUnique({
             where: { id: userId },
-            select: {
-              id: true,
-              username: true,
-              email: true,
-              isAdmin: true,
-              description: true
-            },
+            select: USER_SELECT,
           });
 
           if (!user) {
@@ -112,31 +227,146 @@ const coreModule: Module = {
     );
 
 
+    router.post(
+      '/api/v1/users',
+      apiValidator('airlink.api.users.create'),
+      async (req: Request, res: Response) => {
+        try {
+          const parsed = await parseUserInput(req.body);
+          if ('errors' in parsed) {
+            sendValidationError(res, parsed.errors);
+            return;
+          }
+
+          const user = await prisma.users.create({
+            data: parsed.data as UserData,
+            select: USER_SELECT,
+          });
+
+          await recordAudit(req, {
+            action: 'user.create',
+            targetType: 'user',
+            targetId: user.id,
+            after: user,
+          });
+
+          res.status(201).json({ data: user });
+        } catch (error) {
+          logger.error('Error creating user:', error);
+          res.status(500).json({ error: 'Internal Server Error' });
+        }
+      }
+    );
+
+    router.patch(
+      '/api/v1/users/:id',
+      apiValidator('airlink.api.users.update'),
+      async (req: Request, res: Response) => {
+        try {
+          const existing = await prisma.users.findUnique({
+            where: { id: parseInt(req.params.id) || 0 },
+          });
+          if (!existing) {
+            res.status(404).json({ error: 'User not found' });
+            return;
+          }
+
+          const parsed = await parseUserInput(req.body, existing);
+          if ('errors' in parsed) {
+            sendValidationError(res, parsed.errors);
+            return;
+          }
+
+          const user = await prisma.users.update({
+            where: { id: existing.id },
+            data: parsed.data,
+            select: USER_SELECT,
+          });
+
+          await recordAudit(req, {
+            action: 'user.update',
+            targetType: 'user',
+            targetId: user.id,
+            before: existing,
+            after: user,
+          });
+
+          res.json({ data: user });
+        } catch (error) {
+          logger.error('Error updating user:', error);
+          res.status(500).json({ error: 'Internal Server Error' });
+        }
+      }
+    );
+
+    router.delete(
+      '/api/v1/users/:id',
+      apiValidator('airlink.api.users.delete'),
+      async (req: Request, res: Response) => {
+        try {
+          const user = await prisma.users.findUnique({
+            where: { id: parseInt(req.params.id) || 0 },
+          });
+          if (!user) {
+            res.status(404).json({ error: 'User not found' });
+            return;
+          }
+
+          // Servers need an owner, so they have to be moved or deleted first
+          const servers = await prisma.server.count({ where: { ownerId: user.id } });
+          if (servers > 0) {
+            res.status(409).json({ error: 'User still owns servers', servers });
+            return;
+          }
+
+          await prisma.$transaction([
+            prisma.loginHistory.deleteMany({ where: { userId: user.id } }),
+            prisma.apiKey.deleteMany({ where: { userId: user.id, type: 'client' } }),
+            // Application keys outlive the admin who created them
+            prisma.apiKey.updateMany({ where: { userId: user.id }, data: { userId: null } }),
+            prisma.users.delete({ where: { id: user.id } }),
+          ]);
+
+          await recordAudit(req, {
+            action: 'user.delete',
+            targetType: 'user',
+            targetId: user.id,
+            before: user,
+          });
+
+          res.status(204).end();
+        } catch (error) {
+          logger.error('Error deleting user:', error);
+          res.status(500).json({ error: 'Internal Server Error' });
+        }
+      }
+    );
+
     router.get(
       '/api/v1/servers',
       apiValidator('airlink.api.servers.read'),
-      async (_req: Request, res: Response) => {
+      async (req: Request, res: Response) => {
         try {
-          const servers = await prisma.server.findMany({
-            include: {
-              owner: {
-                select: {
-                  id: true,
-                  username: true,
-                  email: true,
-                },
-              },
-              node: {
-                select: {
-                  id: true,
-                  name: true,
-                  address: true,
-                },
-              },
-            },
-          });
-
-          res.json({ data: servers });
+          const pagination = parsePagination(req.query);
+          const where: Prisma.ServerWhereInput = {
+            ownerId: parseInt(String(req.query.ownerId)) || undefined,
+            nodeId: parseInt(String(req.query.nodeId)) || undefined,
+            Suspended: parseBooleanFilter(req.query.suspended),
+            name: typeof req.query.name === 'string' ? { contains: req.query.name } : undefined,
+          };
+
+          const [servers, total] = await Promise.all([
+            prisma.server.findMany({
+              where,
+              include: SERVER_INCLUDE,
+              orderBy: { id: 'asc' },
+              skip: pagination.skip,
+              take: pagination.take,
+            }),
+            prisma.server.count({ where }),
+          ]);
+
+          res.json({ data: servers, meta: paginationMeta(pagination, total) });
         } catch (error) {
           logger.error('Error fetching servers:', error);
           res.status(500).json({ error: 'Internal Server Error' });
@@ -154,22 +384,7 @@ const coreModule: Module = {
 
           const server = await prisma.server.findUnique({
             where: { UUID: serverId },
-            include: {
-              owner: {
-                select: {
-                  id: true,
-                  username: true,
-                  email: true,
-                },
-              },
-              node: {
-                select: {
-                  id: true,
-                  name: true,
-                  address: true,
-                },
-              },
-            },
+            include: SERVER_INCLUDE,
           });
 
           if (!server) {
@@ -187,32 +402,277 @@ const coreModule: Module = {
     );
 
 
+    router.post(
+      '/api/v1/servers',
+      apiValidator('airlink.api.servers.create'),
+      async (req: Request, res: Response) => {
+        try {
+          // Without a node the placement engine picks one
+          const parsed = parseServerCreateInput({ nodeId: 'auto', ...req.body });
+          if ('errors' in parsed) {
+            sendValidationError(res, parsed.errors);
+            return;
+          }
+
+          const result = await createServer(parsed.input);
+          if ('error' in result) {
+            if (result.variableErrors) {
+              sendValidationError(res, Object.values(result.variableErrors), result.variableErrors);
+            } else {
+              res.status(400).json({ error: result.error });
+            }
+            return;
+          }
+
+          await recordAudit(req, {
+            action: 'server.create',
+            targetType: 'server',
+            targetId: result.server.UUID,
+            after: result.server,
+          });
+
+          const server = await prisma.server.findUnique({
+            where: { id: result.server.id },
+            include: SERVER_INCLUDE,
+          });
+          res.status(201).json({ data: server });
+        } catch (error) {
+          logger.error('Error creating server:', error);
+          res.status(500).json({ error: 'Internal Server Error' });
+        }
+      }
+    );
+
+    router.patch(
+      '/api/v1/servers/:id',
+      apiValidator('airlink.api.servers.update'),
+      async (req: Request, res: Response) => {
+        try {
+          const existing = await findServer(req.params.id);
+          if (!existing) {
+            res.status(404).json({ error: 'Server not found' });
+            return;
+          }
+
+          const parsed = parseServerUpdateInput(mergeServerFields(existing, req.body));
+          if ('errors' in parsed) {
+            sendValidationError(res, parsed.errors);
+            return;
+          }
+
+          const result = await updateServer(existing, parsed.input);
+          if ('error' in result) {
+            if (result.variableErrors) {
+              sendValidationError(res, Object.values(result.variableErrors), result.variableErrors);
+            } else {
+              res.status(400).json({ error: result.error });
+            }
+            return;
+          }
+
+          const suspensionChanged = parsed.input.suspended !== existing.Suspended;
+          await recordAudit(req, {
+            action: suspensionChanged
+              ? parsed.input.suspended ? 'server.suspend' : 'server.unsuspend'
+              : 'server.update',
+            targetType: 'server',
+            targetId: existing.UUID,
+            before: existing,
+            after: result.server,
+          });
+          if (result.transfer) {
+            await recordAudit(req, {
+              action: 'server.transfer',
+              targetType: 'server',
+              targetId: existing.UUID,
+              metadata: { transferId: result.transfer.id, from: existing.nodeId, to: result.transfer.targetNodeId },
+            });
+          }
+
+          const server = await prisma.server.findUnique({
+            where: { id: existing.id },
+            include: SERVER_INCLUDE,
+          });
+          res.json({ data: server });
+        } catch (error) {
+          logger.error('Error updating server:', error);
+          res.status(500).json({ error: 'Internal Server Error' });
+        }
+      }
+    );
+
+    router.delete(
+      '/api/v1/servers/:id',
+      apiValidator('airlink.api.servers.delete'),
+      async (req: Request, res: Response) => {
+        try {
+          const server = await findServer(req.params.id);
+          if (!server) {
+            res.status(404).json({ error: 'Server not found' });
+            return;
+          }
+
+          try {
+            await deleteServer(server);
+          } catch (error) {
+            logger.error('Error deleting server:', error);
+            res.status(502).json({ error: error instanceof Error ? error.message : 'Failed to delete server' });
+            return;
+          }
+
+          await recordAudit(req, {
+            action: 'server.delete',
+            targetType: 'server',
+            targetId: server.UUID,
+            before: server,
+          });
+
+          res.status(204).end();
+        } catch (error) {
+          logger.error('Error deleting server:', error);
+          res.status(500).json({ error: 'Internal Server Error' });
+        }
+      }
+    );
+
+    for (const action of ['suspend', 'unsuspend'] as const) {
+      router.post(
+        `/api/v1/servers/:id/${action}`,
+        apiValidator('airlink.api.servers.update'),
+        async (req: Request, res: Response) => {
+          try {
+            const existing = await findServer(req.params.id);
+            if (!existing) {
+              res.status(404).json({ error: 'Server not found' });
+              return;
+            }
+
+            const updated = await setServerSuspended(existing, action === 'suspend');
+
+            await recordAudit(req, {
+              action: `server.${action}`,
+              targetType: 'server',
+              targetId: existing.UUID,
+              before: existing,
+              after: updated,
+            });
+
+            const server = await prisma.server.findUnique({
+              where: { id: existing.id },
+              include: SERVER_INCLUDE,
+            });
+            res.json({ data: server });
+          } catch (error) {
+            logger.error(`Error running ${action} on server:`, error);
+            res.status(500).json({ error: 'Internal Server Error' });
+          }
+        }
+      );
+    }
+
+    router.post(
+      '/api/v1/servers/:id/reinstall',
+      apiValidator('airlink.api.servers.update'),
+      async (req: Request, res: Response) => {
+        try {
+          const server = await findServer(req.params.id);
+          if (!server) {
+            res.status(404).json({ error: 'Server not found' });
+            return;
+          }
+
+          try {
+            await reinstallServer(server);
+          } catch (error) {
+            logger.error('Error reinstalling server:', error);
+            res.status(502).json({ error: 'Failed to reach the node to reinstall the server' });
+            return;
+          }
+
+          await recordAudit(req, {
+            action: 'server.reinstall',
+            targetType: 'server',
+            targetId: server.UUID,
+          });
+
+          res.status(202).json({ data: { message: 'Server reinstallation initiated' } });
+        } catch (error) {
+          logger.error('Error reinstalling server:', error);
+          res.status(500).json({ error: 'Internal Server Error' });
+        }
+      }
+    );
+
     router.get(
       '/api/v1/nodes',
       apiValidator('airlink.api.nodes.read'),
-      async (_req: Request, res: Response) => {
+      async (req: Request, res: Response) => {
         try {
-          const nodes = await prisma.node.findMany({
-            select: {
-              id: true,
-              name: true,
-              address: true,
-              port: true,
-              ram: true,
-              cpu: true,
-              disk: true,
-              createdAt: true,
-              _count: {
-                select: {
-                  servers: true,
+          const pagination = parsePagination(req.query);
+          const where: Prisma.NodeWhereInput = {
+            name: typeof req.query.name === 'string' ? { contains: req.query.name } : undefined,
+          };
+
+          const [nodes, total] = await Promise.all([
+            prisma.node.findMany({
+              where,
+              select: {
+                ...NODE_SELECT,
+                _count: {
+                  select: {
+                    servers: true,
+                  },
                 },
               },
+              orderBy: { id: 'asc' },
+              skip: pagination.skip,
+              take: pagination.take,
+            }),
+            prisma.node.count({ where }),
+          ]);
+
+          res.json({ data: nodes, meta: paginationMeta(pagination, total) });
+        } catch (error) {
+          logger.error('Error fetching nodes:', error);
+          res.status(500).json({ error: 'Internal Server Error' });
+          return;
+        }
+      }
+    );
+
+    // Registered before /nodes/:id so "placement" is not read as an id
+    router.get(
+      '/api/v1/nodes/placement',
+      apiValidator('airlink.api.nodes.read'),
+      async (req: Request, res: Response) => {
+        try {
+          const request = {
+            memory: parseInt(String(req.query.memory)) || 0,
+            cpu: parseInt(String(req.query.cpu)) || 0,
+            disk: parseInt(String(req.query.disk)) || 0,
+          };
+
+          const strategy = (PLACEMENT_STRATEGIES as readonly string[]).includes(String(req.query.strategy))
+            ? (req.query.strategy as PlacementStrategy)
+            : await getPlacementStrategy();
+
+          const capacities = await getNodeCapacities();
+          const ranked = rankNodes(capacities, request, strategy, { requireAllocation: true });
+
+          res.json({
+            data: {
+              strategy,
+              request,
+              nodeId: ranked[0]?.nodeId ?? null,
+              nodes: capacities.map((capacity) => ({
+                ...capacity,
+                fits: ranked.includes(capacity),
+                errors: getPlacementErrors(capacity, request, { requireAllocation: true }),
+              })),
             },
           });
-
-          res.json({ data: nodes });
         } catch (error) {
-          logger.error('Error fetching nodes:', error);
+          logger.error('Error computing node placement:', error);
           res.status(500).json({ error: 'Internal Server Error' });
           return;
         }
@@ -229,14 +689,7 @@ const coreModule: Module = {
           const node = await prisma.node.findUnique({
             where: { id: nodeId },
             select: {
-              id: true,
-              name: true,
-              address: true,
-              port: true,
-              ram: true,
-              cpu: true,
-              disk: true,
-              createdAt: true,
+              ...NODE_SELECT,
               servers: {
                 select: {
                   id: true,
@@ -264,8 +717,122 @@ const coreModule: Module = {
       }
     );
 
+    router.post(
+      '/api/v1/nodes',
+      apiValidator('airlink.api.nodes.create'),
+      async (req: Request, res: Response) => {
+        try {
+          const parsed = parseNodeInput(req.body);
+          if ('errors' in parsed) {
+            sendValidationError(res, parsed.errors);
+            return;
+          }
+
+          const node = await prisma.node.create({
+            data: { ...parsed.input, key: generateApiKey(32) },
+          });
 
+          await recordAudit(req, {
+            action: 'node.create',
+            targetType: 'node',
+            targetId: node.id,
+            after: node,
+          });
 
+          // The daemon has to be configured with the key, so it is returned here
+          res.status(201).json({ data: node });
+        } catch (error) {
+          logger.error('Error creating node:', error);
+          res.status(500).json({ error: 'Internal Server Error' });
+        }
+      }
+    );
+
+    router.patch(
+      '/api/v1/nodes/:id',
+      apiValidator('airlink.api.nodes.update'),
+      async (req: Request, res: Response) => {
+        try {
+          const existing = await prisma.node.findUnique({
+            where: { id: parseInt(req.params.id) || 0 },
+          });
+          if (!existing) {
+            res.status(404).json({ error: 'Node not found' });
+            return;
+          }
+
+          const parsed = parseNodeInput({ ...existing, ...req.body });
+          if ('errors' in parsed) {
+            sendValidationError(res, parsed.errors);
+            return;
+          }
+
+          const node = await prisma.node.update({
+            where: { id: existing.id },
+            data: parsed.input,
+            select: NODE_SELECT,
+          });
+
+          await recordAudit(req, {
+            action: 'node.update',
+            targetType: 'node',
+            targetId: node.id,
+            before: existing,
+            after: node,
+          });
+
+          res.json({ data: node });
+        } catch (error) {
+          logger.error('Error updating node:', error);
+          res.status(500).json({ error: 'Internal Server Error' });
+        }
+      }
+    );
+
+    router.delete(
+      '/api/v1/nodes/:id',
+      apiValidator('airlink.api.nodes.delete'),
+      async (req: Request, res: Response) => {
+        try {
+          const node = await prisma.node.findUnique({
+            where: { id: parseInt(req.params.id) || 0 },
+          });
+          if (!node) {
+            res.status(404).json({ error: 'Node not found' });
+            return;
+          }
+
+          // Like the admin page, servers are only removed from the panel
+          const deleteServers = req.query.deleteServers === 'true';
+          const servers = await prisma.server.count({ where: { nodeId: node.id } });
+          if (servers > 0 && !deleteServers) {
+            res.status(409).json({
+              error: 'Node still has servers, pass deleteServers=true to delete them',
+              servers,
+            });
+            return;
+          }
+
+          await prisma.$transaction([
+            prisma.server.deleteMany({ where: { nodeId: node.id } }),
+            prisma.node.delete({ where: { id: node.id } }),
+          ]);
+
+          await recordAudit(req, {
+            action: 'node.delete',
+            targetType: 'node',
+            targetId: node.id,
+            before: node,
+            metadata: { deleteServers },
+          });
+
+          res.status(204).end();
+        } catch (error) {
+          logger.error('Error deleting node:', error);
+          res.status(500).json({ error: 'Internal Server Error' });
+        }
+      }
+    );
 
     router.get(
       '/api/v1/settings',
@@ -317,6 +884,14 @@ const coreModule: Module = {
             },
           });
 
+          await recordAudit(req, {
+            action: 'settings.update',
+            targetType: 'settings',
+            targetId: currentSettings.id,
+            before: currentSettings,
+            after: updatedSettings,
+          });
+
           res.json({ data: updatedSettings });
         } catch (error) {
           logger.error('Error updating settings:', error);
@@ -32,6 +32,17 @@ const authModule: Module = {
       res.render('auth/login', { req, settings });
     });
 
+    router.get('/login/2fa', async (req: Request, res: Response) => {
+      const pending = req.session.pendingTwoFactor;
+      if (!pending || pending.expiresAt < Date.now()) {
+        res.redirect('/login');
+        return;
+      }
+
+      const settings = await prisma.settings.findUnique({ where: { id: 1 } });
+      res.render('auth/2fa', { req, settings });
+    });
+
     router.get('/register', async (req: Request, res: Response) => {
       const settings = await prisma.settings.findUnique({ where: { id: 1 } });
       const userCount = await prisma.users.count();
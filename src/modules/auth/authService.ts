@@ -1,8 +1,18 @@
 import bcrypt from 'bcrypt';
-import { PrismaClient } from '@prisma/client';
+import { PrismaClient, Users } from '@prisma/client';
 import { Router, Request, Response } from 'express';
 import { Module } from '../../handlers/moduleInit';
 import logger from '../../handlers/logger';
+import {
+  isTwoFactorEnrollmentRequired,
+  verifyTwoFactor,
+} from '../../handlers/utils/auth/twoFactor';
+import { recordAudit } from '../../handlers/utils/core/auditLog';
+import { emitWebhookEvent } from '../../handlers/webhooks';
+
+// How long the second login step stays valid, and how many codes may be tried
+const TWO_FACTOR_TIMEOUT = 5 * 60 * 1000;
+const MAX_TWO_FACTOR_ATTEMPTS = 5;
 
 const prisma = new PrismaClient();
 
@@ -15,6 +25,12 @@ declare module 'express-session' {
       username: string;
       description: string;
     };
+    pendingTwoFactor?: {
+      userId: number;
+      expiresAt: number;
+      attempts: number;
+    };
+    twoFactorSetupSecret?: string;
   }
 }
 
@@ -51,6 +67,33 @@ const authServiceModule: Module = {
       }
     };
 
+    const completeLogin = async (req: Request, res: Response, user: Users) => {
+      if (user.username && user.description) {
+        req.session.user = {
+          id: user.id,
+          email: user.email,
+          isAdmin: user.isAdmin,
+          description: user.description,
+          username: user.username,
+        };
+      }
+
+      await prisma.loginHistory.create({
+        data: {
+          userId: user.id,
+          ipAddress: req.ip,
+          userAgent: req.headers['user-agent'] || null
+        }
+      });
+
+      if (await isTwoFactorEnrollmentRequired(user)) {
+        res.redirect('/account?err=2fa_required');
+        return;
+      }
+
+      res.redirect('/');
+    };
+
     router.post('/login', async (req: Request, res: Response) => {
       const { identifier, password }: { identifier: string; password: string } =
         req.body;
@@ -62,25 +105,17 @@ const authServiceModule: Module = {
       try {
         const result = await handleLogin(identifier, password);
         if (result.success && result.user) {
-          if (result.user.username && result.user.description) {
-            req.session.user = {
-              id: result.user.id,
-              email: result.user.email,
-              isAdmin: result.user.isAdmin,
-              description: result.user.description,
-              username: result.user.username,
+          if (result.user.twoFactorEnabled) {
+            req.session.pendingTwoFactor = {
+              userId: result.user.id,
+              expiresAt: Date.now() + TWO_FACTOR_TIMEOUT,
+              attempts: 0,
             };
+            res.redirect('/login/2fa');
+            return;
           }
-          
-          await prisma.loginHistory.create({
-            data: {
-              userId: result.user.id,
-              ipAddress: req.ip,
-              userAgent: req.headers['user-agent'] || null
-            }
-          });
-          
-          res.redirect('/');
+
+          await completeLogin(req, res, result.user);
           return;
         }
         res.redirect('/login?err=invalid_credentials');
@@ -91,6 +126,55 @@ const authServiceModule: Module = {
       }
     });
 
+    router.post('/login/2fa', async (req: Request, res: Response) => {
+      const pending = req.session.pendingTwoFactor;
+      const code = typeof req.body.code === 'string' ? req.body.code.trim() : '';
+
+      if (!pending || pending.expiresAt < Date.now()) {
+        delete req.session.pendingTwoFactor;
+        return res.redirect('/login?err=two_factor_expired');
+      }
+
+      if (!code) {
+        return res.redirect('/login/2fa?err=missing_code');
+      }
+
+      try {
+        const user = await prisma.users.findUnique({
+          where: { id: pending.userId },
+        });
+
+        if (!user) {
+          delete req.session.pendingTwoFactor;
+          return res.redirect('/login?err=invalid_credentials');
+        }
+
+        const result = await verifyTwoFactor(user, code);
+        if (!result.valid) {
+          pending.attempts += 1;
+          if (pending.attempts >= MAX_TWO_FACTOR_ATTEMPTS) {
+            delete req.session.pendingTwoFactor;
+            return res.redirect('/login?err=too_many_attempts');
+          }
+          return res.redirect('/login/2fa?err=invalid_code');
+        }
+
+        delete req.session.pendingTwoFactor;
+        await completeLogin(req, res, user);
+
+        if (result.usedRecoveryCode) {
+          await recordAudit(req, {
+            action: 'user.2fa.recovery_code_used',
+            targetType: 'user',
+            targetId: user.id,
+          });
+        }
+      } catch (error) {
+        logger.error('Two-factor login error:', error);
+        res.status(500).send('Server error. Please try again later.');
+      }
+    });
+
     router.post('/register', async (req: Request, res: Response) => {
       const { email, username, password } = req.body;
 
@@ -134,7 +218,7 @@ const authServiceModule: Module = {
           }
         }
 
-        await prisma.users.create({
+        const createdUser = await prisma.users.create({
           data: {
             email,
             username,
@@ -143,6 +227,9 @@ const authServiceModule: Module = {
             isAdmin: isFirstUser,
           },
         });
+        emitWebhookEvent('user.registered', {
+          user: { id: createdUser.id, username: createdUser.username, email: createdUser.email },
+        });
         res.redirect('/login');
       } catch (error) {
         logger.error('Database error:', error);
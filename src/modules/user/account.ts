@@ -5,6 +5,19 @@ import { isAuthenticated } from '../../handlers/utils/auth/authUtil';
 import { getUser } from '../../handlers/utils/user/user';
 import bcrypt from 'bcrypt';
 import logger from '../../handlers/logger';
+import { buildOtpAuthUri, generateTotpSecret, verifyTotpCode } from '../../handlers/utils/auth/totp';
+import {
+  countRecoveryCodes,
+  createRecoveryCodes,
+  verifyTwoFactor,
+} from '../../handlers/utils/auth/twoFactor';
+import { recordAudit } from '../../handlers/utils/core/auditLog';
+import { generateApiKey } from '../../handlers/utils/api/apiValidator';
+import {
+  SERVER_PERMISSIONS,
+  SERVER_PERMISSION_LABELS,
+  sanitizeServerPermissions,
+} from '../../handlers/utils/server/serverPermissions';
 
 const prisma = new PrismaClient();
 
@@ -12,6 +25,8 @@ interface ErrorMessage {
   message?: string;
 }
 
+const MAX_CLIENT_API_KEYS = 25;
+
 const accountModule: Module = {
   info: {
     name: 'Account Module',
@@ -51,12 +66,24 @@ const accountModule: Module = {
             where: { id: 1 },
           });
 
+          const apiKeys = await prisma.apiKey.findMany({
+            where: { userId, type: 'client' },
+            orderBy: { createdAt: 'desc' },
+          });
+
           res.render('user/account', {
             errorMessage,
             user,
             req,
             settings,
             loginHistory,
+            recoveryCodesLeft: countRecoveryCodes(user),
+            apiKeys: apiKeys.map(({ key, ...apiKey }) => ({
+              ...apiKey,
+              keyPreview: `${key.slice(0, 6)}...`,
+              permissions: sanitizeServerPermissions(JSON.parse(apiKey.permissions || '[]')),
+            })),
+            apiKeyPermissions: SERVER_PERMISSION_LABELS,
           });
         } catch (error) {
           logger.error('Error fetching user:', error);
@@ -70,6 +97,9 @@ const accountModule: Module = {
             req,
             settings,
             loginHistory: [],
+            recoveryCodesLeft: 0,
+            apiKeys: [],
+            apiKeyPermissions: SERVER_PERMISSION_LABELS,
           });
         }
       },
@@ -348,6 +378,273 @@ const accountModule: Module = {
       },
     );
 
+    router.post(
+      '/account/2fa/setup',
+      isAuthenticated(),
+      async (req: Request, res: Response) => {
+        try {
+          const userId = req.session?.user?.id;
+          const user = await prisma.users.findUnique({ where: { id: userId } });
+          if (!user) {
+            res.status(404).json({ message: 'User not found.' });
+            return;
+          }
+
+          if (user.twoFactorEnabled) {
+            res.status(400).json({ message: 'Two-factor authentication is already enabled.' });
+            return;
+          }
+
+          const settings = await prisma.settings.findUnique({ where: { id: 1 } });
+
+          // The secret is only saved once the user proves their app generates valid codes
+          const secret = generateTotpSecret();
+          req.session.twoFactorSetupSecret = secret;
+
+          res.json({
+            secret,
+            uri: buildOtpAuthUri(secret, user.email, settings?.title || 'Airlink'),
+          });
+        } catch (error) {
+          logger.error('Error starting two-factor setup:', error);
+          res.status(500).json({ message: 'Internal Server Error' });
+        }
+      },
+    );
+
+    router.post(
+      '/account/2fa/enable',
+      isAuthenticated(),
+      async (req: Request, res: Response) => {
+        const { code } = req.body;
+        const secret = req.session.twoFactorSetupSecret;
+
+        if (!secret) {
+          res.status(400).json({ message: 'Start the two-factor setup first.' });
+          return;
+        }
+
+        try {
+          const step = verifyTotpCode(secret, String(code || ''));
+          if (step === null) {
+            res.status(400).json({ message: 'The code is not valid. Check the time on your device and try again.' });
+            return;
+          }
+
+          const { codes, hashes } = createRecoveryCodes();
+          const userId = req.session?.user?.id;
+
+          await prisma.users.update({
+            where: { id: userId },
+            data: {
+              twoFactorEnabled: true,
+              twoFactorSecret: secret,
+              twoFactorRecoveryCodes: hashes,
+              twoFactorLastStep: step,
+            },
+          });
+          delete req.session.twoFactorSetupSecret;
+
+          await recordAudit(req, {
+            action: 'user.2fa.enable',
+            targetType: 'user',
+            targetId: userId,
+          });
+
+          res.json({ message: 'Two-factor authentication enabled.', recoveryCodes: codes });
+        } catch (error) {
+          logger.error('Error enabling two-factor authentication:', error);
+          res.status(500).json({ message: 'Internal Server Error' });
+        }
+      },
+    );
+
+    router.post(
+      '/account/2fa/recovery-codes',
+      isAuthenticated(),
+      async (req: Request, res: Response) => {
+        const { code } = req.body;
+
+        try {
+          const userId = req.session?.user?.id;
+          const user = await prisma.users.findUnique({ where: { id: userId } });
+          if (!user || !user.twoFactorEnabled) {
+            res.status(400).json({ message: 'Two-factor authentication is not enabled.' });
+            return;
+          }
+
+          const result = await verifyTwoFactor(user, String(code || ''));
+          if (!result.valid) {
+            res.status(400).json({ message: 'The code is not valid.' });
+            return;
+          }
+
+          const { codes, hashes } = createRecoveryCodes();
+          await prisma.users.update({
+            where: { id: user.id },
+            data: { twoFactorRecoveryCodes: hashes },
+          });
+
+          await recordAudit(req, {
+            action: 'user.2fa.recovery_codes_regenerate',
+            targetType: 'user',
+            targetId: user.id,
+          });
+
+          res.json({ recoveryCodes: codes });
+        } catch (error) {
+          logger.error('Error regenerating recovery codes:', error);
+          res.status(500).json({ message: 'Internal Server Error' });
+        }
+      },
+    );
+
+    router.post(
+      '/account/2fa/disable',
+      isAuthenticated(),
+      async (req: Request, res: Response) => {
+        const { currentPassword, code } = req.body;
+
+        if (!currentPassword || !code) {
+          res.status(400).json({ message: 'Your password and a code are required.' });
+          return;
+        }
+
+        try {
+          const userId = req.session?.user?.id;
+          const user = await prisma.users.findUnique({ where: { id: userId } });
+          if (!user || !user.twoFactorEnabled) {
+            res.status(400).json({ message: 'Two-factor authentication is not enabled.' });
+            return;
+          }
+
+          // Checked before the code so a recovery code is not used up for nothing
+          const settings = await prisma.settings.findUnique({ where: { id: 1 } });
+          if (user.isAdmin && settings?.requireAdminTwoFactor) {
+            res.status(403).json({ message: 'Two-factor authentication is required for admin accounts.' });
+            return;
+          }
+
+          const passwordMatch = await bcrypt.compare(String(currentPassword), user.password);
+          if (!passwordMatch) {
+            res.status(401).json({ message: 'Current password is incorrect.' });
+            return;
+          }
+
+          const result = await verifyTwoFactor(user, String(code));
+          if (!result.valid) {
+            res.status(400).json({ message: 'The code is not valid.' });
+            return;
+          }
+
+          await prisma.users.update({
+            where: { id: user.id },
+            data: {
+              twoFactorEnabled: false,
+              twoFactorSecret: null,
+              twoFactorRecoveryCodes: '[]',
+              twoFactorLastStep: null,
+            },
+          });
+
+          await recordAudit(req, {
+            action: 'user.2fa.disable',
+            targetType: 'user',
+            targetId: user.id,
+          });
+
+          res.json({ message: 'Two-factor authentication disabled.' });
+        } catch (error) {
+          logger.error('Error disabling two-factor authentication:', error);
+          res.status(500).json({ message: 'Internal Server Error' });
+        }
+      },
+    );
+
+    router.post(
+      '/account/api-keys',
+      isAuthenticated(),
+      async (req: Request, res: Response) => {
+        const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+        const permissions = sanitizeServerPermissions(req.body.permissions);
+
+        if (!name || name.length > 100) {
+          res.status(400).json({ message: 'Name is required and must be at most 100 characters.' });
+          return;
+        }
+
+        if (permissions.length === 0) {
+          res.status(400).json({ message: `Choose at least one of ${SERVER_PERMISSIONS.join(', ')}.` });
+          return;
+        }
+
+        try {
+          const userId = req.session?.user?.id;
+
+          const count = await prisma.apiKey.count({ where: { userId, type: 'client' } });
+          if (count >= MAX_CLIENT_API_KEYS) {
+            res.status(400).json({ message: `You can have at most ${MAX_CLIENT_API_KEYS} API keys.` });
+            return;
+          }
+
+          const apiKey = await prisma.apiKey.create({
+            data: {
+              name,
+              key: generateApiKey(),
+              type: 'client',
+              permissions: JSON.stringify(permissions),
+              userId,
+            },
+          });
+
+          await recordAudit(req, {
+            action: 'user.apikey.create',
+            targetType: 'apiKey',
+            targetId: apiKey.id,
+            after: { name, permissions },
+          });
+
+          // The key is only shown once, the account page lists a preview
+          res.json({ message: 'API key created.', key: apiKey.key });
+        } catch (error) {
+          logger.error('Error creating client API key:', error);
+          res.status(500).json({ message: 'Internal Server Error' });
+        }
+      },
+    );
+
+    router.delete(
+      '/account/api-keys/:id',
+      isAuthenticated(),
+      async (req: Request, res: Response) => {
+        try {
+          const userId = req.session?.user?.id;
+          const apiKey = await prisma.apiKey.findFirst({
+            where: { id: parseInt(req.params.id), userId, type: 'client' },
+          });
+
+          if (!apiKey) {
+            res.status(404).json({ message: 'API key not found.' });
+            return;
+          }
+
+          await prisma.apiKey.delete({ where: { id: apiKey.id } });
+
+          await recordAudit(req, {
+            action: 'user.apikey.delete',
+            targetType: 'apiKey',
+            targetId: apiKey.id,
+            before: { name: apiKey.name },
+          });
+
+          res.json({ message: 'API key deleted.' });
+        } catch (error) {
+          logger.error('Error deleting client API key:', error);
+          res.status(500).json({ message: 'Internal Server Error' });
+        }
+      },
+    );
+
     return router;
   },
 };
@@ -24,7 +24,9 @@ async function getDashboardContent(req: Request, res: Response): Promise<string>
     }
 
     const servers = await prisma.server.findMany({
-      where: { ownerId: user.id },
+      where: {
+        OR: [{ ownerId: user.id }, { subusers: { some: { userId: user.id } } }],
+      },
       include: { node: true, owner: true },
     });
     const settings = await prisma.settings.findUnique({ where: { id: 1 } });
@@ -142,7 +144,9 @@ const dashboardModule: Module = {
         }
 
         const servers = await prisma.server.findMany({
-          where: { ownerId: user.id },
+          where: {
+            OR: [{ ownerId: user.id }, { subusers: { some: { userId: user.id } } }],
+          },
           include: { node: true, owner: true },
         });
         const settings = await prisma.settings.findUnique({ where: { id: 1 } });
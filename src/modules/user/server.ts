@@ -3,11 +3,53 @@ import { Module } from '../../handlers/moduleInit';
 import { PrismaClient } from '@prisma/client';
 import { isAuthenticatedForServer } from '../../handlers/utils/auth/serverAuthUtil';
 import logger from '../../handlers/logger';
+import { DaemonUnsupportedError, getDaemonFeatures } from '../../handlers/utils/node/daemonCompat';
+import { auditAction, recordAudit } from '../../handlers/utils/core/auditLog';
 import axios from 'axios';
+import multer from 'multer';
 import { checkEulaStatus, isWorld } from '../../handlers/features';
 import { checkForServerInstallation } from '../../handlers/checkForServerInstallation';
-import { queueer } from '../../handlers/queueer';
 import { getServerStatus } from '../../handlers/utils/server/serverStatus';
+import { getPortBindings } from '../../handlers/utils/node/allocations';
+import {
+  deleteServerBackup,
+  readServerFile,
+  restoreServerBackup,
+  startServer,
+  stopServer,
+  writeServerFile,
+} from '../../handlers/utils/server/serverActions';
+import {
+  ARCHIVE_FORMATS,
+  UPLOAD_CHUNK_SIZE,
+  appendUploadChunk,
+  archiveFormatOf,
+  chmodServerFile,
+  copyServerFiles,
+  createServerArchive,
+  deleteServerFiles,
+  extractServerArchive,
+  findProtectedPath,
+  getFileDenylist,
+  getUploadProgress,
+  isFileDenied,
+  moveServerFiles,
+  normalizeFilePath,
+  searchServerFiles,
+} from '../../handlers/utils/server/serverFiles';
+import { reinstallServer } from '../../handlers/utils/server/serverProvisioning';
+import { getLatestInstallLog } from '../../handlers/utils/server/installLog';
+import {
+  ServerVariable,
+  displayedVariables,
+  parseVariables,
+  readSubmittedVariables,
+  resolveServerVariables,
+} from '../../handlers/utils/image/variables';
+import { getConfigSchema } from '../../handlers/utils/image/configSchema';
+import { WORLD_IMPORT_PREFIX, listWorlds } from '../../handlers/utils/server/minecraftWorlds';
+import { getQueryConfig } from '../../handlers/utils/query/gameQuery';
+import { BackupLimitError, createBackupWithinLimit } from '../../handlers/backupRetention';
 
 // Declare global serverStoppingStates
 declare global {
@@ -27,17 +69,13 @@ interface ServerImageInfo {
   stop: string;
 }
 
-interface Port {
-  primary: boolean;
-  Port: number;
-}
+const PROTECTED_EXTRACT_ERROR = 'Archives cannot be extracted on this server because its image protects files';
 
-interface ServerVariable {
-  name: string;
-  env: string;
-  type: 'boolean' | 'text' | 'number';
-  default: string | number | boolean;
-  value: string | number | boolean;
+function findFileServer(serverId: string) {
+  return prisma.server.findUnique({
+    where: { UUID: serverId },
+    include: { node: true, image: true },
+  });
 }
 
 const dashboardModule: Module = {
@@ -56,7 +94,7 @@ const dashboardModule: Module = {
     // Get server info
     router.get(
       '/server/:id',
-      isAuthenticatedForServer('id'),
+      isAuthenticatedForServer('id', 'console'),
       async (req: Request, res: Response) => {
         const errorMessage: ErrorMessage = {};
         const userId = req.session?.user?.id;
@@ -172,6 +210,7 @@ const dashboardModule: Module = {
             req,
             server,
             serverStatus,
+            playerQuery: getQueryConfig(server.image),
             settings,
           });
         } catch (error) {
@@ -231,7 +270,8 @@ const dashboardModule: Module = {
 
     router.post(
       '/server/:id/power/:poweraction',
-      isAuthenticatedForServer('id'),
+      isAuthenticatedForServer('id', 'power'),
+      auditAction('server.power', 'server'),
       async (req: Request, res: Response): Promise<void> => {
         const errorMessage: ErrorMessage = {};
         const userId = req.session?.user?.id;
@@ -268,6 +308,13 @@ const dashboardModule: Module = {
             return;
           }
 
+          if (server.Transferring) {
+            res.status(409).json({
+              error: 'This server is being transferred to another node. Please try again once it is done.'
+            });
+            return;
+          }
+
           if (powerAction === 'stop') {
             // First, update the server status to indicate it's stopping
             try {
@@ -312,23 +359,7 @@ const dashboardModule: Module = {
               });
 
               // Now actually stop the container
-              const requestData = {
-                method: 'POST',
-                url: `http://${server.node.address}:${server.node.port}/container/stop`,
-                auth: {
-                  username: 'Airlink',
-                  password: server.node.key,
-                },
-                headers: {
-                  'Content-Type': 'application/json',
-                },
-                data: {
-                  id: String(serverId),
-                  stopCmd: 'stop',
-                },
-              };
-
-              await axios(requestData);
+              await stopServer(server);
               logger.info('Container stopped successfully: ' + serverId);
               return;
             } catch (stopError) {
@@ -353,78 +384,12 @@ const dashboardModule: Module = {
             return;
           }
 
-          const ports = (JSON.parse(server.Ports) as Port[])
-            .filter((port) => port.primary)
-            .map((port) => port.Port)
-            .pop();
-
-          const envVariables: Record<string, string | number | boolean> = {};
-          if (server.Variables) {
-            try {
-              const serverVariables = JSON.parse(
-                server.Variables,
-              ) as ServerVariable[];
-              serverVariables.forEach((variable) => {
-                if (
-                  variable.env &&
-                  variable.value !== undefined &&
-                  variable.type
-                ) {
-                  let processedValue: string | number | boolean;
-                  switch (variable.type) {
-                  case 'boolean':
-                    processedValue =
-                        variable.value === 1 || variable.value === '1'
-                          ? 'true'
-                          : 'false';
-                    break;
-                  case 'number':
-                    processedValue = Number(variable.value);
-                    break;
-                  case 'text':
-                    processedValue = String(variable.value);
-                    break;
-                  default:
-                    processedValue = variable.value;
-                  }
-                  envVariables[variable.env] = processedValue;
-                }
-              });
-            } catch (error) {
-              logger.error('Error processing server.Variables:', error);
-              throw new Error('Invalid format in server.Variables');
-            }
-          }
-
           if (!server.dockerImage) {
             res.status(400).json({ error: 'Docker image not found.' });
             return;
           }
 
-          const ServerImage = Object.values(JSON.parse(server.dockerImage))[0];
-
-          const startRequestData = {
-            method: 'POST',
-            url: `http://${server.node.address}:${server.node.port}/container/start`,
-            auth: {
-              username: 'Airlink',
-              password: server.node.key,
-            },
-            headers: {
-              'Content-Type': 'application/json',
-            },
-            data: {
-              id: String(serverId),
-              image: String(ServerImage),
-              ports: ports,
-              Memory: server.Memory * 1024,
-              Cpu: server.Cpu,
-              env: envVariables,
-              StartCommand: server.StartCommand,
-            },
-          };
-
-          await axios(startRequestData);
+          await startServer(server);
           logger.info('Container started successfully: ' + serverId);
 
           res.status(200).json({ message: 'Container started successfully.' });
@@ -441,7 +406,7 @@ const dashboardModule: Module = {
      */
     router.get(
       '/server/:id/files',
-      isAuthenticatedForServer('id'),
+      isAuthenticatedForServer('id', 'files.read'),
       async (req: Request, res: Response) => {
         const errorMessage: ErrorMessage = {};
         const userId = req.session?.user?.id;
@@ -505,6 +470,12 @@ const dashboardModule: Module = {
             }
           });
 
+          const denylist = getFileDenylist(server.image);
+          files = files.map((file: any) => ({
+            ...file,
+            protected: isFileDenied(denylist, `${path}/${file.name}`),
+          }));
+
           let features: string[] = [];
 
           if (server.image && typeof server.image.info === 'string') {
@@ -542,6 +513,7 @@ const dashboardModule: Module = {
             errorMessage,
             user,
             features,
+            daemonFeatures: await getDaemonFeatures(server.node),
             installed: await checkForServerInstallation(serverId),
             files,
             currentPath: path,
@@ -638,7 +610,7 @@ const dashboardModule: Module = {
      */
     router.get(
       '/server/:id/files/edit/:path(*)',
-      isAuthenticatedForServer('id'),
+      isAuthenticatedForServer('id', 'files.read'),
       async (req: Request, res: Response) => {
         const userId = req.session?.user?.id;
         const serverId = req.params?.id;
@@ -661,16 +633,7 @@ const dashboardModule: Module = {
             return;
           }
 
-          const response = await axios({
-            method: 'GET',
-            url: `http://${server.node.address}:${server.node.port}/fs/file/content`,
-            responseType: 'text',
-            params: { id: server.UUID, path: filePath },
-            auth: {
-              username: 'Airlink',
-              password: server.node.key,
-            },
-          });
+          const content = await readServerFile(server, filePath);
 
           const extension = filePath.split('.').pop()?.toLowerCase() || '';
           const settings = await prisma.settings.findUnique({
@@ -718,8 +681,10 @@ const dashboardModule: Module = {
             file: {
               name: filePath.split('/').pop(),
               path: filePath,
-              content: response.data,
+              content,
               extension,
+              protected: isFileDenied(getFileDenylist(server.image), filePath),
+              hasConfigForm: getConfigSchema(server.image).some((schema) => schema.file === normalizeFilePath(filePath)),
             },
             server,
             serverStatus,
@@ -805,21 +770,329 @@ const dashboardModule: Module = {
       },
     );
 
+    /*
+     * File system : Search, bulk operations, archives, permissions and
+     * resumable uploads. Registered before the save route, which would
+     * otherwise take every POST under /files/.
+     */
+    router.get(
+      '/server/:id/files/search',
+      isAuthenticatedForServer('id', 'files.read'),
+      async (req: Request, res: Response) => {
+        const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+        const root = normalizeFilePath(req.query.path ?? '');
+        if (query.length < 2) {
+          res.status(400).json({ error: 'Search for at least 2 characters' });
+          return;
+        }
+        if (root === null) {
+          res.status(400).json({ error: 'Invalid path' });
+          return;
+        }
+
+        try {
+          const server = await findFileServer(req.params.id);
+          if (!server) {
+            res.status(404).json({ error: 'Server not found' });
+            return;
+          }
+
+          const result = await searchServerFiles(server, root, query, req.query.content === 'true');
+          res.json(result);
+        } catch (error) {
+          logger.error('Error searching files:', error);
+          res.status(500).json({ error: 'Failed to search files' });
+        }
+      },
+    );
+
+    router.post(
+      '/server/:id/files/bulk',
+      isAuthenticatedForServer('id', 'files.write'),
+      auditAction('server.file.bulk', 'server'),
+      async (req: Request, res: Response) => {
+        const action = req.body?.action;
+        const paths = Array.isArray(req.body?.paths) ? req.body.paths.map(normalizeFilePath) : [];
+        const destination = normalizeFilePath(req.body?.destination ?? '');
+
+        if (!['delete', 'move', 'copy'].includes(action)) {
+          res.status(400).json({ error: 'The action must be delete, move or copy' });
+          return;
+        }
+        if (paths.length === 0 || paths.some((filePath: string | null) => !filePath)) {
+          res.status(400).json({ error: 'Select at least one valid file' });
+          return;
+        }
+        if (action !== 'delete' && destination === null) {
+          res.status(400).json({ error: 'Invalid destination' });
+          return;
+        }
+
+        try {
+          const server = await findFileServer(req.params.id);
+          if (!server) {
+            res.status(404).json({ error: 'Server not found' });
+            return;
+          }
+
+          const denylist = getFileDenylist(server.image);
+          const targets = action === 'delete'
+            ? []
+            : paths.map((filePath: string) => (destination ? `${destination}/` : '') + filePath.split('/').pop());
+          const protectedPath = await findProtectedPath(
+            server,
+            denylist,
+            action === 'copy' ? targets : [...paths, ...targets],
+          );
+          if (protectedPath) {
+            res.status(403).json({ error: `${protectedPath} is protected and cannot be changed` });
+            return;
+          }
+
+          const results = action === 'delete'
+            ? await deleteServerFiles(server, paths)
+            : action === 'move'
+              ? await moveServerFiles(server, paths, destination!)
+              : await copyServerFiles(server, paths, destination!);
+
+          const failed = results.filter((result) => result.error);
+          res.status(failed.length === results.length ? 500 : 200).json({
+            success: failed.length === 0,
+            results,
+            error: failed.length > 0 ? `${failed.length} of ${results.length} entries failed` : undefined,
+          });
+        } catch (error) {
+          logger.error('Error running bulk file action:', error);
+          res.status(500).json({ error: error instanceof DaemonUnsupportedError ? error.message : 'Failed to run the file action' });
+        }
+      },
+    );
+
+    router.post(
+      '/server/:id/files/archive',
+      isAuthenticatedForServer('id', 'files.write'),
+      auditAction('server.file.archive', 'server'),
+      async (req: Request, res: Response) => {
+        const directory = normalizeFilePath(req.body?.path ?? '');
+        const files = Array.isArray(req.body?.files) ? req.body.files.map(normalizeFilePath) : [];
+        const format = req.body?.format || 'zip';
+        const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+
+        if (directory === null || files.length === 0 || files.some((filePath: string | null) => !filePath)) {
+          res.status(400).json({ error: 'Select at least one valid file' });
+          return;
+        }
+        if (!ARCHIVE_FORMATS.includes(format)) {
+          res.status(400).json({ error: `The format must be one of ${ARCHIVE_FORMATS.join(', ')}` });
+          return;
+        }
+        if (!/^[\w.-]{1,100}$/.test(name)) {
+          res.status(400).json({ error: 'The archive name may only use letters, numbers, dots, dashes and underscores' });
+          return;
+        }
+
+        try {
+          const server = await findFileServer(req.params.id);
+          if (!server) {
+            res.status(404).json({ error: 'Server not found' });
+            return;
+          }
+
+          const archive = (directory ? `${directory}/` : '') + `${name}.${format}`;
+          const protectedPath = await findProtectedPath(server, getFileDenylist(server.image), [archive, ...files]);
+          if (protectedPath) {
+            res.status(403).json({ error: `${protectedPath} is protected and cannot be changed` });
+            return;
+          }
+
+          await createServerArchive(server, directory, files, name, format);
+          res.json({ success: true });
+        } catch (error) {
+          logger.error('Error creating archive:', error);
+          res.status(500).json({ error: error instanceof DaemonUnsupportedError ? error.message : 'Failed to create the archive' });
+        }
+      },
+    );
+
+    router.post(
+      '/server/:id/files/extract',
+      isAuthenticatedForServer('id', 'files.write'),
+      auditAction('server.file.extract', 'server'),
+      async (req: Request, res: Response) => {
+        const archivePath = normalizeFilePath(req.body?.path);
+        if (!archivePath || !archiveFormatOf(archivePath)) {
+          res.status(400).json({ error: 'Only zip, tar and tar.gz archives can be extracted' });
+          return;
+        }
+
+        try {
+          const server = await findFileServer(req.params.id);
+          if (!server) {
+            res.status(404).json({ error: 'Server not found' });
+            return;
+          }
+
+          // What an archive holds is only known once it is extracted, so
+          // images protecting files do not allow extracting at all
+          if (getFileDenylist(server.image).length > 0) {
+            res.status(403).json({ error: PROTECTED_EXTRACT_ERROR });
+            return;
+          }
+
+          await extractServerArchive(server, archivePath);
+          res.json({ success: true });
+        } catch (error) {
+          logger.error('Error extracting archive:', error);
+          res.status(500).json({ error: error instanceof DaemonUnsupportedError ? error.message : 'Failed to extract the archive' });
+        }
+      },
+    );
+
+    router.post(
+      '/server/:id/files/chmod',
+      isAuthenticatedForServer('id', 'files.write'),
+      auditAction('server.file.chmod', 'server'),
+      async (req: Request, res: Response) => {
+        const filePath = normalizeFilePath(req.body?.path);
+        const mode = String(req.body?.mode ?? '').trim();
+        if (!filePath) {
+          res.status(400).json({ error: 'Invalid path' });
+          return;
+        }
+        if (!/^[0-7]{3,4}$/.test(mode)) {
+          res.status(400).json({ error: 'The mode must be an octal value such as 644 or 755' });
+          return;
+        }
+
+        try {
+          const server = await findFileServer(req.params.id);
+          if (!server) {
+            res.status(404).json({ error: 'Server not found' });
+            return;
+          }
+
+          if (isFileDenied(getFileDenylist(server.image), filePath)) {
+            res.status(403).json({ error: `${filePath} is protected and cannot be changed` });
+            return;
+          }
+
+          await chmodServerFile(server, filePath, mode);
+          res.json({ success: true });
+        } catch (error) {
+          logger.error('Error changing file permissions:', error);
+          res.status(500).json({ error: error instanceof DaemonUnsupportedError ? error.message : 'Failed to change the permissions' });
+        }
+      },
+    );
+
+    router.get(
+      '/server/:id/files/upload/status',
+      isAuthenticatedForServer('id', 'files.write'),
+      (req: Request, res: Response) => {
+        const uploadId = String(req.query.uploadId ?? '');
+        if (!/^[\w-]{1,100}$/.test(uploadId)) {
+          res.status(400).json({ error: 'Invalid upload ID' });
+          return;
+        }
+
+        res.json({ nextChunk: getUploadProgress(req.params.id, uploadId), chunkSize: UPLOAD_CHUNK_SIZE });
+      },
+    );
+
+    const chunkUpload = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: UPLOAD_CHUNK_SIZE },
+    });
+
+    router.post(
+      '/server/:id/files/upload/chunk',
+      isAuthenticatedForServer('id', 'files.write'),
+      chunkUpload.single('chunk'),
+      async (req: Request, res: Response) => {
+        const uploadId = String(req.body?.uploadId ?? '');
+        const directory = normalizeFilePath(req.body?.path ?? '');
+        const fileName = String(req.body?.fileName ?? '');
+        const chunkIndex = parseInt(req.body?.chunkIndex);
+        const totalChunks = parseInt(req.body?.totalChunks);
+
+        if (!/^[\w-]{1,100}$/.test(uploadId)) {
+          res.status(400).json({ error: 'Invalid upload ID' });
+          return;
+        }
+        if (directory === null || !fileName || fileName.includes('/') || normalizeFilePath(fileName) !== fileName) {
+          res.status(400).json({ error: 'Invalid file name or path' });
+          return;
+        }
+        if (isNaN(chunkIndex) || isNaN(totalChunks) || chunkIndex < 0 || chunkIndex >= totalChunks) {
+          res.status(400).json({ error: 'Invalid chunk' });
+          return;
+        }
+        if (!req.file) {
+          res.status(400).json({ error: 'The chunk is empty' });
+          return;
+        }
+
+        try {
+          const server = await findFileServer(req.params.id);
+          if (!server) {
+            res.status(404).json({ error: 'Server not found' });
+            return;
+          }
+
+          const filePath = directory ? `${directory}/${fileName}` : fileName;
+          if (isFileDenied(getFileDenylist(server.image), filePath)) {
+            res.status(403).json({ error: `${filePath} is protected and cannot be changed` });
+            return;
+          }
+
+          const result = await appendUploadChunk(
+            server,
+            { uploadId, path: directory, fileName, chunkIndex, totalChunks },
+            req.file.buffer,
+          );
+          if ('error' in result) {
+            res.status(409).json(result);
+            return;
+          }
+
+          if (result.complete) {
+            await recordAudit(req, {
+              action: 'server.file.upload',
+              targetType: 'server',
+              targetId: server.UUID,
+              metadata: { path: filePath, chunks: totalChunks },
+            });
+          }
+          res.json(result);
+        } catch (error) {
+          logger.error('Error uploading file chunk:', error);
+          res.status(500).json({ error: 'Failed to write the chunk, retry to resume the upload' });
+        }
+      },
+    );
+
     /*
      * File system : Save
      */
     router.post(
       '/server/:id/files/:path(*)',
-      isAuthenticatedForServer('id'),
+      isAuthenticatedForServer('id', 'files.write'),
+      auditAction('server.file.write', 'server', 'id', false),
       async (req: Request, res: Response) => {
         const userId = req.session?.user?.id;
         const serverId = req.params?.id;
-        let filePath = req.params?.path;
-        if (filePath.endsWith('/save')) {
-          filePath = filePath.slice(0, -5);
+        let rawPath = req.params?.path;
+        if (rawPath.endsWith('/save')) {
+          rawPath = rawPath.slice(0, -5);
         }
+        const filePath = normalizeFilePath(rawPath);
         const { content } = req.body;
 
+        if (!filePath) {
+          res.status(400).json({ error: 'Invalid file path' });
+          return;
+        }
+
         try {
           const user = await prisma.users.findUnique({ where: { id: userId } });
           if (!user) {
@@ -829,7 +1102,7 @@ const dashboardModule: Module = {
 
           const server = await prisma.server.findUnique({
             where: { UUID: serverId },
-            include: { node: true },
+            include: { node: true, image: true },
           });
 
           if (!server) {
@@ -837,19 +1110,12 @@ const dashboardModule: Module = {
             return;
           }
 
-          await axios({
-            method: 'POST',
-            url: `http://${server.node.address}:${server.node.port}/fs/file/content`,
-            data: {
-              id: server.UUID,
-              path: filePath,
-              content: content,
-            },
-            auth: {
-              username: 'Airlink',
-              password: server.node.key,
-            },
-          });
+          if (isFileDenied(getFileDenylist(server.image), filePath)) {
+            res.status(403).json({ error: `${filePath} is protected and cannot be changed` });
+            return;
+          }
+
+          await writeServerFile(server, filePath, content);
 
           res.json({ success: true });
           return;
@@ -867,11 +1133,17 @@ const dashboardModule: Module = {
      */
     router.delete(
       '/server/:id/files/rm/:path(*)',
-      isAuthenticatedForServer('id'),
+      isAuthenticatedForServer('id', 'files.write'),
+      auditAction('server.file.delete', 'server'),
       async (req: Request, res: Response) => {
         const userId = req.session?.user?.id;
         const serverId = req.params?.id;
-        const filePath = req.params?.path;
+        const filePath = normalizeFilePath(req.params?.path);
+
+        if (!filePath) {
+          res.status(400).json({ error: 'Invalid file path' });
+          return;
+        }
 
         logger.info(`Deleting file/directory: ${filePath} from server ${serverId}`);
 
@@ -885,7 +1157,7 @@ const dashboardModule: Module = {
 
           const server = await prisma.server.findUnique({
             where: { UUID: serverId },
-            include: { node: true },
+            include: { node: true, image: true },
           });
 
           if (!server) {
@@ -894,6 +1166,12 @@ const dashboardModule: Module = {
             return;
           }
 
+          const protectedPath = await findProtectedPath(server, getFileDenylist(server.image), [filePath]);
+          if (protectedPath) {
+            res.status(403).json({ error: `${protectedPath} is protected and cannot be deleted` });
+            return;
+          }
+
           // Check if the server is a Minecraft world
           const isMinecraftWorld = await isWorld(filePath, {
             nodeAddress: server.node.address,
@@ -947,7 +1225,7 @@ const dashboardModule: Module = {
 
     router.get(
       '/server/:id/files/download/:path(*)',
-      isAuthenticatedForServer('id'),
+      isAuthenticatedForServer('id', 'files.read'),
       async (req: Request, res: Response) => {
         const userId = req.session?.user?.id;
         const serverId = req.params?.id;
@@ -997,7 +1275,8 @@ const dashboardModule: Module = {
 
     router.post(
       '/server/:id/zip',
-      isAuthenticatedForServer('id'),
+      isAuthenticatedForServer('id', 'files.write'),
+      auditAction('server.file.zip', 'server'),
       async (req: Request, res: Response) => {
         const userId = req.session?.user?.id;
         const serverId = req.params?.id;
@@ -1064,7 +1343,8 @@ const dashboardModule: Module = {
 
     router.post(
       '/server/:id/unzip',
-      isAuthenticatedForServer('id'),
+      isAuthenticatedForServer('id', 'files.write'),
+      auditAction('server.file.unzip', 'server'),
       async (req: Request, res: Response) => {
         const userId = req.session?.user?.id;
         const serverId = req.params?.id;
@@ -1085,7 +1365,7 @@ const dashboardModule: Module = {
 
           const server = await prisma.server.findUnique({
             where: { UUID: serverId },
-            include: { node: true },
+            include: { node: true, image: true },
           });
 
           if (!server) {
@@ -1093,6 +1373,11 @@ const dashboardModule: Module = {
             return;
           }
 
+          if (getFileDenylist(server.image).length > 0) {
+            res.status(403).json({ error: PROTECTED_EXTRACT_ERROR });
+            return;
+          }
+
           console.log('Server found:', {
             nodeAddress: server.node.address,
             nodePort: server.node.port
@@ -1155,7 +1440,8 @@ const dashboardModule: Module = {
 
     router.post(
       '/server/:id/feature/eula',
-      isAuthenticatedForServer('id'),
+      isAuthenticatedForServer('id', 'files.write'),
+      auditAction('server.eula.accept', 'server'),
       async (req: Request, res: Response) => {
         const userId = req.session?.user?.id;
         const serverId = req.params?.id;
@@ -1203,7 +1489,7 @@ const dashboardModule: Module = {
 
     router.get(
       '/server/:id/players',
-      isAuthenticatedForServer('id'),
+      isAuthenticatedForServer('id', 'console'),
       async (req: Request, res: Response) => {
         const userId = req.session?.user?.id;
         const serverId = req.params?.id;
@@ -1368,7 +1654,7 @@ const dashboardModule: Module = {
 
     router.get(
       '/server/:id/worlds',
-      isAuthenticatedForServer('id'),
+      isAuthenticatedForServer('id', 'files.read'),
       async (req: Request, res: Response) => {
         const userId = req.session?.user?.id;
         const serverId = req.params?.id;
@@ -1391,37 +1677,13 @@ const dashboardModule: Module = {
           }
 
           try {
-            const worldsRequest = {
-              method: 'GET',
-              url: `http://${server.node.address}:${server.node.port}/fs/list?id=${server.UUID}`,
-              auth: {
-                username: 'Airlink',
-                password: server.node.key,
-              },
-              headers: {
-                'Content-Type': 'application/json',
-              },
-            };
-
             const serverInfos = {
               nodeAddress: server.node.address,
               nodePort: server.node.port,
               serverUUID: server.UUID,
               nodeKey: server.node.key,
             };
-            // Use the imported axios instead of requiring it again
-            const response = await axios(worldsRequest);
-            const Folders = response.data;
-
-            const worlds = [];
-            for (const folder of Folders) {
-              if (
-                folder.type === 'directory' &&
-                (await isWorld(folder.name, serverInfos))
-              ) {
-                worlds.push({ name: folder.name });
-              }
-            }
+            const worlds = await listWorlds(server);
 
             const settings = await prisma.settings.findUnique({
               where: { id: 1 },
@@ -1458,6 +1720,7 @@ const dashboardModule: Module = {
               errorMessage: {},
               user,
               worlds,
+              worldImportPrefix: WORLD_IMPORT_PREFIX,
               features,
               installed: await checkForServerInstallation(serverId),
               server,
@@ -1492,6 +1755,7 @@ const dashboardModule: Module = {
               errorMessage: { message: 'Failed to fetch worlds. The server may be offline or not responding.' },
               user,
               worlds: [],
+              worldImportPrefix: WORLD_IMPORT_PREFIX,
               features: [],
               installed: await checkForServerInstallation(serverId),
               server,
@@ -1512,6 +1776,7 @@ const dashboardModule: Module = {
             errorMessage: { message: 'Failed to load worlds. Please try again later.' },
             user: req.session?.user,
             worlds: [],
+            worldImportPrefix: WORLD_IMPORT_PREFIX,
             features: [],
             installed: false,
             server: null,
@@ -1522,11 +1787,16 @@ const dashboardModule: Module = {
       },
     );
 
-    router.post('/server/:id/rename', isAuthenticatedForServer('id'), async (req: Request, res: Response) => {
+    router.post('/server/:id/rename', isAuthenticatedForServer('id', 'files.write'), auditAction('server.file.rename', 'server'), async (req: Request, res: Response) => {
       const userId = req.session?.user?.id;
       const serverId = req.params?.id;
-      const relativePath = req.body.path;
-      const newName = req.body.newName;
+      const relativePath = normalizeFilePath(req.body?.path);
+      const newName = req.body?.newName;
+
+      if (!relativePath || typeof newName !== 'string' || !newName || newName.includes('/') || normalizeFilePath(newName) !== newName) {
+        res.status(400).json({ error: 'Invalid file name or path' });
+        return;
+      }
 
       try {
         const user = await prisma.users.findUnique({ where: { id: userId } });
@@ -1555,6 +1825,12 @@ const dashboardModule: Module = {
 
           const newPath = directoryPath ? `${directoryPath}/${newName}` : newName;
 
+          const protectedPath = await findProtectedPath(server, getFileDenylist(server.image), [relativePath, newPath]);
+          if (protectedPath) {
+            res.status(403).json({ error: `${protectedPath} is protected and cannot be changed` });
+            return;
+          }
+
           const renameRequest = {
             method: 'POST',
             url: `http://${server.node.address}:${server.node.port}/fs/rename`,
@@ -1585,7 +1861,6 @@ const dashboardModule: Module = {
       }
     });
 
-    const multer = require('multer');
     const upload = multer({
       storage: multer.memoryStorage(),
       limits: {
@@ -1593,10 +1868,11 @@ const dashboardModule: Module = {
       }
     });
 
-    router.post('/server/:id/upload', isAuthenticatedForServer('id'), upload.single('file'), async (req: Request, res: Response) => {
+    router.post('/server/:id/upload', isAuthenticatedForServer('id', 'files.write'), upload.single('file'), auditAction('server.file.upload', 'server'), async (req: Request, res: Response) => {
       const userId = req.session?.user?.id;
       const serverId = req.params?.id;
-      const relativePath = req.body.path || '/';
+      const directory = normalizeFilePath(req.body?.path ?? '');
+      const relativePath = `/${directory ?? ''}`;
       const fileName = req.body.fileName || (req.file ? req.file.originalname : '');
 
       logger.info(`Upload request received for file ${fileName} to path ${relativePath} for server ${serverId}`);
@@ -1632,6 +1908,17 @@ const dashboardModule: Module = {
           return;
         }
 
+        if (directory === null || fileName.includes('/') || normalizeFilePath(fileName) !== fileName) {
+          res.status(400).json({ error: 'Invalid file name or path' });
+          return;
+        }
+
+        const uploadPath = directory ? `${directory}/${fileName}` : fileName;
+        if (isFileDenied(getFileDenylist(server.image), uploadPath)) {
+          res.status(403).json({ error: `${uploadPath} is protected and cannot be changed` });
+          return;
+        }
+
         try {
           logger.info(`Sending upload request to node at ${server.node.address}:${server.node.port}`);
           logger.info(`File size: ${req.file.size} bytes`);
@@ -1754,7 +2041,7 @@ const dashboardModule: Module = {
 
     router.get(
       '/server/:id/startup',
-      isAuthenticatedForServer('id'),
+      isAuthenticatedForServer('id', 'startup'),
       async (req: Request, res: Response) => {
         const errorMessage: ErrorMessage = {};
         const userId = req.session?.user?.id;
@@ -1809,16 +2096,11 @@ const dashboardModule: Module = {
             }
           }
 
-          let serverVariables: ServerVariable[] = [];
-          if (server.Variables) {
-            try {
-              serverVariables = JSON.parse(server.Variables) as ServerVariable[];
-            } catch (error) {
-              logger.error('Error parsing server variables:', error);
-            }
-          } else {
-            logger.info(`No variables found for server ${serverId}`);
-          }
+          const serverVariables = displayedVariables(
+            parseVariables(server.image?.variables),
+            parseVariables<ServerVariable>(server.Variables),
+            req.session?.user?.isAdmin === true,
+          );
 
           // Get server status including uptime
           const serverInfos = {
@@ -1858,7 +2140,8 @@ const dashboardModule: Module = {
 
     router.post(
       '/server/:id/startup/command',
-      isAuthenticatedForServer('id'),
+      isAuthenticatedForServer('id', 'startup'),
+      auditAction('server.startup.command', 'server'),
       async (req: Request, res: Response) => {
         const userId = req.session?.user?.id;
         const serverId = req.params?.id;
@@ -1949,10 +2232,7 @@ const dashboardModule: Module = {
               await axios(restartRequestData);
               logger.info('Container stopped to apply new startup command: ' + serverId);
               await new Promise(resolve => setTimeout(resolve, 2000));
-              const ports = (JSON.parse(server.Ports) as Port[])
-                .filter((port) => port.primary)
-                .map((port) => port.Port)
-                .pop();
+              const ports = getPortBindings(server.Ports);
 
               const envVariables: Record<string, string | number | boolean> = {};
               if (server.Variables) {
@@ -2048,7 +2328,8 @@ const dashboardModule: Module = {
 
     router.post(
       '/server/:id/startup/docker-image',
-      isAuthenticatedForServer('id'),
+      isAuthenticatedForServer('id', 'startup'),
+      auditAction('server.startup.image', 'server'),
       async (req: Request, res: Response) => {
         const userId = req.session?.user?.id;
         const serverId = req.params?.id;
@@ -2169,10 +2450,7 @@ const dashboardModule: Module = {
 
               await new Promise(resolve => setTimeout(resolve, 2000));
 
-              const ports = (JSON.parse(server.Ports) as Port[])
-                .filter((port) => port.primary)
-                .map((port) => port.Port)
-                .pop();
+              const ports = getPortBindings(server.Ports);
 
               const envVariables: Record<string, string | number | boolean> = {};
               if (server.Variables) {
@@ -2263,21 +2541,25 @@ const dashboardModule: Module = {
 
     router.post(
       '/server/:id/startup/variables',
-      isAuthenticatedForServer('id'),
+      isAuthenticatedForServer('id', 'startup'),
+      auditAction('server.startup.variables', 'server'),
       async (req: Request, res: Response) => {
         const userId = req.session?.user?.id;
         const serverId = req.params?.id;
-        let variables = [];
-        const contentType = req.headers['content-type'] || '';
+        const admin = req.session?.user?.isAdmin === true;
+        const acceptsJson = req.headers.accept?.includes('application/json');
 
-        if (contentType.includes('application/json')) {
-          variables = req.body.variables || [];
-        } else {
-          logger.info(`Processing form data: ${JSON.stringify(req.body)}`);
+        try {
+          const user = await prisma.users.findUnique({ where: { id: userId } });
+          if (!user) {
+            logger.warn(`User not found: ${userId}`);
+            res.status(404).json({ error: 'User not found' });
+            return;
+          }
 
           const server = await prisma.server.findUnique({
             where: { UUID: serverId },
-            include: { image: true },
+            include: { node: true, image: true },
           });
 
           if (!server) {
@@ -2286,82 +2568,37 @@ const dashboardModule: Module = {
             return;
           }
 
-          let serverVariables = [];
-          let imageVariables = [];
+          const definitions = parseVariables(server.image?.variables);
+          const current = parseVariables<ServerVariable>(server.Variables);
 
-          try {
-            if (server.Variables) {
-              serverVariables = JSON.parse(server.Variables);
-            }
-          } catch (error) {
-            logger.error('Error parsing server variables:', error);
-            serverVariables = [];
+          let submitted: Record<string, unknown>;
+          if ((req.headers['content-type'] || '').includes('application/json')) {
+            submitted = readSubmittedVariables(req.body.variables);
+          } else {
+            // Unchecked boxes are left out of the form, so every field shown counts as sent
+            submitted = Object.fromEntries(
+              displayedVariables(definitions, current, admin)
+                .filter((variable) => variable.editable)
+                .map((variable) => [
+                  variable.env,
+                  req.body[`var_${variable.env}`] ?? (variable.type === 'boolean' ? 0 : ''),
+                ]),
+            );
           }
 
-          // Get original default values from the server image
-          try {
-            if (server.image && server.image.variables) {
-              imageVariables = JSON.parse(server.image.variables);
-              logger.info(`Image variables for server ${serverId}: ${JSON.stringify(imageVariables)}`);
-            }
-          } catch (error) {
-            logger.error('Error parsing image variables:', error);
-            imageVariables = [];
-          }
-
-          variables = serverVariables.map((variable: ServerVariable) => {
-            const formKey = `var_${variable.env}`;
-            let value = req.body[formKey];
-
-            // If the form value is empty or undefined, keep the current value or use default
-            if (variable.type === 'boolean') {
-              value = value ? 1 : 0;
-            } else if (variable.type === 'number') {
-              const numValue = parseInt(value);
-              // If parsing fails or value is empty, keep current value or use default
-              if (isNaN(numValue) || value === '' || value === undefined) {
-                value = variable.value !== undefined && variable.value !== null && variable.value !== ''
-                  ? variable.value
-                  : (variable.default || 0);
-              } else {
-                value = numValue;
-              }
-            } else if (variable.type === 'text') {
-              // For text fields, if empty, keep current value or use default
-              if (value === '' || value === undefined) {
-                value = variable.value !== undefined && variable.value !== null && variable.value !== ''
-                  ? variable.value
-                  : (variable.default || '');
-              }
+          const resolved = resolveServerVariables(definitions, current, submitted, { admin });
+          if ('errors' in resolved) {
+            const message = Object.values(resolved.errors).join('. ');
+            if (acceptsJson) {
+              res.status(400).json({ error: message, fields: resolved.errors });
+            } else {
+              res.redirect(`/server/${serverId}/startup?error=true&message=${encodeURIComponent(message)}`);
             }
-
-            return {
-              ...variable,
-              value: value
-            };
-          });
-        }
-
-        logger.info(`Updating variables for server ${serverId}: ${JSON.stringify(variables)}`);
-
-        try {
-          const user = await prisma.users.findUnique({ where: { id: userId } });
-          if (!user) {
-            logger.warn(`User not found: ${userId}`);
-            res.status(404).json({ error: 'User not found' });
             return;
           }
 
-          const server = await prisma.server.findUnique({
-            where: { UUID: serverId },
-            include: { node: true },
-          });
-
-          if (!server) {
-            logger.warn(`Server not found: ${serverId}`);
-            res.status(404).json({ error: 'Server not found' });
-            return;
-          }
+          const variables = resolved.variables;
+          logger.info(`Updating variables for server ${serverId}: ${JSON.stringify(variables)}`);
 
           await prisma.server.update({
             where: { UUID: serverId },
@@ -2406,14 +2643,11 @@ const dashboardModule: Module = {
 
               await new Promise(resolve => setTimeout(resolve, 2000));
 
-              const ports = (JSON.parse(server.Ports) as Port[])
-                .filter((port) => port.primary)
-                .map((port) => port.Port)
-                .pop();
+              const ports = getPortBindings(server.Ports);
 
               const envVariables: Record<string, string | number | boolean> = {};
               if (variables && Array.isArray(variables)) {
-                variables.forEach((variable: ServerVariable) => {
+                variables.forEach((variable) => {
                   if (
                     variable.env &&
                     variable.value !== undefined &&
@@ -2479,7 +2713,6 @@ const dashboardModule: Module = {
 
           logger.info(`Successfully updated variables for server ${serverId}`);
 
-          const acceptsJson = req.headers.accept?.includes('application/json');
           if (acceptsJson) {
             res.status(200).json({ success: true });
           } else {
@@ -2487,7 +2720,6 @@ const dashboardModule: Module = {
           }
         } catch (error) {
           logger.error(`Error updating variables for server ${serverId}:`, error);
-          const acceptsJson = req.headers.accept?.includes('application/json');
           if (acceptsJson) {
             res.status(500).json({ error: 'Failed to update server variables' });
           } else {
@@ -2500,7 +2732,7 @@ const dashboardModule: Module = {
 
     router.get(
       '/server/:id/settings',
-      isAuthenticatedForServer('id'),
+      isAuthenticatedForServer('id', 'settings'),
       async (req: Request, res: Response) => {
         const errorMessage: ErrorMessage = {};
         const userId = req.session?.user?.id;
@@ -2555,10 +2787,18 @@ const dashboardModule: Module = {
             }
           }
 
+          const installLogs = await prisma.installLog.findMany({
+            where: { serverId: server.UUID },
+            select: { attempt: true, status: true, error: true, startedAt: true, finishedAt: true },
+            orderBy: { attempt: 'desc' },
+            take: 10,
+          });
+
           return res.render('user/server/settings', {
             errorMessage,
             features,
             installed: await checkForServerInstallation(serverId),
+            installLogs,
             user,
             req,
             server,
@@ -2582,7 +2822,8 @@ const dashboardModule: Module = {
 
     router.post(
       '/server/:id/settings',
-      isAuthenticatedForServer('id'),
+      isAuthenticatedForServer('id', 'settings'),
+      auditAction('server.settings.update', 'server'),
       async (req: Request, res: Response) => {
         const userId = req.session?.user?.id;
         const serverId = req.params?.id;
@@ -2624,7 +2865,8 @@ const dashboardModule: Module = {
 
     router.post(
       '/server/:id/power/restart',
-      isAuthenticatedForServer('id'),
+      isAuthenticatedForServer('id', 'power'),
+      auditAction('server.power', 'server'),
       async (req: Request, res: Response) => {
         const userId = req.session?.user?.id;
         const serverId = req.params?.id;
@@ -2647,101 +2889,19 @@ const dashboardModule: Module = {
           }
 
 
-          const stopRequestData = {
-            method: 'POST',
-            url: `http://${server.node.address}:${server.node.port}/container/stop`,
-            auth: {
-              username: 'Airlink',
-              password: server.node.key,
-            },
-            headers: {
-              'Content-Type': 'application/json',
-            },
-            data: {
-              id: String(serverId),
-              stopCmd: 'stop',
-            },
-          };
-
-          await axios(stopRequestData);
+          await stopServer(server);
           logger.info('Container stopped for restart: ' + serverId);
 
 
           await new Promise(resolve => setTimeout(resolve, 2000));
 
 
-          const ports = (JSON.parse(server.Ports) as Port[])
-            .filter((port) => port.primary)
-            .map((port) => port.Port)
-            .pop();
-
-          const envVariables: Record<string, string | number | boolean> = {};
-          if (server.Variables) {
-            try {
-              const serverVariables = JSON.parse(
-                server.Variables,
-              ) as ServerVariable[];
-              serverVariables.forEach((variable) => {
-                if (
-                  variable.env &&
-                  variable.value !== undefined &&
-                  variable.type
-                ) {
-                  let processedValue: string | number | boolean;
-                  switch (variable.type) {
-                  case 'boolean':
-                    processedValue =
-                        variable.value === 1 || variable.value === '1'
-                          ? 'true'
-                          : 'false';
-                    break;
-                  case 'number':
-                    processedValue = Number(variable.value);
-                    break;
-                  case 'text':
-                    processedValue = String(variable.value);
-                    break;
-                  default:
-                    processedValue = variable.value;
-                  }
-                  envVariables[variable.env] = processedValue;
-                }
-              });
-            } catch (error) {
-              logger.error('Error processing server.Variables:', error);
-              throw new Error('Invalid format in server.Variables');
-            }
-          }
-
           if (!server.dockerImage) {
             res.status(400).json({ error: 'Docker image not found.' });
             return;
           }
 
-          const ServerImage = Object.values(JSON.parse(server.dockerImage))[0];
-
-          const startRequestData = {
-            method: 'POST',
-            url: `http://${server.node.address}:${server.node.port}/container/start`,
-            auth: {
-              username: 'Airlink',
-              password: server.node.key,
-            },
-            headers: {
-              'Content-Type': 'application/json',
-            },
-            data: {
-              id: String(serverId),
-              image: String(ServerImage),
-              ports: ports,
-              Memory: server.Memory * 1024,
-              Cpu: server.Cpu,
-              env: envVariables,
-              StartCommand: server.StartCommand,
-            },
-          };
-
-          await axios(startRequestData);
+          await startServer(server);
           logger.info('Container restarted successfully: ' + serverId);
 
           res.status(200).json({ success: true, message: 'Server restarted successfully' });
@@ -2755,7 +2915,8 @@ const dashboardModule: Module = {
 
     router.post(
       '/server/:id/reinstall',
-      isAuthenticatedForServer('id'),
+      isAuthenticatedForServer('id', 'settings'),
+      auditAction('server.reinstall', 'server'),
       async (req: Request, res: Response) => {
         const userId = req.session?.user?.id;
         const serverId = req.params?.id;
@@ -2777,183 +2938,50 @@ const dashboardModule: Module = {
             return;
           }
 
+          await reinstallServer(server);
 
-          await prisma.server.update({
-            where: { UUID: serverId },
-            data: {
-              Installing: true,
-              Queued: true
-            },
-          });
-
-
-          const deleteRequestData = {
-            method: 'DELETE',
-            url: `http://${server.node.address}:${server.node.port}/container`,
-            auth: {
-              username: 'Airlink',
-              password: server.node.key,
-            },
-            headers: {
-              'Content-Type': 'application/json',
-            },
-            data: {
-              id: String(serverId),
-            },
-          };
-
-          await axios(deleteRequestData);
-          logger.info('Container deleted for reinstallation: ' + serverId);
-
-
-          await new Promise(resolve => setTimeout(resolve, 2000));
-
-
-          queueer.addTask(async () => {
-            try {
-              const serverToReinstall = await prisma.server.findUnique({
-                where: { UUID: serverId },
-                include: { image: true, node: true },
-              });
-
-              if (!serverToReinstall) {
-                logger.error('Server not found for reinstallation:', serverId);
-                return;
-              }
-
-
-              let ServerEnv: ServerVariable[] = [];
-              logger.info(`Raw Variables from database for server ${serverId}: ${serverToReinstall.Variables}`);
-              if (serverToReinstall.Variables) {
-                try {
-                  ServerEnv = JSON.parse(serverToReinstall.Variables) as ServerVariable[];
-                  logger.info(`Parsed ServerEnv: ${JSON.stringify(ServerEnv)}`);
-
-                  const ports = JSON.parse(serverToReinstall.Ports);
-                  const primaryPort = ports.find((p: any) => p.primary);
-                  if (primaryPort) {
-                    ServerEnv.push({
-                      env: 'SERVER_PORT',
-                      name: 'Primary Port',
-                      value: primaryPort.Port.split(':')[0],
-                      type: 'text',
-                      default: primaryPort.Port.split(':')[0],
-                    });
-                  }
-                } catch (error) {
-                  logger.error(`Error parsing Variables for server ID ${serverToReinstall.id}:`, error);
-                }
-              }
-
-
-              const env = ServerEnv.reduce(
-                (acc: { [key: string]: any }, curr: ServerVariable) => {
-                  logger.info(`Processing variable: ${curr.env} = ${curr.value} (type: ${curr.type})`);
-                  if (curr.env && curr.value !== undefined && curr.value !== null) {
-                    // Process the value based on its type
-                    let processedValue: string | number | boolean;
-                    switch (curr.type) {
-                      case 'boolean':
-                        processedValue = curr.value === 1 || curr.value === '1' || curr.value === true ? 'true' : 'false';
-                        break;
-                      case 'number':
-                        processedValue = Number(curr.value);
-                        break;
-                      case 'text':
-                      default:
-                        processedValue = String(curr.value);
-                        break;
-                    }
-                    acc[curr.env] = processedValue;
-                    logger.info(`Added to env: ${curr.env} = ${processedValue}`);
-                  } else {
-                    logger.info(`Skipped variable ${curr.env}: value is ${curr.value}`);
-                  }
-                  return acc;
-                },
-                {}
-              );
-
-
-              if (serverToReinstall.image?.scripts) {
-                let scripts;
-                try {
-                  scripts = JSON.parse(serverToReinstall.image.scripts);
-
-
-
-                  logger.info(`Reinstalling server ${serverToReinstall.UUID} with environment variables: ${JSON.stringify(env)}`);
-
-                  const installRequestData = {
-                    method: 'POST',
-                    url: `http://${serverToReinstall.node.address}:${serverToReinstall.node.port}/container/install`,
-                    auth: {
-                      username: 'Airlink',
-                      password: serverToReinstall.node.key,
-                    },
-                    headers: {
-                      'Content-Type': 'application/json',
-                    },
-                    data: {
-                      id: serverToReinstall.UUID,
-                      env: env,
-                      scripts: scripts.install.map(
-                        (script: {
-                          url: string;
-                          fileName: string;
-                          onStart: boolean;
-                          ALVKT: boolean;
-                        }) => ({
-                          url: script.url,
-                          onStartup: script.onStart,
-                          ALVKT: script.ALVKT,
-                          fileName: script.fileName,
-                        }),
-                      ),
-                    },
-                  };
-
-
-                  const installResponse = await axios(installRequestData);
-                  logger.info(`Installation scripts sent for server ${serverId}. Response status: ${installResponse.status}`);
-
-
-                  await prisma.server.update({
-                    where: { UUID: serverId },
-                    data: { Queued: false },
-                  });
-                } catch (error: any) {
-                  logger.error(`Error during reinstallation of server ${serverId}:`, error);
-                  if (error.response) {
-                    logger.error(`Response status: ${error.response.status}`);
-                    logger.error(`Response data:`, error.response.data);
-                  }
-                  await prisma.server.update({
-                    where: { UUID: serverId },
-                    data: { Queued: false },
-                  });
-                }
-              } else {
+          res.status(200).json({ success: true, message: 'Server reinstallation initiated' });
+        } catch (error) {
+          logger.error('Error reinstalling server:', error);
+          res.status(500).json({ error: 'Failed to reinstall server' });
+        }
+      },
+    );
 
-                await prisma.server.update({
-                  where: { UUID: serverId },
-                  data: { Queued: false },
-                });
-              }
-            } catch (error) {
-              logger.error(`Error in reinstallation queue for server ${serverId}:`, error);
+    router.get(
+      '/server/:id/install/logs/:attempt',
+      isAuthenticatedForServer('id', 'console'),
+      async (req: Request, res: Response) => {
+        try {
+          const attempt = parseInt(req.params.attempt);
+          if (isNaN(attempt)) {
+            res.status(400).json({ error: 'Invalid attempt' });
+            return;
+          }
 
-              await prisma.server.update({
-                where: { UUID: serverId },
-                data: { Queued: false },
-              }).catch(e => logger.error('Error updating server queue status:', e));
-            }
+          const log = await prisma.installLog.findUnique({
+            where: { serverId_attempt: { serverId: req.params.id, attempt } },
           });
+          if (!log) {
+            res.status(404).json({ error: 'Install log not found' });
+            return;
+          }
 
-          res.status(200).json({ success: true, message: 'Server reinstallation initiated' });
+          const output = log.status === 'running'
+            ? (await getLatestInstallLog(req.params.id))?.output ?? log.output
+            : log.output;
+          const header = [
+            `Install attempt ${log.attempt}: ${log.status}`,
+            `Started: ${log.startedAt.toISOString()}`,
+            log.finishedAt ? `Finished: ${log.finishedAt.toISOString()}` : null,
+            log.error ? `Error: ${log.error}` : null,
+          ].filter(Boolean).join('\n');
+
+          res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+          res.send(`${header}\n\n${output}`);
         } catch (error) {
-          logger.error('Error reinstalling server:', error);
-          res.status(500).json({ error: 'Failed to reinstall server' });
+          logger.error('Error fetching install log:', error);
+          res.status(500).json({ error: 'Failed to fetch the install log' });
         }
       },
     );
@@ -2961,7 +2989,7 @@ const dashboardModule: Module = {
     // Backup endpoints
     router.get(
       '/server/:id/backups',
-      isAuthenticatedForServer('id'),
+      isAuthenticatedForServer('id', 'backups'),
       async (req: Request, res: Response) => {
         const userId = req.session?.user?.id;
         const serverId = req.params?.id;
@@ -3008,7 +3036,8 @@ const dashboardModule: Module = {
 
     router.post(
       '/server/:id/backups/create',
-      isAuthenticatedForServer('id'),
+      isAuthenticatedForServer('id', 'backups'),
+      auditAction('server.backup.create', 'server'),
       async (req: Request, res: Response) => {
         const userId = req.session?.user?.id;
         const serverId = req.params?.id;
@@ -3036,49 +3065,37 @@ const dashboardModule: Module = {
             return;
           }
 
-          const response = await axios.post(
-            `http://${server.node.address}:${server.node.port}/container/backup`,
-            {
-              id: serverId,
-              name: name.trim(),
-            },
-            {
-              auth: {
-                username: 'Airlink',
-                password: server.node.key,
-              },
-              timeout: 300000,
-            }
-          );
-
-          if (response.data.success) {
-            const backup = await prisma.backup.create({
-              data: {
-                UUID: response.data.backup.uuid,
-                name: name.trim(),
-                serverId: serverId,
-                filePath: response.data.backup.filePath,
-                size: BigInt(response.data.backup.size),
-              },
+          if (server.Transferring) {
+            res.status(409).json({
+              error: 'This server is being transferred to another node. Please try again once it is done.'
             });
-
-            res.json({
-              success: true,
-              message: 'Backup created successfully',
-              backup: {
-                ...backup,
-                size: backup.size ? backup.size.toString() : '0',
-              },
-            });
-          } else {
-            res.status(500).json({ error: 'Failed to create backup on daemon' });
+            return;
           }
+
+          const { backup, rotated } = await createBackupWithinLimit(server, name.trim());
+
+          res.json({
+            success: true,
+            message: rotated.length > 0
+              ? `Backup created, replacing ${rotated.map((old) => `"${old.name}"`).join(', ')} to stay within the backup limit`
+              : 'Backup created successfully',
+            backup: {
+              ...backup,
+              size: backup.size ? backup.size.toString() : '0',
+            },
+          });
         } catch (error) {
+          if (error instanceof BackupLimitError) {
+            res.status(400).json({ error: error.message });
+            return;
+          }
           logger.error('Error creating backup:', error);
           if (axios.isAxiosError(error)) {
             res.status(500).json({
               error: `Failed to create backup: ${error.response?.data?.error || error.message}`
             });
+          } else if (error instanceof Error) {
+            res.status(500).json({ error: error.message });
           } else {
             res.status(500).json({ error: 'Failed to create backup' });
           }
@@ -3088,7 +3105,8 @@ const dashboardModule: Module = {
 
     router.post(
       '/server/:id/backups/:backupId/restore',
-      isAuthenticatedForServer('id'),
+      isAuthenticatedForServer('id', 'backups'),
+      auditAction('server.backup.restore', 'server'),
       async (req: Request, res: Response) => {
         const userId = req.session?.user?.id;
         const serverId = req.params?.id;
@@ -3120,35 +3138,20 @@ const dashboardModule: Module = {
             return;
           }
 
-          const response = await axios.post(
-            `http://${server.node.address}:${server.node.port}/container/restore`,
-            {
-              id: serverId,
-              backupPath: backup.filePath,
-            },
-            {
-              auth: {
-                username: 'Airlink',
-                password: server.node.key,
-              },
-              timeout: 300000,
-            }
-          );
+          await restoreServerBackup(server, backup);
 
-          if (response.data.success) {
-            res.json({
-              success: true,
-              message: 'Backup restored successfully',
-            });
-          } else {
-            res.status(500).json({ error: 'Failed to restore backup on daemon' });
-          }
+          res.json({
+            success: true,
+            message: 'Backup restored successfully',
+          });
         } catch (error) {
           logger.error('Error restoring backup:', error);
           if (axios.isAxiosError(error)) {
             res.status(500).json({
               error: `Failed to restore backup: ${error.response?.data?.error || error.message}`
             });
+          } else if (error instanceof Error) {
+            res.status(500).json({ error: error.message });
           } else {
             res.status(500).json({ error: 'Failed to restore backup' });
           }
@@ -3158,7 +3161,7 @@ const dashboardModule: Module = {
 
     router.get(
       '/server/:id/backups/:backupId/download',
-      isAuthenticatedForServer('id'),
+      isAuthenticatedForServer('id', 'backups'),
       async (req: Request, res: Response) => {
         const userId = req.session?.user?.id;
         const serverId = req.params?.id;
@@ -3222,9 +3225,45 @@ const dashboardModule: Module = {
       },
     );
 
+    router.post(
+      '/server/:id/backups/:backupId/lock',
+      isAuthenticatedForServer('id', 'backups'),
+      auditAction('server.backup.lock', 'server'),
+      async (req: Request, res: Response) => {
+        const serverId = req.params?.id;
+        const backupId = req.params?.backupId;
+        const locked = req.body.locked === true || req.body.locked === 'true';
+
+        try {
+          const backup = await prisma.backup.findUnique({
+            where: { UUID: backupId, serverId: serverId },
+          });
+
+          if (!backup) {
+            res.status(404).json({ error: 'Backup not found' });
+            return;
+          }
+
+          await prisma.backup.update({
+            where: { UUID: backupId },
+            data: { locked },
+          });
+
+          res.json({
+            success: true,
+            message: locked ? 'Backup locked' : 'Backup unlocked',
+          });
+        } catch (error) {
+          logger.error('Error updating backup lock:', error);
+          res.status(500).json({ error: 'Failed to update backup' });
+        }
+      },
+    );
+
     router.delete(
       '/server/:id/backups/:backupId',
-      isAuthenticatedForServer('id'),
+      isAuthenticatedForServer('id', 'backups'),
+      auditAction('server.backup.delete', 'server'),
       async (req: Request, res: Response) => {
         const userId = req.session?.user?.id;
         const serverId = req.params?.id;
@@ -3256,26 +3295,12 @@ const dashboardModule: Module = {
             return;
           }
 
-          try {
-            await axios.delete(
-              `http://${server.node.address}:${server.node.port}/container/backup`,
-              {
-                data: {
-                  backupPath: backup.filePath,
-                },
-                auth: {
-                  username: 'Airlink',
-                  password: server.node.key,
-                },
-              }
-            );
-          } catch (daemonError) {
-            logger.warn('Failed to delete backup file from daemon');
+          if (backup.locked) {
+            res.status(400).json({ error: 'Locked backups cannot be deleted' });
+            return;
           }
 
-          await prisma.backup.delete({
-            where: { UUID: backupId },
-          });
+          await deleteServerBackup(server, backup);
 
           res.json({
             success: true,
@@ -0,0 +1,189 @@
+import { Router, Request, Response } from 'express';
+import axios from 'axios';
+import { Module } from '../../handlers/moduleInit';
+import { PrismaClient } from '@prisma/client';
+import { isAuthenticatedForServer } from '../../handlers/utils/auth/serverAuthUtil';
+import { checkForServerInstallation } from '../../handlers/checkForServerInstallation';
+import logger from '../../handlers/logger';
+import { auditAction } from '../../handlers/utils/core/auditLog';
+import { ConfigValue, applyConfigValues, readConfigValues } from '../../handlers/utils/core/configFormats';
+import {
+  ConfigFileSchema,
+  getConfigSchema,
+  toFieldValue,
+  validateConfigValues,
+} from '../../handlers/utils/image/configSchema';
+import { ServerWithNode, readServerFile, writeServerFile } from '../../handlers/utils/server/serverActions';
+import { getFileDenylist, isFileDenied } from '../../handlers/utils/server/serverFiles';
+
+const prisma = new PrismaClient();
+
+// A config file that does not exist yet reads as empty, saving creates it
+async function readConfigFile(server: ServerWithNode, file: string): Promise<{ content: string; exists: boolean }> {
+  try {
+    return { content: String(await readServerFile(server, file)), exists: true };
+  } catch (error) {
+    if (axios.isAxiosError(error) && error.response?.status === 404) return { content: '', exists: false };
+    throw error;
+  }
+}
+
+/**
+ * The values of the fields of a config file, typed for the form. Values
+ * that do not fit their field are returned as null so the form shows them
+ * as unset instead of guessing.
+ */
+function fieldValues(
+  schema: ConfigFileSchema,
+  content: string,
+): { values: Record<string, ConfigValue | null> } | { error: string } {
+  const result = readConfigValues(schema.format, content, schema.fields.map((field) => field.key));
+  if ('error' in result) return result;
+  return {
+    values: Object.fromEntries(schema.fields.map((field) => [field.key, toFieldValue(field, result.values[field.key])])),
+  };
+}
+
+const serverConfigModule: Module = {
+  info: {
+    name: 'Server Config Module',
+    description: 'This file is for editing the config files of a server through the form its image describes.',
+    version: '1.0.0',
+    moduleVersion: '1.0.0',
+    author: 'AirLinkLab',
+    license: 'MIT',
+  },
+
+  router: () => {
+    const router = Router();
+
+    router.get(
+      '/server/:id/config',
+      isAuthenticatedForServer('id', 'files.read'),
+      async (req: Request, res: Response) => {
+        const userId = req.session?.user?.id;
+        const serverId = req.params?.id;
+
+        try {
+          const user = await prisma.users.findUnique({ where: { id: userId } });
+          if (!user) {
+            return res.redirect('/login');
+          }
+
+          const server = await prisma.server.findUnique({
+            where: { UUID: serverId },
+            include: { node: true, image: true },
+          });
+
+          if (!server) {
+            res.status(404).json({ error: 'Server not found' });
+            return;
+          }
+
+          const schemas = getConfigSchema(server.image);
+          const requested = typeof req.query.file === 'string' ? req.query.file : '';
+          const schema = schemas.find((candidate) => candidate.file === requested) ?? schemas[0] ?? null;
+
+          let values: Record<string, ConfigValue | null> = {};
+          let exists = true;
+          let readError: string | null = null;
+          if (schema) {
+            try {
+              const file = await readConfigFile(server, schema.file);
+              const result = fieldValues(schema, file.content);
+              exists = file.exists;
+              if ('error' in result) {
+                readError = `${schema.file} could not be read: ${result.error}`;
+              } else {
+                values = result.values;
+              }
+            } catch (error) {
+              logger.error('Error reading config file:', error);
+              readError = `${schema.file} could not be loaded from the node`;
+            }
+          }
+
+          const settings = await prisma.settings.findUnique({ where: { id: 1 } });
+
+          res.render('user/server/config', {
+            user,
+            req,
+            server,
+            settings,
+            schemas,
+            schema,
+            values,
+            exists,
+            readError,
+            fileProtected: schema ? isFileDenied(getFileDenylist(server.image), schema.file) : false,
+            features: JSON.parse(server.image?.info || '{}').features || [],
+            installed: await checkForServerInstallation(serverId),
+          });
+        } catch (error) {
+          logger.error('Error fetching config:', error);
+          res.status(500).json({ error: 'Failed to fetch the config' });
+        }
+      },
+    );
+
+    router.post(
+      '/server/:id/config',
+      isAuthenticatedForServer('id', 'files.write'),
+      auditAction('server.config.update', 'server'),
+      async (req: Request, res: Response) => {
+        try {
+          const server = await prisma.server.findUnique({
+            where: { UUID: req.params.id },
+            include: { node: true, image: true },
+          });
+          if (!server) {
+            res.status(404).json({ error: 'Server not found' });
+            return;
+          }
+
+          const schema = getConfigSchema(server.image).find((candidate) => candidate.file === req.body?.file);
+          if (!schema) {
+            res.status(404).json({ error: 'The image does not describe this config file' });
+            return;
+          }
+          if (isFileDenied(getFileDenylist(server.image), schema.file)) {
+            res.status(403).json({ error: 'This file is protected by the server image and cannot be changed' });
+            return;
+          }
+
+          const result = validateConfigValues(schema, req.body?.values);
+          if ('errors' in result) {
+            res.status(400).json({ error: 'Some values are invalid', errors: result.errors });
+            return;
+          }
+
+          const { content } = await readConfigFile(server, schema.file);
+          const updated = applyConfigValues(schema.format, content, result.values);
+          if ('error' in updated) {
+            res.status(400).json({ error: updated.error });
+            return;
+          }
+
+          if (updated.content !== content) {
+            await writeServerFile(server, schema.file, updated.content);
+          }
+
+          const saved = fieldValues(schema, updated.content);
+          res.json({ success: true, values: 'values' in saved ? saved.values : {} });
+        } catch (error) {
+          logger.error('Error saving config:', error);
+          res.status(500).json({ error: 'Failed to save the config' });
+        }
+      },
+    );
+
+    return router;
+  },
+};
+
+process.on('SIGINT', async () => {
+  await prisma.$disconnect();
+  process.exit();
+});
+
+export default serverConfigModule;
@@ -4,6 +4,10 @@ import { PrismaClient } from '@prisma/client';
 import { WebSocket } from 'ws';
 import { isAuthenticatedForServerWS } from '../../handlers/utils/auth/serverAuthUtil';
 import logger from '../../handlers/logger';
+import {
+  getLatestInstallLog,
+  subscribeInstallLog,
+} from '../../handlers/utils/server/installLog';
 
 const prisma = new PrismaClient();
 
@@ -22,7 +26,7 @@ const wsServerConsoleModule: Module = {
 
     router.ws(
       '/console/:id',
-      isAuthenticatedForServerWS('id'),
+      isAuthenticatedForServerWS('id', 'password', 'console'),
       async (ws: WebSocket, req: Request) => {
         const userId = req.session?.user?.id;
         if (!userId) {
@@ -95,7 +99,7 @@ const wsServerConsoleModule: Module = {
 
     router.ws(
       '/api/console/:id/:password',
-      isAuthenticatedForServerWS('id', 'password'),
+      isAuthenticatedForServerWS('id', 'password', 'console'),
       async (ws: WebSocket, req: Request) => {
         if (!req.query.userId) {
           ws.send(JSON.stringify({ error: 'User not authenticated' }));
@@ -238,6 +242,55 @@ const wsServerConsoleModule: Module = {
       },
     );
 
+    router.ws(
+      '/install/:id',
+      isAuthenticatedForServerWS('id', 'password', 'console'),
+      async (ws: WebSocket, req: Request) => {
+        const userId = req.session?.user?.id;
+        if (!userId) {
+          ws.send(JSON.stringify({ error: 'User not authenticated' }));
+          ws.close();
+          return;
+        }
+
+        try {
+          const serverId = req.params.id;
+          const server = await prisma.server.findUnique({
+            where: { UUID: serverId },
+          });
+          if (!server) {
+            ws.send(JSON.stringify({ error: 'Server not found' }));
+            ws.close();
+            return;
+          }
+
+          // Subscribing right after reading the log, with no await in between,
+          // keeps output from being lost or sent twice
+          const log = await getLatestInstallLog(server.UUID);
+          const unsubscribe = subscribeInstallLog(server.UUID, (event) => {
+            if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(event));
+          });
+          ws.on('close', unsubscribe);
+
+          if (log) {
+            ws.send(JSON.stringify({
+              event: 'status',
+              status: log.status,
+              attempt: log.attempt,
+              error: log.error,
+            }));
+            if (log.output) {
+              ws.send(JSON.stringify({ event: 'output', data: log.output }));
+            }
+          }
+        } catch (error) {
+          logger.error('Error streaming install log:', error);
+          ws.send(JSON.stringify({ error: 'Internal server error' }));
+          ws.close();
+        }
+      },
+    );
+
     return router;
   },
 };
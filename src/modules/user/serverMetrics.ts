@@ -0,0 +1,117 @@
+import { Router, Request, Response } from 'express';
+import { Module } from '../../handlers/moduleInit';
+import { PrismaClient } from '@prisma/client';
+import { isAuthenticatedForServer } from '../../handlers/utils/auth/serverAuthUtil';
+import {
+  getServerMetrics,
+  METRIC_RANGES,
+  MetricRange,
+} from '../../handlers/metricsCollector';
+import {
+  getServerPlayerHistory,
+  PLAYER_HISTORY_RANGES,
+  PlayerHistoryRange,
+} from '../../handlers/playerStatsCollector';
+import logger from '../../handlers/logger';
+
+const prisma = new PrismaClient();
+
+const serverMetricsModule: Module = {
+  info: {
+    name: 'Server Metrics Module',
+    description: 'This file is for reading the performance and player history of a server.',
+    version: '1.0.0',
+    moduleVersion: '1.0.0',
+    author: 'AirLinkLab',
+    license: 'MIT',
+  },
+
+  router: () => {
+    const router = Router();
+
+    router.get(
+      '/server/:id/metrics',
+      isAuthenticatedForServer('id', 'console'),
+      async (req: Request, res: Response) => {
+        const serverId = req.params?.id;
+        const range = String(req.query.range || '1h') as MetricRange;
+
+        if (!(range in METRIC_RANGES)) {
+          res.status(400).json({
+            error: `Range must be one of ${Object.keys(METRIC_RANGES).join(', ')}`,
+          });
+          return;
+        }
+
+        try {
+          const server = await prisma.server.findUnique({ where: { UUID: serverId } });
+          if (!server) {
+            res.status(404).json({ error: 'Server not found' });
+            return;
+          }
+
+          const samples = await getServerMetrics(serverId, range);
+
+          res.json({
+            range,
+            resolution: METRIC_RANGES[range].resolution,
+            samples,
+          });
+        } catch (error) {
+          logger.error('Error fetching server metrics:', error);
+          res.status(500).json({ error: 'Failed to fetch server metrics' });
+        }
+      },
+    );
+
+    router.get(
+      '/server/:id/players/history',
+      isAuthenticatedForServer('id', 'console'),
+      async (req: Request, res: Response) => {
+        const serverId = req.params?.id;
+        const range = String(req.query.range || '24h') as PlayerHistoryRange;
+        // Minutes behind UTC, as the browser's getTimezoneOffset() gives them
+        const utcOffset = parseInt(String(req.query.utcOffset || '0'), 10) || 0;
+
+        if (!(range in PLAYER_HISTORY_RANGES)) {
+          res.status(400).json({
+            error: `Range must be one of ${Object.keys(PLAYER_HISTORY_RANGES).join(', ')}`,
+          });
+          return;
+        }
+        if (Math.abs(utcOffset) > 14 * 60) {
+          res.status(400).json({ error: 'utcOffset must be within 14 hours of UTC' });
+          return;
+        }
+
+        try {
+          const server = await prisma.server.findUnique({ where: { UUID: serverId } });
+          if (!server) {
+            res.status(404).json({ error: 'Server not found' });
+            return;
+          }
+
+          const history = await getServerPlayerHistory(serverId, range, utcOffset);
+
+          res.json({
+            range,
+            resolution: PLAYER_HISTORY_RANGES[range].resolution,
+            ...history,
+          });
+        } catch (error) {
+          logger.error('Error fetching player history:', error);
+          res.status(500).json({ error: 'Failed to fetch player history' });
+        }
+      },
+    );
+
+    return router;
+  },
+};
+
+process.on('SIGINT', async () => {
+  await prisma.$disconnect();
+  process.exit();
+});
+
+export default serverMetricsModule;
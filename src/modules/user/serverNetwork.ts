@@ -0,0 +1,220 @@
+import { Router, Request, Response } from 'express';
+import { Module } from '../../handlers/moduleInit';
+import { PrismaClient, Server } from '@prisma/client';
+import { isAuthenticatedForServer } from '../../handlers/utils/auth/serverAuthUtil';
+import { checkForServerInstallation } from '../../handlers/checkForServerInstallation';
+import {
+  claimAllocation,
+  syncServerPorts,
+} from '../../handlers/utils/node/allocations';
+import logger from '../../handlers/logger';
+import { auditAction } from '../../handlers/utils/core/auditLog';
+
+const prisma = new PrismaClient();
+
+/**
+ * Number of allocations a server may hold, its primary one included.
+ * Without an admin-set limit only the primary allocation is allowed.
+ */
+function getAllocationLimit(server: Pick<Server, 'allocationLimit'>): number {
+  return Math.max(1, server.allocationLimit ?? 1);
+}
+
+const serverNetworkModule: Module = {
+  info: {
+    name: 'Server Network Module',
+    description: 'This file is for managing the allocations of a server.',
+    version: '1.0.0',
+    moduleVersion: '1.0.0',
+    author: 'AirLinkLab',
+    license: 'MIT',
+  },
+
+  router: () => {
+    const router = Router();
+
+    router.get(
+      '/server/:id/network',
+      isAuthenticatedForServer('id', 'network'),
+      async (req: Request, res: Response) => {
+        const userId = req.session?.user?.id;
+        const serverId = req.params?.id;
+
+        try {
+          const user = await prisma.users.findUnique({ where: { id: userId } });
+          if (!user) {
+            return res.redirect('/login');
+          }
+
+          const server = await prisma.server.findUnique({
+            where: { UUID: serverId },
+            include: { node: true, image: true },
+          });
+
+          if (!server) {
+            res.status(404).json({ error: 'Server not found' });
+            return;
+          }
+
+          const allocations = await prisma.allocation.findMany({
+            where: { serverId },
+            orderBy: [{ primary: 'desc' }, { port: 'asc' }],
+          });
+
+          const freeAllocations = await prisma.allocation.findMany({
+            where: { nodeId: server.nodeId, serverId: null },
+            orderBy: [{ ip: 'asc' }, { port: 'asc' }],
+            take: 100,
+          });
+
+          const settings = await prisma.settings.findUnique({ where: { id: 1 } });
+
+          res.render('user/server/network', {
+            user,
+            req,
+            server,
+            settings,
+            allocations,
+            freeAllocations,
+            allocationLimit: getAllocationLimit(server),
+            features: JSON.parse(server.image.info || '{}').features || [],
+            installed: await checkForServerInstallation(serverId),
+          });
+        } catch (error) {
+          logger.error('Error fetching allocations:', error);
+          res.status(500).json({ error: 'Failed to fetch allocations' });
+        }
+      },
+    );
+
+    router.post(
+      '/server/:id/network/allocations',
+      isAuthenticatedForServer('id', 'network'),
+      auditAction('server.allocation.create', 'server'),
+      async (req: Request, res: Response) => {
+        const serverId = req.params?.id;
+        const allocationId = parseInt(req.body.allocationId) || undefined;
+
+        try {
+          const server = await prisma.server.findUnique({ where: { UUID: serverId } });
+          if (!server) {
+            res.status(404).json({ error: 'Server not found' });
+            return;
+          }
+
+          const limit = getAllocationLimit(server);
+
+          // Counting and claiming in one transaction keeps concurrent
+          // requests from going over the limit
+          const result = await prisma.$transaction(async (tx) => {
+            const count = await tx.allocation.count({ where: { serverId } });
+            if (count >= limit) return { error: `This server is limited to ${limit} allocation(s)` };
+
+            const allocation = await claimAllocation(tx, server.nodeId, serverId, {
+              allocationId,
+              primary: count === 0,
+            });
+            if (!allocation) return { error: 'No free allocation is available' };
+
+            await syncServerPorts(serverId, tx);
+            return { allocation };
+          });
+
+          if ('error' in result) {
+            res.status(400).json({ error: result.error });
+            return;
+          }
+
+          res.json({ success: true, allocation: result.allocation });
+        } catch (error) {
+          logger.error('Error adding allocation:', error);
+          res.status(500).json({ error: 'Failed to add allocation' });
+        }
+      },
+    );
+
+    router.post(
+      '/server/:id/network/allocations/:allocationId/primary',
+      isAuthenticatedForServer('id', 'network'),
+      auditAction('server.allocation.primary', 'server'),
+      async (req: Request, res: Response) => {
+        const serverId = req.params?.id;
+        const allocationId = parseInt(req.params.allocationId);
+
+        try {
+          const allocation = await prisma.allocation.findFirst({
+            where: { id: allocationId, serverId },
+          });
+          if (!allocation) {
+            res.status(404).json({ error: 'Allocation not found' });
+            return;
+          }
+
+          await prisma.$transaction(async (tx) => {
+            await tx.allocation.updateMany({
+              where: { serverId },
+              data: { primary: false },
+            });
+            await tx.allocation.update({
+              where: { id: allocationId },
+              data: { primary: true },
+            });
+            await syncServerPorts(serverId, tx);
+          });
+
+          res.json({ success: true });
+        } catch (error) {
+          logger.error('Error changing primary allocation:', error);
+          res.status(500).json({ error: 'Failed to change primary allocation' });
+        }
+      },
+    );
+
+    router.delete(
+      '/server/:id/network/allocations/:allocationId',
+      isAuthenticatedForServer('id', 'network'),
+      auditAction('server.allocation.delete', 'server'),
+      async (req: Request, res: Response) => {
+        const serverId = req.params?.id;
+        const allocationId = parseInt(req.params.allocationId);
+
+        try {
+          const allocation = await prisma.allocation.findFirst({
+            where: { id: allocationId, serverId },
+          });
+          if (!allocation) {
+            res.status(404).json({ error: 'Allocation not found' });
+            return;
+          }
+
+          if (allocation.primary) {
+            res.status(400).json({ error: 'The primary allocation cannot be removed' });
+            return;
+          }
+
+          await prisma.$transaction(async (tx) => {
+            await tx.allocation.update({
+              where: { id: allocationId },
+              data: { serverId: null, primary: false },
+            });
+            await syncServerPorts(serverId, tx);
+          });
+
+          res.json({ success: true });
+        } catch (error) {
+          logger.error('Error removing allocation:', error);
+          res.status(500).json({ error: 'Failed to remove allocation' });
+        }
+      },
+    );
+
+    return router;
+  },
+};
+
+process.on('SIGINT', async () => {
+  await prisma.$disconnect();
+  process.exit();
+});
+
+export default serverNetworkModule;
@@ -0,0 +1,174 @@
+import { Router, Request, Response } from 'express';
+import { Module } from '../../handlers/moduleInit';
+import { PrismaClient } from '@prisma/client';
+import { isAuthenticatedForServer } from '../../handlers/utils/auth/serverAuthUtil';
+import logger from '../../handlers/logger';
+import { auditAction } from '../../handlers/utils/core/auditLog';
+import {
+  PLAYER_LISTS,
+  PlayerListEntry,
+  PlayerListName,
+  addToPlayerList,
+  isPlayerList,
+  kickPlayer,
+  readPlayerList,
+  removeFromPlayerList,
+} from '../../handlers/utils/server/minecraftPlayers';
+
+const prisma = new PrismaClient();
+
+function findServer(serverId: string) {
+  return prisma.server.findUnique({
+    where: { UUID: serverId },
+    include: { node: true },
+  });
+}
+
+const serverPlayersModule: Module = {
+  info: {
+    name: 'Server Players Module',
+    description: 'This file is for managing the whitelist, operators and bans of Minecraft servers.',
+    version: '1.0.0',
+    moduleVersion: '1.0.0',
+    author: 'AirLinkLab',
+    license: 'MIT',
+  },
+
+  router: () => {
+    const router = Router();
+
+    router.get(
+      '/server/:id/players/lists',
+      isAuthenticatedForServer('id', 'players'),
+      async (req: Request, res: Response) => {
+        try {
+          const server = await findServer(req.params.id);
+          if (!server) {
+            res.status(404).json({ error: 'Server not found' });
+            return;
+          }
+
+          const lists = {} as Record<PlayerListName, PlayerListEntry[]>;
+          const errors: Partial<Record<PlayerListName, string>> = {};
+          for (const list of PLAYER_LISTS) {
+            try {
+              lists[list] = await readPlayerList(server, list);
+            } catch (error) {
+              lists[list] = [];
+              errors[list] = error instanceof Error ? error.message : 'Failed to read the list';
+            }
+          }
+
+          res.json({ lists, errors });
+        } catch (error) {
+          logger.error('Error fetching player lists:', error);
+          res.status(500).json({ error: 'Failed to fetch the player lists' });
+        }
+      },
+    );
+
+    router.post(
+      '/server/:id/players/lists/:list',
+      isAuthenticatedForServer('id', 'players'),
+      auditAction('server.players.add', 'server'),
+      async (req: Request, res: Response) => {
+        const { list } = req.params;
+        if (!isPlayerList(list)) {
+          res.status(404).json({ error: 'Unknown player list' });
+          return;
+        }
+
+        try {
+          const server = await findServer(req.params.id);
+          if (!server) {
+            res.status(404).json({ error: 'Server not found' });
+            return;
+          }
+
+          const result = await addToPlayerList(server, list, {
+            name: req.body?.name,
+            ip: req.body?.ip,
+            reason: req.body?.reason,
+            level: req.body?.level,
+          });
+          if ('error' in result) {
+            res.status(400).json({ error: result.error });
+            return;
+          }
+
+          res.json({ success: true, ...result });
+        } catch (error) {
+          logger.error('Error adding to player list:', error);
+          res.status(500).json({ error: error instanceof Error ? error.message : 'Failed to update the list' });
+        }
+      },
+    );
+
+    router.delete(
+      '/server/:id/players/lists/:list/:entry',
+      isAuthenticatedForServer('id', 'players'),
+      auditAction('server.players.remove', 'server'),
+      async (req: Request, res: Response) => {
+        const { list, entry } = req.params;
+        if (!isPlayerList(list)) {
+          res.status(404).json({ error: 'Unknown player list' });
+          return;
+        }
+
+        try {
+          const server = await findServer(req.params.id);
+          if (!server) {
+            res.status(404).json({ error: 'Server not found' });
+            return;
+          }
+
+          const result = await removeFromPlayerList(server, list, entry);
+          if ('error' in result) {
+            res.status(404).json({ error: result.error });
+            return;
+          }
+
+          res.json({ success: true, ...result });
+        } catch (error) {
+          logger.error('Error removing from player list:', error);
+          res.status(500).json({ error: error instanceof Error ? error.message : 'Failed to update the list' });
+        }
+      },
+    );
+
+    router.post(
+      '/server/:id/players/kick',
+      isAuthenticatedForServer('id', 'players'),
+      auditAction('server.players.kick', 'server'),
+      async (req: Request, res: Response) => {
+        try {
+          const server = await findServer(req.params.id);
+          if (!server) {
+            res.status(404).json({ error: 'Server not found' });
+            return;
+          }
+
+          const result = await kickPlayer(server, req.body?.name, req.body?.reason);
+          if ('error' in result) {
+            res.status(400).json({ error: result.error });
+            return;
+          }
+
+          res.json({ success: true });
+        } catch (error) {
+          logger.error('Error kicking player:', error);
+          res.status(500).json({ error: 'Failed to kick the player' });
+        }
+      },
+    );
+
+    return router;
+  },
+};
+
+process.on('SIGINT', async () => {
+  await prisma.$disconnect();
+  process.exit();
+});
+
+export default serverPlayersModule;
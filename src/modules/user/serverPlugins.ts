@@ -0,0 +1,136 @@
+import { Router, Request, Response } from 'express';
+import { Module } from '../../handlers/moduleInit';
+import { PrismaClient } from '@prisma/client';
+import { isAuthenticatedForServer } from '../../handlers/utils/auth/serverAuthUtil';
+import { checkForServerInstallation } from '../../handlers/checkForServerInstallation';
+import logger from '../../handlers/logger';
+import { auditAction } from '../../handlers/utils/core/auditLog';
+import {
+  InstalledPlugin,
+  PluginDirectory,
+  listPlugins,
+  setPluginEnabled,
+} from '../../handlers/utils/server/minecraftPlugins';
+import { getFileDenylist, isFileDenied, normalizeFilePath } from '../../handlers/utils/server/serverFiles';
+
+const prisma = new PrismaClient();
+
+const serverPluginsModule: Module = {
+  info: {
+    name: 'Server Plugins Module',
+    description: 'This file is for listing, uploading and toggling the plugins and mods of Minecraft servers.',
+    version: '1.0.0',
+    moduleVersion: '1.0.0',
+    author: 'AirLinkLab',
+    license: 'MIT',
+  },
+
+  router: () => {
+    const router = Router();
+
+    router.get(
+      '/server/:id/plugins',
+      isAuthenticatedForServer('id', 'files.read'),
+      async (req: Request, res: Response) => {
+        const userId = req.session?.user?.id;
+        const serverId = req.params?.id;
+
+        try {
+          const user = await prisma.users.findUnique({ where: { id: userId } });
+          if (!user) {
+            return res.redirect('/login');
+          }
+
+          const server = await prisma.server.findUnique({
+            where: { UUID: serverId },
+            include: { node: true, image: true },
+          });
+
+          if (!server) {
+            res.status(404).json({ error: 'Server not found' });
+            return;
+          }
+
+          let directories: PluginDirectory[] = [];
+          let plugins: InstalledPlugin[] = [];
+          let errorMessage: string | null = null;
+          try {
+            ({ directories, plugins } = await listPlugins(server));
+          } catch (error) {
+            logger.error('Error listing plugins:', error);
+            errorMessage = 'The plugins could not be loaded. The node may be offline or not responding.';
+          }
+
+          const denylist = getFileDenylist(server.image);
+          const settings = await prisma.settings.findUnique({ where: { id: 1 } });
+
+          res.render('user/server/plugins', {
+            user,
+            req,
+            server,
+            settings,
+            directories,
+            plugins: plugins.map((plugin) => ({ ...plugin, protected: isFileDenied(denylist, plugin.file) })),
+            errorMessage,
+            features: JSON.parse(server.image?.info || '{}').features || [],
+            installed: await checkForServerInstallation(serverId),
+          });
+        } catch (error) {
+          logger.error('Error fetching plugins:', error);
+          res.status(500).json({ error: 'Failed to fetch the plugins' });
+        }
+      },
+    );
+
+    router.post(
+      '/server/:id/plugins/toggle',
+      isAuthenticatedForServer('id', 'files.write'),
+      auditAction('server.plugin.toggle', 'server'),
+      async (req: Request, res: Response) => {
+        const file = normalizeFilePath(req.body?.file);
+        if (!file || typeof req.body?.enabled !== 'boolean') {
+          res.status(400).json({ error: 'A jar and whether to enable it are required' });
+          return;
+        }
+
+        try {
+          const server = await prisma.server.findUnique({
+            where: { UUID: req.params.id },
+            include: { node: true, image: true },
+          });
+          if (!server) {
+            res.status(404).json({ error: 'Server not found' });
+            return;
+          }
+
+          const denylist = getFileDenylist(server.image);
+          const target = req.body.enabled ? file.replace(/\.disabled$/i, '') : `${file.replace(/\.disabled$/i, '')}.disabled`;
+          if (isFileDenied(denylist, file) || isFileDenied(denylist, target)) {
+            res.status(403).json({ error: 'This jar is protected by the server image and cannot be changed' });
+            return;
+          }
+
+          const result = await setPluginEnabled(server, file, req.body.enabled);
+          if ('error' in result) {
+            res.status(400).json({ error: result.error });
+            return;
+          }
+
+          res.json({ success: true, file: result.file });
+        } catch (error) {
+          logger.error('Error toggling plugin:', error);
+          res.status(500).json({ error: 'Failed to change the plugin' });
+        }
+      },
+    );
+
+    return router;
+  },
+};
+
+process.on('SIGINT', async () => {
+  await prisma.$disconnect();
+  process.exit();
+});
+
+export default serverPluginsModule;
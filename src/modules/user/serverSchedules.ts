@@ -0,0 +1,407 @@
+import { Router, Request, Response } from 'express';
+import { Module } from '../../handlers/moduleInit';
+import { PrismaClient } from '@prisma/client';
+import { isAuthenticatedForServer } from '../../handlers/utils/auth/serverAuthUtil';
+import { ServerPermission } from '../../handlers/utils/server/serverPermissions';
+import { checkForServerInstallation } from '../../handlers/checkForServerInstallation';
+import { getNextCronRun, isValidCronExpression } from '../../handlers/utils/core/cron';
+import {
+  SCHEDULE_ACTIONS,
+  SCHEDULE_POWER_ACTIONS,
+  refreshNextRun,
+  runSchedule,
+} from '../../handlers/scheduler';
+import logger from '../../handlers/logger';
+import { auditAction } from '../../handlers/utils/core/auditLog';
+
+const prisma = new PrismaClient();
+
+// Permission a user needs to schedule each kind of task
+const ACTION_PERMISSIONS: Record<string, ServerPermission> = {
+  power: 'power',
+  command: 'console',
+  backup: 'backups',
+};
+
+interface ScheduleTaskInput {
+  action: string;
+  payload: string;
+  delaySeconds: number;
+}
+
+interface ScheduleInput {
+  name: string;
+  cron: string;
+  enabled: boolean;
+  onlyWhenOnline: boolean;
+  tasks: ScheduleTaskInput[];
+}
+
+/**
+ * Validates a schedule submitted from the schedules page.
+ * @param body Request body
+ * @param permissions Permissions of the user on the server
+ */
+function validateScheduleInput(
+  body: any,
+  permissions: ServerPermission[],
+): { errors: string[]; data: ScheduleInput } {
+  const errors: string[] = [];
+
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  const cron = typeof body.cron === 'string' ? body.cron.trim() : '';
+
+  if (!name) errors.push('Schedule name is required');
+  if (!cron) {
+    errors.push('Cron expression is required');
+  } else if (!isValidCronExpression(cron)) {
+    errors.push('Cron expression is invalid');
+  }
+
+  const rawTasks = Array.isArray(body.tasks) ? body.tasks : [];
+  if (rawTasks.length === 0) errors.push('At least one task is required');
+
+  const tasks: ScheduleTaskInput[] = rawTasks.map((task: any, index: number) => {
+    const action = String(task?.action || '');
+    const payload = typeof task?.payload === 'string' ? task.payload.trim() : '';
+    const delaySeconds = Math.max(0, parseInt(task?.delaySeconds, 10) || 0);
+
+    if (!(SCHEDULE_ACTIONS as readonly string[]).includes(action)) {
+      errors.push(`Task ${index + 1}: unknown action`);
+    } else if (!permissions.includes(ACTION_PERMISSIONS[action])) {
+      errors.push(`Task ${index + 1}: you do not have the "${ACTION_PERMISSIONS[action]}" permission`);
+    }
+
+    if (action === 'power' && !(SCHEDULE_POWER_ACTIONS as readonly string[]).includes(payload)) {
+      errors.push(`Task ${index + 1}: power action must be start, stop or restart`);
+    }
+    if (action === 'command' && !payload) {
+      errors.push(`Task ${index + 1}: command is required`);
+    }
+    if (delaySeconds > 3600) {
+      errors.push(`Task ${index + 1}: delay cannot be more than 3600 seconds`);
+    }
+
+    return { action, payload, delaySeconds };
+  });
+
+  return {
+    errors,
+    data: {
+      name,
+      cron,
+      enabled: body.enabled === undefined ? true : body.enabled === true || body.enabled === 'true',
+      onlyWhenOnline: body.onlyWhenOnline === true || body.onlyWhenOnline === 'true',
+      tasks,
+    },
+  };
+}
+
+const serverSchedulesModule: Module = {
+  info: {
+    name: 'Server Schedules Module',
+    description: 'This file is for scheduled tasks of a server.',
+    version: '1.0.0',
+    moduleVersion: '1.0.0',
+    author: 'AirLinkLab',
+    license: 'MIT',
+  },
+
+  router: () => {
+    const router = Router();
+
+    router.get(
+      '/server/:id/schedules',
+      isAuthenticatedForServer('id', 'schedules'),
+      async (req: Request, res: Response) => {
+        const userId = req.session?.user?.id;
+        const serverId = req.params?.id;
+
+        try {
+          const user = await prisma.users.findUnique({ where: { id: userId } });
+          if (!user) {
+            return res.redirect('/login');
+          }
+
+          const server = await prisma.server.findUnique({
+            where: { UUID: serverId },
+            include: { node: true, image: true },
+          });
+
+          if (!server) {
+            res.status(404).json({ error: 'Server not found' });
+            return;
+          }
+
+          const schedules = await prisma.schedule.findMany({
+            where: { serverId },
+            include: {
+              tasks: { orderBy: { sequence: 'asc' } },
+              runs: { orderBy: { startedAt: 'desc' }, take: 10 },
+            },
+            orderBy: { createdAt: 'asc' },
+          });
+
+          const settings = await prisma.settings.findUnique({ where: { id: 1 } });
+
+          res.render('user/server/schedules', {
+            user,
+            req,
+            server,
+            settings,
+            schedules: schedules.map((schedule) => ({
+              ...schedule,
+              runs: schedule.runs.map((run) => ({
+                ...run,
+                output: JSON.parse(run.output || '[]'),
+              })),
+            })),
+            powerActions: SCHEDULE_POWER_ACTIONS,
+            features: JSON.parse(server.image.info || '{}').features || [],
+            installed: await checkForServerInstallation(serverId),
+          });
+        } catch (error) {
+          logger.error('Error fetching schedules:', error);
+          res.status(500).json({ error: 'Failed to fetch schedules' });
+        }
+      },
+    );
+
+    router.post(
+      '/server/:id/schedules/preview',
+      isAuthenticatedForServer('id', 'schedules'),
+      async (req: Request, res: Response) => {
+        const cron = typeof req.body.cron === 'string' ? req.body.cron.trim() : '';
+
+        if (!isValidCronExpression(cron)) {
+          res.status(400).json({ error: 'Cron expression is invalid' });
+          return;
+        }
+
+        const upcoming: Date[] = [];
+        let from = new Date();
+        for (let i = 0; i < 5; i++) {
+          const next = getNextCronRun(cron, from);
+          if (!next) break;
+          upcoming.push(next);
+          from = next;
+        }
+
+        res.json({ upcoming });
+      },
+    );
+
+    router.post(
+      '/server/:id/schedules',
+      isAuthenticatedForServer('id', 'schedules'),
+      auditAction('server.schedule.create', 'server'),
+      async (req: Request, res: Response) => {
+        const serverId = req.params?.id;
+
+        try {
+          const { errors, data } = validateScheduleInput(
+            req.body,
+            res.locals.serverPermissions,
+          );
+          if (errors.length > 0) {
+            res.status(400).json({ error: errors[0], details: errors });
+            return;
+          }
+
+          const schedule = await prisma.schedule.create({
+            data: {
+              serverId,
+              name: data.name,
+              cron: data.cron,
+              enabled: data.enabled,
+              onlyWhenOnline: data.onlyWhenOnline,
+              tasks: {
+                create: data.tasks.map((task, index) => ({
+                  ...task,
+                  sequence: index,
+                })),
+              },
+            },
+          });
+
+          await refreshNextRun(schedule.id);
+
+          logger.info(`Created schedule ${schedule.id} for server ${serverId}`);
+          res.json({ success: true, id: schedule.id });
+        } catch (error) {
+          logger.error('Error creating schedule:', error);
+          res.status(500).json({ error: 'Failed to create schedule' });
+        }
+      },
+    );
+
+    router.post(
+      '/server/:id/schedules/:scheduleId',
+      isAuthenticatedForServer('id', 'schedules'),
+      auditAction('server.schedule.update', 'server'),
+      async (req: Request, res: Response) => {
+        const serverId = req.params?.id;
+        const scheduleId = parseInt(req.params.scheduleId, 10);
+
+        try {
+          const schedule = await prisma.schedule.findFirst({
+            where: { id: scheduleId, serverId },
+          });
+
+          if (!schedule) {
+            res.status(404).json({ error: 'Schedule not found' });
+            return;
+          }
+
+          const { errors, data } = validateScheduleInput(
+            req.body,
+            res.locals.serverPermissions,
+          );
+          if (errors.length > 0) {
+            res.status(400).json({ error: errors[0], details: errors });
+            return;
+          }
+
+          await prisma.$transaction([
+            prisma.scheduleTask.deleteMany({ where: { scheduleId } }),
+            prisma.schedule.update({
+              where: { id: scheduleId },
+              data: {
+                name: data.name,
+                cron: data.cron,
+                enabled: data.enabled,
+                onlyWhenOnline: data.onlyWhenOnline,
+                tasks: {
+                  create: data.tasks.map((task, index) => ({
+                    ...task,
+                    sequence: index,
+                  })),
+                },
+              },
+            }),
+          ]);
+
+          await refreshNextRun(scheduleId);
+
+          res.json({ success: true });
+        } catch (error) {
+          logger.error('Error updating schedule:', error);
+          res.status(500).json({ error: 'Failed to update schedule' });
+        }
+      },
+    );
+
+    router.delete(
+      '/server/:id/schedules/:scheduleId',
+      isAuthenticatedForServer('id', 'schedules'),
+      auditAction('server.schedule.delete', 'server'),
+      async (req: Request, res: Response) => {
+        const serverId = req.params?.id;
+        const scheduleId = parseInt(req.params.scheduleId, 10);
+
+        try {
+          const schedule = await prisma.schedule.findFirst({
+            where: { id: scheduleId, serverId },
+          });
+
+          if (!schedule) {
+            res.status(404).json({ error: 'Schedule not found' });
+            return;
+          }
+
+          await prisma.schedule.delete({ where: { id: scheduleId } });
+
+          logger.info(`Deleted schedule ${scheduleId} of server ${serverId}`);
+          res.json({ success: true });
+        } catch (error) {
+          logger.error('Error deleting schedule:', error);
+          res.status(500).json({ error: 'Failed to delete schedule' });
+        }
+      },
+    );
+
+    router.post(
+      '/server/:id/schedules/:scheduleId/run',
+      isAuthenticatedForServer('id', 'schedules'),
+      auditAction('server.schedule.run', 'server'),
+      async (req: Request, res: Response) => {
+        const serverId = req.params?.id;
+        const scheduleId = parseInt(req.params.scheduleId, 10);
+
+        try {
+          const schedule = await prisma.schedule.findFirst({
+            where: { id: scheduleId, serverId },
+            include: { tasks: true },
+          });
+
+          if (!schedule) {
+            res.status(404).json({ error: 'Schedule not found' });
+            return;
+          }
+
+          const missing = schedule.tasks
+            .map((task) => ACTION_PERMISSIONS[task.action])
+            .filter((permission) => permission && !res.locals.serverPermissions.includes(permission));
+          if (missing.length > 0) {
+            res.status(403).json({ error: `You need the "${missing[0]}" permission to run this schedule` });
+            return;
+          }
+
+          // Tasks can take minutes (backups), so the run continues in the background
+          runSchedule(scheduleId, 'manual').catch((error) => {
+            logger.error(`Error running schedule ${scheduleId}:`, error);
+          });
+
+          res.json({ success: true, message: 'Schedule started' });
+        } catch (error) {
+          logger.error('Error running schedule:', error);
+          res.status(500).json({ error: 'Failed to run schedule' });
+        }
+      },
+    );
+
+    router.get(
+      '/server/:id/schedules/:scheduleId/runs',
+      isAuthenticatedForServer('id', 'schedules'),
+      async (req: Request, res: Response) => {
+        const serverId = req.params?.id;
+        const scheduleId = parseInt(req.params.scheduleId, 10);
+
+        try {
+          const schedule = await prisma.schedule.findFirst({
+            where: { id: scheduleId, serverId },
+          });
+
+          if (!schedule) {
+            res.status(404).json({ error: 'Schedule not found' });
+            return;
+          }
+
+          const runs = await prisma.scheduleRun.findMany({
+            where: { scheduleId },
+            orderBy: { startedAt: 'desc' },
+          });
+
+          res.json({
+            runs: runs.map((run) => ({
+              ...run,
+              output: JSON.parse(run.output || '[]'),
+            })),
+          });
+        } catch (error) {
+          logger.error('Error fetching schedule runs:', error);
+          res.status(500).json({ error: 'Failed to fetch schedule runs' });
+        }
+      },
+    );
+
+    return router;
+  },
+};
+
+process.on('SIGINT', async () => {
+  await prisma.$disconnect();
+  process.exit();
+});
+
+export default serverSchedulesModule;
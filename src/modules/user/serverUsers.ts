@@ -0,0 +1,263 @@
+import { Router, Request, Response } from 'express';
+import { Module } from '../../handlers/moduleInit';
+import { PrismaClient } from '@prisma/client';
+import { isAuthenticatedForServer } from '../../handlers/utils/auth/serverAuthUtil';
+import {
+  SERVER_PERMISSIONS,
+  SERVER_PERMISSION_LABELS,
+  sanitizeServerPermissions,
+} from '../../handlers/utils/server/serverPermissions';
+import { checkForServerInstallation } from '../../handlers/checkForServerInstallation';
+import logger from '../../handlers/logger';
+import { recordAudit } from '../../handlers/utils/core/auditLog';
+
+const prisma = new PrismaClient();
+
+/**
+ * Only the owner of a server (or an admin) may manage its sub-users.
+ */
+function canManageSubusers(res: Response): boolean {
+  const access = res.locals.serverAccess;
+  return !!access && (access.isOwner || access.isAdmin);
+}
+
+const serverUsersModule: Module = {
+  info: {
+    name: 'Server Users Module',
+    description: 'This file is for managing sub-users of a server.',
+    version: '1.0.0',
+    moduleVersion: '1.0.0',
+    author: 'AirLinkLab',
+    license: 'MIT',
+  },
+
+  router: () => {
+    const router = Router();
+
+    router.get(
+      '/server/:id/users',
+      isAuthenticatedForServer('id'),
+      async (req: Request, res: Response) => {
+        const userId = req.session?.user?.id;
+        const serverId = req.params?.id;
+
+        try {
+          if (!canManageSubusers(res)) {
+            return res.redirect(`/server/${serverId}`);
+          }
+
+          const user = await prisma.users.findUnique({ where: { id: userId } });
+          if (!user) {
+            return res.redirect('/login');
+          }
+
+          const server = await prisma.server.findUnique({
+            where: { UUID: serverId },
+            include: { node: true, image: true, owner: true },
+          });
+
+          if (!server) {
+            res.status(404).json({ error: 'Server not found' });
+            return;
+          }
+
+          const subusers = await prisma.serverSubuser.findMany({
+            where: { serverId },
+            include: { user: { select: { id: true, username: true, email: true } } },
+            orderBy: { createdAt: 'asc' },
+          });
+
+          const settings = await prisma.settings.findUnique({ where: { id: 1 } });
+
+          res.render('user/server/users', {
+            user,
+            req,
+            server,
+            settings,
+            subusers: subusers.map((subuser) => ({
+              ...subuser,
+              permissions: sanitizeServerPermissions(
+                JSON.parse(subuser.permissions || '[]'),
+              ),
+            })),
+            availablePermissions: SERVER_PERMISSIONS,
+            permissionLabels: SERVER_PERMISSION_LABELS,
+            features: JSON.parse(server.image.info || '{}').features || [],
+            installed: await checkForServerInstallation(serverId),
+          });
+        } catch (error) {
+          logger.error('Error fetching server users:', error);
+          res.status(500).json({ error: 'Failed to fetch server users' });
+        }
+      },
+    );
+
+    router.post(
+      '/server/:id/users',
+      isAuthenticatedForServer('id'),
+      async (req: Request, res: Response) => {
+        const serverId = req.params?.id;
+        const { identifier, permissions } = req.body;
+
+        try {
+          if (!canManageSubusers(res)) {
+            res.status(403).json({ error: 'Only the server owner can manage users' });
+            return;
+          }
+
+          if (!identifier || typeof identifier !== 'string') {
+            res.status(400).json({ error: 'An email or username is required' });
+            return;
+          }
+
+          const server = await prisma.server.findUnique({
+            where: { UUID: serverId },
+          });
+
+          if (!server) {
+            res.status(404).json({ error: 'Server not found' });
+            return;
+          }
+
+          const invitedUser = await prisma.users.findFirst({
+            where: {
+              OR: [{ email: identifier.trim() }, { username: identifier.trim() }],
+            },
+          });
+
+          if (!invitedUser) {
+            res.status(404).json({ error: 'No user found with that email or username' });
+            return;
+          }
+
+          if (invitedUser.id === server.ownerId) {
+            res.status(400).json({ error: 'The owner already has full access to this server' });
+            return;
+          }
+
+          const existing = await prisma.serverSubuser.findUnique({
+            where: { serverId_userId: { serverId, userId: invitedUser.id } },
+          });
+
+          if (existing) {
+            res.status(400).json({ error: 'This user already has access to the server' });
+            return;
+          }
+
+          const subuser = await prisma.serverSubuser.create({
+            data: {
+              serverId,
+              userId: invitedUser.id,
+              permissions: JSON.stringify(sanitizeServerPermissions(permissions)),
+            },
+          });
+
+          await recordAudit(req, {
+            action: 'server.subuser.create',
+            targetType: 'server',
+            targetId: serverId,
+            after: { userId: invitedUser.id, permissions: JSON.parse(subuser.permissions) },
+          });
+
+          logger.info(`Added user ${invitedUser.id} as sub-user of server ${serverId}`);
+          res.json({ success: true, id: subuser.id });
+        } catch (error) {
+          logger.error('Error adding server user:', error);
+          res.status(500).json({ error: 'Failed to add user' });
+        }
+      },
+    );
+
+    router.post(
+      '/server/:id/users/:subuserId',
+      isAuthenticatedForServer('id'),
+      async (req: Request, res: Response) => {
+        const serverId = req.params?.id;
+        const subuserId = parseInt(req.params.subuserId, 10);
+
+        try {
+          if (!canManageSubusers(res)) {
+            res.status(403).json({ error: 'Only the server owner can manage users' });
+            return;
+          }
+
+          const subuser = await prisma.serverSubuser.findFirst({
+            where: { id: subuserId, serverId },
+          });
+
+          if (!subuser) {
+            res.status(404).json({ error: 'User not found' });
+            return;
+          }
+
+          const permissions = sanitizeServerPermissions(req.body.permissions);
+          await prisma.serverSubuser.update({
+            where: { id: subuser.id },
+            data: { permissions: JSON.stringify(permissions) },
+          });
+
+          await recordAudit(req, {
+            action: 'server.subuser.update',
+            targetType: 'server',
+            targetId: serverId,
+            before: { userId: subuser.userId, permissions: JSON.parse(subuser.permissions) },
+            after: { userId: subuser.userId, permissions },
+          });
+
+          res.json({ success: true });
+        } catch (error) {
+          logger.error('Error updating server user:', error);
+          res.status(500).json({ error: 'Failed to update user' });
+        }
+      },
+    );
+
+    router.delete(
+      '/server/:id/users/:subuserId',
+      isAuthenticatedForServer('id'),
+      async (req: Request, res: Response) => {
+        const serverId = req.params?.id;
+        const subuserId = parseInt(req.params.subuserId, 10);
+
+        try {
+          if (!canManageSubusers(res)) {
+            res.status(403).json({ error: 'Only the server owner can manage users' });
+            return;
+          }
+
+          const subuser = await prisma.serverSubuser.findFirst({
+            where: { id: subuserId, serverId },
+          });
+
+          if (!subuser) {
+            res.status(404).json({ error: 'User not found' });
+            return;
+          }
+
+          await prisma.serverSubuser.delete({ where: { id: subuser.id } });
+          await recordAudit(req, {
+            action: 'server.subuser.delete',
+            targetType: 'server',
+            targetId: serverId,
+            before: { userId: subuser.userId, permissions: JSON.parse(subuser.permissions) },
+          });
+
+          logger.info(`Removed user ${subuser.userId} from server ${serverId}`);
+          res.json({ success: true });
+        } catch (error) {
+          logger.error('Error removing server user:', error);
+          res.status(500).json({ error: 'Failed to remove user' });
+        }
+      },
+    );
+
+    return router;
+  },
+};
+
+process.on('SIGINT', async () => {
+  await prisma.$disconnect();
+  process.exit();
+});
+
+export default serverUsersModule;
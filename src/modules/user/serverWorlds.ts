@@ -0,0 +1,275 @@
+import { Router, Request, Response } from 'express';
+import axios from 'axios';
+import { Module } from '../../handlers/moduleInit';
+import { PrismaClient } from '@prisma/client';
+import { isAuthenticatedForServer } from '../../handlers/utils/auth/serverAuthUtil';
+import logger from '../../handlers/logger';
+import { DaemonUnsupportedError } from '../../handlers/utils/node/daemonCompat';
+import { auditAction } from '../../handlers/utils/core/auditLog';
+import { isWorld } from '../../handlers/features';
+import {
+  activateWorld,
+  createWorldDownload,
+  deleteWorld,
+  importWorld,
+} from '../../handlers/utils/server/minecraftWorlds';
+import {
+  deleteServerFiles,
+  findProtectedPath,
+  getFileDenylist,
+  isFileDenied,
+  normalizeFilePath,
+} from '../../handlers/utils/server/serverFiles';
+
+const prisma = new PrismaClient();
+
+function findServer(serverId: string) {
+  return prisma.server.findUnique({
+    where: { UUID: serverId },
+    include: { node: true, image: true },
+  });
+}
+
+// Worlds are folders in the volume root, so the name is a single segment
+function worldParam(value: unknown): string | null {
+  const world = normalizeFilePath(value);
+  return world && !world.includes('/') && world === value ? world : null;
+}
+
+const serverWorldsModule: Module = {
+  info: {
+    name: 'Server Worlds Module',
+    description: 'This file is for downloading, importing, resetting and switching the worlds of Minecraft servers.',
+    version: '1.0.0',
+    moduleVersion: '1.0.0',
+    author: 'AirLinkLab',
+    license: 'MIT',
+  },
+
+  router: () => {
+    const router = Router();
+
+    router.get(
+      '/server/:id/worlds/:world/download',
+      isAuthenticatedForServer('id', 'files.read'),
+      async (req: Request, res: Response) => {
+        const world = worldParam(req.params.world);
+        if (!world) {
+          res.status(400).json({ error: 'Invalid world name' });
+          return;
+        }
+
+        try {
+          const server = await findServer(req.params.id);
+          if (!server) {
+            res.status(404).json({ error: 'Server not found' });
+            return;
+          }
+
+          const serverInfo = {
+            nodeAddress: server.node.address,
+            nodePort: server.node.port,
+            serverUUID: server.UUID,
+            nodeKey: server.node.key,
+          };
+          if (!(await isWorld(world, serverInfo))) {
+            res.status(404).json({ error: `The world ${world} was not found` });
+            return;
+          }
+
+          const archive = await createWorldDownload(server, world);
+          // The archive is only needed until it has been sent
+          const removeArchive = () => {
+            deleteServerFiles(server, [archive]).catch(() => undefined);
+          };
+
+          let response;
+          try {
+            response = await axios({
+              method: 'GET',
+              url: `http://${server.node.address}:${server.node.port}/fs/download`,
+              params: { id: server.UUID, path: archive },
+              auth: {
+                username: 'Airlink',
+                password: server.node.key,
+              },
+              responseType: 'stream',
+            });
+          } catch (error) {
+            removeArchive();
+            throw error;
+          }
+
+          res.on('close', removeArchive);
+          res.setHeader('Content-Disposition', `attachment; filename="${world}.tar.gz"`);
+          res.setHeader('Content-Type', 'application/gzip');
+          response.data.pipe(res);
+        } catch (error) {
+          logger.error('Error downloading world:', error);
+          res.status(500).json({ error: error instanceof DaemonUnsupportedError ? error.message : 'Failed to download the world' });
+        }
+      },
+    );
+
+    router.post(
+      '/server/:id/worlds/import',
+      isAuthenticatedForServer('id', 'files.write'),
+      auditAction('server.world.import', 'server'),
+      async (req: Request, res: Response) => {
+        const archive = typeof req.body?.archive === 'string' ? req.body.archive : '';
+        const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+
+        try {
+          const server = await findServer(req.params.id);
+          if (!server) {
+            res.status(404).json({ error: 'Server not found' });
+            return;
+          }
+
+          const denylist = getFileDenylist(server.image);
+          if (isFileDenied(denylist, name)) {
+            res.status(403).json({ error: `${name} is protected and cannot be changed` });
+            return;
+          }
+
+          const result = await importWorld(server, archive, name, denylist);
+          if ('error' in result) {
+            res.status(400).json({ error: result.error });
+            return;
+          }
+
+          res.json({ success: true, world: result.world });
+        } catch (error) {
+          logger.error('Error importing world:', error);
+          res.status(500).json({ error: error instanceof DaemonUnsupportedError ? error.message : 'Failed to import the world' });
+        }
+      },
+    );
+
+    router.post(
+      '/server/:id/worlds/:world/reset',
+      isAuthenticatedForServer('id', 'files.write'),
+      auditAction('server.world.reset', 'server'),
+      async (req: Request, res: Response) => {
+        const world = worldParam(req.params.world);
+        if (!world) {
+          res.status(400).json({ error: 'Invalid world name' });
+          return;
+        }
+
+        try {
+          const server = await findServer(req.params.id);
+          if (!server) {
+            res.status(404).json({ error: 'Server not found' });
+            return;
+          }
+
+          const protectedPath = await findProtectedPath(
+            server,
+            getFileDenylist(server.image),
+            [world, `${world}_nether`, `${world}_the_end`],
+          );
+          if (protectedPath) {
+            res.status(403).json({ error: `${protectedPath} is protected and cannot be changed` });
+            return;
+          }
+
+          const result = await deleteWorld(server, world, { reset: true, backup: req.body?.backup === true });
+          if ('error' in result) {
+            res.status(400).json({ error: result.error });
+            return;
+          }
+
+          res.json({ success: true, ...result });
+        } catch (error) {
+          logger.error('Error resetting world:', error);
+          res.status(500).json({ error: error instanceof DaemonUnsupportedError ? error.message : 'Failed to reset the world' });
+        }
+      },
+    );
+
+    router.delete(
+      '/server/:id/worlds/:world',
+      isAuthenticatedForServer('id', 'files.write'),
+      auditAction('server.world.delete', 'server'),
+      async (req: Request, res: Response) => {
+        const world = worldParam(req.params.world);
+        if (!world) {
+          res.status(400).json({ error: 'Invalid world name' });
+          return;
+        }
+
+        try {
+          const server = await findServer(req.params.id);
+          if (!server) {
+            res.status(404).json({ error: 'Server not found' });
+            return;
+          }
+
+          const protectedPath = await findProtectedPath(server, getFileDenylist(server.image), [world]);
+          if (protectedPath) {
+            res.status(403).json({ error: `${protectedPath} is protected and cannot be changed` });
+            return;
+          }
+
+          const result = await deleteWorld(server, world, { backup: req.body?.backup === true });
+          if ('error' in result) {
+            res.status(400).json({ error: result.error });
+            return;
+          }
+
+          res.json({ success: true, ...result });
+        } catch (error) {
+          logger.error('Error deleting world:', error);
+          res.status(500).json({ error: error instanceof DaemonUnsupportedError ? error.message : 'Failed to delete the world' });
+        }
+      },
+    );
+
+    router.post(
+      '/server/:id/worlds/:world/activate',
+      isAuthenticatedForServer('id', 'files.write'),
+      auditAction('server.world.activate', 'server'),
+      async (req: Request, res: Response) => {
+        const world = worldParam(req.params.world);
+        if (!world) {
+          res.status(400).json({ error: 'Invalid world name' });
+          return;
+        }
+
+        try {
+          const server = await findServer(req.params.id);
+          if (!server) {
+            res.status(404).json({ error: 'Server not found' });
+            return;
+          }
+
+          if (isFileDenied(getFileDenylist(server.image), 'server.properties')) {
+            res.status(403).json({ error: 'server.properties is protected and cannot be changed' });
+            return;
+          }
+
+          const result = await activateWorld(server, world);
+          if ('error' in result) {
+            res.status(400).json({ error: result.error });
+            return;
+          }
+
+          res.json({ success: true, ...result });
+        } catch (error) {
+          logger.error('Error switching world:', error);
+          res.status(500).json({ error: 'Failed to switch the world' });
+        }
+      },
+    );
+
+    return router;
+  },
+};
+
+process.on('SIGINT', async () => {
+  await prisma.$disconnect();
+  process.exit();
+});
+
+export default serverWorldsModule;
@@ -0,0 +1,62 @@
+import { getTable, seedTables } from './helpers/fakePrisma';
+import { TestApp, startApp } from './helpers/app';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Router } from 'express';
+import adminModule from '../src/modules/admin/users';
+
+const ADMIN = 1;
+const USER = 2;
+
+let app: TestApp;
+
+before(async () => {
+  const router = Router();
+  router.use((req, _res, next) => {
+    (req as any).session = { user: { id: ADMIN } };
+    next();
+  });
+  router.use(adminModule.router());
+  app = await startApp(router);
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  seedTables({
+    users: [
+      { id: ADMIN, username: 'admin', isAdmin: true, twoFactorEnabled: false },
+      { id: USER, username: 'user', isAdmin: false, twoFactorEnabled: false },
+    ],
+    apiKey: [
+      { id: 1, name: 'created', type: 'application', userId: USER },
+      { id: 2, name: 'personal', type: 'client', userId: USER },
+    ],
+    loginHistory: [{ id: 1, userId: USER }],
+    server: [],
+  });
+});
+
+describe('deleting users', () => {
+  it('removes their client keys and login history and keeps their application keys', async () => {
+    assert.equal((await app.request('DELETE', `/admin/users/delete/${USER}`)).status, 200);
+    assert.equal(getTable('users').some((user) => user.id === USER), false);
+    assert.deepEqual(getTable('apiKey').map((key) => [key.name, key.userId]), [['created', null]]);
+    assert.equal(getTable('loginHistory').length, 0);
+  });
+
+  it('refuses users that still own servers', async () => {
+    getTable('server').push({ id: 1, UUID: 'owned', ownerId: USER });
+
+    const { status, body } = await app.request('DELETE', `/admin/users/delete/${USER}`);
+    assert.equal(status, 409);
+    assert.equal(body.error, 'User still owns 1 server(s)');
+    assert.equal(getTable('users').length, 2);
+  });
+
+  it('answers 404 for users that do not exist', async () => {
+    const { status, body } = await app.request('DELETE', '/admin/users/delete/99');
+    assert.equal(status, 404);
+    assert.equal(body.error, 'User not found');
+  });
+});
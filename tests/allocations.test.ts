@@ -0,0 +1,24 @@
+import { getTable, seedTables } from './helpers/fakePrisma';
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAllocations } from '../src/handlers/utils/node/allocations';
+
+beforeEach(() => {
+  seedTables({
+    allocation: [{ id: 1, nodeId: 1, ip: '0.0.0.0', port: 25565, serverId: null, primary: false }],
+  });
+});
+
+describe('creating allocations', () => {
+  it('skips ports the node already has on another ip', async () => {
+    assert.equal(await createAllocations(1, '10.0.0.2', [25565, 25566]), 1);
+    assert.deepEqual(
+      getTable('allocation').map((allocation) => `${allocation.ip}:${allocation.port}`),
+      ['0.0.0.0:25565', '10.0.0.2:25566'],
+    );
+  });
+
+  it('allows the same port on other nodes', async () => {
+    assert.equal(await createAllocations(2, '0.0.0.0', [25565]), 1);
+  });
+});
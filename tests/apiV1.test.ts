@@ -0,0 +1,263 @@
+import { getTable, seedTables } from './helpers/fakePrisma';
+import { TestApp, startApp } from './helpers/app';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import apiModule from '../src/modules/api/v1/api';
+import { MAX_PER_PAGE, paginationMeta, parsePagination } from '../src/handlers/utils/api/pagination';
+
+const TOKEN = 'application-key';
+const READ_ONLY_TOKEN = 'read-only-key';
+
+let app: TestApp;
+
+before(async () => {
+  app = await startApp(apiModule.router());
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  const key = { active: true, type: 'application', allowedIps: '[]', rateLimit: 0, expiresAt: null };
+  seedTables({
+    apiKey: [
+      { ...key, id: 1, name: 'full', key: TOKEN, permissions: JSON.stringify(['airlink.api.*']) },
+      { ...key, id: 2, name: 'read', key: READ_ONLY_TOKEN, permissions: JSON.stringify(['airlink.api.users.read']) },
+    ],
+    users: Array.from({ length: 5 }, (_, index) => ({
+      id: index + 1,
+      email: `user${index + 1}@example.com`,
+      username: `user${index + 1}`,
+      password: 'hash',
+      isAdmin: index === 0,
+      description: null,
+    })),
+    node: [{
+      id: 1,
+      name: 'node-1',
+      address: '127.0.0.1',
+      port: 3002,
+      key: 'node-key',
+      ram: 8192,
+      cpu: 400,
+      disk: 100,
+      memoryOverallocate: 0,
+      cpuOverallocate: 0,
+      diskOverallocate: 0,
+    }],
+    allocation: [
+      { id: 1, nodeId: 1, ip: '0.0.0.0', port: 25565, serverId: null, primary: false },
+      { id: 2, nodeId: 1, ip: '0.0.0.0', port: 25566, serverId: null, primary: false },
+    ],
+    images: [{
+      id: 1,
+      name: 'Paper',
+      startup: 'java -jar server.jar',
+      dockerImages: JSON.stringify([{ 'Java 21': 'ghcr.io/airlinklabs/java:21' }]),
+      variables: '[]',
+      scripts: null,
+      revision: 1,
+    }],
+  });
+});
+
+describe('pagination', () => {
+  it('clamps page and per_page', () => {
+    assert.deepEqual(parsePagination({}), { page: 1, perPage: 50, skip: 0, take: 50 });
+    assert.deepEqual(parsePagination({ page: '3', per_page: '10' }), { page: 3, perPage: 10, skip: 20, take: 10 });
+    assert.equal(parsePagination({ per_page: '1000' }).perPage, MAX_PER_PAGE);
+    assert.deepEqual(parsePagination({ page: '-2', per_page: 'abc' }), { page: 1, perPage: 50, skip: 0, take: 50 });
+  });
+
+  it('counts the pages', () => {
+    assert.deepEqual(paginationMeta(parsePagination({ per_page: '2' }), 5), { page: 1, perPage: 2, total: 5, totalPages: 3 });
+  });
+
+  it('pages through users with the total in meta', async () => {
+    const { status, body } = await app.request('GET', '/api/v1/users?page=2&per_page=2', { token: TOKEN });
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.map((user: { id: number }) => user.id), [3, 4]);
+    assert.deepEqual(body.meta, { page: 2, perPage: 2, total: 5, totalPages: 3 });
+    assert.equal(body.data[0].password, undefined);
+  });
+
+  it('filters before paging', async () => {
+    const { body } = await app.request('GET', '/api/v1/users?isAdmin=true', { token: TOKEN });
+    assert.deepEqual(body.data.map((user: { id: number }) => user.id), [1]);
+    assert.equal(body.meta.total, 1);
+  });
+});
+
+describe('authentication', () => {
+  it('refuses requests without a key', async () => {
+    assert.equal((await app.request('GET', '/api/v1/users')).status, 401);
+  });
+
+  it('refuses keys without the permission of the endpoint', async () => {
+    const { status, body } = await app.request('POST', '/api/v1/users', {
+      token: READ_ONLY_TOKEN,
+      body: { email: 'new@example.com', username: 'new', password: 'secret' },
+    });
+    assert.equal(status, 403);
+    assert.equal(body.requiredPermission, 'airlink.api.users.create');
+  });
+});
+
+describe('users', () => {
+  it('creates a user without returning the password', async () => {
+    const { status, body } = await app.request('POST', '/api/v1/users', {
+      token: TOKEN,
+      body: { email: 'new@example.com', username: 'new', password: 'secret' },
+    });
+    assert.equal(status, 201);
+    assert.equal(body.data.email, 'new@example.com');
+    assert.equal(body.data.password, undefined);
+
+    const stored = getTable('users').find((user) => user.email === 'new@example.com');
+    assert.notEqual(stored?.password, 'secret');
+    assert.ok(getTable('auditLog').some((entry) => entry.action === 'user.create' && entry.actorType === 'apiKey'));
+  });
+
+  it('lists every validation error of a user', async () => {
+    const { status, body } = await app.request('POST', '/api/v1/users', {
+      token: TOKEN,
+      body: { email: 'user2@example.com', username: 'user3' },
+    });
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Validation failed');
+    assert.deepEqual(body.details, ['Password is required', 'Email already in use', 'Username already in use']);
+  });
+
+  it('updates only the fields sent', async () => {
+    const { status, body } = await app.request('PATCH', '/api/v1/users/2', {
+      token: TOKEN,
+      body: { description: 'Moderator' },
+    });
+    assert.equal(status, 200);
+    assert.equal(body.data.description, 'Moderator');
+    assert.equal(body.data.email, 'user2@example.com');
+  });
+
+  it('answers 404 for users that do not exist', async () => {
+    assert.equal((await app.request('PATCH', '/api/v1/users/99', { token: TOKEN, body: {} })).status, 404);
+    assert.equal((await app.request('DELETE', '/api/v1/users/99', { token: TOKEN })).status, 404);
+  });
+
+  it('refuses to delete users that still own servers', async () => {
+    seedTables({ ...{ apiKey: getTable('apiKey'), users: getTable('users') }, server: [{ id: 1, UUID: 'owned', ownerId: 2 }] });
+    const { status, body } = await app.request('DELETE', '/api/v1/users/2', { token: TOKEN });
+    assert.equal(status, 409);
+    assert.equal(body.servers, 1);
+  });
+
+  it('deletes users without servers', async () => {
+    assert.equal((await app.request('DELETE', '/api/v1/users/3', { token: TOKEN })).status, 204);
+    assert.equal(getTable('users').some((user) => user.id === 3), false);
+  });
+
+  it('removes client keys of deleted users and keeps their application keys', async () => {
+    const keys = getTable('apiKey');
+    keys.push(
+      { id: 3, name: 'created', key: 'created-key', type: 'application', userId: 3 },
+      { id: 4, name: 'personal', key: 'personal-key', type: 'client', userId: 3 },
+    );
+
+    assert.equal((await app.request('DELETE', '/api/v1/users/3', { token: TOKEN })).status, 204);
+    assert.deepEqual(
+      getTable('apiKey').filter((key) => key.id > 2).map((key) => [key.name, key.userId]),
+      [['created', null]],
+    );
+  });
+});
+
+describe('servers', () => {
+  const server = {
+    name: 'Survival',
+    description: 'A server',
+    ownerId: 2,
+    imageId: 1,
+    dockerImage: 'Java 21',
+    Memory: 1024,
+    Cpu: 100,
+    Storage: 10,
+  };
+
+  it('lists every validation error of a server', async () => {
+    const { status, body } = await app.request('POST', '/api/v1/servers', {
+      token: TOKEN,
+      body: { name: '', nodeId: 1, Memory: -1 },
+    });
+    assert.equal(status, 400);
+    assert.deepEqual(body.details, [
+      'Name is required',
+      'Description is required',
+      'Owner is required',
+      'Image is required',
+      'An allocation is required when a node is selected',
+      'Docker image is required',
+      'Memory, Cpu and Storage must be positive whole numbers',
+    ]);
+  });
+
+  it('places servers without a node automatically on the lowest free port', async () => {
+    const { status, body } = await app.request('POST', '/api/v1/servers', { token: TOKEN, body: server });
+    assert.equal(status, 201);
+    assert.equal(body.data.nodeId, 1);
+    assert.equal(getTable('allocation').find((allocation) => allocation.id === 1)?.serverId, body.data.UUID);
+  });
+
+  it('uses the allocation given with a node', async () => {
+    const { status, body } = await app.request('POST', '/api/v1/servers', {
+      token: TOKEN,
+      body: { ...server, nodeId: 1, allocationId: 2 },
+    });
+    assert.equal(status, 201);
+    assert.equal(getTable('allocation').find((allocation) => allocation.id === 2)?.serverId, body.data.UUID);
+  });
+
+  it('refuses servers that do not fit on the node', async () => {
+    const { status, body } = await app.request('POST', '/api/v1/servers', {
+      token: TOKEN,
+      body: { ...server, nodeId: 1, allocationId: 1, Memory: 100000 },
+    });
+    assert.equal(status, 400);
+    assert.match(body.error, /memory/i);
+  });
+
+  it('refuses owners that do not exist', async () => {
+    const { status, body } = await app.request('POST', '/api/v1/servers', { token: TOKEN, body: { ...server, ownerId: 99 } });
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Owner not found');
+  });
+});
+
+describe('nodes', () => {
+  it('returns the key of a new node once', async () => {
+    const { status, body } = await app.request('POST', '/api/v1/nodes', {
+      token: TOKEN,
+      body: { name: 'node-2', address: '10.0.0.2', port: 3002, ram: 4096, cpu: 200, disk: 50 },
+    });
+    assert.equal(status, 201);
+    assert.match(body.data.key, /^[A-Za-z0-9]{32}$/);
+
+    const { body: updated } = await app.request('PATCH', `/api/v1/nodes/${body.data.id}`, {
+      token: TOKEN,
+      body: { ram: 8192 },
+    });
+    assert.equal(updated.data.ram, 8192);
+    assert.equal(updated.data.key, undefined);
+  });
+
+  it('lists every validation error of a node', async () => {
+    const { status, body } = await app.request('POST', '/api/v1/nodes', {
+      token: TOKEN,
+      body: { name: 'n', address: 'not an address', port: 80, ram: 0, cpu: 1, disk: 1 },
+    });
+    assert.equal(status, 400);
+    assert.deepEqual(body.details, [
+      'Name must be between 3 and 50 characters long.',
+      'RAM must be a positive number.',
+      'Address must be a valid IPv4, domain, or localhost.',
+      'Port must be a number between 1025 and 65535.',
+    ]);
+  });
+});
@@ -0,0 +1,81 @@
+import { getTable, seedTables } from './helpers/fakePrisma';
+import { TestApp, startApp } from './helpers/app';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import applicationModule from '../src/modules/api/Alternative/api';
+
+const TOKEN = 'application-key';
+
+let app: TestApp;
+
+before(async () => {
+  app = await startApp(applicationModule.router());
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  seedTables({
+    apiKey: [{
+      id: 1,
+      name: 'full',
+      key: TOKEN,
+      active: true,
+      type: 'application',
+      allowedIps: '[]',
+      rateLimit: 0,
+      expiresAt: null,
+      permissions: '[]',
+    }],
+    users: [{ id: 1, email: 'owner@example.com', isAdmin: false }],
+    node: [{ id: 1, name: 'node-1', ram: 8192, cpu: 400, disk: 100, memoryOverallocate: 0, cpuOverallocate: 0, diskOverallocate: 0 }],
+    allocation: [{ id: 1, nodeId: 1, port: 25565, serverId: null, primary: false }],
+    images: [{
+      id: 1,
+      startup: 'java -jar server.jar',
+      dockerImages: JSON.stringify([{ 'Java 21': 'ghcr.io/airlinklabs/java:21' }]),
+      variables: JSON.stringify([{ env: 'VERSION', name: 'Version', type: 'text', value: 'latest', rules: 'required' }]),
+      scripts: null,
+      revision: 1,
+    }],
+  });
+});
+
+describe('POST /api/application/servers', () => {
+  const body = {
+    name: 'Survival',
+    user: 1,
+    egg: 1,
+    docker_image: 'ghcr.io/airlinklabs/java:21',
+    limits: { memory: 1024, cpu: 100, disk: 10 },
+    environment: { VERSION: '1.21' },
+  };
+
+  it('creates the server through the shared provisioning', async () => {
+    const { status, body: created } = await app.request('POST', '/api/application/servers', { token: TOKEN, body });
+    assert.equal(status, 201);
+
+    const [server] = getTable('server');
+    assert.equal(server.UUID, created.attributes.id);
+    assert.equal(server.description, 'Server Generated by API');
+    assert.equal(server.dockerImage, JSON.stringify({ 'Java 21': 'ghcr.io/airlinklabs/java:21' }));
+    assert.equal(getTable('allocation')[0].serverId, server.UUID);
+  });
+
+  it('answers 400 for missing fields and unknown docker images', async () => {
+    assert.equal((await app.request('POST', '/api/application/servers', { token: TOKEN, body: { name: 'x' } })).status, 400);
+
+    const { status, body: error } = await app.request('POST', '/api/application/servers', {
+      token: TOKEN,
+      body: { ...body, docker_image: 'unknown' },
+    });
+    assert.equal(status, 400);
+    assert.equal(error, 'Docker image not found');
+  });
+
+  it('refuses owners that do not exist', async () => {
+    const { status, body: error } = await app.request('POST', '/api/application/servers', { token: TOKEN, body: { ...body, user: 99 } });
+    assert.equal(status, 400);
+    assert.equal(error, 'Owner not found');
+  });
+});
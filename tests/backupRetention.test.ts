@@ -0,0 +1,83 @@
+import { getTable, seedTables } from './helpers/fakePrisma';
+import { FakeDaemon, startDaemon } from './helpers/daemon';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { BackupLimitError, createBackupWithinLimit } from '../src/handlers/backupRetention';
+
+const SERVER = 'server-uuid';
+
+// Archives the server files unless `failing` is set
+let daemon: FakeDaemon;
+let failing = false;
+
+before(async () => {
+  daemon = await startDaemon((app) => {
+    app.post('/container/backup', (_req, res) => {
+      if (failing) {
+        res.status(500).json({ error: 'No space left on device' });
+        return;
+      }
+      res.json({ success: true, backup: { uuid: 'new', filePath: '/backups/new.tar.gz', size: 5 } });
+    });
+    app.delete('/container/backup', (_req, res) => {
+      res.json({ success: true });
+    });
+  });
+});
+
+after(async () => {
+  await daemon.close();
+});
+
+beforeEach(() => {
+  failing = false;
+  daemon.requests.length = 0;
+  seedTables({
+    backup: [
+      { id: 1, UUID: 'oldest', name: 'Oldest', serverId: SERVER, filePath: '/backups/oldest.tar.gz', locked: false, createdAt: new Date(1) },
+      { id: 2, UUID: 'newest', name: 'Newest', serverId: SERVER, filePath: '/backups/newest.tar.gz', locked: false, createdAt: new Date(2) },
+    ],
+  });
+});
+
+const server = () => ({
+  UUID: SERVER,
+  Transferring: false,
+  backupLimit: 2,
+  backupRetainLast: null,
+  backupRetainDays: null,
+  node: { address: '127.0.0.1', port: daemon.port, key: 'node-key' },
+}) as any;
+
+const backupNames = () => getTable('backup').map((backup) => backup.name);
+
+describe('backup limit', () => {
+  it('rotates out the oldest unlocked backup once the new one exists', async () => {
+    const { backup, rotated } = await createBackupWithinLimit(server(), 'Nightly');
+
+    assert.equal(backup.UUID, 'new');
+    assert.deepEqual(rotated.map((old) => old.UUID), ['oldest']);
+    assert.deepEqual(backupNames(), ['Newest', 'Nightly']);
+    assert.deepEqual(
+      daemon.requests.map((request) => `${request.method} ${request.body.backupPath ?? request.body.name}`),
+      ['POST Nightly', 'DELETE /backups/oldest.tar.gz'],
+    );
+  });
+
+  it('keeps every backup when the new one fails', async () => {
+    failing = true;
+
+    await assert.rejects(createBackupWithinLimit(server(), 'Nightly'));
+    assert.deepEqual(backupNames(), ['Oldest', 'Newest']);
+    assert.equal(daemon.requests.some((request) => request.method === 'DELETE'), false);
+  });
+
+  it('refuses a backup when every backup at the limit is locked', async () => {
+    getTable('backup').forEach((backup) => {
+      backup.locked = true;
+    });
+
+    await assert.rejects(createBackupWithinLimit(server(), 'Nightly'), BackupLimitError);
+    assert.equal(daemon.requests.length, 0);
+  });
+});
@@ -0,0 +1,84 @@
+import { seedTables } from './helpers/fakePrisma';
+import { createRequest, runMiddleware } from './helpers/express';
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isApiKeyAuthorizedForServer } from '../src/handlers/utils/auth/serverAuthUtil';
+
+const ADMIN = 1;
+const OWNER = 2;
+const SUBUSER = 3;
+
+beforeEach(() => {
+  seedTables({
+    users: [
+      { id: ADMIN, isAdmin: true },
+      { id: OWNER, isAdmin: false },
+      { id: SUBUSER, isAdmin: false },
+    ],
+    server: [
+      { UUID: 'owned', ownerId: OWNER },
+      { UUID: 'admin-owned', ownerId: ADMIN },
+    ],
+    serverSubuser: [
+      { serverId: 'owned', userId: SUBUSER, permissions: JSON.stringify(['console', 'power']) },
+      { serverId: 'owned', userId: ADMIN, permissions: JSON.stringify(['console']) },
+    ],
+  });
+});
+
+const request = (userId: number, serverId: string, scopes: string[]) =>
+  createRequest({
+    params: { id: serverId },
+    apiKey: { userId, permissions: JSON.stringify(scopes) },
+  });
+
+describe('isApiKeyAuthorizedForServer', () => {
+  it('limits the key to the permissions the user and the key share', async () => {
+    const { res, nextCalled } = await runMiddleware(
+      isApiKeyAuthorizedForServer('id', 'console'),
+      request(SUBUSER, 'owned', ['console', 'files.read']),
+    );
+    assert.equal(nextCalled, true);
+    assert.deepEqual(res.locals.serverAccess.permissions, ['console']);
+  });
+
+  it('refuses permissions the key is not scoped to', async () => {
+    const { res, nextCalled } = await runMiddleware(
+      isApiKeyAuthorizedForServer('id', 'power'),
+      request(SUBUSER, 'owned', ['console']),
+    );
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 403);
+  });
+
+  it('does not give an admin key servers the admin neither owns nor is a sub-user of', async () => {
+    seedTables({
+      users: [{ id: ADMIN, isAdmin: true }, { id: OWNER, isAdmin: false }],
+      server: [{ UUID: 'owned', ownerId: OWNER }],
+    });
+    const { res, nextCalled } = await runMiddleware(
+      isApiKeyAuthorizedForServer('id'),
+      request(ADMIN, 'owned', ['console']),
+    );
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 404);
+  });
+
+  it('gives an admin key the sub-user permissions of the admin', async () => {
+    const { res, nextCalled } = await runMiddleware(
+      isApiKeyAuthorizedForServer('id', 'power'),
+      request(ADMIN, 'owned', ['console', 'power']),
+    );
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 403);
+  });
+
+  it('gives an admin key the servers the admin owns', async () => {
+    const { res, nextCalled } = await runMiddleware(
+      isApiKeyAuthorizedForServer('id', 'power'),
+      request(ADMIN, 'admin-owned', ['power']),
+    );
+    assert.equal(nextCalled, true);
+    assert.equal(res.locals.serverAccess.isOwner, true);
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getNextCronRun, isValidCronExpression, parseCronExpression } from '../src/handlers/utils/core/cron';
+
+const sorted = (values: Set<number>) => [...values].sort((a, b) => a - b);
+
+// Thursday, in the local time zone the schedules run in
+const NEW_YEAR = new Date(2026, 0, 1, 0, 0);
+
+describe('parseCronExpression', () => {
+  it('expands steps over the whole field, a range or a start', () => {
+    const cron = parseCronExpression('*/15 0-12/4 5/10 * *');
+    assert.deepEqual(sorted(cron.minutes), [0, 15, 30, 45]);
+    assert.deepEqual(sorted(cron.hours), [0, 4, 8, 12]);
+    assert.deepEqual(sorted(cron.daysOfMonth), [5, 15, 25]);
+  });
+
+  it('expands ranges and lists', () => {
+    const cron = parseCronExpression('1,5-7,30 * * 1-3,12 *');
+    assert.deepEqual(sorted(cron.minutes), [1, 5, 6, 7, 30]);
+    assert.deepEqual(sorted(cron.months), [1, 2, 3, 12]);
+  });
+
+  it('reads 7 as Sunday', () => {
+    assert.deepEqual(sorted(parseCronExpression('0 0 * * 5-7').daysOfWeek), [0, 5, 6]);
+  });
+
+  it('restricts only the day fields that leave out days', () => {
+    const restricted = (expression: string) => {
+      const cron = parseCronExpression(expression);
+      return [cron.dayOfMonthRestricted, cron.dayOfWeekRestricted];
+    };
+    assert.deepEqual(restricted('0 0 * * *'), [false, false]);
+    assert.deepEqual(restricted('0 0 */1 * */1'), [false, false]);
+    assert.deepEqual(restricted('0 0 1-31 * 0-7'), [false, false]);
+    assert.deepEqual(restricted('0 0 */2 * 1-5'), [true, true]);
+  });
+
+  it('rejects invalid expressions', () => {
+    for (const expression of ['* * * *', '* * * * * *', '*/0 * * * *', '60 * * * *', '* * 0 * *', '5-1 * * * *', 'a * * * *']) {
+      assert.equal(isValidCronExpression(expression), false, expression);
+    }
+    assert.throws(() => parseCronExpression('*/0 * * * *'), /Invalid step "0"/);
+  });
+});
+
+describe('getNextCronRun', () => {
+  it('runs strictly after the given time', () => {
+    assert.deepEqual(getNextCronRun('0 0 * * *', NEW_YEAR), new Date(2026, 0, 2, 0, 0));
+    assert.deepEqual(getNextCronRun('*/15 * * * *', new Date(2026, 0, 1, 10, 7)), new Date(2026, 0, 1, 10, 15));
+  });
+
+  it('runs on either day when both day fields are restricted', () => {
+    // The 13th, or any Friday
+    assert.deepEqual(getNextCronRun('0 0 13 * 5', NEW_YEAR), new Date(2026, 0, 2, 0, 0));
+  });
+
+  it('runs only on the restricted day field otherwise', () => {
+    assert.deepEqual(getNextCronRun('0 0 13 * *', NEW_YEAR), new Date(2026, 0, 13, 0, 0));
+    assert.deepEqual(getNextCronRun('0 0 13 * */1', NEW_YEAR), new Date(2026, 0, 13, 0, 0));
+    assert.deepEqual(getNextCronRun('0 12 * * 1-5', new Date(2026, 0, 3, 0, 0)), new Date(2026, 0, 5, 12, 0));
+  });
+
+  it('moves to the next allowed month', () => {
+    assert.deepEqual(getNextCronRun('30 6 1 3 *', NEW_YEAR), new Date(2026, 2, 1, 6, 30));
+  });
+
+  it('gives up on dates that never come', () => {
+    assert.equal(getNextCronRun('0 0 31 2 *', NEW_YEAR), null);
+  });
+});
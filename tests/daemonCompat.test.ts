@@ -0,0 +1,82 @@
+import { seedTables } from './helpers/fakePrisma';
+import { FakeDaemon, startDaemon } from './helpers/daemon';
+import { TestApp, startApp } from './helpers/app';
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Router } from 'express';
+import serverModule from '../src/modules/user/server';
+import { DaemonUnsupportedError, getDaemonFeatures } from '../src/handlers/utils/node/daemonCompat';
+import { chmodServerFile, copyServerFiles } from '../src/handlers/utils/server/serverFiles';
+
+const SERVER = 'server-uuid';
+
+// A daemon serving only /fs/chmod, which answers that the file is missing
+let daemon: FakeDaemon;
+let panel: TestApp;
+
+before(async () => {
+  daemon = await startDaemon((app) => {
+    app.post('/fs/chmod', (_req, res) => {
+      res.status(404).json({ error: 'File not found' });
+    });
+  });
+
+  const router = Router();
+  router.use((req, _res, next) => {
+    (req as any).session = { user: { id: 1 } };
+    next();
+  });
+  router.use(serverModule.router());
+  panel = await startApp(router);
+
+  const node = { id: 1, name: 'node-1', address: '127.0.0.1', port: daemon.port, key: 'node-key' };
+  seedTables({
+    users: [{ id: 1, isAdmin: false }],
+    node: [node],
+    server: [{ UUID: SERVER, ownerId: 1, node, image: { info: '{}' } }],
+  });
+});
+
+after(async () => {
+  await daemon.close();
+  await panel.close();
+});
+
+const server = () => ({
+  UUID: SERVER,
+  node: { id: 1, name: 'node-1', address: '127.0.0.1', port: daemon.port, key: 'node-key' },
+}) as any;
+
+describe('daemon endpoints', () => {
+  it('asks the daemon which endpoints it serves', async () => {
+    assert.deepEqual(await getDaemonFeatures(server().node), {
+      transfers: false,
+      copy: false,
+      archive: false,
+      extract: false,
+      chmod: true,
+    });
+  });
+
+  it('reports endpoints the daemon does not serve', async () => {
+    await assert.rejects(
+      copyServerFiles(server(), ['world', 'plugins'], 'copies'),
+      new DaemonUnsupportedError({ name: 'node-1' }, 'copying files'),
+    );
+  });
+
+  it('keeps other 404 answers as they are', async () => {
+    await assert.rejects(chmodServerFile(server(), 'missing.txt', '644'), (error) => !(error instanceof DaemonUnsupportedError));
+  });
+
+  it('shows the error to the user', async () => {
+    const { status, body } = await panel.request('POST', `/server/${SERVER}/files/archive`, {
+      body: { path: '', files: ['world'], name: 'world', format: 'tar.gz' },
+    });
+    assert.equal(status, 500);
+    assert.equal(
+      body.error,
+      'The daemon of node node-1 does not support creating tar archives, update airlinkd on the node to use it',
+    );
+  });
+});
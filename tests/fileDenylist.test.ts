@@ -0,0 +1,144 @@
+import { seedTables } from './helpers/fakePrisma';
+import { TestApp, startApp } from './helpers/app';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Router } from 'express';
+import clientApiModule from '../src/modules/api/client/api';
+import serverModule from '../src/modules/user/server';
+import { isFileDenied, normalizeFilePath } from '../src/handlers/utils/server/serverFiles';
+
+const TOKEN = 'client-key';
+const OWNER = 1;
+const SERVER = 'server-uuid';
+const DENYLIST = ['server.jar', 'config/**', '!config/public.yml'];
+
+let clientApi: TestApp;
+let panel: TestApp;
+
+before(async () => {
+  clientApi = await startApp(clientApiModule.router());
+
+  const router = Router();
+  router.use((req, _res, next) => {
+    (req as any).session = { user: { id: OWNER } };
+    next();
+  });
+  router.use(serverModule.router());
+  panel = await startApp(router);
+});
+
+after(async () => {
+  await clientApi.close();
+  await panel.close();
+});
+
+function seed(denylist: string[]) {
+  seedTables({
+    apiKey: [{
+      id: 1,
+      key: TOKEN,
+      type: 'client',
+      active: true,
+      userId: OWNER,
+      allowedIps: '[]',
+      rateLimit: 0,
+      expiresAt: null,
+      permissions: JSON.stringify(['files.read', 'files.write']),
+      // Includes are not followed by the fake client, so relations are stored on the row
+      user: { id: OWNER, isAdmin: false },
+    }],
+    users: [{ id: OWNER, isAdmin: false }],
+    server: [{
+      UUID: SERVER,
+      ownerId: OWNER,
+      // Nothing listens here, daemon calls fail fast
+      node: { address: '127.0.0.1', port: 1, key: 'node-key' },
+      image: { info: JSON.stringify({ fileDenylist: denylist }) },
+    }],
+  });
+}
+
+beforeEach(() => seed(DENYLIST));
+
+describe('isFileDenied', () => {
+  it('protects matching paths and what is inside them', () => {
+    assert.equal(isFileDenied(DENYLIST, 'server.jar'), true);
+    assert.equal(isFileDenied(DENYLIST, 'plugins/server.jar'), true);
+    assert.equal(isFileDenied(DENYLIST, 'config/paper/global.yml'), true);
+    assert.equal(isFileDenied(DENYLIST, 'config/public.yml'), false);
+    assert.equal(isFileDenied(DENYLIST, 'server.properties'), false);
+    assert.equal(isFileDenied([], 'server.jar'), false);
+  });
+
+  it('checks the path as the daemon resolves it', () => {
+    assert.equal(isFileDenied(DENYLIST, '//config/./paper.yml'), true);
+    assert.equal(normalizeFilePath('/plugins/../server.jar'), null);
+  });
+
+  it('protects paths with parent segments, which the daemon would resolve', () => {
+    assert.equal(isFileDenied(DENYLIST, 'foo/../server.jar'), true);
+    assert.equal(isFileDenied([], 'foo/../server.jar'), false);
+  });
+});
+
+describe('client API file writes', () => {
+  const write = (file: string) =>
+    clientApi.request('POST', `/api/client/servers/${SERVER}/files/write`, {
+      token: TOKEN,
+      body: { file, content: 'changed' },
+    });
+
+  it('refuses protected files', async () => {
+    for (const file of ['server.jar', '/config/paper.yml', 'config//./paper.yml']) {
+      const { status, body } = await write(file);
+      assert.equal(status, 403, file);
+      assert.match(body.error, /is protected/);
+    }
+  });
+
+  it('refuses paths leaving the volume', async () => {
+    assert.equal((await write('../server.jar')).status, 400);
+  });
+});
+
+describe('panel archive routes', () => {
+  it('refuses archives of protected files', async () => {
+    const { status, body } = await panel.request('POST', `/server/${SERVER}/files/archive`, {
+      body: { path: '', files: ['world', 'config/paper.yml'], name: 'backup', format: 'tar.gz' },
+    });
+    assert.equal(status, 403);
+    assert.equal(body.error, 'config/paper.yml is protected and cannot be changed');
+  });
+
+  it('refuses archives written over protected files', async () => {
+    seed(['*.tar.gz']);
+    const { status, body } = await panel.request('POST', `/server/${SERVER}/files/archive`, {
+      body: { path: 'backups', files: ['world'], name: 'world', format: 'tar.gz' },
+    });
+    assert.equal(status, 403);
+    assert.equal(body.error, 'backups/world.tar.gz is protected and cannot be changed');
+  });
+
+  it('refuses extracting on images with a denylist', async () => {
+    const extract = await panel.request('POST', `/server/${SERVER}/files/extract`, { body: { path: 'upload.zip' } });
+    assert.equal(extract.status, 403);
+
+    const unzip = await panel.request('POST', `/server/${SERVER}/unzip`, { body: { relativePath: '/', zipname: 'upload.zip' } });
+    assert.equal(unzip.status, 403);
+  });
+});
+
+describe('panel file routes', () => {
+  it('refuses paths with parent segments', async () => {
+    const save = await panel.request('POST', `/server/${SERVER}/files/foo%2F..%2Fserver.jar`, { body: { content: 'changed' } });
+    assert.equal(save.status, 400);
+
+    const remove = await panel.request('DELETE', `/server/${SERVER}/files/rm/foo%2F..%2Fserver.jar`);
+    assert.equal(remove.status, 400);
+
+    for (const body of [{ path: 'foo/../server.jar', newName: 'paper.jar' }, { path: 'paper.jar', newName: '../server.jar' }]) {
+      const rename = await panel.request('POST', `/server/${SERVER}/rename`, { body });
+      assert.equal(rename.status, 400, JSON.stringify(body));
+    }
+  });
+});
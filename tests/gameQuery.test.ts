@@ -0,0 +1,157 @@
+import { FakeDaemon, startDaemon } from './helpers/daemon';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import dgram from 'dgram';
+import net from 'net';
+import { queryServer } from '../src/handlers/utils/query/gameQuery';
+
+const OFFLINE_MAGIC = Buffer.from('00ffff00fefefefefdfdfdfd12345678', 'hex');
+const CHALLENGE = Buffer.from([1, 2, 3, 4]);
+
+function varInt(value: number): Buffer {
+  const bytes: number[] = [];
+  do {
+    let byte = value & 0x7f;
+    value >>>= 7;
+    if (value !== 0) byte |= 0x80;
+    bytes.push(byte);
+  } while (value !== 0);
+  return Buffer.from(bytes);
+}
+
+// A Java server answering the status request after the handshake
+let java: net.Server;
+// A Bedrock server answering unconnected pings
+let bedrock: dgram.Socket;
+// A Source server handing out a challenge before its info
+let source: dgram.Socket;
+// A daemon able to ping the Java server the panel cannot reach
+let daemon: FakeDaemon;
+// A port nothing listens on
+let closedPort: number;
+
+const portOf = (server: net.Server | dgram.Socket) =>
+  (server.address() as net.AddressInfo).port;
+
+before(async () => {
+  java = net.createServer((socket) => {
+    socket.once('data', () => {
+      const status = Buffer.from(JSON.stringify({
+        version: { name: '1.21.1' },
+        players: { online: 3, max: 20 },
+        description: { text: '§aSurvival', extra: [{ text: ' world' }] },
+      }));
+      const body = Buffer.concat([varInt(0x00), varInt(status.length), status]);
+      socket.end(Buffer.concat([varInt(body.length), body]));
+    });
+  });
+  await new Promise<void>((resolve) => java.listen(0, '127.0.0.1', resolve));
+
+  bedrock = dgram.createSocket('udp4');
+  bedrock.on('message', (message, remote) => {
+    if (message[0] !== 0x01) return;
+    const status = Buffer.from('MCPE;Bedrock world;712;1.21.2;5;10;1234;Bedrock level;Survival;');
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(status.length);
+    bedrock.send(
+      Buffer.concat([Buffer.from([0x1c]), message.subarray(1, 9), Buffer.alloc(8), OFFLINE_MAGIC, length, status]),
+      remote.port,
+      remote.address,
+    );
+  });
+  await new Promise<void>((resolve) => bedrock.bind(0, '127.0.0.1', resolve));
+
+  source = dgram.createSocket('udp4');
+  source.on('message', (message, remote) => {
+    const header = Buffer.from([0xff, 0xff, 0xff, 0xff]);
+    const reply = message.subarray(message.length - 4).equals(CHALLENGE)
+      ? Buffer.concat([
+        header,
+        Buffer.from([0x49, 17]),
+        Buffer.from('Source world\0de_dust2\0csgo\0Counter-Strike\0', 'latin1'),
+        Buffer.from([0xda, 0x02, 12, 24, 2, 0x64, 0x6c, 0x00, 0x01]),
+        Buffer.from('1.38.7.9\0', 'latin1'),
+      ])
+      : Buffer.concat([header, Buffer.from([0x41]), CHALLENGE]);
+    source.send(reply, remote.port, remote.address);
+  });
+  await new Promise<void>((resolve) => source.bind(0, '127.0.0.1', resolve));
+
+  daemon = await startDaemon((app) => {
+    app.get('/minecraft/players', (_req, res) => {
+      res.json({ online: true, onlinePlayers: 7, maxPlayers: 50, version: 'Paper 1.21.1', players: [] });
+    });
+  });
+
+  const unused = net.createServer();
+  await new Promise<void>((resolve) => unused.listen(0, '127.0.0.1', resolve));
+  closedPort = portOf(unused);
+  await new Promise((resolve) => unused.close(resolve));
+});
+
+after(async () => {
+  await new Promise((resolve) => java.close(resolve));
+  await new Promise<void>((resolve) => bedrock.close(resolve));
+  await new Promise<void>((resolve) => source.close(resolve));
+  await daemon.close();
+});
+
+beforeEach(() => {
+  daemon.requests.length = 0;
+});
+
+function server(query: string, port: number) {
+  return {
+    UUID: 'server-uuid',
+    Ports: JSON.stringify([{ Port: `${port}:${port}`, primary: true }]),
+    node: { address: '127.0.0.1', port: daemon.port, key: 'node-key' },
+    image: { info: JSON.stringify({ query }) },
+  };
+}
+
+describe('game queries', () => {
+  it('pings Minecraft Java servers over TCP', async () => {
+    const query = await queryServer(server('minecraft-java', portOf(java)));
+    assert.ok(query && 'result' in query);
+    assert.equal(query.protocol, 'minecraft-java');
+    assert.deepEqual(
+      { ...query.result, latency: 0 },
+      { players: 3, maxPlayers: 20, version: '1.21.1', motd: 'Survival world', latency: 0 },
+    );
+    assert.equal(daemon.requests.length, 0);
+  });
+
+  it('pings Minecraft Bedrock servers over UDP', async () => {
+    const query = await queryServer(server('minecraft-bedrock', portOf(bedrock)));
+    assert.ok(query && 'result' in query);
+    assert.deepEqual(
+      { ...query.result, latency: 0 },
+      { players: 5, maxPlayers: 10, version: '1.21.2', motd: 'Bedrock world', latency: 0 },
+    );
+  });
+
+  it('answers the challenge of Source servers and leaves out bots', async () => {
+    const query = await queryServer(server('source', portOf(source)));
+    assert.ok(query && 'result' in query);
+    assert.deepEqual(
+      { ...query.result, latency: 0 },
+      { players: 10, maxPlayers: 24, version: '1.38.7.9', motd: 'Source world', latency: 0 },
+    );
+  });
+
+  it('asks the daemon for Minecraft Java servers the panel cannot reach', async () => {
+    const query = await queryServer(server('minecraft-java', closedPort));
+    assert.ok(query && 'result' in query);
+    assert.equal(query.result.players, 7);
+    assert.equal(query.result.maxPlayers, 50);
+    assert.deepEqual(daemon.requests.map((request) => request.query), [
+      { id: 'server-uuid', host: '127.0.0.1', port: String(closedPort) },
+    ]);
+  });
+
+  it('reports the failed query of other protocols without asking the daemon', async () => {
+    const query = await queryServer(server('source', closedPort));
+    assert.ok(query && 'error' in query);
+    assert.equal(daemon.requests.length, 0);
+  });
+});
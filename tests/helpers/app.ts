@@ -0,0 +1,45 @@
+import express, { Router } from 'express';
+import { AddressInfo } from 'net';
+import { Server } from 'http';
+
+export interface TestApp {
+  request(method: string, path: string, options?: { body?: unknown; token?: string }): Promise<{ status: number; body: any }>;
+  close(): Promise<void>;
+}
+
+/**
+ * Serves a module router on a free local port, parsing JSON bodies like the
+ * panel does
+ */
+export async function startApp(router: Router): Promise<TestApp> {
+  const app = express();
+  app.use(express.json());
+  app.use(router);
+
+  const server: Server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const { port } = server.address() as AddressInfo;
+
+  return {
+    async request(method, path, { body, token } = {}) {
+      const response = await fetch(`http://127.0.0.1:${port}${path}`, {
+        method,
+        headers: {
+          ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+      });
+      const text = await response.text();
+      let parsed: any = text;
+      try {
+        parsed = text ? JSON.parse(text) : undefined;
+      } catch {
+        // Plain text answers are returned as they are
+      }
+      return { status: response.status, body: parsed };
+    },
+    close: () => new Promise((resolve) => server.close(() => resolve())),
+  };
+}
@@ -0,0 +1,52 @@
+import express, { Express } from 'express';
+import { AddressInfo } from 'net';
+import { Server } from 'http';
+
+export interface FakeDaemon {
+  port: number;
+  // Every request received, in order
+  requests: { method: string; path: string; query: Record<string, unknown>; body: any }[];
+  close(): Promise<void>;
+}
+
+/**
+ * Serves a stand-in airlinkd on a free local port. `setup` registers the
+ * endpoints the test needs; JSON bodies are parsed, other bodies are left
+ * to the handler.
+ */
+export async function startDaemon(setup: (app: Express) => void): Promise<FakeDaemon> {
+  const requests: FakeDaemon['requests'] = [];
+  const app = express();
+  app.use(express.json());
+  app.use((req, _res, next) => {
+    requests.push({ method: req.method, path: req.path, query: req.query, body: req.body });
+    next();
+  });
+  setup(app);
+
+  const server: Server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  return {
+    port: (server.address() as AddressInfo).port,
+    requests,
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(() => resolve());
+    }),
+  };
+}
+
+/**
+ * Waits until `check` returns a value other than undefined
+ */
+export async function waitFor<T>(check: () => T | undefined, timeout = 5000): Promise<T> {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const value = check();
+    if (value !== undefined) return value;
+    if (Date.now() > deadline) throw new Error('Timed out waiting');
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
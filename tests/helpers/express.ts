@@ -0,0 +1,67 @@
+/**
+ * Request and response doubles for calling Express middleware directly
+ */
+
+export interface FakeResponse {
+  statusCode: number;
+  body: any;
+  redirectedTo: string | null;
+  locals: Record<string, any>;
+  status(code: number): FakeResponse;
+  json(body: any): FakeResponse;
+  send(body: any): FakeResponse;
+  redirect(url: string): void;
+}
+
+export function createResponse(): FakeResponse {
+  const res: FakeResponse = {
+    statusCode: 200,
+    body: undefined,
+    redirectedTo: null,
+    locals: {},
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+    send(body) {
+      res.body = body;
+      return res;
+    },
+    redirect(url) {
+      res.statusCode = 302;
+      res.redirectedTo = url;
+    },
+  };
+  return res;
+}
+
+export function createRequest(overrides: Record<string, any> = {}): any {
+  return {
+    method: 'GET',
+    params: {},
+    query: {},
+    body: {},
+    headers: {},
+    session: {},
+    ...overrides,
+  };
+}
+
+/**
+ * Runs a middleware and reports whether it called next
+ */
+export async function runMiddleware(
+  middleware: (req: any, res: any, next: () => void) => unknown,
+  req: any,
+  res: FakeResponse = createResponse(),
+): Promise<{ res: FakeResponse; nextCalled: boolean }> {
+  let nextCalled = false;
+  await middleware(req, res, () => {
+    nextCalled = true;
+  });
+  return { res, nextCalled };
+}
@@ -0,0 +1,181 @@
+/**
+ * An in-memory stand-in for PrismaClient, so handlers can be tested without a
+ * database. The test setup imports this file first, which replaces the
+ * PrismaClient export of @prisma/client before any handler creates a client.
+ */
+
+import crypto from 'crypto';
+
+type Row = Record<string, any>;
+
+// Column defaults the schema fills in that the code under test relies on
+const DEFAULTS: Record<string, () => Row> = {
+  server: () => ({ UUID: crypto.randomUUID(), createdAt: new Date() }),
+  installLog: () => ({ status: 'running', output: '', error: null, startedAt: new Date(), finishedAt: null }),
+};
+
+const tables: Record<string, Row[]> = {};
+
+// Compound unique keys such as `serverId_userId: { serverId, userId }` are
+// matched on their fields
+function flattenWhere(where: Row = {}): Row {
+  const flat: Row = {};
+  for (const [key, value] of Object.entries(where)) {
+    if (key.includes('_') && value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.assign(flat, value);
+    } else {
+      flat[key] = value;
+    }
+  }
+  return flat;
+}
+
+function matches(row: Row, where: Row = {}): boolean {
+  return Object.entries(flattenWhere(where)).every(([key, value]) => {
+    // Prisma ignores filters that are undefined
+    if (value === undefined) return true;
+    if (key === 'OR') return (value as Row[]).some((branch) => matches(row, branch));
+    if (key === 'AND') return (value as Row[]).every((branch) => matches(row, branch));
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      if ('in' in value) return value.in.includes(row[key]);
+      if ('notIn' in value) return !value.notIn.includes(row[key]);
+      if ('not' in value) return row[key] !== value.not;
+      if ('contains' in value) return String(row[key] ?? '').includes(value.contains);
+    }
+    return row[key] === value;
+  });
+}
+
+// Nested selects and includes are not followed, related rows are left out
+function project(row: Row, select?: Row): Row {
+  if (!select) return { ...row };
+  return Object.fromEntries(Object.keys(select).filter((key) => select[key]).map((key) => [key, row[key]]));
+}
+
+interface FindArgs {
+  where?: Row;
+  select?: Row;
+  orderBy?: Row | Row[];
+  skip?: number;
+  take?: number;
+}
+
+function compare(a: Row, b: Row, orderBy: Row | Row[]): number {
+  for (const order of Array.isArray(orderBy) ? orderBy : [orderBy]) {
+    for (const [key, direction] of Object.entries(order)) {
+      const result = (a[key] < b[key] ? -1 : a[key] > b[key] ? 1 : 0) * (direction === 'desc' ? -1 : 1);
+      if (result !== 0) return result;
+    }
+  }
+  return 0;
+}
+
+function aggregate(rows: Row[], fields: Row | undefined, reduce: (values: number[]) => number | null): Row | undefined {
+  if (!fields) return undefined;
+  return Object.fromEntries(Object.keys(fields).map((key) => {
+    const values = rows.map((row) => row[key]).filter((value) => typeof value === 'number');
+    return [key, values.length > 0 ? reduce(values) : null];
+  }));
+}
+
+function model(name: string) {
+  const rows = () => (tables[name] ??= []);
+  const find = ({ where, select, orderBy, skip = 0, take }: FindArgs = {}) => {
+    const found = rows().filter((row) => matches(row, where));
+    if (orderBy) found.sort((a, b) => compare(a, b, orderBy));
+    return found.slice(skip, take === undefined ? undefined : skip + take).map((row) => project(row, select));
+  };
+  const create = ({ data, select }: { data: Row; select?: Row }) => {
+    const row = {
+      id: rows().reduce((max, candidate) => Math.max(max, candidate.id ?? 0), 0) + 1,
+      ...DEFAULTS[name]?.(),
+      ...data,
+    };
+    rows().push(row);
+    return project(row, select);
+  };
+
+  return {
+    findUnique: async (args: FindArgs) => find(args)[0] ?? null,
+    findFirst: async (args: FindArgs = {}) => find(args)[0] ?? null,
+    findMany: async (args: FindArgs = {}) => find(args),
+    count: async ({ where }: { where?: Row } = {}) => find({ where }).length,
+    groupBy: async ({ by, where, _sum, _avg, _max, _count }: FindArgs & { by: string[]; _sum?: Row; _avg?: Row; _max?: Row; _count?: Row }) => {
+      const groups = new Map<string, Row[]>();
+      for (const row of find({ where })) {
+        const id = JSON.stringify(by.map((key) => row[key]));
+        groups.set(id, [...(groups.get(id) ?? []), row]);
+      }
+      return [...groups.values()].map((group) => ({
+        ...Object.fromEntries(by.map((key) => [key, group[0][key]])),
+        _sum: aggregate(group, _sum, (values) => values.reduce((sum, value) => sum + value, 0)),
+        _avg: aggregate(group, _avg, (values) => values.reduce((sum, value) => sum + value, 0) / values.length),
+        _max: aggregate(group, _max, (values) => Math.max(...values)),
+        _count: _count ? { _all: group.length } : undefined,
+      }));
+    },
+    create: async (args: { data: Row; select?: Row }) => create(args),
+    createMany: async ({ data }: { data: Row[] }) => {
+      data.forEach((row) => create({ data: row }));
+      return { count: data.length };
+    },
+    update: async ({ where, data, select }: { where: Row; data: Row; select?: Row }) => {
+      const row = rows().find((candidate) => matches(candidate, where));
+      if (!row) throw new Error(`No ${name} row to update`);
+      return project(Object.assign(row, data), select);
+    },
+    updateMany: async ({ where, data }: { where?: Row; data: Row }) => {
+      const found = rows().filter((row) => matches(row, where));
+      found.forEach((row) => Object.assign(row, data));
+      return { count: found.length };
+    },
+    delete: async ({ where }: { where: Row }) => {
+      const index = rows().findIndex((row) => matches(row, where));
+      if (index === -1) throw new Error(`No ${name} row to delete`);
+      return rows().splice(index, 1)[0];
+    },
+    deleteMany: async ({ where }: { where?: Row } = {}) => {
+      const kept = rows().filter((row) => !matches(row, where));
+      const count = rows().length - kept.length;
+      tables[name] = kept;
+      return { count };
+    },
+  };
+}
+
+export const fakePrisma: any = new Proxy(
+  {
+    $connect: async () => undefined,
+    $disconnect: async () => undefined,
+    // Interactive transactions get the same client, without isolation
+    $transaction: async (operations: Promise<unknown>[] | ((tx: unknown) => Promise<unknown>)) =>
+      typeof operations === 'function' ? operations(fakePrisma) : Promise.all(operations),
+  } as Row,
+  {
+    get(target, property: string) {
+      if (property in target) return target[property];
+      return (target[property] = model(property));
+    },
+  },
+);
+
+/**
+ * Replaces every table with the rows given, leaving the others empty
+ */
+export function seedTables(seed: Record<string, Row[]>): void {
+  for (const name of Object.keys(tables)) delete tables[name];
+  for (const [name, rows] of Object.entries(seed)) tables[name] = rows.map((row) => ({ ...row }));
+}
+
+export function getTable(name: string): Row[] {
+  return tables[name] ?? [];
+}
+
+require('@prisma/client');
+const prismaModule = require.cache[require.resolve('@prisma/client')]!;
+prismaModule.exports = {
+  ...prismaModule.exports,
+  PrismaClient: function PrismaClient() {
+    return fakePrisma;
+  },
+};
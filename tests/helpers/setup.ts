@@ -0,0 +1,18 @@
+/**
+ * Loaded before every test file. The panel's logger wraps stdout, which the
+ * test runner reports through, so a silent one takes its place; Prisma is
+ * replaced by the in-memory double.
+ */
+import Module from 'module';
+import './fakePrisma';
+
+const loggerPath = require.resolve('../../src/handlers/logger');
+const noop = () => undefined;
+const logger = new Module(loggerPath);
+logger.filename = loggerPath;
+logger.loaded = true;
+logger.exports = {
+  __esModule: true,
+  default: { error: noop, warn: noop, info: noop, success: noop, debug: noop, log: noop, box: noop },
+};
+require.cache[loggerPath] = logger;
@@ -0,0 +1,112 @@
+import { getTable, seedTables } from './helpers/fakePrisma';
+import { FakeDaemon, startDaemon, waitFor } from './helpers/daemon';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { AddressInfo } from 'net';
+import { WebSocketServer } from 'ws';
+import {
+  INSTALL_TIMEOUT,
+  beginInstallAttempt,
+  getLatestInstallLog,
+  subscribeInstallLog,
+} from '../src/handlers/utils/server/installLog';
+import { checkForServerInstallation } from '../src/handlers/checkForServerInstallation';
+
+const SERVER = 'server-uuid';
+
+// A daemon without the installer endpoint, on which no install finishes
+let oldDaemon: FakeDaemon;
+// A daemon streaming an install: the auth event it got, then two lines and the result
+let installer: WebSocketServer;
+const authEvents: unknown[] = [];
+
+before(async () => {
+  oldDaemon = await startDaemon((app) => {
+    app.get('/', (_req, res) => {
+      res.json({ status: 'Online' });
+    });
+    app.get('/fs/file/content', (_req, res) => {
+      res.status(404).json({ error: 'File not found' });
+    });
+  });
+
+  installer = new WebSocketServer({ host: '127.0.0.1', port: 0, path: `/installer/${SERVER}` });
+  await new Promise((resolve) => installer.once('listening', resolve));
+  installer.on('connection', (socket) => {
+    socket.once('message', (message) => {
+      authEvents.push(JSON.parse(message.toString()));
+      socket.send('Downloading server.jar\n');
+      socket.send('Done\n');
+      socket.send(JSON.stringify({ event: 'install', status: 'success' }));
+    });
+  });
+});
+
+after(async () => {
+  await oldDaemon.close();
+  await new Promise((resolve) => installer.close(resolve));
+});
+
+beforeEach(() => {
+  authEvents.length = 0;
+});
+
+function seed(port: number) {
+  const node = { id: 1, name: 'node-1', address: '127.0.0.1', port, key: 'node-key' };
+  const server = { id: 1, UUID: SERVER, Installing: false, InstallFailed: false };
+  // Includes are not followed by the fake client, so the node is stored on the row
+  seedTables({ node: [node], server: [{ ...server, node }] });
+  return { ...server, node } as any;
+}
+
+describe('install logs', () => {
+  it('records the output and result the daemon streams', async () => {
+    const server = seed((installer.address() as AddressInfo).port);
+    const output: string[] = [];
+    const unsubscribe = subscribeInstallLog(SERVER, (event) => {
+      if (event.event === 'output') output.push(event.data);
+    });
+
+    try {
+      await beginInstallAttempt(server);
+      const log = await waitFor(() => getTable('installLog').find((row) => row.status !== 'running'));
+
+      assert.deepEqual(authEvents, [{ event: 'auth', args: ['node-key'] }]);
+      assert.equal(log.status, 'succeeded');
+      assert.equal(log.output, 'Downloading server.jar\nDone\n');
+      assert.deepEqual(output, ['Downloading server.jar\n', 'Done\n']);
+      assert.equal(getTable('server')[0].Installing, false);
+    } finally {
+      unsubscribe();
+    }
+  });
+
+  it('notes in the log that the daemon has no installer endpoint', async () => {
+    const server = seed(oldDaemon.port);
+    const notice = 'The daemon of node node-1 does not support live install logs, update airlinkd on the node to use it\n';
+
+    await beginInstallAttempt(server);
+    const log = await waitFor(() => getTable('installLog').find((row) => row.output === notice));
+
+    // The install goes on, its result comes from the installed marker check
+    assert.equal(log.status, 'running');
+    assert.equal((await getLatestInstallLog(SERVER))?.output, notice);
+  });
+
+  it('fails an install the installed marker does not confirm in time', async () => {
+    const server = seed(oldDaemon.port);
+    await beginInstallAttempt(server);
+
+    // Still within the timeout
+    assert.deepEqual(await checkForServerInstallation(SERVER), { installed: false });
+    assert.equal(getTable('installLog')[0].status, 'running');
+
+    getTable('installLog')[0].startedAt = new Date(Date.now() - INSTALL_TIMEOUT - 1000);
+    assert.deepEqual(await checkForServerInstallation(SERVER), { installed: false, failed: true });
+
+    const log = getTable('installLog')[0];
+    assert.equal(log.status, 'failed');
+    assert.equal(log.error, `The install did not finish within ${Math.round(INSTALL_TIMEOUT / 60000)} minutes`);
+    assert.equal(getTable('server')[0].InstallFailed, true);
+  });
+});
@@ -0,0 +1,70 @@
+import './helpers/fakePrisma';
+import { before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import permissions from '../src/handlers/permisions';
+import {
+  RegisteredApiRoute,
+  buildOpenApiSpec,
+  collectApiRoutes,
+  findUndocumentedApiRoutes,
+} from '../src/handlers/utils/api/openapi';
+
+const API_MODULES = path.join(__dirname, '../src/modules/api');
+
+// Every module under src/modules/api, mounted the way the module loader does
+function apiModuleFiles(dir: string): string[] {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return apiModuleFiles(fullPath);
+    return entry.name.endsWith('.ts') ? [fullPath] : [];
+  });
+}
+
+const app = express();
+let routes: RegisteredApiRoute[];
+
+before(() => {
+  for (const file of apiModuleFiles(API_MODULES)) {
+    app.use(require(file).default.router());
+  }
+  routes = collectApiRoutes(app);
+});
+
+describe('OpenAPI coverage', () => {
+  it('documents every registered API route', () => {
+    assert.deepEqual(findUndocumentedApiRoutes(app), { undocumented: [], missing: [] });
+  });
+
+  it('authenticates every API route except the health check', () => {
+    const unauthenticated = routes.filter((route) => route.auth === 'none').map((route) => route.path);
+    assert.deepEqual(unauthenticated, ['/api/v1/ping']);
+  });
+
+  it('requires registered permissions on v1 routes', () => {
+    for (const route of routes.filter((candidate) => candidate.path.startsWith('/api/v1/') && candidate.auth !== 'none')) {
+      assert.ok(route.permission, `${route.method} ${route.path} has no permission`);
+      assert.ok(permissions.includes(route.permission), `${route.permission} is not registered`);
+    }
+  });
+
+  it('takes the permissions of the spec from the validators', () => {
+    const spec = buildOpenApiSpec(app, 'test');
+    const operation = (pathName: string, method: string) =>
+      (spec.paths[pathName] as Record<string, Record<string, unknown>>)[method];
+
+    assert.equal(operation('/api/v1/users/{id}', 'delete')['x-permission'], 'airlink.api.users.delete');
+    assert.equal(operation('/api/client/servers/{id}/power', 'post')['x-server-permission'], 'power');
+    assert.deepEqual(operation('/api/client/servers/{id}/power', 'post').security, [{ client: [] }]);
+    assert.deepEqual(operation('/api/v1/ping', 'get').security, []);
+  });
+
+  it('gives every operation its own id', () => {
+    const ids = Object.values(buildOpenApiSpec(app, 'test').paths).flatMap((methods) =>
+      Object.values(methods as Record<string, { operationId: string }>).map((operation) => operation.operationId),
+    );
+    assert.equal(new Set(ids).size, ids.length);
+  });
+});
@@ -0,0 +1,141 @@
+import { fakePrisma, seedTables } from './helpers/fakePrisma';
+import { createRequest, runMiddleware } from './helpers/express';
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SERVER_PERMISSIONS,
+  getServerAccess,
+} from '../src/handlers/utils/server/serverPermissions';
+import { isAuthenticatedForServer } from '../src/handlers/utils/auth/serverAuthUtil';
+
+const ADMIN = 1;
+const OWNER = 2;
+const SUBUSER = 3;
+const STRANGER = 4;
+const SERVER = 'server-uuid';
+
+beforeEach(() => {
+  seedTables({
+    users: [
+      { id: ADMIN, isAdmin: true },
+      { id: OWNER, isAdmin: false },
+      { id: SUBUSER, isAdmin: false },
+      { id: STRANGER, isAdmin: false },
+    ],
+    server: [{ UUID: SERVER, ownerId: OWNER }],
+    serverSubuser: [
+      { serverId: SERVER, userId: SUBUSER, permissions: JSON.stringify(['console', 'files.read', 'unknown']) },
+    ],
+  });
+});
+
+describe('getServerAccess', () => {
+  it('gives the owner every permission', async () => {
+    const access = await getServerAccess(fakePrisma, OWNER, SERVER);
+    assert.deepEqual(access, {
+      isOwner: true,
+      isAdmin: false,
+      isSubuser: false,
+      permissions: [...SERVER_PERMISSIONS],
+    });
+  });
+
+  it('gives admins every permission on servers they do not own', async () => {
+    const access = await getServerAccess(fakePrisma, ADMIN, SERVER);
+    assert.equal(access?.isAdmin, true);
+    assert.equal(access?.isOwner, false);
+    assert.deepEqual(access?.permissions, [...SERVER_PERMISSIONS]);
+  });
+
+  it('gives sub-users only the known permissions they were granted', async () => {
+    const access = await getServerAccess(fakePrisma, SUBUSER, SERVER);
+    assert.deepEqual(access, {
+      isOwner: false,
+      isAdmin: false,
+      isSubuser: true,
+      permissions: ['console', 'files.read'],
+    });
+  });
+
+  it('gives sub-users with unreadable permissions none', async () => {
+    seedTables({
+      users: [{ id: SUBUSER, isAdmin: false }],
+      server: [{ UUID: SERVER, ownerId: OWNER }],
+      serverSubuser: [{ serverId: SERVER, userId: SUBUSER, permissions: 'not json' }],
+    });
+    const access = await getServerAccess(fakePrisma, SUBUSER, SERVER);
+    assert.deepEqual(access?.permissions, []);
+  });
+
+  it('gives strangers no access', async () => {
+    assert.equal(await getServerAccess(fakePrisma, STRANGER, SERVER), null);
+  });
+
+  it('gives unknown users no access', async () => {
+    assert.equal(await getServerAccess(fakePrisma, 99, SERVER), null);
+  });
+
+  it('gives only admins access to servers that do not exist', async () => {
+    assert.equal(await getServerAccess(fakePrisma, OWNER, 'missing'), null);
+    assert.equal((await getServerAccess(fakePrisma, ADMIN, 'missing'))?.isAdmin, true);
+  });
+});
+
+describe('isAuthenticatedForServer', () => {
+  const request = (userId: number | null, method = 'GET') =>
+    createRequest({
+      method,
+      params: { id: SERVER },
+      session: userId ? { user: { id: userId } } : {},
+    });
+
+  it('sends requests without a session to the login page', async () => {
+    const { res, nextCalled } = await runMiddleware(isAuthenticatedForServer('id', 'console'), request(null));
+    assert.equal(nextCalled, false);
+    assert.equal(res.redirectedTo, '/login');
+  });
+
+  it('lets the owner through with every permission', async () => {
+    const { res, nextCalled } = await runMiddleware(isAuthenticatedForServer('id', 'settings'), request(OWNER));
+    assert.equal(nextCalled, true);
+    assert.deepEqual(res.locals.serverPermissions, [...SERVER_PERMISSIONS]);
+  });
+
+  it('lets admins through', async () => {
+    const { nextCalled } = await runMiddleware(isAuthenticatedForServer('id', 'settings'), request(ADMIN));
+    assert.equal(nextCalled, true);
+  });
+
+  for (const permission of SERVER_PERMISSIONS) {
+    const granted = permission === 'console' || permission === 'files.read';
+
+    it(`${granted ? 'lets' : 'stops'} a sub-user ${granted ? 'with' : 'without'} ${permission}`, async () => {
+      const { res, nextCalled } = await runMiddleware(isAuthenticatedForServer('id', permission), request(SUBUSER));
+      assert.equal(nextCalled, granted);
+      if (granted) {
+        assert.deepEqual(res.locals.serverPermissions, ['console', 'files.read']);
+      } else {
+        assert.equal(res.redirectedTo, '/');
+      }
+    });
+  }
+
+  it('answers sub-user actions they lack the permission for with 403', async () => {
+    const { res, nextCalled } = await runMiddleware(isAuthenticatedForServer('id', 'power'), request(SUBUSER, 'POST'));
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 403);
+  });
+
+  it('lets any sub-user through when no permission is required', async () => {
+    const { nextCalled } = await runMiddleware(isAuthenticatedForServer('id'), request(SUBUSER));
+    assert.equal(nextCalled, true);
+  });
+
+  it('sends strangers away', async () => {
+    for (const method of ['GET', 'POST']) {
+      const { res, nextCalled } = await runMiddleware(isAuthenticatedForServer('id'), request(STRANGER, method));
+      assert.equal(nextCalled, false);
+      assert.equal(res.redirectedTo, '/');
+    }
+  });
+});
@@ -0,0 +1,217 @@
+import { fakePrisma, getTable, seedTables } from './helpers/fakePrisma';
+import { FakeDaemon, startDaemon, waitFor } from './helpers/daemon';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServerTransfer } from '../src/handlers/utils/server/serverTransfer';
+
+const SERVER = 'server-uuid';
+const MISSING_BACKUP = '/backups/missing.tar.gz';
+
+let source: FakeDaemon;
+let target: FakeDaemon;
+// Archives the target node received, by the name they were uploaded as
+const uploads = new Map<string, string>();
+
+before(async () => {
+  source = await startDaemon((app) => {
+    app.get('/container/status', (_req, res) => {
+      res.json({ running: false });
+    });
+    app.post('/container/backup', (_req, res) => {
+      res.json({ success: true, backup: { uuid: 'archive', filePath: '/backups/transfer.tar.gz', size: 5 } });
+    });
+    app.get('/container/backup/download', (req, res) => {
+      if (req.query.backupPath === MISSING_BACKUP) {
+        res.status(404).json({ error: 'Backup not found' });
+        return;
+      }
+      res.send(`archive of ${req.query.backupPath}`);
+    });
+    app.delete('/container/backup', (_req, res) => {
+      res.json({ success: true });
+    });
+    app.delete('/container', (_req, res) => {
+      res.json({ success: true });
+    });
+  });
+
+  target = await startDaemon((app) => {
+    app.post('/container/backup/upload', (req, res) => {
+      const chunks: Buffer[] = [];
+      req.on('data', (chunk: Buffer) => chunks.push(chunk));
+      req.on('end', () => {
+        const name = String(req.query.name);
+        uploads.set(name, Buffer.concat(chunks).toString());
+        res.json({ success: true, backup: { filePath: `/target/${name}.tar.gz`, size: 5 } });
+      });
+    });
+    app.post('/container/restore', (_req, res) => {
+      res.json({ success: true });
+    });
+    app.delete('/container/backup', (_req, res) => {
+      res.json({ success: true });
+    });
+    app.delete('/container', (_req, res) => {
+      res.json({ success: true });
+    });
+  });
+});
+
+after(async () => {
+  await source.close();
+  await target.close();
+});
+
+beforeEach(() => {
+  uploads.clear();
+  source.requests.length = 0;
+  target.requests.length = 0;
+
+  const node = { ram: 8192, cpu: 400, disk: 100, memoryOverallocate: 0, cpuOverallocate: 0, diskOverallocate: 0, key: 'node-key' };
+  seedTables({
+    node: [
+      { ...node, id: 1, name: 'source', address: '127.0.0.1', port: source.port },
+      { ...node, id: 2, name: 'target', address: '127.0.0.1', port: target.port },
+    ],
+    allocation: [
+      { id: 1, nodeId: 1, ip: '0.0.0.0', port: 25565, serverId: SERVER, primary: true },
+      { id: 2, nodeId: 2, ip: '0.0.0.0', port: 25565, serverId: null, primary: false },
+    ],
+    server: [{
+      id: 1,
+      UUID: SERVER,
+      name: 'Survival',
+      nodeId: 1,
+      Memory: 1024,
+      Cpu: 100,
+      Storage: 10,
+      Installing: false,
+      Transferring: false,
+    }],
+    backup: [
+      { id: 1, UUID: 'first', name: 'Before update', serverId: SERVER, filePath: '/backups/first.tar.gz', size: BigInt(5), createdAt: new Date(1) },
+      { id: 2, UUID: 'second', name: 'Nightly', serverId: SERVER, filePath: '/backups/second.tar.gz', size: BigInt(5), createdAt: new Date(2) },
+    ],
+  });
+});
+
+async function transfer() {
+  const server = { ...getTable('server')[0], node: getTable('node')[0] };
+  const result = await startServerTransfer(server as any, 2);
+  assert.ok('transfer' in result, 'error' in result ? result.error : undefined);
+  return waitFor(() => {
+    const record = getTable('serverTransfer').find((candidate) => candidate.id === result.transfer.id);
+    return record && ['completed', 'failed'].includes(record.status) ? record : undefined;
+  });
+}
+
+const deletedOn = (daemon: FakeDaemon) =>
+  daemon.requests
+    .filter((request) => request.method === 'DELETE' && request.path === '/container/backup')
+    .map((request) => request.body.backupPath);
+
+describe('server transfers', () => {
+  it('copies the backups to the target node', async () => {
+    const record = await transfer();
+    assert.equal(record.status, 'completed', record.error);
+
+    assert.equal(uploads.get('backup-first'), 'archive of /backups/first.tar.gz');
+    assert.equal(uploads.get('backup-second'), 'archive of /backups/second.tar.gz');
+    assert.deepEqual(
+      getTable('backup').map((backup) => backup.filePath),
+      ['/target/backup-first.tar.gz', '/target/backup-second.tar.gz'],
+    );
+    assert.deepEqual(
+      deletedOn(source).sort(),
+      ['/backups/first.tar.gz', '/backups/second.tar.gz', '/backups/transfer.tar.gz'],
+    );
+    assert.equal(getTable('server')[0].nodeId, 2);
+  });
+
+  it('takes every allocation of the server along, on the same ports where free', async () => {
+    getTable('allocation').push(
+      { id: 3, nodeId: 1, ip: '0.0.0.0', port: 25575, serverId: SERVER, primary: false },
+      { id: 4, nodeId: 2, ip: '0.0.0.0', port: 30000, serverId: null, primary: false },
+    );
+
+    const record = await transfer();
+    assert.equal(record.status, 'completed', record.error);
+    assert.deepEqual(
+      getTable('allocation')
+        .filter((allocation) => allocation.serverId === SERVER)
+        .map(({ nodeId, port, primary }) => ({ nodeId, port, primary })),
+      [
+        { nodeId: 2, port: 25565, primary: true },
+        { nodeId: 2, port: 30000, primary: false },
+      ],
+    );
+    assert.equal(
+      getTable('server')[0].Ports,
+      JSON.stringify([{ Port: '25565:25565', primary: true }, { Port: '30000:30000', primary: false }]),
+    );
+  });
+
+  it('refuses a target node without a free allocation for each one the server holds', async () => {
+    getTable('allocation').push({ id: 3, nodeId: 1, ip: '0.0.0.0', port: 25575, serverId: SERVER, primary: false });
+
+    const server = { ...getTable('server')[0], node: getTable('node')[0] };
+    const result = await startServerTransfer(server as any, 2);
+    assert.deepEqual(result, { error: 'Node "target" has 1 of the 2 free allocations the server needs' });
+    assert.equal(getTable('server')[0].Transferring, false);
+  });
+
+  it('stays on the source node when a backup cannot be copied', async () => {
+    getTable('backup')[1].filePath = MISSING_BACKUP;
+
+    const record = await transfer();
+    assert.equal(record.status, 'failed');
+    assert.match(record.error, /Failed to copy the backup "Nightly"/);
+
+    assert.equal(getTable('server')[0].nodeId, 1);
+    assert.equal(getTable('server')[0].Transferring, false);
+    assert.deepEqual(
+      getTable('backup').map((backup) => backup.filePath),
+      ['/backups/first.tar.gz', MISSING_BACKUP],
+    );
+    // The copies already made are removed from the target again
+    assert.ok(deletedOn(target).includes('/target/backup-first.tar.gz'));
+    assert.equal(deletedOn(source).includes('/backups/first.tar.gz'), false);
+  });
+
+  it('refuses a target node whose daemon has no upload endpoint', async () => {
+    const oldTarget = await startDaemon(() => undefined);
+    getTable('node')[1].port = oldTarget.port;
+
+    try {
+      const server = { ...getTable('server')[0], node: getTable('node')[0] };
+      const result = await startServerTransfer(server as any, 2);
+      assert.deepEqual(result, {
+        error: 'The daemon of node target does not support server transfers, update airlinkd on the node to use it',
+      });
+      assert.equal(getTable('server')[0].Transferring, false);
+      assert.equal(source.requests.length, 0);
+    } finally {
+      await oldTarget.close();
+    }
+  });
+
+  it('releases the server when the database fails after it moved', async () => {
+    const update = fakePrisma.backup.update;
+    fakePrisma.backup.update = async () => {
+      throw new Error('database is locked');
+    };
+
+    try {
+      const record = await transfer();
+      assert.equal(record.status, 'failed');
+      assert.equal(
+        record.error,
+        'The server moved to node target, but finishing the transfer failed: database is locked',
+      );
+      assert.equal(getTable('server')[0].nodeId, 2);
+      assert.equal(getTable('server')[0].Transferring, false);
+    } finally {
+      fakePrisma.backup.update = update;
+    }
+  });
+});
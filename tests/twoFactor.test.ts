@@ -0,0 +1,205 @@
+import { fakePrisma, getTable, seedTables } from './helpers/fakePrisma';
+import { createRequest } from './helpers/express';
+import { TestApp, startApp } from './helpers/app';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import bcrypt from 'bcrypt';
+import { Router } from 'express';
+import { Users } from '@prisma/client';
+import {
+  base32Decode,
+  base32Encode,
+  buildOtpAuthUri,
+  generateRecoveryCodes,
+  generateTotpCode,
+  generateTotpSecret,
+  getTotpStep,
+  verifyTotpCode,
+} from '../src/handlers/utils/auth/totp';
+import { countRecoveryCodes, createRecoveryCodes, verifyTwoFactor } from '../src/handlers/utils/auth/twoFactor';
+import { isAuthenticatedForServerWS } from '../src/handlers/utils/auth/serverAuthUtil';
+import accountModule from '../src/modules/user/account';
+
+// The SHA-1 secret of the RFC 6238 test vectors, "12345678901234567890"
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('totp', () => {
+  it('round-trips base32', () => {
+    const bytes = Buffer.from('12345678901234567890');
+    assert.equal(base32Encode(bytes), RFC_SECRET);
+    assert.deepEqual(base32Decode(RFC_SECRET.toLowerCase()), bytes);
+    assert.throws(() => base32Decode('not base32!'), /Invalid base32 character/);
+  });
+
+  it('matches the RFC 6238 test vectors', () => {
+    const vectors: [number, string][] = [
+      [59, '287082'],
+      [1111111109, '081804'],
+      [1111111111, '050471'],
+      [1234567890, '005924'],
+      [2000000000, '279037'],
+      [20000000000, '353130'],
+    ];
+    for (const [seconds, code] of vectors) {
+      assert.equal(generateTotpCode(RFC_SECRET, getTotpStep(seconds * 1000)), code);
+    }
+  });
+
+  it('accepts codes one step either side of the current one', () => {
+    const time = 1111111111 * 1000;
+    const step = getTotpStep(time);
+    assert.equal(verifyTotpCode(RFC_SECRET, generateTotpCode(RFC_SECRET, step), time), step);
+    assert.equal(verifyTotpCode(RFC_SECRET, generateTotpCode(RFC_SECRET, step - 1), time), step - 1);
+    assert.equal(verifyTotpCode(RFC_SECRET, generateTotpCode(RFC_SECRET, step + 1), time), step + 1);
+    assert.equal(verifyTotpCode(RFC_SECRET, generateTotpCode(RFC_SECRET, step + 2), time), null);
+  });
+
+  it('rejects malformed codes', () => {
+    assert.equal(verifyTotpCode(RFC_SECRET, '12345'), null);
+    assert.equal(verifyTotpCode(RFC_SECRET, 'abcdef'), null);
+    assert.equal(verifyTotpCode(RFC_SECRET, ''), null);
+  });
+
+  it('generates 160-bit secrets and recovery codes in the xxxxx-xxxxx form', () => {
+    assert.equal(base32Decode(generateTotpSecret()).length, 20);
+    const codes = generateRecoveryCodes();
+    assert.equal(codes.length, 10);
+    codes.forEach((code) => assert.match(code, /^[0-9a-f]{5}-[0-9a-f]{5}$/));
+  });
+
+  it('builds the otpauth URI authenticator apps import', () => {
+    const [label, query] = buildOtpAuthUri(RFC_SECRET, 'admin@example.com', 'AirLink').split('?');
+    assert.equal(label, 'otpauth://totp/AirLink%3Aadmin%40example.com');
+    const params = new URLSearchParams(query);
+    assert.equal(params.get('secret'), RFC_SECRET);
+    assert.equal(params.get('issuer'), 'AirLink');
+    assert.equal(params.get('period'), '30');
+  });
+});
+
+describe('verifyTwoFactor', () => {
+  let codes: string[];
+
+  beforeEach(() => {
+    const recovery = createRecoveryCodes();
+    codes = recovery.codes;
+    seedTables({
+      users: [{
+        id: 1,
+        twoFactorEnabled: true,
+        twoFactorSecret: RFC_SECRET,
+        twoFactorRecoveryCodes: recovery.hashes,
+        twoFactorLastStep: null,
+      }],
+    });
+  });
+
+  const user = () => ({ ...getTable('users')[0] }) as Users;
+
+  it('accepts an authenticator code once per time step', async () => {
+    const code = generateTotpCode(RFC_SECRET);
+    assert.deepEqual(await verifyTwoFactor(user(), code), { valid: true, usedRecoveryCode: false });
+    assert.equal(user().twoFactorLastStep, getTotpStep());
+    assert.deepEqual(await verifyTwoFactor(user(), code), { valid: false, usedRecoveryCode: false });
+  });
+
+  it('accepts each recovery code once, in any case', async () => {
+    assert.equal(countRecoveryCodes(user()), 10);
+    assert.deepEqual(await verifyTwoFactor(user(), ` ${codes[0].toUpperCase()} `), { valid: true, usedRecoveryCode: true });
+    assert.equal(countRecoveryCodes(user()), 9);
+    assert.deepEqual(await verifyTwoFactor(user(), codes[0]), { valid: false, usedRecoveryCode: false });
+  });
+
+  it('rejects wrong codes and users without two-factor authentication', async () => {
+    assert.equal((await verifyTwoFactor(user(), '00000-00000')).valid, false);
+    assert.equal((await verifyTwoFactor({ ...user(), twoFactorEnabled: false }, generateTotpCode(RFC_SECRET))).valid, false);
+  });
+});
+
+describe('isAuthenticatedForServerWS', () => {
+  const connect = async (userId: number, password: string) => {
+    let closed = false;
+    let nextCalled = false;
+    const ws: any = { close: () => { closed = true; } };
+    const req = createRequest({ params: { id: 'server-uuid', password }, query: { userId: String(userId) } });
+    await isAuthenticatedForServerWS('id', 'password', 'console')(ws, req, () => {
+      nextCalled = true;
+    });
+    return { closed, nextCalled };
+  };
+
+  beforeEach(async () => {
+    const password = await bcrypt.hash('hunter2', 4);
+    seedTables({
+      users: [
+        { id: 1, isAdmin: false, password, twoFactorEnabled: false },
+        { id: 2, isAdmin: false, password, twoFactorEnabled: true },
+      ],
+      server: [{ UUID: 'server-uuid', ownerId: 1 }],
+      serverSubuser: [{ serverId: 'server-uuid', userId: 2, permissions: JSON.stringify(['console']) }],
+    });
+  });
+
+  it('accepts the password of users without two-factor authentication', async () => {
+    assert.deepEqual(await connect(1, 'hunter2'), { closed: false, nextCalled: true });
+    assert.deepEqual(await connect(1, 'wrong'), { closed: true, nextCalled: false });
+  });
+
+  it('refuses the password of users with two-factor authentication', async () => {
+    assert.deepEqual(await connect(2, 'hunter2'), { closed: true, nextCalled: false });
+  });
+});
+
+describe('disabling two-factor authentication', () => {
+  let app: TestApp;
+  let codes: string[];
+
+  before(async () => {
+    const router = Router();
+    router.use((req, _res, next) => {
+      (req as any).session = { user: { id: 1 } };
+      next();
+    });
+    router.use(accountModule.router());
+    app = await startApp(router);
+  });
+
+  after(() => app.close());
+
+  beforeEach(async () => {
+    const recovery = createRecoveryCodes();
+    codes = recovery.codes;
+    seedTables({
+      users: [{
+        id: 1,
+        isAdmin: true,
+        password: await bcrypt.hash('hunter2', 4),
+        twoFactorEnabled: true,
+        twoFactorSecret: RFC_SECRET,
+        twoFactorRecoveryCodes: recovery.hashes,
+        twoFactorLastStep: null,
+      }],
+      settings: [{ id: 1, requireAdminTwoFactor: true }],
+    });
+  });
+
+  const user = () => getTable('users')[0] as Users;
+
+  it('refuses admins when it is required without using up their recovery code', async () => {
+    const { status } = await app.request('POST', '/account/2fa/disable', {
+      body: { currentPassword: 'hunter2', code: codes[0] },
+    });
+    assert.equal(status, 403);
+    assert.equal(user().twoFactorEnabled, true);
+    assert.equal(countRecoveryCodes(user()), 10);
+  });
+
+  it('turns it off for admins when it is not required', async () => {
+    getTable('settings')[0].requireAdminTwoFactor = false;
+    const { status } = await app.request('POST', '/account/2fa/disable', {
+      body: { currentPassword: 'hunter2', code: codes[0] },
+    });
+    assert.equal(status, 200);
+    assert.equal(user().twoFactorEnabled, false);
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ImageVariable,
+  resolveServerVariables,
+  splitRules,
+  validateVariableValue,
+  variableRules,
+} from '../src/handlers/utils/image/variables';
+
+const check = (value: unknown, rules: string) => validateVariableValue(value, rules, 'Port');
+
+describe('splitRules', () => {
+  it('keeps a | inside a regex pattern', () => {
+    assert.deepEqual(splitRules('required|regex:/^(a|b)$/|max:20'), ['required', 'regex:/^(a|b)$/', 'max:20']);
+  });
+
+  it('reads lists and ignores anything else', () => {
+    assert.deepEqual(splitRules(['required', 'string']), ['required', 'string']);
+    assert.deepEqual(splitRules(undefined), []);
+  });
+});
+
+describe('validateVariableValue', () => {
+  it('requires a value with required', () => {
+    assert.equal(check('', 'required|string'), 'Port is required');
+    assert.equal(check(null, 'required'), 'Port is required');
+    assert.equal(check('   ', 'required'), 'Port is required');
+  });
+
+  it('allows an empty value with nullable, whatever the other rules', () => {
+    assert.equal(check('', 'nullable|integer|min:5'), null);
+  });
+
+  it('checks integer', () => {
+    assert.equal(check('-25', 'integer'), null);
+    assert.equal(check('2.5', 'integer'), 'Port must be a whole number');
+  });
+
+  it('checks numeric', () => {
+    assert.equal(check('2.5', 'numeric'), null);
+    assert.equal(check('twenty', 'numeric'), 'Port must be a number');
+  });
+
+  it('checks boolean', () => {
+    for (const value of ['true', 'FALSE', '1', '0']) assert.equal(check(value, 'boolean'), null);
+    assert.equal(check('yes', 'boolean'), 'Port must be true or false');
+  });
+
+  it('checks in and not_in', () => {
+    assert.equal(check('paper', 'in:paper,spigot'), null);
+    assert.equal(check('forge', 'in:paper,spigot'), 'Port must be one of: paper, spigot');
+    assert.equal(check('forge', 'not_in:vanilla'), null);
+    assert.equal(check('vanilla', 'not_in:vanilla'), 'Port cannot be vanilla');
+  });
+
+  it('checks regex and not_regex with flags', () => {
+    assert.equal(check('Abc', 'regex:/^[a-z]+$/i'), null);
+    assert.equal(check('abc1', 'regex:/^[a-z]+$/'), 'Port has an invalid format');
+    assert.equal(check('abc', 'not_regex:/\\d/'), null);
+    assert.equal(check('abc1', 'not_regex:/\\d/'), 'Port has an invalid format');
+  });
+
+  it('does not enforce invalid patterns', () => {
+    assert.equal(check('abc', 'regex:/[/'), null);
+  });
+
+  it('compares numbers for min, max and between on numeric values', () => {
+    assert.equal(check('1024', 'integer|min:1024|max:65535'), null);
+    assert.equal(check('80', 'integer|min:1024'), 'Port must be at least 1024');
+    assert.equal(check('70000', 'integer|max:65535'), 'Port must be at most 65535');
+    assert.equal(check('0', 'numeric|between:1,10'), 'Port must be between 1 and 10');
+  });
+
+  it('compares the length for min, max and between on text', () => {
+    assert.equal(check('abc', 'string|min:3|max:3'), null);
+    assert.equal(check('ab', 'string|min:3'), 'Port must be at least 3 characters');
+    assert.equal(check('abcd', 'string|max:3'), 'Port must be at most 3 characters');
+    assert.equal(check('abcdef', 'string|between:1,5'), 'Port must be between 1 and 5 characters');
+  });
+
+  it('ignores rules it does not support', () => {
+    assert.equal(check('anything', 'alpha_dash|url'), null);
+  });
+});
+
+describe('variableRules', () => {
+  const variable = (fields: Partial<ImageVariable>): ImageVariable => ({
+    name: 'Port',
+    env: 'PORT',
+    value: '',
+    type: 'text',
+    ...fields,
+  });
+
+  it('uses the stored rules', () => {
+    assert.equal(variableRules(variable({ rules: 'nullable|string' })), 'nullable|string');
+  });
+
+  it('builds rules from the type and limits otherwise', () => {
+    assert.equal(variableRules(variable({})), 'nullable|string');
+    assert.equal(variableRules(variable({ required: true, max: 20 })), 'required|string|max:20');
+    assert.equal(variableRules(variable({ type: 'number', min: 1, max: 10 })), 'required|integer|min:1|max:10');
+    assert.equal(variableRules(variable({ type: 'boolean' })), 'required|boolean');
+  });
+});
+
+describe('resolveServerVariables', () => {
+  const definitions: ImageVariable[] = [
+    { name: 'Version', env: 'VERSION', value: 'latest', type: 'text', rules: 'required|string|max:10' },
+    { name: 'Jar', env: 'JAR', value: 'server.jar', type: 'text', rules: 'required', userEditable: false },
+  ];
+
+  it('reports the rule each submitted value breaks by env name', () => {
+    assert.deepEqual(resolveServerVariables(definitions, [], { VERSION: 'a-very-long-version' }), {
+      errors: { VERSION: 'Version must be at most 10 characters' },
+    });
+  });
+
+  it('refuses changes to variables users may not edit, except by admins', () => {
+    assert.deepEqual(resolveServerVariables(definitions, [], { JAR: 'other.jar' }), {
+      errors: { JAR: 'Jar cannot be changed' },
+    });
+    const result = resolveServerVariables(definitions, [], { JAR: 'other.jar' }, { admin: true });
+    assert.ok('variables' in result);
+    assert.equal(result.variables.find((variable) => variable.env === 'JAR')?.value, 'other.jar');
+  });
+});